@@ -0,0 +1,54 @@
+/**
+ * Script to create an administrator account.
+ * Registration is invite-only, so the first admin has to be created here.
+ *
+ * Usage: node createAdmin.js <email> <password> "<name>"
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('./src/moduls/auth/auth.model');
+const Role = require('./src/moduls/role/role.model');
+
+const createAdmin = async () => {
+    const [email, password, name] = process.argv.slice(2);
+
+    if (!email || !password || !name) {
+        console.error('Usage: node createAdmin.js <email> <password> "<name>"');
+        process.exit(1);
+    }
+
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/hotspot-retail-admin');
+        console.log('MongoDB connected successfully');
+
+        await Role.seedDefaultRoles();
+
+        const existingUser = await User.findOne({ email: email.toLowerCase() });
+        if (existingUser) {
+            console.error(`User ${email} already exists`);
+            process.exit(1);
+        }
+
+        const user = await User.create({
+            email: email.toLowerCase(),
+            password,
+            name,
+            role: 'admin'
+        });
+
+        console.log(`Administrator ${user.email} created successfully`);
+        process.exit(0);
+
+    } catch (error) {
+        console.error('Error creating administrator:', error);
+        process.exit(1);
+    }
+};
+
+// Run the script
+if (require.main === module) {
+    createAdmin();
+}
+
+module.exports = { createAdmin };
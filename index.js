@@ -14,22 +14,43 @@
  *       bearerFormat: JWT
  */
 
+const config = require('./src/config/env');
+const { once } = require('events');
 const express = require('express');
 const cors = require('cors');
 const connectDB = require('./src/config/db');
 const routes = require('./src/router/index');
+const metricsRoutes = require('./src/moduls/metrics/metrics.router');
 const swaggerSetup = require('./src/config/sawgger');
-require('dotenv').config();
+const Role = require('./src/moduls/role/role.model');
+const requestContext = require('./src/middleware/requestContext.middleware');
+const requestLogger = require('./src/middleware/requestLogger.middleware');
+const httpMetrics = require('./src/middleware/metrics.middleware');
+const errorHandler = require('./src/middleware/error.middleware');
+const logger = require('./src/services/logger');
+const webhooks = require('./src/services/webhooks');
+const jobs = require('./src/jobs');
+const shutdown = require('./src/services/shutdown');
 
 const app = express();
 
-// Connect to database
-connectDB();
+// Behind a proxy or load balancer req.ip must come from X-Forwarded-For, otherwise
+// rate limits and login throttling would count every client as the proxy.
+// TRUST_PROXY is the number of proxies in front of the app, or true to trust all.
+if (config.trustProxy !== undefined) {
+    app.set('trust proxy', config.trustProxy);
+}
+
+// Assign request IDs and log every request with its status and latency
+app.use(requestLogger);
+
+// Count and time requests per route for /metrics
+app.use(httpMetrics);
 
 // Middleware
 app.use(cors({
     origin: [
-        process.env.FRONTEND_URL || 'http://localhost:3000',
+        config.frontendUrl,
         'https://hotspot-retail-admin-panel.vercel.app',
         'http://localhost:3000',
         'http://localhost:5173',
@@ -38,72 +59,79 @@ app.use(cors({
     ],
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'Accept']
+    allowedHeaders: ['Content-Type', 'Authorization', 'Accept', 'X-API-Key', 'X-Request-Id', 'Idempotency-Key', 'If-Match', 'If-None-Match'],
+    exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'X-Request-Id', 'Idempotent-Replayed', 'ETag']
 }));
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Make the current request available to model hooks and the logger
+app.use(requestContext);
+
 // Serve static files
 app.use('/uploads', express.static('uploads'));
 
-// Request logging middleware
-app.use((req, res, next) => {
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-    next();
-});
-
 // Setup Swagger documentation
-swaggerSetup(app);
+if (config.swaggerEnabled) {
+    swaggerSetup(app);
+}
 
 // Routes
 app.use('/api', routes);
 
-// Global error handler
-app.use((err, req, res, next) => {
-    console.error('Global error handler:', err);
-    
-    if (err.name === 'ValidationError') {
-        const errors = Object.values(err.errors).map(e => e.message);
-        return res.status(400).json({
-            success: false,
-            message: 'Validation Error',
-            errors: errors
-        });
-    }
+// Prometheus scrape endpoint, outside /api where scrapers look for it
+app.use('/metrics', metricsRoutes);
+
+// 404 handler
+app.use(errorHandler.notFoundHandler);
+
+// Global error handler, answers every error with the standard envelope
+app.use(errorHandler);
+
+// On SIGTERM / SIGINT: drain requests, then stop the background work, then close MongoDB
+shutdown.onShutdown('job runner', jobs.stop);
+shutdown.onShutdown('webhook worker', webhooks.stopWorker);
+shutdown.onShutdown('database', connectDB.disconnectDB);
 
-    if (err.name === 'CastError') {
-        return res.status(400).json({
-            success: false,
-            message: 'Invalid ID format'
-        });
+// Refuse to start with an invalid configuration, wait for the database and the
+// background workers, and only then accept requests
+const start = async () => {
+    config.checkConfig();
+
+    await connectDB();
+
+    // Make sure the built-in roles exist
+    try {
+        await Role.seedDefaultRoles();
+    } catch (error) {
+        logger.error('Failed to seed default roles', { error });
     }
 
-    if (err.code === 11000) {
-        const field = Object.keys(err.keyValue)[0];
-        return res.status(409).json({
-            success: false,
-            message: `${field} already exists`
-        });
+    try {
+        await jobs.start();
+    } catch (error) {
+        logger.error('Failed to start the job runner', { error });
     }
 
-    res.status(err.status || 500).json({
-        success: false,
-        message: err.message || 'Internal Server Error'
-    });
-});
+    // Send queued webhook deliveries and retry failed ones in the background
+    webhooks.startWorker();
 
-// 404 handler
-app.use('*', (req, res) => {
-    res.status(404).json({
-        success: false,
-        message: 'Route not found'
-    });
-});
+    const server = app.listen(config.port);
+    await once(server, 'listening');
+    shutdown.handleSignals(server);
 
-const PORT = process.env.PORT || 5000;
+    logger.info('Server started', {
+        port: config.port,
+        environment: config.env
+    });
+};
 
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+start().catch(error => {
+    if (error.problems) {
+        logger.error('Invalid configuration', { problems: error.problems });
+    } else {
+        logger.error('Server failed to start', { error });
+    }
+    process.exit(1);
 });
@@ -0,0 +1,92 @@
+/**
+ * Script to run schema migrations, see src/services/migrations.
+ *
+ * Usage:
+ *   node migrate.js status               list migrations and whether they have been applied
+ *   node migrate.js up [--to <name>]     apply pending migrations, or those up to <name>
+ *   node migrate.js down [--steps <n>]   revert the last n applied migrations (default 1)
+ *   node migrate.js create <name>        add an empty migration to migrations/
+ */
+
+const mongoose = require('mongoose');
+const config = require('./src/config/env');
+const migrations = require('./src/services/migrations');
+
+const USAGE = 'Usage: node migrate.js <status | up [--to <name>] | down [--steps <n>] | create <name>>';
+
+// Value of an option such as --steps 2
+const option = (args, name) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? undefined : args[index + 1];
+};
+
+const printStatus = async () => {
+    const { migrations: list, lock } = await migrations.getStatus();
+
+    if (list.length === 0) {
+        console.log('No migrations');
+    }
+    list.forEach(({ name, state, appliedAt }) => {
+        const applied = appliedAt ? `  ${appliedAt.toISOString()}` : '';
+        console.log(`${state.padEnd(8)} ${name}${applied}`);
+    });
+
+    if (lock) {
+        console.log(`\nLocked by ${lock.lockedBy} until ${lock.lockedUntil.toISOString()}`);
+    }
+};
+
+const commands = {
+    status: printStatus,
+
+    up: async (args) => {
+        const applied = await migrations.up({ to: option(args, 'to') });
+        console.log(applied.length > 0 ? `Applied ${applied.join(', ')}` : 'Database is up to date');
+    },
+
+    down: async (args) => {
+        const steps = option(args, 'steps') === undefined ? 1 : Number(option(args, 'steps'));
+        if (!Number.isInteger(steps) || steps < 1) {
+            throw new Error('--steps must be a positive number');
+        }
+
+        const reverted = await migrations.down({ steps });
+        console.log(reverted.length > 0 ? `Reverted ${reverted.join(', ')}` : 'No migrations to revert');
+    }
+};
+
+const migrate = async () => {
+    const [command, ...args] = process.argv.slice(2);
+
+    if (command === 'create') {
+        if (!args[0]) {
+            console.error(USAGE);
+            process.exit(1);
+        }
+        console.log(`Created ${migrations.create(args.join(' '))}`);
+        process.exit(0);
+    }
+
+    if (!commands[command]) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    try {
+        await mongoose.connect(config.mongodb.uri);
+        await commands[command](args);
+        await mongoose.disconnect();
+        process.exit(0);
+    } catch (error) {
+        console.error(`Migration ${command} failed:`, error.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    }
+};
+
+// Run the script
+if (require.main === module) {
+    migrate();
+}
+
+module.exports = { migrate };
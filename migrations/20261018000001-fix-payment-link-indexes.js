@@ -0,0 +1,75 @@
+/**
+ * Payment links were created while shortUrl had a plain unique index, which
+ * allows only one link without a short URL. Drop the payment link indexes that
+ * differ from the ones below and create the missing ones. Indexes that are
+ * already right are kept, so links stay searchable while this runs.
+ *
+ * Previously fix-payment-link-indexes.js, which dropped and recreated every index.
+ */
+
+const INDEXES = [
+    { key: { paymentLinkId: 1 }, name: 'paymentLinkId_1', unique: true },
+    { key: { shortUrl: 1 }, name: 'shortUrl_1', unique: true, sparse: true },
+    { key: { customerEmail: 1 }, name: 'customerEmail_1' },
+    { key: { status: 1 }, name: 'status_1' },
+    { key: { paymentStatus: 1 }, name: 'paymentStatus_1' },
+    { key: { expiryDate: 1 }, name: 'expiryDate_1' },
+    { key: { createdBy: 1 }, name: 'createdBy_1' },
+    { key: { createdAt: 1 }, name: 'createdAt_1' }
+];
+
+// Left behind by the old script; the model indexes createdAt in ascending order
+const OBSOLETE = ['createdAt_-1'];
+
+const sameKey = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// An existing index that has to go: obsolete, or a wanted name or key with other options
+const isStale = (index) => {
+    if (OBSOLETE.includes(index.name)) return true;
+
+    const wanted = INDEXES.find(({ name, key }) => name === index.name || sameKey(key, index.key));
+    return Boolean(wanted) && !(
+        wanted.name === index.name
+        && sameKey(wanted.key, index.key)
+        && Boolean(wanted.unique) === Boolean(index.unique)
+        && Boolean(wanted.sparse) === Boolean(index.sparse)
+    );
+};
+
+module.exports = {
+    description: 'Make the payment link shortUrl index sparse and recreate the other payment link indexes',
+
+    up: async ({ db }) => {
+        const collection = db.collection('paymentlinks');
+        const existing = await collection.indexes().catch(error => {
+            // No payment links yet, the indexes are created with the first one
+            if (error.codeName === 'NamespaceNotFound') return null;
+            throw error;
+        });
+        if (!existing) return;
+
+        for (const index of existing.filter(isStale)) {
+            await collection.dropIndex(index.name);
+        }
+
+        await collection.createIndexes(INDEXES);
+    },
+
+    // Back to the plain unique shortUrl index and the descending createdAt index of
+    // the old script. The other indexes are the same before and after.
+    down: async ({ db }) => {
+        const collection = db.collection('paymentlinks');
+
+        // A plain unique index allows a single link without a short URL
+        const withoutShortUrl = await collection.countDocuments({ shortUrl: null });
+        if (withoutShortUrl > 1) {
+            throw new Error(`${withoutShortUrl} payment links have no short URL, the plain unique shortUrl index cannot be restored`);
+        }
+
+        await collection.dropIndex('shortUrl_1').catch(error => {
+            if (!['NamespaceNotFound', 'IndexNotFound'].includes(error.codeName)) throw error;
+        });
+        await collection.createIndex({ shortUrl: 1 }, { name: 'shortUrl_1', unique: true });
+        await collection.createIndex({ createdAt: -1 }, { name: 'createdAt_-1' });
+    }
+};
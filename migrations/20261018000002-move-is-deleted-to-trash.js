@@ -0,0 +1,50 @@
+/**
+ * Categories and purchase orders marked deleted records with an isDeleted
+ * flag. Every module now keeps them in the trash with deletedAt instead (see
+ * src/utils/softDelete.js).
+ *
+ * Previously migrate-soft-delete.js.
+ */
+
+const COLLECTIONS = ['categories', 'purchaseorders'];
+
+// Collections and indexes that do not exist are fine, there is nothing to change
+const IGNORED_ERRORS = ['NamespaceNotFound', 'IndexNotFound'];
+
+const ignoreMissing = (error) => {
+    if (!IGNORED_ERRORS.includes(error.codeName)) throw error;
+};
+
+module.exports = {
+    description: 'Move records deleted with isDeleted into the trash',
+
+    up: async ({ db }) => {
+        for (const name of COLLECTIONS) {
+            const collection = db.collection(name);
+
+            // Keep the deletion date where there is one, otherwise start the retention period now
+            await collection.updateMany(
+                { isDeleted: true },
+                [{ $set: { deletedAt: { $ifNull: ['$deletedAt', '$$NOW'] }, deletedBy: { $ifNull: ['$deletedBy', null] } } }]
+            );
+
+            // Live records must not carry a deletion date from the old schema
+            await collection.updateMany(
+                { isDeleted: false, deletedAt: { $ne: null } },
+                { $set: { deletedAt: null, deletedBy: null } }
+            );
+
+            await collection.updateMany({ isDeleted: { $exists: true } }, { $unset: { isDeleted: '' } });
+            await collection.dropIndex('isDeleted_1').catch(ignoreMissing);
+        }
+    },
+
+    down: async ({ db }) => {
+        for (const name of COLLECTIONS) {
+            const collection = db.collection(name);
+
+            await collection.updateMany({}, [{ $set: { isDeleted: { $ne: [{ $ifNull: ['$deletedAt', null] }, null] } } }]);
+            await collection.createIndex({ isDeleted: 1 }, { name: 'isDeleted_1' });
+        }
+    }
+};
@@ -0,0 +1,17 @@
+/**
+ * Webhook deliveries used to keep the start of each response body in their
+ * attempt log. Only the status code is kept now, since a webhook URL could
+ * return anything and the log is readable through the API.
+ */
+
+module.exports = {
+    description: 'Remove response bodies from the webhook delivery attempt log',
+
+    // The bodies are gone for good, so there is no down step
+    up: async ({ db }) => {
+        await db.collection('webhookdeliveries').updateMany(
+            { 'attemptLog.responseBody': { $exists: true } },
+            { $unset: { 'attemptLog.$[].responseBody': '' } }
+        );
+    }
+};
@@ -0,0 +1,59 @@
+/**
+ * Script to fill a local or QA database with demo data, see src/seed.
+ *
+ * Usage: node seed.js [--seed <value>] [--volume small|medium|large] [--reset] [--owner <email>]
+ *
+ *   --seed     the same seed always gives the same data (default hotspot)
+ *   --volume   how much data to create (default small)
+ *   --reset    delete the existing data of the seeded modules first
+ *   --owner    email of the user recorded as creator (default the first admin)
+ */
+
+const mongoose = require('mongoose');
+const config = require('./src/config/env');
+const { seed, VOLUMES } = require('./src/seed');
+
+const USAGE = `Usage: node seed.js [--seed <value>] [--volume ${Object.keys(VOLUMES).join('|')}] [--reset] [--owner <email>]`;
+
+// Value of an option such as --volume medium
+const option = (args, name) => {
+    const index = args.indexOf(`--${name}`);
+    return index === -1 ? undefined : args[index + 1];
+};
+
+const run = async () => {
+    const args = process.argv.slice(2);
+    const options = {
+        seed: option(args, 'seed'),
+        volume: option(args, 'volume'),
+        reset: args.includes('--reset'),
+        owner: option(args, 'owner')
+    };
+
+    if (['seed', 'volume', 'owner'].some(name => args.includes(`--${name}`) && !options[name])) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    try {
+        await mongoose.connect(config.mongodb.uri);
+        const created = await seed(options);
+
+        console.log('Demo data created:');
+        Object.entries(created).forEach(([name, count]) => console.log(`  ${name.padEnd(16)} ${count}`));
+
+        await mongoose.disconnect();
+        process.exit(0);
+    } catch (error) {
+        console.error('Seeding failed:', error.message);
+        await mongoose.disconnect();
+        process.exit(1);
+    }
+};
+
+// Run the script
+if (require.main === module) {
+    run();
+}
+
+module.exports = { run };
@@ -1,40 +1,46 @@
 const mongoose = require('mongoose');
+const logger = require('../services/logger');
+const metrics = require('../services/metrics');
+const config = require('./env');
 
+// Connect to MongoDB. Rejects when the first connection fails, so that the
+// server does not start without a database.
 const connectDB = async () => {
-    try {
-        const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/hotspot-retail-admin';
-        
-        const conn = await mongoose.connect(mongoURI, {
-            // useNewUrlParser: true,
-            // useUnifiedTopology: true,
-        });
-
-        console.log(`MongoDB Connected: ${conn.connection.host}`);
-        
-        // Handle connection events
-        mongoose.connection.on('connected', () => {
-            console.log('Mongoose connected to MongoDB');
-        });
-
-        mongoose.connection.on('error', (err) => {
-            console.error('Mongoose connection error:', err);
-        });
-
-        mongoose.connection.on('disconnected', () => {
-            console.log('Mongoose disconnected from MongoDB');
-        });
-
-        // Handle app termination
-        process.on('SIGINT', async () => {
-            await mongoose.connection.close();
-            console.log('MongoDB connection closed through app termination');
-            process.exit(0);
-        });
-
-    } catch (error) {
-        console.error('Database connection error:', error);
-        process.exit(1);
+    const connecting = mongoose.connect(config.mongodb.uri, {
+        // useNewUrlParser: true,
+        // useUnifiedTopology: true,
+    });
+
+    // The client exists as soon as connect() is called. Watch its connection
+    // pool from the start, so /metrics sees every pooled connection.
+    const client = mongoose.connection.getClient();
+    if (client) {
+        metrics.watchConnectionPool(client);
     }
+
+    const conn = await connecting;
+
+    logger.info('MongoDB connected', { host: conn.connection.host });
+    
+    // Handle connection events
+    mongoose.connection.on('connected', () => {
+        logger.info('Mongoose connected to MongoDB');
+    });
+
+    mongoose.connection.on('error', (err) => {
+        logger.error('Mongoose connection error', { error: err });
+    });
+
+    mongoose.connection.on('disconnected', () => {
+        logger.warn('Mongoose disconnected from MongoDB');
+    });
+};
+
+// Close the connection once nothing uses it any more, see services/shutdown
+const disconnectDB = async () => {
+    await mongoose.connection.close();
+    logger.info('MongoDB connection closed');
 };
 
 module.exports = connectDB;
+module.exports.disconnectDB = disconnectDB;
@@ -0,0 +1,289 @@
+/**
+ * Configuration
+ *
+ * Every environment variable the app reads is declared here with its type and
+ * default. Modules take typed values from this object instead of process.env:
+ *
+ *   const config = require('../config/env');
+ *   setTimeout(retry, config.webhooks.timeoutMs);   // always a number
+ *
+ * .env is loaded by this module, so it applies however early the module is
+ * required. Invalid values fall back to their defaults here and are reported
+ * all at once by checkConfig(), which index.js calls before anything else, so
+ * the server never starts with a configuration it would misread.
+ *
+ * In production the server also refuses to start without MONGODB_URI, or with
+ * a JWT_SECRET that is missing, short or one of the well-known examples.
+ */
+
+require('dotenv').config();
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+// Secrets found in examples and old defaults, which must never sign production tokens
+const DEFAULT_SECRETS = ['your-secret-key', 'hjbhgfcgfcgh', 'change-me', 'changeme', 'secret'];
+const MIN_PRODUCTION_SECRET_LENGTH = 32;
+
+const integer = (defaultValue, { minimum = 1, maximum } = {}) => ({
+    type: 'integer',
+    minimum,
+    ...(maximum && { maximum }),
+    ...(defaultValue !== undefined && { default: defaultValue })
+});
+
+const url = (defaultValue) => ({
+    type: 'string',
+    format: 'uri',
+    pattern: '^https?://',
+    ...(defaultValue && { default: defaultValue })
+});
+
+const SCHEMA = {
+    type: 'object',
+    properties: {
+        NODE_ENV: { type: 'string', enum: ['development', 'production', 'test'], default: 'development' },
+        PORT: integer(5000, { maximum: 65535 }),
+        BASE_URL: url(),
+        FRONTEND_URL: url('http://localhost:3000'),
+        TRUST_PROXY: { type: 'string', pattern: '^(\\d+|true|false)$' },
+        SWAGGER_ENABLED: { type: 'boolean', default: true },
+        SHUTDOWN_TIMEOUT_MS: integer(25 * 1000),
+
+        MONGODB_URI: { type: 'string', pattern: '^mongodb(\\+srv)?://' },
+
+        JWT_SECRET: { type: 'string' },
+        JWT_EXPIRES_IN: { type: 'string', pattern: '^\\d+(ms|s|m|h|d|w|y)?$', default: '15m' },
+        REFRESH_TOKEN_EXPIRES_DAYS: integer(7),
+        INVITATION_EXPIRES_DAYS: integer(7),
+        RESET_TOKEN_EXPIRES_MINUTES: integer(30),
+        TWO_FACTOR_ISSUER: { type: 'string', default: 'HOTSPOT RETAIL' },
+        API_KEY_EXPIRES_DAYS: integer(365),
+
+        MAX_LOGIN_ATTEMPTS: integer(5),
+        LOCKOUT_MINUTES: integer(15),
+        MAX_LOGIN_ATTEMPTS_PER_IP: integer(20),
+        LOGIN_IP_WINDOW_MINUTES: integer(15),
+        LOGIN_HISTORY_RETENTION_DAYS: integer(180),
+
+        RATE_LIMIT_STORE: { type: 'string', enum: ['memory', 'mongo'], default: 'memory' },
+
+        LOG_LEVEL: { type: 'string', enum: ['error', 'warn', 'info', 'debug'] },
+
+        MAIL_TRANSPORT: { type: 'string', enum: ['console', 'smtp'], default: 'console' },
+        MAIL_FROM: { type: 'string', default: 'HOTSPOT RETAIL <no-reply@hotspot-retail.local>' },
+        MAIL_OUTPUT_DIR: { type: 'string' },
+        SMTP_HOST: { type: 'string' },
+        SMTP_PORT: integer(587, { maximum: 65535 }),
+        SMTP_SECURE: { type: 'boolean', default: false },
+        SMTP_USER: { type: 'string' },
+        SMTP_PASS: { type: 'string' },
+
+        IDEMPOTENCY_KEY_TTL_HOURS: integer(24),
+
+        WEBHOOK_MAX_ATTEMPTS: integer(8),
+        WEBHOOK_RETRY_BASE_SECONDS: integer(30),
+        WEBHOOK_RETRY_MAX_SECONDS: integer(6 * 60 * 60),
+        WEBHOOK_TIMEOUT_MS: integer(10 * 1000),
+        WEBHOOK_POLL_INTERVAL_MS: integer(10 * 1000),
+        WEBHOOK_CONCURRENCY: integer(4),
+
+        JOBS_ENABLED: { type: 'boolean', default: true },
+        JOB_POLL_INTERVAL_MS: integer(5 * 1000),
+
+        TRASH_RETENTION_DAYS: integer(30),
+
+        IMPORT_MAX_FILE_MB: integer(10, { maximum: 100 }),
+        IMPORT_MAX_ROWS: integer(10000),
+        IMPORT_SYNC_MAX_ROWS: integer(200, { minimum: 0 }),
+        IMPORT_RETENTION_DAYS: integer(30),
+
+        PAYMENT_BASE_URL: url('https://pay.yourapp.com')
+    },
+    // Per-route rate limits, see middleware/rateLimit.middleware.js
+    patternProperties: {
+        '^RATE_LIMIT_[A-Z0-9_]+_(MAX|WINDOW_SECONDS)$': integer()
+    }
+};
+
+const RATE_LIMIT_OVERRIDE = new RegExp(Object.keys(SCHEMA.patternProperties)[0]);
+
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true });
+addFormats(ajv);
+const validate = ajv.compile(SCHEMA);
+
+const describe = (error) => {
+    const name = error.instancePath.slice(1);
+    if (error.keyword === 'enum') {
+        return `${name} must be one of ${error.params.allowedValues.join(', ')}`;
+    }
+    if (error.keyword === 'pattern' && name === 'JWT_EXPIRES_IN') {
+        return `${name} must be a duration such as 15m, 1h or 900`;
+    }
+    return `${name} ${error.message}`;
+};
+
+// The variables this module knows about. Empty values, e.g. `SMTP_HOST=` in
+// .env, count as not set.
+const pickVariables = (env) => Object.fromEntries(Object.entries(env).filter(([name, value]) => (
+    value !== '' && (name in SCHEMA.properties || RATE_LIMIT_OVERRIDE.test(name))
+)));
+
+// Rules that involve more than one variable, or only apply in production
+const checkRules = (vars) => {
+    const problems = [];
+    const production = vars.NODE_ENV === 'production';
+
+    if (!vars.JWT_SECRET) {
+        problems.push('JWT_SECRET must be set');
+    } else if (production && DEFAULT_SECRETS.includes(vars.JWT_SECRET)) {
+        problems.push('JWT_SECRET is an example value and must be replaced in production');
+    } else if (production && vars.JWT_SECRET.length < MIN_PRODUCTION_SECRET_LENGTH) {
+        problems.push(`JWT_SECRET must be at least ${MIN_PRODUCTION_SECRET_LENGTH} characters in production`);
+    }
+
+    if (production && !vars.MONGODB_URI) {
+        problems.push('MONGODB_URI must be set in production');
+    }
+
+    // The console transport prints password reset links, tokens included, to the log
+    if (production && vars.MAIL_TRANSPORT === 'console') {
+        problems.push('MAIL_TRANSPORT must be smtp in production');
+    }
+
+    if (vars.MAIL_TRANSPORT === 'smtp' && !vars.SMTP_HOST) {
+        problems.push('SMTP_HOST must be set when MAIL_TRANSPORT is smtp');
+    }
+
+    if (vars.WEBHOOK_RETRY_BASE_SECONDS > vars.WEBHOOK_RETRY_MAX_SECONDS) {
+        problems.push('WEBHOOK_RETRY_BASE_SECONDS must not be greater than WEBHOOK_RETRY_MAX_SECONDS');
+    }
+
+    return problems;
+};
+
+// Validate the variables, then validate again without the invalid ones so that
+// their defaults are used
+const loadVariables = (env) => {
+    const vars = pickVariables(env);
+    const problems = [];
+
+    if (!validate(vars)) {
+        validate.errors.forEach(error => {
+            problems.push(describe(error));
+            delete vars[error.instancePath.slice(1)];
+        });
+        validate(vars);
+    }
+
+    return { vars, problems: [...problems, ...checkRules(vars)] };
+};
+
+// TRUST_PROXY is a number of proxies, or true / false
+const parseTrustProxy = (value) => {
+    if (value === undefined) return undefined;
+    return /^\d+$/.test(value) ? Number(value) : value === 'true';
+};
+
+const { vars, problems } = loadVariables(process.env);
+
+const config = {
+    env: vars.NODE_ENV,
+    isProduction: vars.NODE_ENV === 'production',
+    port: vars.PORT,
+    baseUrl: vars.BASE_URL || `http://localhost:${vars.PORT}`,
+    frontendUrl: vars.FRONTEND_URL,
+    trustProxy: parseTrustProxy(vars.TRUST_PROXY),
+    swaggerEnabled: vars.SWAGGER_ENABLED,
+    shutdownTimeoutMs: vars.SHUTDOWN_TIMEOUT_MS,
+
+    mongodb: {
+        uri: vars.MONGODB_URI || 'mongodb://localhost:27017/hotspot-retail-admin'
+    },
+
+    jwt: {
+        secret: vars.JWT_SECRET,
+        expiresIn: vars.JWT_EXPIRES_IN
+    },
+
+    auth: {
+        refreshTokenExpiresDays: vars.REFRESH_TOKEN_EXPIRES_DAYS,
+        invitationExpiresDays: vars.INVITATION_EXPIRES_DAYS,
+        resetTokenExpiresMinutes: vars.RESET_TOKEN_EXPIRES_MINUTES,
+        twoFactorIssuer: vars.TWO_FACTOR_ISSUER,
+        apiKeyExpiresDays: vars.API_KEY_EXPIRES_DAYS,
+        loginHistoryRetentionDays: vars.LOGIN_HISTORY_RETENTION_DAYS
+    },
+
+    loginThrottle: {
+        maxAttempts: vars.MAX_LOGIN_ATTEMPTS,
+        lockoutMinutes: vars.LOCKOUT_MINUTES,
+        maxAttemptsPerIp: vars.MAX_LOGIN_ATTEMPTS_PER_IP,
+        ipWindowMinutes: vars.LOGIN_IP_WINDOW_MINUTES
+    },
+
+    rateLimit: {
+        store: vars.RATE_LIMIT_STORE,
+        // RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_SECONDS, by variable name
+        overrides: Object.fromEntries(Object.entries(vars).filter(([name]) => RATE_LIMIT_OVERRIDE.test(name)))
+    },
+
+    logLevel: vars.LOG_LEVEL,
+
+    mail: {
+        transport: vars.MAIL_TRANSPORT,
+        from: vars.MAIL_FROM,
+        outputDir: vars.MAIL_OUTPUT_DIR,
+        smtp: {
+            host: vars.SMTP_HOST,
+            port: vars.SMTP_PORT,
+            secure: vars.SMTP_SECURE,
+            user: vars.SMTP_USER,
+            pass: vars.SMTP_PASS
+        }
+    },
+
+    idempotency: {
+        keyTtlHours: vars.IDEMPOTENCY_KEY_TTL_HOURS
+    },
+
+    webhooks: {
+        maxAttempts: vars.WEBHOOK_MAX_ATTEMPTS,
+        retryBaseSeconds: vars.WEBHOOK_RETRY_BASE_SECONDS,
+        retryMaxSeconds: vars.WEBHOOK_RETRY_MAX_SECONDS,
+        timeoutMs: vars.WEBHOOK_TIMEOUT_MS,
+        pollIntervalMs: vars.WEBHOOK_POLL_INTERVAL_MS,
+        concurrency: vars.WEBHOOK_CONCURRENCY
+    },
+
+    jobs: {
+        enabled: vars.JOBS_ENABLED,
+        pollIntervalMs: vars.JOB_POLL_INTERVAL_MS
+    },
+
+    trash: {
+        retentionDays: vars.TRASH_RETENTION_DAYS
+    },
+
+    imports: {
+        maxFileMb: vars.IMPORT_MAX_FILE_MB,
+        maxRows: vars.IMPORT_MAX_ROWS,
+        syncMaxRows: vars.IMPORT_SYNC_MAX_ROWS,
+        retentionDays: vars.IMPORT_RETENTION_DAYS
+    },
+
+    payments: {
+        baseUrl: vars.PAYMENT_BASE_URL
+    }
+};
+
+// Throw if any variable was invalid, listing every problem
+const checkConfig = () => {
+    if (problems.length > 0) {
+        const error = new Error(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+        error.problems = problems;
+        throw error;
+    }
+};
+
+module.exports = config;
+module.exports.checkConfig = checkConfig;
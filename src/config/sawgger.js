@@ -1,5 +1,8 @@
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const apiRouter = require('../router');
+const logger = require('../services/logger');
+const config = require('./env');
 // -----------------------------
 const options = {
   definition: {
@@ -23,7 +26,7 @@ const options = {
         description: 'Development server'
       },
       {
-        url: process.env.BASE_URL || 'http://localhost:5000',
+        url: config.baseUrl,
         description: 'Development server'
       }
     ],
@@ -33,7 +36,13 @@ const options = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT',
-          description: 'Enter JWT token'
+          description: 'Enter JWT token. Requests are rate limited per user (RATE_LIMIT_API_USER_MAX per minute)'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'API key for integrations. Limited to the key\'s scopes and rate limited per key (RATE_LIMIT_API_KEY_MAX per minute)'
         }
       },
       schemas: {
@@ -55,8 +64,8 @@ const options = {
             },
             role: {
               type: 'string',
-              enum: ['admin', 'user'],
-              description: 'User role'
+              description: 'Name of the role assigned to the user',
+              example: 'cashier'
             },
             isActive: {
               type: 'boolean',
@@ -67,6 +76,28 @@ const options = {
               format: 'date-time',
               description: 'Last login timestamp'
             },
+            failedLoginAttempts: {
+              type: 'integer',
+              description: 'Consecutive failed logins since the last success or lockout'
+            },
+            lockUntil: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Account is locked until this time'
+            },
+            isLocked: {
+              type: 'boolean',
+              description: 'Whether the account is currently locked'
+            },
+            twoFactorEnabled: {
+              type: 'boolean',
+              description: 'Whether two-factor authentication is enabled'
+            },
+            twoFactorEnabledAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When two-factor authentication was enabled'
+            },
             createdAt: {
               type: 'string',
               format: 'date-time',
@@ -74,71 +105,103 @@ const options = {
             }
           }
         },
-        LoginRequest: {
+        SuccessResponse: {
           type: 'object',
-          required: ['email', 'password'],
           properties: {
-            email: {
-              type: 'string',
-              format: 'email',
-              description: 'User email address',
-              example: 'user@example.com'
+            success: {
+              type: 'boolean',
+              example: true
             },
-            password: {
+            message: {
               type: 'string',
-              minLength: 6,
-              description: 'User password',
-              example: 'password123'
+              example: 'Operation successful'
+            },
+            data: {
+              type: 'object',
+              description: 'Response data'
             }
           }
         },
-        RegisterRequest: {
+        ErrorResponse: {
           type: 'object',
-          required: ['email', 'password', 'name'],
           properties: {
-            email: {
-              type: 'string',
-              format: 'email',
-              description: 'User email address',
-              example: 'user@example.com'
+            success: {
+              type: 'boolean',
+              example: false
             },
-            password: {
+            code: {
               type: 'string',
-              minLength: 6,
-              description: 'User password',
-              example: 'password123'
+              description: 'Stable machine-readable error code',
+              enum: [
+                'BAD_REQUEST',
+                'UNAUTHORIZED',
+                'TOKEN_EXPIRED',
+                'FORBIDDEN',
+                'NOT_FOUND',
+                'ROUTE_NOT_FOUND',
+                'CONFLICT',
+                'PAYMENT_LINK_EXPIRED',
+                'PAYLOAD_TOO_LARGE',
+                'UNSUPPORTED_MEDIA_TYPE',
+                'VALIDATION_FAILED',
+                'ACCOUNT_LOCKED',
+                'RATE_LIMITED',
+                'INTERNAL_ERROR'
+              ],
+              example: 'NOT_FOUND'
             },
-            name: {
+            message: {
               type: 'string',
-              description: 'User full name',
-              example: 'John Doe'
+              example: 'Error message'
             },
-            role: {
+            requestId: {
               type: 'string',
-              enum: ['admin', 'user'],
-              description: 'User role',
-              example: 'user'
+              description: 'Same as the X-Request-Id response header. Quote it when reporting a problem'
             }
           }
         },
-        ChangePasswordRequest: {
+        ValidationErrorResponse: {
           type: 'object',
-          required: ['currentPassword', 'newPassword'],
           properties: {
-            currentPassword: {
+            success: {
+              type: 'boolean',
+              example: false
+            },
+            code: {
               type: 'string',
-              description: 'Current password',
-              example: 'oldpassword123'
+              example: 'VALIDATION_FAILED'
             },
-            newPassword: {
+            message: {
               type: 'string',
-              minLength: 6,
-              description: 'New password',
-              example: 'newpassword123'
+              example: 'Validation failed'
+            },
+            requestId: {
+              type: 'string'
+            },
+            errors: {
+              type: 'array',
+              description: 'Every problem found in the request',
+              items: {
+                type: 'object',
+                properties: {
+                  location: {
+                    type: 'string',
+                    enum: ['params', 'query', 'body']
+                  },
+                  field: {
+                    type: 'string',
+                    example: 'items[0].quantity'
+                  },
+                  message: {
+                    type: 'string',
+                    example: 'must be >= 1'
+                  }
+                }
+              }
             }
           }
         },
-        SuccessResponse: {
+        TokenResponse: {
           type: 'object',
           properties: {
             success: {
@@ -147,28 +210,139 @@ const options = {
             },
             message: {
               type: 'string',
-              example: 'Operation successful'
+              example: 'Token refreshed successfully'
             },
             data: {
               type: 'object',
-              description: 'Response data'
+              properties: {
+                token: {
+                  type: 'string',
+                  description: 'Short-lived JWT access token'
+                },
+                refreshToken: {
+                  type: 'string',
+                  description: 'Single-use refresh token'
+                },
+                expiresIn: {
+                  type: 'string',
+                  description: 'Access token lifetime',
+                  example: '15m'
+                }
+              }
             }
           }
         },
-        ErrorResponse: {
+        AuthResponse: {
           type: 'object',
           properties: {
             success: {
               type: 'boolean',
-              example: false
+              example: true
             },
             message: {
               type: 'string',
-              example: 'Error message'
+              example: 'Login successful'
+            },
+            data: {
+              type: 'object',
+              properties: {
+                token: {
+                  type: 'string',
+                  description: 'Short-lived JWT access token'
+                },
+                refreshToken: {
+                  type: 'string',
+                  description: 'Single-use refresh token'
+                },
+                expiresIn: {
+                  type: 'string',
+                  description: 'Access token lifetime',
+                  example: '15m'
+                },
+                user: {
+                  $ref: '#/components/schemas/User'
+                }
+              }
             }
           }
         },
-        AuthResponse: {
+        ActiveSession: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              example: '60f7b3b3b3b3b3b3b3b3b3b3'
+            },
+            userAgent: {
+              type: 'string',
+              example: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)'
+            },
+            ipAddress: {
+              type: 'string',
+              example: '203.0.113.10'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the user logged in'
+            },
+            lastUsedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Last token refresh'
+            },
+            expiresAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            current: {
+              type: 'boolean',
+              description: 'Whether this is the session making the request'
+            }
+          }
+        },
+        LoginAttempt: {
+          type: 'object',
+          properties: {
+            _id: {
+              type: 'string'
+            },
+            user: {
+              type: 'string',
+              description: 'User ID, not set for unknown emails'
+            },
+            email: {
+              type: 'string',
+              example: 'user@example.com'
+            },
+            success: {
+              type: 'boolean'
+            },
+            reason: {
+              type: 'string',
+              enum: ['success', 'invalid_password', 'unknown_email', 'account_locked', 'account_deactivated', 'throttled', 'ip_blocked', 'invalid_two_factor_code']
+            },
+            method: {
+              type: 'string',
+              enum: ['password', 'totp', 'recovery_code']
+            },
+            ipAddress: {
+              type: 'string'
+            },
+            userAgent: {
+              type: 'string'
+            },
+            session: {
+              type: 'string',
+              description: 'Session opened by a successful login'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            }
+          }
+        },
+        TwoFactorChallengeResponse: {
           type: 'object',
           properties: {
             success: {
@@ -177,27 +351,65 @@ const options = {
             },
             message: {
               type: 'string',
-              example: 'Login successful'
+              example: 'Two-factor authentication required'
             },
             data: {
               type: 'object',
               properties: {
-                token: {
+                twoFactorRequired: {
+                  type: 'boolean',
+                  example: true
+                },
+                enrollmentRequired: {
+                  type: 'boolean',
+                  description: 'The role requires 2FA but the user has not enrolled yet. Use the challenge token with /api/auth/2fa/setup and /api/auth/2fa/enable',
+                  example: false
+                },
+                challengeToken: {
                   type: 'string',
-                  description: 'JWT authentication token'
+                  description: 'Short-lived token for the second login step'
                 },
-                user: {
-                  $ref: '#/components/schemas/User'
+                expiresIn: {
+                  type: 'string',
+                  example: '5m'
                 }
               }
             }
           }
         }
+      },
+      headers: {
+        ETag: {
+          description: 'Version of the resource. Send it back in If-Match to update or delete only this version',
+          schema: { type: 'string', example: '"665f1c2e8b3a4d0012345678-4"' }
+        }
+      },
+      parameters: {
+        IfMatch: {
+          name: 'If-Match',
+          in: 'header',
+          required: false,
+          description: 'ETag from an earlier GET. The request fails with 412 when the resource has changed since then',
+          schema: { type: 'string' }
+        }
+      },
+      responses: {
+        PreconditionFailed: {
+          description: 'The resource was changed after the ETag in If-Match was read',
+          content: {
+            'application/json': {
+              schema: { $ref: '#/components/schemas/ErrorResponse' }
+            }
+          }
+        }
       }
     },
     security: [
       {
         bearerAuth: []
+      },
+      {
+        apiKeyAuth: []
       }
     ]
   },
@@ -212,12 +424,187 @@ const options = {
     './src/moduls/notification/notification.router.js',
     './src/moduls/suppliers/suppliers.router.js',
     './src/moduls/order/purchaseorder.router.js',
+    './src/moduls/role/role.router.js',
+    './src/moduls/user/user.router.js',
+    './src/moduls/apikey/apikey.router.js',
+    './src/moduls/audit/auditlog.router.js',
+    './src/moduls/webhook/webhook.router.js',
+    './src/moduls/job/job.router.js',
+    './src/moduls/health/health.router.js',
+    './src/moduls/metrics/metrics.router.js',
     './src/router/index.js',
     './index.js'
   ]
 };
 
-const specs = swaggerJsdoc(options);
+// Mount path of a sub-router, e.g. "/products", read back from the layer Express built for it
+const mountPath = (layer) => layer.regexp.source
+  .replace(/^\^/, '')
+  .replace('\\/?(?=\\/|$)', '')
+  .replace(/\\\//g, '/');
+
+// Every route with its full path and middleware
+const collectRoutes = (router, prefix, routes = []) => {
+  for (const layer of router.stack) {
+    if (layer.route) {
+      routes.push({
+        path: (prefix + layer.route.path).replace(/(.)\/$/, '$1'),
+        methods: Object.keys(layer.route.methods),
+        handles: layer.route.stack.map(item => item.handle)
+      });
+    } else if (layer.handle && layer.handle.stack) {
+      collectRoutes(layer.handle, prefix + mountPath(layer), routes);
+    }
+  }
+  return routes;
+};
+
+// The operations of a route, created when the route has no doc comment
+const getOperations = (spec, { path, methods }) => {
+  const docPath = path.replace(/:(\w+)/g, '{$1}');
+  spec.paths[docPath] = spec.paths[docPath] || {};
+
+  return methods.map(method => {
+    spec.paths[docPath][method] = spec.paths[docPath][method] || {};
+    return spec.paths[docPath][method];
+  });
+};
+
+const toParameters = (location, schema) => Object.entries(schema.properties || {}).map(([name, property]) => {
+  const { description, ...propertySchema } = property;
+  return {
+    in: location === 'params' ? 'path' : 'query',
+    name,
+    required: location === 'params' || (schema.required || []).includes(name),
+    description,
+    schema: propertySchema,
+    // filter[field][operator]=value
+    ...(propertySchema.type === 'object' ? { style: 'deepObject', explode: true } : {})
+  };
+});
+
+// Document parameters and request bodies from the same schemas that validate them,
+// so the docs cannot drift from what the API accepts
+const applyRequestSchemas = (spec, routes) => {
+  for (const route of routes) {
+    const validator = route.handles.find(handle => handle.requestSchemas);
+    if (!validator) continue;
+
+    const schemas = validator.requestSchemas;
+
+    for (const operation of getOperations(spec, route)) {
+      const parameters = [
+        ...(schemas.params ? toParameters('params', schemas.params) : []),
+        ...(schemas.query ? toParameters('query', schemas.query) : [])
+      ];
+      const generated = new Set(parameters.map(parameter => `${parameter.in}:${parameter.name}`));
+      operation.parameters = [
+        ...(operation.parameters || []).filter(parameter => !generated.has(`${parameter.in}:${parameter.name}`)),
+        ...parameters
+      ];
+
+      if (schemas.body) {
+        operation.requestBody = {
+          required: (schemas.body.required || []).length > 0,
+          content: {
+            [schemas.contentType || 'application/json']: { schema: schemas.body }
+          }
+        };
+      }
+
+      operation.responses = operation.responses || {};
+      operation.responses[422] = operation.responses[422] || {
+        description: 'Validation failed',
+        content: {
+          'application/json': {
+            schema: { $ref: '#/components/schemas/ValidationErrorResponse' }
+          }
+        }
+      };
+    }
+  }
+  return spec;
+};
+
+const rateLimitHeaders = {
+  'RateLimit-Limit': {
+    description: 'Requests allowed in the current window',
+    schema: { type: 'integer' }
+  },
+  'RateLimit-Remaining': {
+    description: 'Requests left in the current window',
+    schema: { type: 'integer' }
+  },
+  'RateLimit-Reset': {
+    description: 'Seconds until the current window ends',
+    schema: { type: 'integer' }
+  }
+};
+
+// Document the limits of routes that have a rateLimit() middleware
+const applyRateLimits = (spec, routes) => {
+  for (const route of routes) {
+    const limiter = route.handles.find(handle => handle.rateLimit);
+    if (!limiter) continue;
+
+    const { max, windowSeconds, keyBy } = limiter.rateLimit;
+    const per = keyBy === 'ip' ? 'IP address' : keyBy === 'user' ? 'user or API key' : 'client';
+    const note = `Rate limited to ${max} requests per ${windowSeconds} seconds per ${per}.`;
+
+    for (const operation of getOperations(spec, route)) {
+      operation.description = operation.description ? `${operation.description.trim()}\n\n${note}` : note;
+
+      operation.responses = operation.responses || {};
+      const tooManyRequests = operation.responses[429] = operation.responses[429] || {
+        description: 'Rate limit exceeded',
+        content: {
+          'application/json': {
+            schema: { $ref: '#/components/schemas/ErrorResponse' }
+          }
+        }
+      };
+      tooManyRequests.headers = {
+        ...rateLimitHeaders,
+        'Retry-After': {
+          description: 'Seconds to wait before retrying',
+          schema: { type: 'integer' }
+        },
+        ...tooManyRequests.headers
+      };
+    }
+  }
+  return spec;
+};
+
+// Document the Idempotency-Key header of routes that have the idempotency middleware
+const applyIdempotency = (spec, routes) => {
+  for (const route of routes) {
+    if (!route.handles.some(handle => handle.idempotency)) continue;
+
+    for (const operation of getOperations(spec, route)) {
+      operation.parameters = [
+        ...(operation.parameters || []),
+        {
+          name: 'Idempotency-Key',
+          in: 'header',
+          required: false,
+          description: 'Unique key for this request, e.g. a UUID. A retry with the same key and body returns the first response ' +
+            'with Idempotent-Replayed: true instead of running the request again',
+          schema: { type: 'string', maxLength: 255 }
+        }
+      ];
+
+      operation.responses = operation.responses || {};
+      operation.responses[409] = operation.responses[409] || {
+        description: 'A request with the same Idempotency-Key is still being processed'
+      };
+    }
+  }
+  return spec;
+};
+
+const routes = collectRoutes(apiRouter, '/api');
+const specs = applyIdempotency(applyRateLimits(applyRequestSchemas(swaggerJsdoc(options), routes), routes), routes);
 
 const swaggerSetup = (app) => {
   app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs, {
@@ -232,7 +619,9 @@ const swaggerSetup = (app) => {
     res.send(specs);
   });
 
-  console.log('📚 Swagger documentation available at: http://localhost:' + (process.env.PORT || 5000) + '/api-docs');
+  logger.info('Swagger documentation available', {
+    url: `${config.baseUrl}/api-docs`
+  });
 };
 
 module.exports = swaggerSetup;
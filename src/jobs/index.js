@@ -0,0 +1,17 @@
+const jobs = require('../services/jobs');
+
+// Import job definitions
+const notificationJobs = require('../moduls/notification/notification.jobs');
+const paymentLinkJobs = require('../moduls/paymentlink/paymentlink.jobs');
+const importJobs = require('../moduls/import/import.jobs');
+const trashJobs = require('./trash.jobs');
+
+// Register jobs
+[
+    ...notificationJobs,
+    ...paymentLinkJobs,
+    ...importJobs,
+    ...trashJobs
+].forEach(jobs.defineJob);
+
+module.exports = jobs;
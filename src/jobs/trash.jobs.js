@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const config = require('../config/env');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How long deleted records stay in the trash before they are purged
+const RETENTION_DAYS = config.trash.retentionDays;
+
+// Purge trashed records past the retention period from every model that has a
+// trash (see utils/softDelete). Counts are only reported for models that had any.
+const purgeDeletedRecords = async () => {
+    const before = new Date(Date.now() - RETENTION_DAYS * DAY_MS);
+    const purged = {};
+
+    for (const name of mongoose.modelNames()) {
+        const Model = mongoose.model(name);
+        if (typeof Model.purgeDeleted !== 'function') continue;
+
+        const count = await Model.purgeDeleted(before);
+        if (count > 0) purged[name] = count;
+    }
+
+    return purged;
+};
+
+module.exports = [
+    {
+        name: 'purge-deleted-records',
+        description: `Permanently delete records that have been in the trash for more than ${RETENTION_DAYS} days`,
+        intervalSeconds: 60 * 60,
+        handler: purgeDeletedRecords
+    }
+];
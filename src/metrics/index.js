@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const metrics = require('../services/metrics');
+
+// Import gauge definitions
+const productMetrics = require('../moduls/product/product.metrics');
+const purchaseOrderMetrics = require('../moduls/order/purchaseorder.metrics');
+
+const isConnected = () => mongoose.connection.readyState === mongoose.ConnectionStates.connected;
+
+// Gauges read from the database have no value while it is unreachable, instead
+// of holding up every scrape until they time out
+const fromDatabase = (definition) => ({
+    ...definition,
+    collect: () => (isConnected() ? definition.collect() : [])
+});
+
+// Register gauges
+metrics.defineGauge({
+    name: 'mongodb_connection_up',
+    help: 'Whether the MongoDB connection is open (1) or not (0)',
+    collect: () => (isConnected() ? 1 : 0)
+});
+
+[
+    ...productMetrics,
+    ...purchaseOrderMetrics
+].map(fromDatabase).forEach(metrics.defineGauge);
+
+module.exports = metrics;
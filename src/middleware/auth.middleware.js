@@ -1,16 +1,56 @@
 const jwt = require('jsonwebtoken');
 const User = require('../moduls/auth/auth.model');
+const Session = require('../moduls/auth/session.model');
+const ApiKey = require('../moduls/apikey/apikey.model');
+const { verifyChallengeToken } = require('../moduls/auth/twoFactor');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+const rateLimit = require('./rateLimit.middleware');
+const config = require('../config/env');
+
+// Every authenticated request counts against the budget of its user or API key,
+// so one busy client or integration cannot slow the API down for the others
+const userLimiter = rateLimit({ name: 'api_user', max: 300, windowSeconds: 60, keyBy: 'user' });
+const apiKeyLimiter = rateLimit({ name: 'api_key', max: 600, windowSeconds: 60, keyBy: 'user' });
+
+// Authenticate a request made with an API key. The key acts as its owner,
+// limited to the key's scopes (see permission.middleware).
+const authenticateApiKey = async (key, req, res, next) => {
+    const apiKey = await ApiKey.authenticate(key, { ipAddress: req.ip });
+
+    if (!apiKey) {
+        return next(new UnauthorizedError('Invalid, expired or revoked API key'));
+    }
+
+    const owner = await User.findById(apiKey.owner);
+
+    if (!owner || !owner.isActive) {
+        return next(new UnauthorizedError('API key owner is deactivated'));
+    }
+
+    req.user = {
+        id: owner._id,
+        email: owner.email,
+        role: owner.role,
+        apiKeyId: apiKey._id,
+        scopes: apiKey.scopes
+    };
+
+    return apiKeyLimiter(req, res, next);
+};
 
 const authMiddleware = async (req, res, next) => {
     try {
+        // API keys can be sent in X-API-Key or as a bearer token
+        const apiKeyHeader = req.header('X-API-Key');
+        if (apiKeyHeader) {
+            return await authenticateApiKey(apiKeyHeader, req, res, next);
+        }
+
         // Get token from header
         const authHeader = req.header('Authorization');
         
         if (!authHeader) {
-            return res.status(401).json({
-                success: false,
-                message: 'Access denied. No token provided'
-            });
+            return next(new UnauthorizedError('Access denied. No token provided'));
         }
 
         // Check if token starts with 'Bearer '
@@ -19,75 +59,105 @@ const authMiddleware = async (req, res, next) => {
             : authHeader;
 
         if (!token) {
-            return res.status(401).json({
-                success: false,
-                message: 'Access denied. Invalid token format'
-            });
+            return next(new UnauthorizedError('Access denied. Invalid token format'));
+        }
+
+        if (ApiKey.isApiKey(token)) {
+            return await authenticateApiKey(token, req, res, next);
         }
 
         // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+        const decoded = jwt.verify(token, config.jwt.secret);
+
+        // Two-factor challenge tokens are not access tokens
+        if (decoded.purpose) {
+            return next(new UnauthorizedError('Invalid token'));
+        }
         
         // Get user from database
         const user = await User.findById(decoded.id);
         
         if (!user) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid token. User not found'
-            });
+            return next(new UnauthorizedError('Invalid token. User not found'));
         }
 
         if (!user.isActive) {
-            return res.status(401).json({
-                success: false,
-                message: 'Account is deactivated'
-            });
+            return next(new UnauthorizedError('Account is deactivated'));
+        }
+
+        // Check that the session behind the token has not been revoked
+        const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+        if (!session || !session.isActive || !session.user.equals(user._id)) {
+            return next(new UnauthorizedError('Session has been revoked. Please log in again'));
         }
 
         // Add user to request object
         req.user = {
             id: user._id,
             email: user.email,
-            role: user.role
+            role: user.role,
+            sessionId: session._id
         };
 
-        next();
+        return userLimiter(req, res, next);
 
     } catch (error) {
-        console.error('Auth middleware error:', error);
-        
         if (error.name === 'JsonWebTokenError') {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid token'
-            });
+            return next(new UnauthorizedError('Invalid token'));
         }
-        
+
+        // Clients refresh the access token when they see this code
         if (error.name === 'TokenExpiredError') {
-            return res.status(401).json({
-                success: false,
-                message: 'Token expired'
-            });
+            return next(new UnauthorizedError('Token expired', { code: 'TOKEN_EXPIRED' }));
         }
 
-        return res.status(500).json({
-            success: false,
-            message: 'Internal server error'
-        });
+        next(error);
     }
 };
 
 // Middleware to check if user is admin
 const adminMiddleware = (req, res, next) => {
     if (req.user.role !== 'admin') {
-        return res.status(403).json({
-            success: false,
-            message: 'Access denied. Admin privileges required'
-        });
+        return next(new ForbiddenError('Access denied. Admin privileges required'));
+    }
+    next();
+};
+
+// Middleware for account routes that only make sense for a logged-in person,
+// such as the profile, logout and two-factor settings. Rejects API keys.
+const userOnlyMiddleware = (req, res, next) => {
+    authMiddleware(req, res, (error) => {
+        if (error) {
+            return next(error);
+        }
+        if (req.user.apiKeyId) {
+            return next(new ForbiddenError('API keys cannot be used for this endpoint'));
+        }
+        next();
+    });
+};
+
+// Middleware for two-factor enrollment routes. A user whose role requires 2FA but
+// who has not enrolled yet only holds an enrollment challenge token from login,
+// so accept that token from the body and fall back to normal authentication.
+const allowEnrollmentChallenge = (req, res, next) => {
+    const challengeToken = req.body && req.body.challengeToken;
+
+    if (!challengeToken) {
+        return userOnlyMiddleware(req, res, next);
+    }
+
+    const decoded = verifyChallengeToken(challengeToken, '2fa_enrollment');
+    if (!decoded) {
+        return next(new UnauthorizedError('Invalid or expired challenge token'));
     }
+
+    req.twoFactorEnrollment = { userId: decoded.id };
     next();
 };
 
 module.exports = authMiddleware;
 module.exports.adminMiddleware = adminMiddleware;
+module.exports.userOnlyMiddleware = userOnlyMiddleware;
+module.exports.allowEnrollmentChallenge = allowEnrollmentChallenge;
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const logger = require('../services/logger');
+const {
+    AppError,
+    BadRequestError,
+    NotFoundError,
+    ConflictError,
+    ValidationError
+} = require('../utils/errors');
+const { removeUploadedFiles } = require('../utils/uploads');
+
+// Codes for errors raised by Express and body-parser, which only carry a status
+const HTTP_ERROR_CODES = {
+    400: 'BAD_REQUEST',
+    413: 'PAYLOAD_TOO_LARGE',
+    415: 'UNSUPPORTED_MEDIA_TYPE'
+};
+
+// Turn anything thrown by a handler into an AppError. Unknown errors become a
+// generic 500 so that internal details never reach the client.
+const toAppError = (err) => {
+    if (err instanceof AppError) {
+        return err;
+    }
+
+    if (err instanceof mongoose.Error.ValidationError) {
+        return new ValidationError(Object.values(err.errors).map(error => ({
+            location: 'body',
+            field: error.path,
+            message: error.message
+        })));
+    }
+
+    if (err instanceof mongoose.Error.CastError) {
+        return new BadRequestError(err.kind === 'ObjectId' ? 'Invalid ID format' : `Invalid value for ${err.path}`);
+    }
+
+    // A save() lost the race against another change to the same document
+    if (err instanceof mongoose.Error.VersionError) {
+        return new ConflictError('The resource was changed by another request. Fetch it again and retry', {
+            code: 'VERSION_CONFLICT'
+        });
+    }
+
+    if (err.code === 11000) {
+        const field = Object.keys(err.keyValue || err.keyPattern || {})[0];
+        return new ConflictError(field ? `${field} already exists` : 'Resource already exists');
+    }
+
+    if (err.name === 'MulterError') {
+        return new BadRequestError(err.message);
+    }
+
+    if (err.type === 'entity.parse.failed') {
+        return new BadRequestError('Request body is not valid JSON');
+    }
+
+    const status = err.status || err.statusCode;
+    if (err.expose && status >= 400 && status < 500) {
+        return new AppError(err.message, { status, code: HTTP_ERROR_CODES[status] || 'BAD_REQUEST' });
+    }
+
+    return new AppError('Internal server error');
+};
+
+// Global error handler. Every error response goes through here, so every module
+// answers with the same envelope. Express only treats it as an error handler
+// because it takes four arguments.
+const errorHandler = (err, req, res, next) => {
+    const error = toAppError(err);
+
+    if (error.status >= 500) {
+        logger.error('Unhandled error', { error: err });
+    }
+
+    // Files saved by the upload middleware are of no use once the request has failed
+    removeUploadedFiles(req);
+
+    // Too late for a JSON response, let Express close the connection
+    if (res.headersSent) {
+        return next(err);
+    }
+
+    const response = {
+        success: false,
+        code: error.code,
+        message: error.message
+    };
+
+    if (error.errors) {
+        response.errors = error.errors;
+    }
+
+    response.requestId = req.id;
+
+    return res.status(error.status).json(response);
+};
+
+// Requests that match no route
+const notFoundHandler = (req, res, next) => {
+    next(new NotFoundError('Route not found', { code: 'ROUTE_NOT_FOUND' }));
+};
+
+module.exports = errorHandler;
+module.exports.notFoundHandler = notFoundHandler;
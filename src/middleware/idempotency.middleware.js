@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+const { begin, complete, release } = require('../services/idempotency');
+const logger = require('../services/logger');
+const { AppError, BadRequestError, ConflictError } = require('../utils/errors');
+const { removeUploadedFiles } = require('../utils/uploads');
+
+const MAX_KEY_LENGTH = 255;
+
+// JSON with object keys in a fixed order, so equal bodies always hash the same
+const canonicalJson = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+};
+
+// What makes two requests "the same": method, URL, body and uploaded files
+const fingerprint = (req) => {
+    const files = [].concat(req.files ? Object.values(req.files).flat() : [], req.file || [])
+        .map(file => ({ field: file.fieldname, name: file.originalname, size: file.size }));
+
+    return crypto.createHash('sha256')
+        .update(canonicalJson({ method: req.method, url: req.originalUrl, body: req.body || {}, files }))
+        .digest('hex');
+};
+
+// Keys belong to the user or API key that sent them, like rate limits
+const callerScope = (req) => (req.user.apiKeyId ? `apiKey:${req.user.apiKeyId}` : `user:${req.user.id}`);
+
+/**
+ * Make a route safe to retry with an Idempotency-Key header.
+ *
+ * The first request with a key runs normally and its response is stored. A
+ * retry with the same key and the same request gets the stored response again,
+ * with an Idempotent-Replayed: true header, instead of running twice. Reusing a
+ * key for a different request is rejected with 422, and a retry that arrives
+ * while the first request is still running gets 409. Responses with a 5xx
+ * status are not stored, so those requests can be retried with the same key.
+ *
+ * Requests without the header are not affected. Use after auth and validate,
+ * so that keys are per caller and rejected requests do not use up a key.
+ */
+const idempotency = async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+
+    if (key === undefined || !req.user) {
+        return next();
+    }
+
+    if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+        return next(new BadRequestError(`Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`));
+    }
+
+    const id = `${callerScope(req)}:${key}`;
+
+    let result;
+    try {
+        result = await begin(id, fingerprint(req));
+    } catch (error) {
+        return next(error);
+    }
+
+    if (result.state === 'mismatch') {
+        return next(new AppError('Idempotency-Key has already been used for a different request', {
+            status: 422,
+            code: 'IDEMPOTENCY_KEY_REUSED'
+        }));
+    }
+
+    if (result.state === 'in_progress') {
+        return next(new ConflictError('A request with this Idempotency-Key is still being processed', {
+            code: 'IDEMPOTENCY_KEY_IN_USE'
+        }));
+    }
+
+    if (result.state === 'replay') {
+        // The first request already stored its files
+        removeUploadedFiles(req);
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(result.record.statusCode).json(result.record.body);
+    }
+
+    // Capture the JSON response to store it once it has been sent
+    let captured;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        captured = body;
+        return json(body);
+    };
+
+    let settled = false;
+    const settle = () => {
+        if (settled) return;
+        settled = true;
+
+        const store = res.writableFinished && captured !== undefined && res.statusCode < 500
+            ? complete(id, { statusCode: res.statusCode, body: JSON.parse(JSON.stringify(captured)) })
+            : release(id);
+
+        store.catch(error => logger.error('Failed to save idempotency key', { error }));
+    };
+
+    res.on('finish', settle);
+    res.on('close', settle);
+
+    next();
+};
+
+// Read by the Swagger setup to document the header
+idempotency.idempotency = true;
+
+module.exports = idempotency;
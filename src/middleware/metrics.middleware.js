@@ -0,0 +1,39 @@
+const metrics = require('../services/metrics');
+
+const requestsTotal = metrics.counter({
+    name: 'http_requests_total',
+    help: 'HTTP requests by method, route and status',
+    labelNames: ['method', 'route', 'status']
+});
+
+const requestDuration = metrics.histogram({
+    name: 'http_request_duration_seconds',
+    help: 'HTTP request latency in seconds by method and route',
+    labelNames: ['method', 'route']
+});
+
+// Count every request and time it by route pattern, e.g. /api/products/:id, so
+// that IDs do not each become a series of their own. Requests that match no
+// route are counted together. Use after requestLogger, which records the route.
+const httpMetrics = (req, res, next) => {
+    const startedAt = process.hrtime.bigint();
+    let recorded = false;
+
+    const record = () => {
+        if (recorded) return;
+        recorded = true;
+
+        const route = req.routePath || 'unmatched';
+        const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+
+        requestsTotal.inc({ method: req.method, route, status: res.statusCode });
+        requestDuration.observe({ method: req.method, route }, seconds);
+    };
+
+    res.on('finish', record);
+    res.on('close', record);
+
+    next();
+};
+
+module.exports = httpMetrics;
@@ -0,0 +1,33 @@
+const Role = require('../moduls/role/role.model');
+const { hasPermission } = require('../moduls/role/permissions');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+// Middleware factory that requires every listed permission.
+// Must be placed after authMiddleware so that req.user is set.
+// Requests made with an API key also need each permission in the key's scopes.
+const requirePermission = (...requiredPermissions) => async (req, res, next) => {
+    try {
+        if (!req.user) {
+            return next(new UnauthorizedError('Access denied. No token provided'));
+        }
+
+        const granted = await Role.getPermissions(req.user.role);
+
+        // API keys are limited to their scopes on top of their owner's role
+        const missing = requiredPermissions.filter(permission =>
+            !hasPermission(granted, permission) ||
+            (req.user.apiKeyId && !hasPermission(req.user.scopes, permission))
+        );
+
+        if (missing.length > 0) {
+            return next(new ForbiddenError(`Access denied. Missing permission: ${missing.join(', ')}`));
+        }
+
+        next();
+
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = requirePermission;
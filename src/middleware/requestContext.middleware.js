@@ -0,0 +1,25 @@
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+// Keeps the current request reachable from code that has no access to `req`,
+// such as Mongoose hooks. Everything that runs while handling a request,
+// including awaited database calls, sees the same context.
+const storage = new AsyncLocalStorage();
+
+const requestContextMiddleware = (req, res, next) => {
+    storage.run({ req }, next);
+};
+
+// Get the context of the request being handled, or null outside a request
+// (startup, scripts and background jobs)
+const getRequestContext = () => storage.getStore() || null;
+
+// Middleware that reads the request body as a stream, like multer, calls next
+// from the stream's events, which run outside the request's context. Wrap it so
+// that the rest of the request keeps its context:
+//
+//   router.post('/', keepRequestContext(upload.single('image')), createCategory);
+const keepRequestContext = (middleware) => (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+
+module.exports = requestContextMiddleware;
+module.exports.getRequestContext = getRequestContext;
+module.exports.keepRequestContext = keepRequestContext;
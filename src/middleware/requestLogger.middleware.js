@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const logger = require('../services/logger');
+
+// Request IDs sent by a client or proxy are kept when they look sane
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+// Give every request an ID, echo it in X-Request-Id and log the request once
+// the response has been sent, with its status and latency
+const requestLogger = (req, res, next) => {
+    const incomingId = req.get('X-Request-Id');
+    req.id = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+
+    // Remember the full pattern of the matched route. req.baseUrl is reset when an
+    // error leaves a router for the global error handler, so it cannot be read later.
+    let route;
+    Object.defineProperty(req, 'route', {
+        configurable: true,
+        enumerable: true,
+        get: () => route,
+        set: (value) => {
+            route = value;
+            req.routePath = value ? req.baseUrl + value.path : undefined;
+        }
+    });
+
+    const startedAt = process.hrtime.bigint();
+    let logged = false;
+
+    const logRequest = () => {
+        if (logged) return;
+        logged = true;
+
+        const status = res.statusCode;
+        const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+
+        logger[level]('Request completed', {
+            ...logger.getRequestFields(req),
+            status,
+            latencyMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+            ip: req.ip,
+            userAgent: req.get('User-Agent'),
+            // The client went away before the response was complete
+            ...(!res.writableFinished && { aborted: true })
+        });
+    };
+
+    res.on('finish', logRequest);
+    res.on('close', logRequest);
+
+    next();
+};
+
+module.exports = requestLogger;
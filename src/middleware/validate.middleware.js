@@ -0,0 +1,193 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { ValidationError } = require('../utils/errors');
+
+// Request parts that can be validated, in the order they are checked
+const LOCATIONS = ['params', 'query', 'body'];
+
+const OBJECT_ID_PATTERN = '^[0-9a-fA-F]{24}$';
+
+// Schemas are plain JSON Schema using only what OpenAPI 3.0 also understands,
+// so the same objects are used to validate requests and to build the Swagger docs.
+const createValidator = (coerceTypes) => {
+    const ajv = new Ajv({ allErrors: true, coerceTypes, useDefaults: true });
+    addFormats(ajv);
+
+    // Documentation-only keywords and formats
+    ajv.addVocabulary(['example']);
+    ajv.addFormat('binary', true);
+
+    // Controllers pass dates straight to new Date(), so accept anything it understands
+    ajv.addFormat('date-time', (value) => !Number.isNaN(Date.parse(value)));
+
+    return ajv;
+};
+
+// Query strings and route params are always strings. A repeated query parameter
+// (?tags=a&tags=b) arrives as an array, and a single one is wrapped into an array
+// when the schema expects one.
+const looseValidator = createValidator('array');
+const bodyValidator = createValidator(true);
+
+const compiled = new WeakMap();
+
+const compile = (location, schema) => {
+    if (!compiled.has(schema)) {
+        const ajv = location === 'body' ? bodyValidator : looseValidator;
+        compiled.set(schema, ajv.compile(schema));
+    }
+    return compiled.get(schema);
+};
+
+// Empty query parameters (?status=) mean "no filter". Empty form fields are kept,
+// as they can mean "clear this value": nullable schemas turn them into null.
+const dropEmptyStrings = (data) => {
+    for (const [key, value] of Object.entries(data)) {
+        if (value === '') {
+            delete data[key];
+        }
+    }
+};
+
+const formatField = (instancePath) => instancePath
+    .split('/')
+    .slice(1)
+    .map(part => (/^\d+$/.test(part) ? `[${part}]` : `.${part}`))
+    .join('')
+    .replace(/^\./, '');
+
+const joinField = (parent, child) => (parent ? `${parent}.${child}` : child);
+
+// Turn an Ajv error into { location, field, message }
+const formatError = (location, error) => {
+    const field = formatField(error.instancePath);
+
+    switch (error.keyword) {
+        case 'required':
+            return { location, field: joinField(field, error.params.missingProperty), message: 'is required' };
+        case 'additionalProperties':
+            return { location, field: joinField(field, error.params.additionalProperty), message: 'is not allowed' };
+        case 'enum':
+            return { location, field, message: `must be one of: ${error.params.allowedValues.join(', ')}` };
+        case 'pattern':
+            return { location, field, message: error.params.pattern === OBJECT_ID_PATTERN ? 'must be a valid ID' : 'has an invalid format' };
+        default:
+            return { location, field, message: error.message };
+    }
+};
+
+/**
+ * Middleware factory that validates req.params, req.query and req.body against
+ * JSON schemas and coerces them to the declared types, e.g. ?page=2 becomes a
+ * number and defaults are filled in. Every problem is reported at once by the
+ * global error handler:
+ *
+ *   422 { success: false, code: 'VALIDATION_FAILED', message: 'Validation failed',
+ *         errors: [{ location: 'body', field: 'sku', message: 'is required' }] }
+ *
+ * The schemas are kept on the middleware so the Swagger setup can document them,
+ * together with an optional contentType for the request body (application/json
+ * by default). Place it after any upload middleware, which is what fills req.body
+ * for forms.
+ */
+const validate = (schemas) => {
+    const middleware = (req, res, next) => {
+        const errors = [];
+
+        for (const location of LOCATIONS) {
+            const schema = schemas[location];
+            if (!schema) continue;
+
+            if (location === 'body' && (req.body === undefined || req.body === null)) {
+                req.body = {};
+            }
+
+            const data = req[location];
+            if (location === 'query') {
+                dropEmptyStrings(data);
+            }
+
+            const check = compile(location, schema);
+            if (!check(data)) {
+                errors.push(...check.errors.map(error => formatError(location, error)));
+            }
+        }
+
+        if (errors.length > 0) {
+            return next(new ValidationError(errors));
+        }
+
+        next();
+    };
+
+    middleware.requestSchemas = schemas;
+    return middleware;
+};
+
+// Check data that did not come with a request, such as an imported row, against
+// a body schema. Coerces the data and fills in defaults the way validate() does.
+// Returns the problems as [{ field, message }], empty when the data is valid.
+const validateData = (schema, data) => {
+    const check = compile('body', schema);
+    if (check(data)) return [];
+
+    return check.errors.map(error => {
+        const { field, message } = formatError('body', error);
+        return { field, message };
+    });
+};
+
+// Shared schema fragments
+
+const objectId = {
+    type: 'string',
+    pattern: OBJECT_ID_PATTERN,
+    example: '60f7b3b3b3b3b3b3b3b3b3b3'
+};
+
+// Path params that are all IDs, by name and description, e.g. idParams({ id: 'Product ID' })
+const idParams = (params) => ({
+    type: 'object',
+    required: Object.keys(params),
+    properties: Object.fromEntries(Object.entries(params).map(([name, description]) => [name, { ...objectId, description }]))
+});
+
+// Offset (page) pagination by default; pagination=cursor, after or before switch to
+// cursor pagination, see utils/pagination
+const paginationQuery = (defaultLimit = 10, maxLimit = 100) => ({
+    page: { type: 'integer', minimum: 1, default: 1, description: 'Page number (offset mode)' },
+    limit: { type: 'integer', minimum: 1, maximum: maxLimit, default: defaultLimit, description: 'Number of items per page' },
+    pagination: { type: 'string', enum: ['offset', 'cursor'], description: 'Pagination mode. Cursor mode skips the total count and stays fast on large collections' },
+    after: { type: 'string', maxLength: 1024, description: 'Cursor mode: return the page after this cursor (nextCursor of the previous response)' },
+    before: { type: 'string', maxLength: 1024, description: 'Cursor mode: return the page before this cursor (prevCursor of the previous response)' }
+});
+
+// Sorting parameters. sortBy goes straight into the query's sort, so it is limited
+// to the fields the model allows sorting on, e.g. sortQuery(Product.sortFields).
+const sortQuery = (fields, defaultField = 'createdAt') => ({
+    sortBy: { type: 'string', enum: fields, default: defaultField, description: 'Field to sort by' },
+    sortOrder: { type: 'string', enum: ['asc', 'desc'], default: 'desc', description: 'Sort order' }
+});
+
+// Generic filter, sort and field selection, checked against the model's whitelist
+// by Model.parseListQuery (see utils/listQuery)
+const listQuery = {
+    filter: {
+        type: 'object',
+        description: 'Field filters: filter[field]=value or filter[field][operator]=value with eq, in, gte, lte or contains',
+        example: { status: { in: 'Active,Draft' } }
+    },
+    sort: { type: 'string', description: 'Comma separated fields to sort by, - for descending. Overrides sortBy and sortOrder', example: '-price,createdAt' },
+    fields: { type: 'string', description: 'Comma separated fields to return' }
+};
+
+const dateTime = { type: 'string', format: 'date-time' };
+
+module.exports = validate;
+module.exports.validateData = validateData;
+module.exports.objectId = objectId;
+module.exports.idParams = idParams;
+module.exports.paginationQuery = paginationQuery;
+module.exports.sortQuery = sortQuery;
+module.exports.listQuery = listQuery;
+module.exports.dateTime = dateTime;
@@ -0,0 +1,219 @@
+const ApiKey = require('./apikey.model');
+const User = require('../auth/auth.model');
+const Role = require('../role/role.model');
+const { hasPermission } = require('../role/permissions');
+const mongoose = require('mongoose');
+const asyncHandler = require('../../utils/asyncHandler');
+const { sendSuccessResponse } = require('../../utils/response');
+const { BadRequestError, NotFoundError, ConflictError, ForbiddenError } = require('../../utils/errors');
+const { isCursorPagination, paginateWithCursor } = require('../../utils/pagination');
+const { escapeRegex } = require('../../utils/listQuery');
+
+// Get all API keys with pagination and filters
+const getAllApiKeys = asyncHandler(async (req, res) => {
+    const {
+        page: pageNum,
+        limit: limitNum,
+        search = '',
+        owner = '',
+        status = '',
+        after,
+        before
+    } = req.query;
+
+    const skip = (pageNum - 1) * limitNum;
+    const now = new Date();
+
+    // Build query object
+    const query = {};
+
+    if (search) {
+        const pattern = escapeRegex(search);
+        query.$or = [
+            { name: { $regex: pattern, $options: 'i' } },
+            { prefix: { $regex: pattern, $options: 'i' } }
+        ];
+    }
+
+    if (owner) query.owner = owner;
+
+    if (status === 'Active') {
+        query.revokedAt = null;
+        query.expiresAt = { $gt: now };
+    } else if (status === 'Expired') {
+        query.revokedAt = null;
+        query.expiresAt = { $lte: now };
+    } else if (status === 'Revoked') {
+        query.revokedAt = { $ne: null };
+    }
+
+    // Generic filter, sort and fields parameters
+    const listQuery = ApiKey.parseListQuery(req.query);
+    if (listQuery.conditions.length > 0) query.$and = listQuery.conditions;
+
+    const sort = listQuery.sort || { createdAt: -1 };
+
+    if (isCursorPagination(req.query)) {
+        const { items: apiKeys, pagination } = await paginateWithCursor(
+            ApiKey.find(query)
+                .select(listQuery.select)
+                .populate('owner', 'name email role')
+                .populate('createdBy', 'name email'),
+            { sort, limit: limitNum, after, before }
+        );
+        return sendSuccessResponse(res, 200, 'API keys retrieved successfully', { apiKeys, pagination });
+    }
+
+    const apiKeys = await ApiKey.find(query)
+        .select(listQuery.select)
+        .populate('owner', 'name email role')
+        .populate('createdBy', 'name email')
+        .sort(sort)
+        .skip(skip)
+        .limit(limitNum);
+
+    const totalApiKeys = await ApiKey.countDocuments(query);
+    const totalPages = Math.ceil(totalApiKeys / limitNum);
+
+    const response = {
+        apiKeys,
+        pagination: {
+            currentPage: pageNum,
+            totalPages,
+            totalApiKeys,
+            hasNextPage: pageNum < totalPages,
+            hasPrevPage: pageNum > 1,
+            limit: limitNum
+        }
+    };
+
+    return sendSuccessResponse(res, 200, 'API keys retrieved successfully', response);
+});
+
+// Get API key by ID
+const getApiKeyById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid API key ID');
+    }
+
+    const apiKey = await ApiKey.findById(id)
+        .populate('owner', 'name email role')
+        .populate('createdBy', 'name email');
+
+    if (!apiKey) {
+        throw new NotFoundError('API key not found');
+    }
+
+    return sendSuccessResponse(res, 200, 'API key retrieved successfully', apiKey);
+});
+
+// Create a new API key. The key itself is only returned in this response.
+const createApiKey = asyncHandler(async (req, res) => {
+    const { name, scopes, owner = req.user.id, expiresAt, expiresInDays } = req.body;
+
+    const callerPermissions = await Role.getPermissions(req.user.role);
+
+    // Keys for other users need apiKeys:manage, otherwise anyone with apiKeys:write
+    // could act as an administrator through a key
+    if (String(owner) !== String(req.user.id) && !hasPermission(callerPermissions, 'apiKeys:manage')) {
+        throw new ForbiddenError('Access denied. Missing permission: apiKeys:manage');
+    }
+
+    // Nobody can hand out a permission they do not hold themselves
+    const notHeld = scopes.filter(scope => !hasPermission(callerPermissions, scope));
+    if (notHeld.length > 0) {
+        throw new ForbiddenError(`Access denied. Missing permission: ${notHeld.join(', ')}`);
+    }
+
+    const ownerUser = await User.findById(owner);
+    if (!ownerUser || !ownerUser.isActive) {
+        throw new BadRequestError('Owner must be an active user');
+    }
+
+    // A key can never do more than its owner
+    const ownerPermissions = await Role.getPermissions(ownerUser.role);
+    const notGranted = scopes.filter(scope => !hasPermission(ownerPermissions, scope));
+    if (notGranted.length > 0) {
+        throw new BadRequestError(`Owner does not have these permissions: ${notGranted.join(', ')}`);
+    }
+
+    let expiry;
+    if (expiresAt) {
+        expiry = new Date(expiresAt);
+    } else if (expiresInDays) {
+        expiry = new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000);
+    }
+
+    if (expiry && (isNaN(expiry.getTime()) || expiry <= new Date())) {
+        throw new BadRequestError('Expiry date must be in the future');
+    }
+
+    const { apiKey, key } = await ApiKey.issue({
+        name,
+        owner: ownerUser._id,
+        scopes,
+        expiresAt: expiry,
+        createdBy: req.user.id
+    });
+
+    return sendSuccessResponse(res, 201, 'API key created successfully. Store the key now, it cannot be shown again', {
+        apiKey,
+        key
+    });
+});
+
+// Replace the key material of an active key
+const rotateApiKey = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid API key ID');
+    }
+
+    const apiKey = await ApiKey.findById(id);
+    if (!apiKey) {
+        throw new NotFoundError('API key not found');
+    }
+
+    if (apiKey.status !== 'Active') {
+        throw new ConflictError(`Cannot rotate a ${apiKey.status.toLowerCase()} API key`);
+    }
+
+    const key = await apiKey.rotate();
+
+    return sendSuccessResponse(res, 200, 'API key rotated successfully. The previous key no longer works', {
+        apiKey,
+        key
+    });
+});
+
+// Revoke an API key
+const revokeApiKey = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid API key ID');
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+        { _id: id, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+    );
+
+    if (!apiKey) {
+        throw new NotFoundError('API key not found or already revoked');
+    }
+
+    return sendSuccessResponse(res, 200, 'API key revoked successfully', apiKey);
+});
+
+module.exports = {
+    getAllApiKeys,
+    getApiKeyById,
+    createApiKey,
+    rotateApiKey,
+    revokeApiKey
+};
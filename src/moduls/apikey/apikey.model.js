@@ -0,0 +1,185 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { isValidPermission } = require('../role/permissions');
+const auditPlugin = require('../audit/audit.plugin');
+const listQueryPlugin = require('../../utils/listQuery');
+const config = require('../../config/env');
+
+const API_KEY_PREFIX = 'hrk_';
+const API_KEY_EXPIRES_DAYS = config.auth.apiKeyExpiresDays;
+
+// Only write lastUsedAt when it is older than this, so busy keys don't write on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// API keys are only ever stored as SHA-256 hashes
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Keys look like hrk_<8 char id>_<secret>. The id part is stored in plain text
+// so a key can be recognised in lists and logs without revealing it.
+const generateKey = () => {
+    const keyId = crypto.randomBytes(4).toString('hex');
+    const secret = crypto.randomBytes(24).toString('base64url');
+    return {
+        key: `${API_KEY_PREFIX}${keyId}_${secret}`,
+        prefix: `${API_KEY_PREFIX}${keyId}`
+    };
+};
+
+const apiKeySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'API key name is required'],
+        trim: true,
+        maxlength: [100, 'API key name cannot exceed 100 characters']
+    },
+    prefix: {
+        type: String,
+        required: true
+    },
+    keyHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Owner is required']
+    },
+    scopes: {
+        type: [String],
+        validate: [
+            {
+                validator: scopes => scopes.length > 0,
+                message: 'At least one scope is required'
+            },
+            {
+                // Keys get module permissions only. They cannot hold "*" or manage API keys.
+                validator: scopes => scopes.every(scope =>
+                    scope !== '*' && !scope.startsWith('apiKeys:') && isValidPermission(scope)
+                ),
+                message: props => `Invalid scope in ${JSON.stringify(props.value)}`
+            }
+        ]
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry date is required']
+    },
+    lastUsedAt: {
+        type: Date,
+        default: null
+    },
+    lastUsedIp: {
+        type: String,
+        trim: true
+    },
+    rotatedAt: {
+        type: Date,
+        default: null
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+// Indexes for better performance
+apiKeySchema.index({ owner: 1, revokedAt: 1 });
+apiKeySchema.index({ expiresAt: 1 });
+
+// Virtual for key status
+apiKeySchema.virtual('status').get(function() {
+    if (this.revokedAt) return 'Revoked';
+    if (this.expiresAt < new Date()) return 'Expired';
+    return 'Active';
+});
+
+apiKeySchema.set('toJSON', { virtuals: true });
+apiKeySchema.set('toObject', { virtuals: true });
+
+// Static method to check whether a credential looks like an API key
+apiKeySchema.statics.isApiKey = function(value) {
+    return typeof value === 'string' && value.startsWith(API_KEY_PREFIX);
+};
+
+// Static method to get the default expiry for new keys
+apiKeySchema.statics.defaultExpiry = function() {
+    return new Date(Date.now() + API_KEY_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Static method to issue a key. The plain key is only returned here.
+apiKeySchema.statics.issue = async function({ name, owner, scopes, expiresAt, createdBy }) {
+    const { key, prefix } = generateKey();
+
+    const apiKey = await this.create({
+        name,
+        owner,
+        scopes,
+        expiresAt: expiresAt || this.defaultExpiry(),
+        createdBy,
+        prefix,
+        keyHash: hashKey(key)
+    });
+
+    return { apiKey, key };
+};
+
+// Static method to find the active key for a plain key and record its use
+apiKeySchema.statics.authenticate = async function(key, { ipAddress } = {}) {
+    const apiKey = await this.findOne({
+        keyHash: hashKey(key),
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+
+    if (!apiKey) {
+        return null;
+    }
+
+    if (!apiKey.lastUsedAt || apiKey.lastUsedAt < Date.now() - LAST_USED_RESOLUTION_MS) {
+        await this.updateOne(
+            { _id: apiKey._id },
+            { $set: { lastUsedAt: new Date(), lastUsedIp: ipAddress } }
+        );
+    }
+
+    return apiKey;
+};
+
+// Replace the key material. The previous key stops working immediately.
+apiKeySchema.methods.rotate = async function() {
+    const { key, prefix } = generateKey();
+
+    this.keyHash = hashKey(key);
+    this.prefix = prefix;
+    this.rotatedAt = new Date();
+    await this.save();
+
+    return key;
+};
+
+// Record changes in the audit log
+apiKeySchema.plugin(auditPlugin, { exclude: ['keyHash', 'lastUsedAt', 'lastUsedIp'] });
+
+// Fields clients can filter, sort and select on in list endpoints (see utils/listQuery)
+apiKeySchema.plugin(listQueryPlugin, {
+    filter: ['owner', 'expiresAt', 'revokedAt'],
+    sort: ['name', 'expiresAt', 'lastUsedAt', 'createdAt'],
+    select: [
+        'name', 'prefix', 'owner', 'scopes', 'expiresAt', 'lastUsedAt', 'lastUsedIp', 'rotatedAt',
+        'revokedAt', 'createdBy', 'createdAt', 'updatedAt'
+    ]
+});
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
@@ -0,0 +1,190 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getAllApiKeys,
+    getApiKeyById,
+    createApiKey,
+    rotateApiKey,
+    revokeApiKey
+} = require('./apikey.controller');
+const auth = require('../../middleware/auth.middleware');
+const requirePermission = require('../../middleware/permission.middleware');
+const validate = require('../../middleware/validate.middleware');
+const validation = require('./apikey.validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: API Keys
+ *   description: API keys for machine-to-machine integrations such as POS terminals
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *         name:
+ *           type: string
+ *           example: "POS terminal - Main Street"
+ *         prefix:
+ *           type: string
+ *           description: Public part of the key, for recognising it in lists
+ *           example: "hrk_1a2b3c4d"
+ *         owner:
+ *           type: object
+ *           description: User the key acts as
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["products:read", "paymentLinks:write"]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastUsedIp:
+ *           type: string
+ *         rotatedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [Active, Expired, Revoked]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     ApiKeySecretResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         message:
+ *           type: string
+ *         data:
+ *           type: object
+ *           properties:
+ *             apiKey:
+ *               $ref: '#/components/schemas/ApiKey'
+ *             key:
+ *               type: string
+ *               description: The full key. Shown only once
+ *               example: "hrk_1a2b3c4d_Jx9..."
+ */
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: Get all API keys
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys retrieved successfully
+ */
+router.get('/', auth, requirePermission('apiKeys:read'), validate(validation.getAllApiKeys), getAllApiKeys);
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   get:
+ *     summary: Get API key by ID
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API key retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKey'
+ *       404:
+ *         description: API key not found
+ */
+router.get('/:id', auth, requirePermission('apiKeys:read'), validate(validation.getApiKeyById), getApiKeyById);
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: |
+ *       The key is returned once and only its hash is stored. Send it in the X-API-Key header
+ *       or as a bearer token. Requests made with the key act as its owner, limited to its scopes.
+ *       Each scope must be held by both the owner and the current user, and creating a key for
+ *       another user needs apiKeys:manage.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: API key created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKeySecretResponse'
+ *       400:
+ *         description: Validation failed, unknown scope or scope not granted to the owner
+ *       403:
+ *         description: Scope not held by the current user, or owner is another user without apiKeys:manage
+ */
+router.post('/', auth, requirePermission('apiKeys:write'), validate(validation.createApiKey), createApiKey);
+
+/**
+ * @swagger
+ * /api/api-keys/{id}/rotate:
+ *   post:
+ *     summary: Rotate an API key
+ *     description: Issues a new key with the same name, owner, scopes and expiry. The previous key stops working immediately.
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API key rotated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiKeySecretResponse'
+ *       404:
+ *         description: API key not found
+ *       409:
+ *         description: API key is expired or revoked
+ */
+router.post('/:id/rotate', auth, requirePermission('apiKeys:write'), validate(validation.rotateApiKey), rotateApiKey);
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [API Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API key revoked successfully
+ *       404:
+ *         description: API key not found or already revoked
+ */
+router.delete('/:id', auth, requirePermission('apiKeys:delete'), validate(validation.revokeApiKey), revokeApiKey);
+
+module.exports = router;
@@ -0,0 +1,54 @@
+const { objectId, idParams, paginationQuery, listQuery, dateTime } = require('../../middleware/validate.middleware');
+
+const apiKeyParams = idParams({ id: 'API key ID' });
+
+const getAllApiKeys = {
+    query: {
+        type: 'object',
+        properties: {
+            ...paginationQuery(10),
+            search: { type: 'string', description: 'Search by name or prefix' },
+            owner: { ...objectId, description: 'Filter by owner user ID' },
+            status: { type: 'string', enum: ['Active', 'Expired', 'Revoked'], description: 'Filter by key status' },
+            ...listQuery
+        }
+    }
+};
+
+const getApiKeyById = { params: apiKeyParams };
+
+const createApiKey = {
+    body: {
+        type: 'object',
+        required: ['name', 'scopes'],
+        properties: {
+            name: { type: 'string', minLength: 1, example: 'POS terminal - Main Street' },
+            scopes: {
+                type: 'array',
+                minItems: 1,
+                items: { type: 'string' },
+                description: 'Permissions in "module:action" form. Each must also be granted to the owner\'s role and the current user\'s role',
+                example: ['products:read', 'paymentLinks:read', 'paymentLinks:write']
+            },
+            owner: { ...objectId, description: 'User ID the key acts as. Defaults to the current user, other users need apiKeys:manage' },
+            expiresAt: { ...dateTime, description: 'Must be in the future' },
+            expiresInDays: {
+                type: 'integer',
+                minimum: 1,
+                description: 'Used when expiresAt is not given. Defaults to API_KEY_EXPIRES_DAYS (365)'
+            }
+        }
+    }
+};
+
+const rotateApiKey = { params: apiKeyParams };
+
+const revokeApiKey = { params: apiKeyParams };
+
+module.exports = {
+    getAllApiKeys,
+    getApiKeyById,
+    createApiKey,
+    rotateApiKey,
+    revokeApiKey
+};
@@ -0,0 +1,217 @@
+const mongoose = require('mongoose');
+const AuditLog = require('./auditlog.model');
+const { getRequestContext } = require('../../middleware/requestContext.middleware');
+const logger = require('../../services/logger');
+
+// Fields that change on every write and say nothing about who changed what
+const ALWAYS_IGNORED = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Bulk updates and deletes are audited for at most this many documents
+const MAX_AUDITED_DOCUMENTS = 1000;
+
+const UPDATE_OPERATIONS = ['findOneAndUpdate', 'findOneAndReplace', 'updateOne', 'updateMany', 'replaceOne'];
+const DELETE_OPERATIONS = ['findOneAndDelete', 'deleteOne', 'deleteMany'];
+const SINGLE_DOCUMENT_OPERATIONS = ['findOneAndUpdate', 'findOneAndReplace', 'updateOne', 'replaceOne', 'findOneAndDelete', 'deleteOne'];
+
+const isPlainObject = (value) => value !== null &&
+    typeof value === 'object' &&
+    !Array.isArray(value) &&
+    !(value instanceof Date) &&
+    !(value instanceof mongoose.Types.ObjectId) &&
+    !Buffer.isBuffer(value);
+
+// Turn a value into something that compares and stores predictably
+const normalize = (value) => {
+    if (value === undefined || value === null) return null;
+    if (value instanceof mongoose.Types.ObjectId) return value.toString();
+    if (value instanceof Date) return value.toISOString();
+    if (Buffer.isBuffer(value)) return '[binary]';
+    if (Array.isArray(value)) return value.map(normalize);
+    if (isPlainObject(value)) {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, normalize(item)]));
+    }
+    return value;
+};
+
+// Flatten nested objects into dotted paths so that a change to address.city is
+// reported as address.city rather than as the whole address. Arrays stay whole.
+const flatten = (object, prefix = '', result = {}) => {
+    for (const [key, value] of Object.entries(object || {})) {
+        const path = prefix ? `${prefix}.${key}` : key;
+        if (isPlainObject(value) && Object.keys(value).length > 0) {
+            flatten(value, path, result);
+        } else {
+            result[path] = normalize(value);
+        }
+    }
+    return result;
+};
+
+const isIgnored = (field, ignored) => ignored.some(name => field === name || field.startsWith(`${name}.`));
+
+// Compare two plain documents and list the fields that differ
+const diff = (before, after, ignored) => {
+    const flatBefore = flatten(before);
+    const flatAfter = flatten(after);
+    const fields = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+    const changes = [];
+    for (const field of fields) {
+        if (isIgnored(field, ignored)) continue;
+
+        const previous = flatBefore[field] === undefined ? null : flatBefore[field];
+        const next = flatAfter[field] === undefined ? null : flatAfter[field];
+
+        if (JSON.stringify(previous) !== JSON.stringify(next)) {
+            changes.push({ field, before: previous, after: next });
+        }
+    }
+    return changes;
+};
+
+// Who made the change, taken from the request being handled
+const getActorFields = () => {
+    const context = getRequestContext();
+    if (!context) return {};
+
+    const { req } = context;
+    return {
+        actor: req.user ? req.user.id : null,
+        actorEmail: req.user ? req.user.email : undefined,
+        apiKey: req.user ? req.user.apiKeyId : undefined,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent'),
+        method: req.method,
+        path: req.originalUrl
+    };
+};
+
+// The change has already been written, so a failure to audit it is logged rather than thrown
+const writeLogs = async (entries) => {
+    if (entries.length === 0) return;
+
+    try {
+        const actorFields = getActorFields();
+        await AuditLog.insertMany(entries.map(entry => ({ ...entry, ...actorFields })));
+    } catch (error) {
+        logger.error('Audit log error', { error });
+    }
+};
+
+const toPlain = (doc) => doc.toObject({ depopulate: true, virtuals: false, getters: false });
+
+// The audit's own lookups must also see records in the trash (see utils/softDelete)
+const LOOKUP_OPTIONS = { withDeleted: true };
+
+/**
+ * Mongoose plugin that writes an AuditLog entry for every created, updated or
+ * deleted document, with the changed fields and their old and new values.
+ *
+ * Options:
+ *   - entity: name stored on the log entries (defaults to the model name)
+ *   - exclude: fields to leave out of the diffs, e.g. password hashes. Updates
+ *     that only touch excluded fields are not logged.
+ *
+ * Upserts that create a document through a query are not audited.
+ */
+const auditPlugin = (schema, options = {}) => {
+    const ignored = [...ALWAYS_IGNORED, ...(options.exclude || [])];
+    const entityName = (model) => options.entity || model.modelName;
+
+    // document.save()
+    schema.pre('save', async function() {
+        this.$locals.auditIsNew = this.isNew;
+        this.$locals.auditBefore = null;
+
+        // Saves that only touch excluded fields, such as view counters, need no lookup
+        const audited = this.directModifiedPaths().some(field => !isIgnored(field, ignored));
+        if (!this.isNew && audited) {
+            this.$locals.auditBefore = await this.constructor.findById(this._id).setOptions(LOOKUP_OPTIONS).lean();
+        }
+    });
+
+    schema.post('save', async function(doc) {
+        const isNew = doc.$locals.auditIsNew;
+        const before = doc.$locals.auditBefore;
+
+        if (!isNew && !before) return;
+
+        const changes = diff(isNew ? {} : before, toPlain(doc), ignored);
+        if (!isNew && changes.length === 0) return;
+
+        await writeLogs([{
+            action: isNew ? 'create' : 'update',
+            entity: entityName(doc.constructor),
+            entityId: doc._id,
+            changes
+        }]);
+    });
+
+    // Model.create() with many documents goes through insertMany
+    schema.post('insertMany', async function(docs) {
+        await writeLogs(docs.map(doc => ({
+            action: 'create',
+            entity: entityName(this),
+            entityId: doc._id,
+            changes: diff({}, toPlain(doc), ignored)
+        })));
+    });
+
+    // Query updates and deletes: remember the matching documents before the write
+    schema.pre([...UPDATE_OPERATIONS, ...DELETE_OPERATIONS], { query: true, document: false }, async function() {
+        const query = this.model.find(this.getFilter()).setOptions(LOOKUP_OPTIONS).lean();
+
+        if (SINGLE_DOCUMENT_OPERATIONS.includes(this.op)) {
+            query.limit(1);
+        } else {
+            query.limit(MAX_AUDITED_DOCUMENTS);
+        }
+
+        this._auditBefore = await query;
+    });
+
+    schema.post([...UPDATE_OPERATIONS, ...DELETE_OPERATIONS], { query: true, document: false }, async function() {
+        const before = this._auditBefore || [];
+        if (before.length === 0) return;
+
+        const entity = entityName(this.model);
+
+        if (DELETE_OPERATIONS.includes(this.op)) {
+            // Only log documents that are really gone
+            const remaining = await this.model.find({ _id: { $in: before.map(doc => doc._id) } })
+                .setOptions(LOOKUP_OPTIONS)
+                .distinct('_id');
+            const remainingIds = new Set(remaining.map(id => id.toString()));
+
+            await writeLogs(before
+                .filter(doc => !remainingIds.has(doc._id.toString()))
+                .map(doc => ({
+                    action: 'delete',
+                    entity,
+                    entityId: doc._id,
+                    changes: diff(doc, {}, ignored)
+                })));
+            return;
+        }
+
+        const afterDocs = await this.model.find({ _id: { $in: before.map(doc => doc._id) } })
+            .setOptions(LOOKUP_OPTIONS)
+            .lean();
+        const afterById = new Map(afterDocs.map(doc => [doc._id.toString(), doc]));
+
+        const entries = [];
+        for (const doc of before) {
+            const after = afterById.get(doc._id.toString());
+            if (!after) continue;
+
+            const changes = diff(doc, after, ignored);
+            if (changes.length > 0) {
+                entries.push({ action: 'update', entity, entityId: doc._id, changes });
+            }
+        }
+
+        await writeLogs(entries);
+    });
+};
+
+module.exports = auditPlugin;
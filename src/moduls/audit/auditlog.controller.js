@@ -0,0 +1,108 @@
+const AuditLog = require('./auditlog.model');
+const mongoose = require('mongoose');
+const asyncHandler = require('../../utils/asyncHandler');
+const { sendSuccessResponse } = require('../../utils/response');
+const { BadRequestError, NotFoundError } = require('../../utils/errors');
+const { isCursorPagination, paginateWithCursor } = require('../../utils/pagination');
+
+// Get audit log entries with pagination and filters
+const getAllAuditLogs = asyncHandler(async (req, res) => {
+    const {
+        page: pageNum,
+        limit: limitNum,
+        entity = '',
+        entityId = '',
+        actor = '',
+        action = '',
+        field = '',
+        startDate = '',
+        endDate = '',
+        after,
+        before
+    } = req.query;
+
+    const skip = (pageNum - 1) * limitNum;
+
+    // Build query object
+    const query = {};
+
+    if (entity) query.entity = entity;
+    if (action) query.action = action;
+    if (field) query['changes.field'] = field;
+
+    if (entityId) query.entityId = entityId;
+    if (actor) query.actor = actor;
+
+    if (startDate || endDate) {
+        query.createdAt = {};
+        if (startDate) query.createdAt.$gte = new Date(startDate);
+        if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    // Generic filter, sort and fields parameters
+    const listQuery = AuditLog.parseListQuery(req.query);
+    if (listQuery.conditions.length > 0) query.$and = listQuery.conditions;
+
+    const sort = listQuery.sort || { createdAt: -1 };
+
+    if (isCursorPagination(req.query)) {
+        const { items: auditLogs, pagination } = await paginateWithCursor(
+            AuditLog.find(query).select(listQuery.select).populate('actor', 'name email').lean(),
+            { sort, limit: limitNum, after, before }
+        );
+        return sendSuccessResponse(res, 200, 'Audit logs retrieved successfully', { auditLogs, pagination });
+    }
+
+    const auditLogs = await AuditLog.find(query)
+        .select(listQuery.select)
+        .populate('actor', 'name email')
+        .sort(sort)
+        .skip(skip)
+        .limit(limitNum)
+        .lean();
+
+    const totalAuditLogs = await AuditLog.countDocuments(query);
+    const totalPages = Math.ceil(totalAuditLogs / limitNum);
+
+    const response = {
+        auditLogs,
+        pagination: {
+            currentPage: pageNum,
+            totalPages,
+            totalAuditLogs,
+            hasNextPage: pageNum < totalPages,
+            hasPrevPage: pageNum > 1,
+            limit: limitNum
+        }
+    };
+
+    return sendSuccessResponse(res, 200, 'Audit logs retrieved successfully', response);
+});
+
+// Get the audited entity names, for filter dropdowns
+const getAuditedEntities = asyncHandler(async (req, res) => {
+    const entities = await AuditLog.distinct('entity');
+    return sendSuccessResponse(res, 200, 'Audited entities retrieved successfully', entities.sort());
+});
+
+// Get audit log entry by ID
+const getAuditLogById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid audit log ID');
+    }
+
+    const auditLog = await AuditLog.findById(id).populate('actor', 'name email');
+    if (!auditLog) {
+        throw new NotFoundError('Audit log not found');
+    }
+
+    return sendSuccessResponse(res, 200, 'Audit log retrieved successfully', auditLog);
+});
+
+module.exports = {
+    getAllAuditLogs,
+    getAuditedEntities,
+    getAuditLogById
+};
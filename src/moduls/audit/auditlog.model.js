@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const listQueryPlugin = require('../../utils/listQuery');
+
+// One record per created, updated or deleted document of an audited model
+const auditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        required: [true, 'Action is required'],
+        enum: {
+            values: ['create', 'update', 'delete'],
+            message: 'Action must be create, update or delete'
+        }
+    },
+    entity: {
+        type: String,
+        required: [true, 'Entity is required'],
+        trim: true
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, 'Entity ID is required']
+    },
+    changes: [{
+        _id: false,
+        field: {
+            type: String,
+            required: true
+        },
+        before: mongoose.Schema.Types.Mixed,
+        after: mongoose.Schema.Types.Mixed
+    }],
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    actorEmail: {
+        type: String,
+        trim: true
+    },
+    apiKey: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ApiKey'
+    },
+    ipAddress: {
+        type: String,
+        trim: true
+    },
+    userAgent: {
+        type: String,
+        trim: true
+    },
+    method: {
+        type: String,
+        trim: true
+    },
+    path: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false
+});
+
+// Indexes for better performance
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+// Fields clients can filter, sort and select on in list endpoints (see utils/listQuery)
+auditLogSchema.plugin(listQueryPlugin, {
+    filter: ['entity', 'entityId', 'actor', 'action', 'createdAt'],
+    sort: ['createdAt'],
+    select: [
+        'action', 'entity', 'entityId', 'changes', 'actor', 'actorEmail', 'apiKey', 'ipAddress',
+        'userAgent', 'method', 'path', 'createdAt'
+    ]
+});
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,140 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getAllAuditLogs,
+    getAuditedEntities,
+    getAuditLogById
+} = require('./auditlog.controller');
+const auth = require('../../middleware/auth.middleware');
+const requirePermission = require('../../middleware/permission.middleware');
+const validate = require('../../middleware/validate.middleware');
+const validation = require('./auditlog.validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Audit Logs
+ *   description: History of who created, changed or deleted records
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *         action:
+ *           type: string
+ *           enum: [create, update, delete]
+ *         entity:
+ *           type: string
+ *           description: Model name of the changed record
+ *           example: "Employee"
+ *         entityId:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b4"
+ *         changes:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: "salary"
+ *               before:
+ *                 example: 45000
+ *               after:
+ *                 example: 48000
+ *         actor:
+ *           type: object
+ *           nullable: true
+ *           description: User who made the change. Null for scripts and background jobs
+ *         actorEmail:
+ *           type: string
+ *         apiKey:
+ *           type: string
+ *           description: API key used for the change, if any
+ *         ipAddress:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         method:
+ *           type: string
+ *           example: "PUT"
+ *         path:
+ *           type: string
+ *           example: "/api/employees/60f7b3b3b3b3b3b3b3b3b3b4"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/audit-logs:
+ *   get:
+ *     summary: Get audit log entries
+ *     tags: [Audit Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Audit logs retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         auditLogs:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/AuditLog'
+ *                         pagination:
+ *                           type: object
+ */
+router.get('/', auth, requirePermission('auditLogs:read'), validate(validation.getAllAuditLogs), getAllAuditLogs);
+
+/**
+ * @swagger
+ * /api/audit-logs/entities:
+ *   get:
+ *     summary: Get the names of audited entities
+ *     tags: [Audit Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Audited entities retrieved successfully
+ */
+router.get('/entities', auth, requirePermission('auditLogs:read'), getAuditedEntities);
+
+/**
+ * @swagger
+ * /api/audit-logs/{id}:
+ *   get:
+ *     summary: Get audit log entry by ID
+ *     tags: [Audit Logs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Audit log retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuditLog'
+ *       404:
+ *         description: Audit log not found
+ */
+router.get('/:id', auth, requirePermission('auditLogs:read'), validate(validation.getAuditLogById), getAuditLogById);
+
+module.exports = router;
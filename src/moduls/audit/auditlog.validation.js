@@ -0,0 +1,25 @@
+const { objectId, idParams, paginationQuery, listQuery, dateTime } = require('../../middleware/validate.middleware');
+
+const getAllAuditLogs = {
+    query: {
+        type: 'object',
+        properties: {
+            ...paginationQuery(20),
+            entity: { type: 'string', description: 'Model name, e.g. Product, Employee, Supplier' },
+            entityId: { ...objectId, description: 'ID of the changed document' },
+            actor: { ...objectId, description: 'User ID of the person who made the change' },
+            action: { type: 'string', enum: ['create', 'update', 'delete'], description: 'Filter by action' },
+            field: { type: 'string', description: 'Only entries that changed this field, e.g. salary' },
+            startDate: { ...dateTime, description: 'Only entries from this date' },
+            endDate: { ...dateTime, description: 'Only entries until this date' },
+            ...listQuery
+        }
+    }
+};
+
+const getAuditLogById = { params: idParams({ id: 'Audit log ID' }) };
+
+module.exports = {
+    getAllAuditLogs,
+    getAuditLogById
+};
@@ -1,98 +1,232 @@
 const User = require('./auth.model');
-const jwt = require('jsonwebtoken');
-
-// Response helper function
-const sendResponse = (res, statusCode, success, message, data = null) => {
-    return res.status(statusCode).json({
-        success,
-        message,
-        data
-    });
-};
+const Session = require('./session.model');
+const LoginAttempt = require('./loginAttempt.model');
+const Invitation = require('../user/invitation.model');
+const SecurityEvent = require('./securityEvent.model');
+const loginThrottle = require('./loginThrottle');
+const twoFactor = require('./twoFactor');
+const Role = require('../role/role.model');
+const mongoose = require('mongoose');
+const { sendMail } = require('../../services/mail');
+const logger = require('../../services/logger');
+const asyncHandler = require('../../utils/asyncHandler');
+const { sendSuccessResponse } = require('../../utils/response');
+const { AppError, BadRequestError, UnauthorizedError, NotFoundError, ConflictError, TooManyRequestsError } = require('../../utils/errors');
+const config = require('../../config/env');
 
-// Login controller
-const login = async (req, res) => {
-    try {
-        const { email, password } = req.body;
+// Open a new session and issue an access/refresh token pair for it
+const issueTokens = async (user, req) => {
+    const { session, refreshToken } = await Session.createForUser(user._id, {
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip
+    });
 
-        // Validate input
-        if (!email || !password) {
-            return sendResponse(res, 400, false, 'Email and password are required');
+    return {
+        session,
+        tokens: {
+            token: user.generateAuthToken(session._id),
+            refreshToken,
+            expiresIn: config.jwt.expiresIn
         }
+    };
+};
 
-        // Find user by email
-        const user = await User.findOne({ email: email.toLowerCase() });
-        if (!user) {
-            return sendResponse(res, 401, false, 'Invalid email or password');
-        }
+// Add an entry to the login history
+const recordLoginAttempt = (req, fields) => LoginAttempt.record({
+    ipAddress: req.ip,
+    userAgent: req.get('User-Agent'),
+    ...fields
+});
 
-        // Check if user is active
-        if (!user.isActive) {
-            return sendResponse(res, 401, false, 'Account is deactivated. Please contact administrator');
-        }
+// Count a failed login against the client address and record when it gets blocked
+const registerIpFailure = async (req) => {
+    if (loginThrottle.registerIpFailure(req.ip)) {
+        await SecurityEvent.record('ip_blocked', {
+            reason: 'too_many_failed_attempts',
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+    }
+};
 
-        // Compare password
-        const isPasswordValid = await user.comparePassword(password);
-        if (!isPasswordValid) {
-            return sendResponse(res, 401, false, 'Invalid email or password');
-        }
+// Count a failed password or 2FA code against the account and record a resulting lockout
+const registerFailedAttempt = async (user, req) => {
+    await registerIpFailure(req);
 
-        // Update last login
-        user.lastLogin = new Date();
-        await user.save();
+    const lockUntil = await user.registerFailedLogin();
+    if (lockUntil) {
+        await SecurityEvent.record('account_locked', {
+            user: user._id,
+            reason: 'too_many_failed_attempts',
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent'),
+            lockedUntil: lockUntil
+        });
+    }
+};
 
-        // Generate token
-        const token = user.generateAuthToken();
+// Check for a locked account or an attempt made before the progressive delay has
+// passed. Returns the reason and the error to reject the attempt with, or null.
+const checkThrottledAttempt = async (user, req, res) => {
+    if (user.isLocked) {
+        res.set('Retry-After', String(Math.ceil((user.lockUntil - Date.now()) / 1000)));
+        return {
+            reason: 'account_locked',
+            error: new AppError('Account is temporarily locked due to too many failed login attempts. Please try again later', {
+                status: 423,
+                code: 'ACCOUNT_LOCKED'
+            })
+        };
+    }
 
-        // Send response
-        return sendResponse(res, 200, true, 'Login successful', {
-            token,
-            user: {
-                id: user._id,
-                email: user.email,
-                name: user.name,
-                role: user.role,
-                lastLogin: user.lastLogin
-            }
+    if (await user.clearExpiredLock()) {
+        await SecurityEvent.record('account_unlocked', {
+            user: user._id,
+            reason: 'lock_expired',
+            ipAddress: req.ip,
+            userAgent: req.get('User-Agent')
         });
+    }
 
-    } catch (error) {
-        console.error('Login error:', error);
-        return sendResponse(res, 500, false, 'Internal server error');
+    const retryAfter = loginThrottle.getRetryAfterSeconds(user);
+    if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+        return {
+            reason: 'throttled',
+            error: new TooManyRequestsError(`Too many failed login attempts. Please wait ${retryAfter} seconds before trying again`)
+        };
     }
+
+    return null;
+};
+
+// Finish a login: clear failed attempts, open a session and send the tokens
+const completeLogin = async (user, req, res, method, extraData = {}) => {
+    user.lastLogin = new Date();
+    user.resetLoginAttempts();
+    await user.save();
+
+    const { session, tokens } = await issueTokens(user, req);
+
+    await recordLoginAttempt(req, {
+        user: user._id,
+        email: user.email,
+        success: true,
+        reason: 'success',
+        method,
+        session: session._id
+    });
+
+    return sendSuccessResponse(res, 200, 'Login successful', {
+        ...tokens,
+        user: {
+            id: user._id,
+            email: user.email,
+            name: user.name,
+            role: user.role,
+            lastLogin: user.lastLogin
+        },
+        ...extraData
+    });
 };
 
-// Register controller (for creating admin users)
-const register = async (req, res) => {
+// Login controller
+const login = asyncHandler(async (req, res) => {
+    const { email, password } = req.body;
+
+    // Reject clients that have failed too often from this address
+    const ipBlockSeconds = loginThrottle.getIpBlockSeconds(req.ip);
+    if (ipBlockSeconds) {
+        await recordLoginAttempt(req, { email, success: false, reason: 'ip_blocked', method: 'password' });
+        res.set('Retry-After', String(ipBlockSeconds));
+        throw new TooManyRequestsError('Too many failed login attempts from this address. Please try again later');
+    }
+
+    // Find user by email
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user) {
+        await registerIpFailure(req);
+        await recordLoginAttempt(req, { email, success: false, reason: 'unknown_email', method: 'password' });
+        throw new UnauthorizedError('Invalid email or password');
+    }
+
+    // Check lockout and the progressive delay between failed attempts
+    const rejection = await checkThrottledAttempt(user, req, res);
+    if (rejection) {
+        await recordLoginAttempt(req, { user: user._id, email: user.email, success: false, reason: rejection.reason, method: 'password' });
+        throw rejection.error;
+    }
+
+    // Check if user is active
+    if (!user.isActive) {
+        await recordLoginAttempt(req, { user: user._id, email: user.email, success: false, reason: 'account_deactivated', method: 'password' });
+        throw new UnauthorizedError('Account is deactivated. Please contact administrator');
+    }
+
+    // Compare password
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid) {
+        await registerFailedAttempt(user, req);
+        await recordLoginAttempt(req, { user: user._id, email: user.email, success: false, reason: 'invalid_password', method: 'password' });
+        throw new UnauthorizedError('Invalid email or password');
+    }
+
+    // Ask for a second factor before issuing tokens
+    if (user.twoFactorEnabled || await Role.requiresTwoFactor(user.role)) {
+        const enrollmentRequired = !user.twoFactorEnabled;
+
+        return sendSuccessResponse(res, 200,
+            enrollmentRequired ? 'Two-factor enrollment required' : 'Two-factor authentication required',
+            {
+                twoFactorRequired: true,
+                enrollmentRequired,
+                challengeToken: twoFactor.signChallengeToken(user, { enrollment: enrollmentRequired }),
+                expiresIn: twoFactor.CHALLENGE_EXPIRES_IN
+            }
+        );
+    }
+
+    return completeLogin(user, req, res, 'password');
+});
+
+// Register controller - accepts an invitation issued by an administrator
+const register = asyncHandler(async (req, res) => {
+    let invitation = null;
+
     try {
-        const { email, password, name, role = 'user' } = req.body;
+        const { inviteToken, password, name } = req.body;
 
-        // Validate input
-        if (!email || !password || !name) {
-            return sendResponse(res, 400, false, 'Email, password, and name are required');
+        // Claim the invitation first so the same token cannot be used twice
+        invitation = await Invitation.claim(inviteToken);
+        if (!invitation) {
+            throw new BadRequestError('Invitation is invalid, expired, or has already been used');
         }
 
         // Check if user already exists
-        const existingUser = await User.findOne({ email: email.toLowerCase() });
+        const existingUser = await User.findOne({ email: invitation.email });
         if (existingUser) {
-            return sendResponse(res, 409, false, 'User with this email already exists');
+            await Invitation.updateOne({ _id: invitation._id }, { $set: { acceptedAt: null } });
+            throw new ConflictError('User with this email already exists');
         }
 
-        // Create new user
+        // Create new user with the email and role fixed by the invitation
         const user = new User({
-            email: email.toLowerCase(),
+            email: invitation.email,
             password,
             name,
-            role
+            role: invitation.role
         });
 
         await user.save();
 
-        // Generate token
-        const token = user.generateAuthToken();
+        invitation.acceptedBy = user._id;
+        await invitation.save();
+
+        // Generate tokens
+        const { tokens } = await issueTokens(user, req);
 
-        return sendResponse(res, 201, true, 'User registered successfully', {
-            token,
+        return sendSuccessResponse(res, 201, 'User registered successfully', {
+            ...tokens,
             user: {
                 id: user._id,
                 email: user.email,
@@ -102,94 +236,421 @@ const register = async (req, res) => {
         });
 
     } catch (error) {
-        console.error('Registration error:', error);
-        
-        // Handle validation errors
-        if (error.name === 'ValidationError') {
-            const errors = Object.values(error.errors).map(err => err.message);
-            return sendResponse(res, 400, false, errors.join(', '));
+        // Release the invitation if the account could not be created
+        if (invitation && !invitation.acceptedBy) {
+            await Invitation.updateOne({ _id: invitation._id }, { $set: { acceptedAt: null } }).catch(() => {});
         }
 
-        return sendResponse(res, 500, false, 'Internal server error');
+        throw error;
     }
-};
+});
 
 // Get current user profile
-const getProfile = async (req, res) => {
-    try {
-        const user = await User.findById(req.user.id);
-        if (!user) {
-            return sendResponse(res, 404, false, 'User not found');
+const getProfile = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    return sendSuccessResponse(res, 200, 'Profile retrieved successfully', {
+        user: {
+            id: user._id,
+            email: user.email,
+            name: user.name,
+            role: user.role,
+            lastLogin: user.lastLogin,
+            createdAt: user.createdAt
         }
+    });
+});
 
-        return sendResponse(res, 200, true, 'Profile retrieved successfully', {
-            user: {
-                id: user._id,
-                email: user.email,
-                name: user.name,
-                role: user.role,
-                lastLogin: user.lastLogin,
-                createdAt: user.createdAt
-            }
-        });
+// Exchange a refresh token for a new access/refresh token pair
+const refresh = asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body;
 
-    } catch (error) {
-        console.error('Get profile error:', error);
-        return sendResponse(res, 500, false, 'Internal server error');
+    const result = await Session.rotateRefreshToken(refreshToken, {
+        userAgent: req.get('User-Agent'),
+        ipAddress: req.ip
+    });
+
+    if (result.reuseDetected) {
+        throw new UnauthorizedError('Refresh token reuse detected. Please log in again');
     }
-};
 
-// Logout controller (optional - mainly for token blacklisting if implemented)
-const logout = async (req, res) => {
-    try {
-        // In a simple JWT implementation, logout is handled on the client side
-        // by removing the token. For enhanced security, you might want to 
-        // implement token blacklisting here.
-        
-        return sendResponse(res, 200, true, 'Logged out successfully');
-        
-    } catch (error) {
-        console.error('Logout error:', error);
-        return sendResponse(res, 500, false, 'Internal server error');
+    if (!result.session) {
+        throw new UnauthorizedError('Invalid or expired refresh token');
     }
-};
+
+    const user = await User.findById(result.session.user);
+    if (!user || !user.isActive) {
+        await result.session.revoke('account_deactivated');
+        throw new UnauthorizedError('Account is deactivated. Please contact administrator');
+    }
+
+    return sendSuccessResponse(res, 200, 'Token refreshed successfully', {
+        token: user.generateAuthToken(result.session._id),
+        refreshToken: result.refreshToken,
+        expiresIn: config.jwt.expiresIn
+    });
+});
+
+// Logout controller - revokes the session the access token belongs to
+const logout = asyncHandler(async (req, res) => {
+    await Session.updateOne(
+        { _id: req.user.sessionId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+    );
+
+    return sendSuccessResponse(res, 200, 'Logged out successfully');
+});
+
+// List the current user's active sessions
+const getSessions = asyncHandler(async (req, res) => {
+    const sessions = await Session.findActiveForUser(req.user.id);
+
+    const response = sessions.map(session => ({
+        id: session._id,
+        userAgent: session.userAgent,
+        ipAddress: session.ipAddress,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: session._id.equals(req.user.sessionId)
+    }));
+
+    return sendSuccessResponse(res, 200, 'Sessions retrieved successfully', { sessions: response });
+});
+
+// Revoke one of the current user's sessions, e.g. a lost device
+const revokeSession = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid session ID');
+    }
+
+    const result = await Session.updateOne(
+        { _id: id, user: req.user.id, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'revoked_by_user' } }
+    );
+
+    if (!result.matchedCount) {
+        throw new NotFoundError('Session not found');
+    }
+
+    return sendSuccessResponse(res, 200, 'Session revoked successfully');
+});
+
+// Revoke every session of the current user except the one making the request
+const revokeOtherSessions = asyncHandler(async (req, res) => {
+    const result = await Session.revokeAllForUser(req.user.id, 'revoked_by_user', {
+        except: req.user.sessionId
+    });
+
+    return sendSuccessResponse(res, 200, 'Other sessions revoked successfully', {
+        revokedCount: result.modifiedCount
+    });
+});
 
 // Change password
-const changePassword = async (req, res) => {
+const changePassword = asyncHandler(async (req, res) => {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    // Verify current password
+    const isCurrentPasswordValid = await user.comparePassword(currentPassword);
+    if (!isCurrentPasswordValid) {
+        throw new UnauthorizedError('Current password is incorrect');
+    }
+
+    // Update password
+    user.password = newPassword;
+    await user.save();
+
+    // Sign out every device, including this one
+    await Session.revokeAllForUser(user._id, 'password_change');
+
+    return sendSuccessResponse(res, 200, 'Password changed successfully. Please log in again');
+});
+
+// Request a password reset email. The response is the same whether or not
+// the account exists, so it cannot be used to discover registered emails.
+const forgotPassword = asyncHandler(async (req, res) => {
+    const { email } = req.body;
+
+    const genericMessage = 'If an account with that email exists, a password reset link has been sent';
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+    if (!user || !user.isActive) {
+        return sendSuccessResponse(res, 200, genericMessage);
+    }
+
+    const resetToken = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+
+    const resetUrl = `${config.frontendUrl}/reset-password?token=${resetToken}`;
+    const expiresInMinutes = config.auth.resetTokenExpiresMinutes;
+
     try {
-        const { currentPassword, newPassword } = req.body;
+        await sendMail({
+            to: user.email,
+            subject: 'Reset your password',
+            text: `Hello ${user.name},\n\n` +
+                `We received a request to reset your password. Open the link below to choose a new one:\n\n` +
+                `${resetUrl}\n\n` +
+                `The link expires in ${expiresInMinutes} minutes and can only be used once. ` +
+                `If you did not request a reset, you can ignore this email.`
+        });
+    } catch (mailError) {
+        logger.error('Password reset email error', { error: mailError });
+    }
 
-        if (!currentPassword || !newPassword) {
-            return sendResponse(res, 400, false, 'Current password and new password are required');
-        }
+    return sendSuccessResponse(res, 200, genericMessage);
+});
 
-        const user = await User.findById(req.user.id);
-        if (!user) {
-            return sendResponse(res, 404, false, 'User not found');
-        }
+// Set a new password using a reset token
+const resetPassword = asyncHandler(async (req, res) => {
+    const { token, newPassword } = req.body;
 
-        // Verify current password
-        const isCurrentPasswordValid = await user.comparePassword(currentPassword);
-        if (!isCurrentPasswordValid) {
-            return sendResponse(res, 401, false, 'Current password is incorrect');
-        }
+    // Consume the token atomically so it can only be used once
+    const user = await User.findOneAndUpdate(
+        {
+            passwordResetTokenHash: User.hashResetToken(token),
+            passwordResetExpires: { $gt: new Date() }
+        },
+        { $unset: { passwordResetTokenHash: 1, passwordResetExpires: 1 } },
+        { new: true }
+    );
 
-        // Update password
-        user.password = newPassword;
-        await user.save();
+    if (!user || !user.isActive) {
+        throw new BadRequestError('Reset token is invalid or has expired');
+    }
 
-        return sendResponse(res, 200, true, 'Password changed successfully');
+    user.password = newPassword;
+    user.resetLoginAttempts();
+    await user.save();
 
-    } catch (error) {
-        console.error('Change password error:', error);
-        return sendResponse(res, 500, false, 'Internal server error');
+    // Sign out every device
+    await Session.revokeAllForUser(user._id, 'password_reset');
+
+    return sendSuccessResponse(res, 200, 'Password has been reset successfully. Please log in with your new password');
+});
+
+// Complete a login with a TOTP code or a recovery code
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+        throw new BadRequestError('A verification code or recovery code is required');
     }
-};
+
+    const decoded = twoFactor.verifyChallengeToken(challengeToken, '2fa_challenge');
+    if (!decoded) {
+        throw new UnauthorizedError('Invalid or expired challenge token. Please log in again');
+    }
+
+    const user = await User.findById(decoded.id)
+        .select('+twoFactorSecret +twoFactorLastUsedStep');
+
+    if (!user || !user.isActive || !user.twoFactorEnabled) {
+        throw new UnauthorizedError('Invalid or expired challenge token. Please log in again');
+    }
+
+    const attemptedMethod = code ? 'totp' : 'recovery_code';
+
+    const rejection = await checkThrottledAttempt(user, req, res);
+    if (rejection) {
+        await recordLoginAttempt(req, { user: user._id, email: user.email, success: false, reason: rejection.reason, method: attemptedMethod });
+        throw rejection.error;
+    }
+
+    const method = await user.verifyTwoFactor({ code, recoveryCode });
+    if (!method) {
+        await registerFailedAttempt(user, req);
+        await recordLoginAttempt(req, { user: user._id, email: user.email, success: false, reason: 'invalid_two_factor_code', method: attemptedMethod });
+        throw new UnauthorizedError('Invalid verification code');
+    }
+
+    const extraData = {};
+    if (method === 'recovery_code') {
+        const { twoFactorRecoveryCodes } = await User.findById(user._id).select('+twoFactorRecoveryCodes').lean();
+        extraData.recoveryCodesRemaining = (twoFactorRecoveryCodes || []).length;
+    }
+
+    return completeLogin(user, req, res, method, extraData);
+});
+
+// Get the two-factor status of the current user
+const getTwoFactorStatus = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user.id).select('+twoFactorRecoveryCodes');
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    return sendSuccessResponse(res, 200, 'Two-factor status retrieved successfully', {
+        enabled: user.twoFactorEnabled,
+        enabledAt: user.twoFactorEnabledAt || null,
+        required: await Role.requiresTwoFactor(user.role),
+        recoveryCodesRemaining: (user.twoFactorRecoveryCodes || []).length
+    });
+});
+
+// Start enrollment: create a secret and the otpauth URI for an authenticator app
+const setupTwoFactor = asyncHandler(async (req, res) => {
+    const userId = req.user ? req.user.id : req.twoFactorEnrollment.userId;
+
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+        throw new NotFoundError('User not found');
+    }
+
+    if (user.twoFactorEnabled) {
+        throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    const secret = twoFactor.generateSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save();
+
+    return sendSuccessResponse(res, 200, 'Scan the QR code with an authenticator app, then confirm with a code', {
+        secret,
+        otpauthUrl: twoFactor.buildOtpauthUrl(user.email, secret)
+    });
+});
+
+// Finish enrollment by confirming a code from the authenticator app
+const enableTwoFactor = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    const userId = req.user ? req.user.id : req.twoFactorEnrollment.userId;
+
+    const user = await User.findById(userId).select('+twoFactorPendingSecret');
+    if (!user || !user.isActive) {
+        throw new NotFoundError('User not found');
+    }
+
+    if (user.twoFactorEnabled) {
+        throw new ConflictError('Two-factor authentication is already enabled');
+    }
+
+    if (!user.twoFactorPendingSecret) {
+        throw new BadRequestError('Start two-factor setup first');
+    }
+
+    const step = twoFactor.verifyCode(user.twoFactorPendingSecret, code);
+    if (step === null) {
+        throw new BadRequestError('Invalid verification code');
+    }
+
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorLastUsedStep = step;
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = new Date();
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    await SecurityEvent.record('two_factor_enabled', {
+        user: user._id,
+        actor: user._id,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+    });
+
+    // Enrollment during login finishes the login as well
+    if (req.twoFactorEnrollment) {
+        return completeLogin(user, req, res, 'totp', { recoveryCodes });
+    }
+
+    return sendSuccessResponse(res, 200, 'Two-factor authentication enabled. Store the recovery codes in a safe place', {
+        recoveryCodes
+    });
+});
+
+// Turn two-factor authentication off, unless the user's role requires it
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!code && !recoveryCode) {
+        throw new BadRequestError('A verification code or recovery code is required');
+    }
+
+    const user = await User.findById(req.user.id).select('+twoFactorSecret +twoFactorLastUsedStep');
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    if (!user.twoFactorEnabled) {
+        throw new ConflictError('Two-factor authentication is not enabled');
+    }
+
+    if (await Role.requiresTwoFactor(user.role)) {
+        throw new ConflictError('Your role requires two-factor authentication');
+    }
+
+    const isPasswordValid = await user.comparePassword(password);
+    if (!isPasswordValid || !await user.verifyTwoFactor({ code, recoveryCode })) {
+        throw new UnauthorizedError('Invalid password or verification code');
+    }
+
+    user.clearTwoFactor();
+    await user.save();
+
+    await SecurityEvent.record('two_factor_disabled', {
+        user: user._id,
+        actor: user._id,
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+    });
+
+    return sendSuccessResponse(res, 200, 'Two-factor authentication disabled');
+});
+
+// Replace the recovery codes, invalidating the old ones
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const { code } = req.body;
+
+    const user = await User.findById(req.user.id).select('+twoFactorSecret +twoFactorLastUsedStep');
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    if (!user.twoFactorEnabled) {
+        throw new ConflictError('Two-factor authentication is not enabled');
+    }
+
+    if (!await user.verifyTwoFactor({ code })) {
+        throw new UnauthorizedError('Invalid verification code');
+    }
+
+    const recoveryCodes = user.generateRecoveryCodes();
+    await user.save();
+
+    return sendSuccessResponse(res, 200, 'Recovery codes regenerated. Store them in a safe place', {
+        recoveryCodes
+    });
+});
 
 module.exports = {
     login,
     register,
     getProfile,
+    refresh,
     logout,
-    changePassword
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+    changePassword,
+    forgotPassword,
+    resetPassword,
+    verifyTwoFactorLogin,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
 };
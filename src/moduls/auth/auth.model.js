@@ -1,6 +1,12 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { getSettings } = require('./loginThrottle');
+const twoFactor = require('./twoFactor');
+const auditPlugin = require('../audit/audit.plugin');
+const listQueryPlugin = require('../../utils/listQuery');
+const config = require('../../config/env');
 
 const userSchema = new mongoose.Schema({
     email: {
@@ -26,8 +32,15 @@ const userSchema = new mongoose.Schema({
     },
     role: {
         type: String,
-        enum: ['admin', 'user'],
-        default: 'user'
+        trim: true,
+        lowercase: true,
+        default: 'user',
+        validate: {
+            validator: async function(value) {
+                return !!(await mongoose.model('Role').exists({ name: value }));
+            },
+            message: props => `Role '${props.value}' does not exist`
+        }
     },
     isActive: {
         type: Boolean,
@@ -35,9 +48,53 @@ const userSchema = new mongoose.Schema({
     },
     lastLogin: {
         type: Date
+    },
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastFailedLoginAt: {
+        type: Date
+    },
+    lockUntil: {
+        type: Date
+    },
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false
+    },
+    twoFactorEnabledAt: {
+        type: Date
+    },
+    twoFactorSecret: {
+        type: String,
+        select: false
+    },
+    twoFactorPendingSecret: {
+        type: String,
+        select: false
+    },
+    twoFactorLastUsedStep: {
+        type: Number,
+        select: false
+    },
+    twoFactorRecoveryCodes: {
+        type: [String],
+        default: undefined,
+        select: false
+    },
+    passwordResetTokenHash: {
+        type: String,
+        select: false
+    },
+    passwordResetExpires: {
+        type: Date,
+        select: false
     }
 }, {
-    timestamps: true
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
 });
 
 // Hash password before saving
@@ -58,26 +115,187 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
-// Generate JWT token
-userSchema.methods.generateAuthToken = function() {
+// Generate short-lived JWT access token bound to a session
+userSchema.methods.generateAuthToken = function(sessionId) {
     const payload = {
         id: this._id,
         email: this.email,
-        role: this.role
+        role: this.role,
+        sid: sessionId
     };
-    
-    return jwt.sign(payload, process.env.JWT_SECRET || 'your-secret-key', {
-        expiresIn: process.env.JWT_EXPIRES_IN || '24h'
+
+    return jwt.sign(payload, config.jwt.secret, {
+        expiresIn: config.jwt.expiresIn
     });
 };
 
-// Remove password from JSON output
+// Virtual for temporary lockout after too many failed logins
+userSchema.virtual('isLocked').get(function() {
+    return !!(this.lockUntil && this.lockUntil > Date.now());
+});
+
+// Record a failed password attempt and lock the account once the limit is reached.
+// Returns the lock expiry when this attempt locked the account, otherwise null.
+userSchema.methods.registerFailedLogin = async function() {
+    const { maxAttempts, lockoutMinutes } = getSettings();
+    const now = new Date();
+
+    const updated = await this.constructor.findByIdAndUpdate(
+        this._id,
+        { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } },
+        { new: true, projection: { failedLoginAttempts: 1 } }
+    );
+
+    this.failedLoginAttempts = updated.failedLoginAttempts;
+    this.lastFailedLoginAt = now;
+
+    if (updated.failedLoginAttempts < maxAttempts) {
+        return null;
+    }
+
+    // Only one of several concurrent failures gets to lock the account
+    const lockUntil = new Date(now.getTime() + lockoutMinutes * 60 * 1000);
+    const result = await this.constructor.updateOne(
+        { _id: this._id, failedLoginAttempts: { $gte: maxAttempts } },
+        { $set: { lockUntil, failedLoginAttempts: 0 } }
+    );
+
+    if (!result.modifiedCount) {
+        return null;
+    }
+
+    this.lockUntil = lockUntil;
+    this.failedLoginAttempts = 0;
+    return lockUntil;
+};
+
+// Clear a lock whose time has passed. Returns true if this call cleared it.
+userSchema.methods.clearExpiredLock = async function() {
+    if (!this.lockUntil || this.isLocked) {
+        return false;
+    }
+
+    const result = await this.constructor.updateOne(
+        { _id: this._id, lockUntil: this.lockUntil },
+        { $unset: { lockUntil: 1 } }
+    );
+
+    this.lockUntil = undefined;
+    return result.modifiedCount > 0;
+};
+
+// Reset the failed login counters, e.g. after a successful login or an admin unlock
+userSchema.methods.resetLoginAttempts = function() {
+    this.failedLoginAttempts = 0;
+    this.lastFailedLoginAt = undefined;
+    this.lockUntil = undefined;
+};
+
+// Check a TOTP code or a recovery code. Both can only be used once.
+// Requires twoFactorSecret to be selected. Returns 'totp', 'recovery_code' or null.
+userSchema.methods.verifyTwoFactor = async function({ code, recoveryCode }) {
+    if (code) {
+        const step = twoFactor.verifyCode(this.twoFactorSecret, code, this.twoFactorLastUsedStep);
+        if (step === null) return null;
+
+        const result = await this.constructor.updateOne(
+            {
+                _id: this._id,
+                $or: [{ twoFactorLastUsedStep: null }, { twoFactorLastUsedStep: { $lt: step } }]
+            },
+            { $set: { twoFactorLastUsedStep: step } }
+        );
+        return result.modifiedCount ? 'totp' : null;
+    }
+
+    if (recoveryCode) {
+        const hash = twoFactor.hashRecoveryCode(recoveryCode);
+        const result = await this.constructor.updateOne(
+            { _id: this._id, twoFactorRecoveryCodes: hash },
+            { $pull: { twoFactorRecoveryCodes: hash } }
+        );
+        return result.modifiedCount ? 'recovery_code' : null;
+    }
+
+    return null;
+};
+
+// Replace the recovery codes. Returns the plain codes, which are never stored.
+userSchema.methods.generateRecoveryCodes = function() {
+    const codes = twoFactor.generateRecoveryCodes();
+    this.twoFactorRecoveryCodes = codes.map(twoFactor.hashRecoveryCode);
+    return codes;
+};
+
+// Turn two-factor authentication off and forget all its secrets
+userSchema.methods.clearTwoFactor = function() {
+    this.twoFactorEnabled = false;
+    this.twoFactorEnabledAt = undefined;
+    this.twoFactorSecret = undefined;
+    this.twoFactorPendingSecret = undefined;
+    this.twoFactorLastUsedStep = undefined;
+    this.twoFactorRecoveryCodes = undefined;
+};
+
+// Generate a one-time password reset token. Only its hash is stored.
+userSchema.methods.createPasswordResetToken = function() {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresInMinutes = config.auth.resetTokenExpiresMinutes;
+
+    this.passwordResetTokenHash = this.constructor.hashResetToken(token);
+    this.passwordResetExpires = new Date(Date.now() + expiresInMinutes * 60 * 1000);
+
+    return token;
+};
+
+// Static method to hash a password reset token
+userSchema.statics.hashResetToken = function(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Remove password and other secrets from JSON output
 userSchema.methods.toJSON = function() {
     const userObject = this.toObject();
     delete userObject.password;
+    delete userObject.passwordResetTokenHash;
+    delete userObject.passwordResetExpires;
+    delete userObject.twoFactorSecret;
+    delete userObject.twoFactorPendingSecret;
+    delete userObject.twoFactorLastUsedStep;
+    delete userObject.twoFactorRecoveryCodes;
     return userObject;
 };
 
+// Index for password reset token lookups
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+
+// Record changes in the audit log. Secrets and login bookkeeping are left out.
+userSchema.plugin(auditPlugin, {
+    exclude: [
+        'password',
+        'passwordResetTokenHash',
+        'passwordResetExpires',
+        'lastLogin',
+        'failedLoginAttempts',
+        'lastFailedLoginAt',
+        'lockUntil',
+        'twoFactorSecret',
+        'twoFactorPendingSecret',
+        'twoFactorLastUsedStep',
+        'twoFactorRecoveryCodes'
+    ]
+});
+
+// Fields clients can filter, sort and select on in list endpoints (see utils/listQuery)
+userSchema.plugin(listQueryPlugin, {
+    filter: ['email', 'role', 'isActive'],
+    sort: ['name', 'email', 'role', 'lastLogin', 'createdAt', 'updatedAt'],
+    select: [
+        'name', 'email', 'role', 'isActive', 'lastLogin', 'twoFactorEnabled', 'createdAt',
+        'updatedAt'
+    ]
+});
+
 const User = mongoose.model('User', userSchema);
 
 module.exports = User;
@@ -4,10 +4,31 @@ const {
     login, 
     register, 
     getProfile, 
+    refresh,
     logout, 
-    changePassword 
+    getSessions,
+    revokeSession,
+    revokeOtherSessions,
+    changePassword,
+    forgotPassword,
+    resetPassword,
+    verifyTwoFactorLogin,
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
 } = require('./auth.controller');
-const authMiddleware = require('../../middleware/auth.middleware');
+const { userOnlyMiddleware, allowEnrollmentChallenge } = require('../../middleware/auth.middleware');
+const validate = require('../../middleware/validate.middleware');
+const validation = require('./auth.validation');
+const rateLimit = require('../../middleware/rateLimit.middleware');
+
+// Limits for the endpoints that can be called without being logged in
+const loginLimiter = rateLimit({ name: 'login', max: 10, windowSeconds: 60 });
+const registerLimiter = rateLimit({ name: 'register', max: 5, windowSeconds: 60 * 60 });
+const passwordResetLimiter = rateLimit({ name: 'password_reset', max: 5, windowSeconds: 15 * 60 });
+const twoFactorLimiter = rateLimit({ name: 'two_factor', max: 10, windowSeconds: 60 });
 
 /**
  * @swagger
@@ -21,20 +42,20 @@ const authMiddleware = require('../../middleware/auth.middleware');
  * /api/auth/login:
  *   post:
  *     summary: User login
+ *     description: |
+ *       Failed attempts are throttled. Each failure doubles the wait before the next
+ *       attempt on the same account, and the account is locked for LOCKOUT_MINUTES after
+ *       MAX_LOGIN_ATTEMPTS failures. Addresses with too many failures are blocked as well.
  *     tags: [Authentication]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/LoginRequest'
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: Login successful, or a two-factor challenge when 2FA is enabled or required by the role
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/AuthResponse'
+ *               oneOf:
+ *                 - $ref: '#/components/schemas/AuthResponse'
+ *                 - $ref: '#/components/schemas/TwoFactorChallengeResponse'
  *       400:
  *         description: Validation error
  *         content:
@@ -47,6 +68,28 @@ const authMiddleware = require('../../middleware/auth.middleware');
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       423:
+ *         description: Account is temporarily locked after too many failed attempts
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the lock expires
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       429:
+ *         description: Too many requests, or too many failed attempts for this account or address; wait before retrying
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds to wait before the next attempt
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       500:
  *         description: Internal server error
  *         content:
@@ -54,20 +97,15 @@ const authMiddleware = require('../../middleware/auth.middleware');
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/login', login);
+router.post('/login', loginLimiter, validate(validation.login), login);
 
 /**
  * @swagger
  * /api/auth/register:
  *   post:
- *     summary: Register a new user
+ *     summary: Register a new user from an invitation
+ *     description: Registration is invite-only. The invitation fixes the email and role and can only be used once.
  *     tags: [Authentication]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/RegisterRequest'
  *     responses:
  *       201:
  *         description: User registered successfully
@@ -76,7 +114,7 @@ router.post('/login', login);
  *             schema:
  *               $ref: '#/components/schemas/AuthResponse'
  *       400:
- *         description: Validation error
+ *         description: Validation error or invalid, expired or used invitation
  *         content:
  *           application/json:
  *             schema:
@@ -94,7 +132,7 @@ router.post('/login', login);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/register', register);
+router.post('/register', registerLimiter, validate(validation.register), register);
 
 /**
  * @swagger
@@ -138,13 +176,14 @@ router.post('/register', register);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/profile', authMiddleware, getProfile);
+router.get('/profile', userOnlyMiddleware, getProfile);
 
 /**
  * @swagger
  * /api/auth/logout:
  *   post:
  *     summary: User logout
+ *     description: Revokes the session the access token belongs to
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
@@ -168,22 +207,121 @@ router.get('/profile', authMiddleware, getProfile);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/logout', authMiddleware, logout);
+router.post('/logout', userOnlyMiddleware, logout);
+
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new token pair
+ *     description: |
+ *       Refresh tokens are single use. Each call returns a new refresh token and
+ *       invalidates the one that was sent. Presenting an already used refresh token
+ *       revokes the whole session it belongs to.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TokenResponse'
+ *       400:
+ *         description: Refresh token is required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       401:
+ *         description: Invalid, expired or reused refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/refresh', validate(validation.refresh), refresh);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the current user's active sessions
+ *     description: One session per login on a device. The session making the request is marked as current.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         sessions:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/ActiveSession'
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ */
+router.get('/sessions', userOnlyMiddleware, getSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   delete:
+ *     summary: Revoke all other sessions of the current user
+ *     description: Signs out every other device. The session making the request stays active.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ */
+router.delete('/sessions', userOnlyMiddleware, revokeOtherSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the current user's sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       400:
+ *         description: Invalid session ID
+ *       404:
+ *         description: Session not found
+ */
+router.delete('/sessions/:id', userOnlyMiddleware, validate(validation.revokeSession), revokeSession);
 
 /**
  * @swagger
  * /api/auth/change-password:
  *   post:
  *     summary: Change user password
+ *     description: Revokes every session of the user, so all devices must log in again
  *     tags: [Authentication]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/ChangePasswordRequest'
  *     responses:
  *       200:
  *         description: Password changed successfully
@@ -216,6 +354,239 @@ router.post('/logout', authMiddleware, logout);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/change-password', authMiddleware, changePassword);
+router.post('/change-password', userOnlyMiddleware, validate(validation.changePassword), changePassword);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset email
+ *     description: |
+ *       Sends a single-use reset link to the account's email address. The response is
+ *       the same whether or not the email is registered.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Reset email sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Email is required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/forgot-password', passwordResetLimiter, validate(validation.forgotPassword), forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Reset password with a reset token
+ *     description: The token can only be used once. All sessions of the user are revoked on success.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SuccessResponse'
+ *       400:
+ *         description: Validation error or invalid, expired or used token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       500:
+ *         description: Internal server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/reset-password', passwordResetLimiter, validate(validation.resetPassword), resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete a login with a two-factor code
+ *     description: Send either a code from the authenticator app or one of the recovery codes. Each recovery code works once.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid code or invalid/expired challenge token
+ *       423:
+ *         description: Account is temporarily locked after too many failed attempts
+ *       429:
+ *         description: Too many failed attempts; wait before retrying
+ */
+router.post('/2fa/verify', twoFactorLimiter, validate(validation.verifyTwoFactorLogin), verifyTwoFactorLogin);
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Get the two-factor status of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         enabled:
+ *                           type: boolean
+ *                         enabledAt:
+ *                           type: string
+ *                           format: date-time
+ *                           nullable: true
+ *                         required:
+ *                           type: boolean
+ *                           description: Whether the user's role requires 2FA
+ *                         recoveryCodesRemaining:
+ *                           type: integer
+ *       401:
+ *         description: Unauthorized - Invalid or missing token
+ */
+router.get('/2fa', userOnlyMiddleware, getTwoFactorStatus);
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: |
+ *       Returns a new secret and an otpauth URI to show as a QR code. Call with a bearer token,
+ *       or during login with the challengeToken returned when enrollment is required.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: Enrollment challenge token from login
+ *     responses:
+ *       200:
+ *         description: Enrollment started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         secret:
+ *                           type: string
+ *                           example: "JBSWY3DPEHPK3PXP"
+ *                         otpauthUrl:
+ *                           type: string
+ *                           example: "otpauth://totp/HOTSPOT%20RETAIL:admin%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=HOTSPOT%20RETAIL"
+ *       401:
+ *         description: Unauthorized or invalid challenge token
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/2fa/setup', allowEnrollmentChallenge, setupTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment with a code and enable two-factor authentication
+ *     description: |
+ *       Returns ten one-time recovery codes, shown only once. When called with an enrollment
+ *       challengeToken the login is completed as well and the response includes the tokens.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *       - {}
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: Invalid code or setup not started
+ *       401:
+ *         description: Unauthorized or invalid challenge token
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+router.post('/2fa/enable', allowEnrollmentChallenge, validate(validation.enableTwoFactor), enableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Not allowed when the user's role requires two-factor authentication
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Invalid password or code
+ *       409:
+ *         description: Not enabled, or required by the user's role
+ */
+router.post('/2fa/disable', userOnlyMiddleware, validate(validation.disableTwoFactor), disableTwoFactor);
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Regenerate recovery codes
+ *     description: Replaces all recovery codes. The old codes stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Recovery codes regenerated
+ *       401:
+ *         description: Invalid code
+ *       409:
+ *         description: Two-factor authentication is not enabled
+ */
+router.post('/2fa/recovery-codes', userOnlyMiddleware, validate(validation.regenerateRecoveryCodes), regenerateRecoveryCodes);
 
 module.exports = router;
@@ -0,0 +1,157 @@
+const { idParams } = require('../../middleware/validate.middleware');
+
+const password = (description) => ({
+    type: 'string',
+    minLength: 6,
+    description,
+    example: 'password123'
+});
+
+const verificationCode = {
+    type: 'string',
+    minLength: 1,
+    description: '6-digit code from the authenticator app',
+    example: '123456'
+};
+
+const recoveryCode = {
+    type: 'string',
+    minLength: 1,
+    description: 'One of the recovery codes, used instead of code',
+    example: 'a1b2c-3d4e5'
+};
+
+const login = {
+    body: {
+        type: 'object',
+        required: ['email', 'password'],
+        properties: {
+            email: { type: 'string', format: 'email', description: 'User email address', example: 'user@example.com' },
+            // Not checked against the password rules, a wrong password is simply a failed attempt
+            password: { type: 'string', minLength: 1, description: 'User password', example: 'password123' }
+        }
+    }
+};
+
+const register = {
+    body: {
+        type: 'object',
+        required: ['inviteToken', 'password', 'name'],
+        properties: {
+            inviteToken: {
+                type: 'string',
+                minLength: 1,
+                description: 'Token from an invitation issued by an administrator. The email and role come from the invitation'
+            },
+            password: password('User password'),
+            name: { type: 'string', minLength: 1, description: 'User full name', example: 'John Doe' }
+        }
+    }
+};
+
+const refresh = {
+    body: {
+        type: 'object',
+        required: ['refreshToken'],
+        properties: {
+            refreshToken: {
+                type: 'string',
+                minLength: 1,
+                description: 'Refresh token returned by login, register or a previous refresh'
+            }
+        }
+    }
+};
+
+const revokeSession = { params: idParams({ id: 'Session ID' }) };
+
+const changePassword = {
+    body: {
+        type: 'object',
+        required: ['currentPassword', 'newPassword'],
+        properties: {
+            currentPassword: { type: 'string', minLength: 1, description: 'Current password', example: 'oldpassword123' },
+            newPassword: { ...password('New password'), example: 'newpassword123' }
+        }
+    }
+};
+
+const forgotPassword = {
+    body: {
+        type: 'object',
+        required: ['email'],
+        properties: {
+            email: { type: 'string', format: 'email', description: 'Email of the account to reset', example: 'user@example.com' }
+        }
+    }
+};
+
+const resetPassword = {
+    body: {
+        type: 'object',
+        required: ['token', 'newPassword'],
+        properties: {
+            token: { type: 'string', minLength: 1, description: 'Reset token from the password reset email' },
+            newPassword: { ...password('New password'), example: 'newpassword123' }
+        }
+    }
+};
+
+const verifyTwoFactorLogin = {
+    body: {
+        type: 'object',
+        required: ['challengeToken'],
+        properties: {
+            challengeToken: { type: 'string', minLength: 1, description: 'Challenge token returned by login' },
+            code: verificationCode,
+            recoveryCode
+        }
+    }
+};
+
+const enableTwoFactor = {
+    body: {
+        type: 'object',
+        required: ['code'],
+        properties: {
+            code: verificationCode,
+            challengeToken: { type: 'string', description: 'Enrollment challenge token from login' }
+        }
+    }
+};
+
+const disableTwoFactor = {
+    body: {
+        type: 'object',
+        required: ['password'],
+        properties: {
+            password: { type: 'string', minLength: 1, description: 'Current password' },
+            code: verificationCode,
+            recoveryCode
+        }
+    }
+};
+
+const regenerateRecoveryCodes = {
+    body: {
+        type: 'object',
+        required: ['code'],
+        properties: {
+            code: verificationCode
+        }
+    }
+};
+
+module.exports = {
+    login,
+    register,
+    refresh,
+    revokeSession,
+    changePassword,
+    forgotPassword,
+    resetPassword,
+    verifyTwoFactorLogin,
+    enableTwoFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes
+};
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const logger = require('../../services/logger');
+const config = require('../../config/env');
+
+const LOGIN_HISTORY_RETENTION_DAYS = config.auth.loginHistoryRetentionDays;
+
+// One record per login attempt, successful or not
+const loginAttemptSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    success: {
+        type: Boolean,
+        required: true
+    },
+    reason: {
+        type: String,
+        required: true,
+        enum: {
+            values: [
+                'success',
+                'invalid_password',
+                'unknown_email',
+                'account_locked',
+                'account_deactivated',
+                'throttled',
+                'ip_blocked',
+                'invalid_two_factor_code'
+            ],
+            message: 'Invalid login attempt reason'
+        }
+    },
+    method: {
+        type: String,
+        enum: ['password', 'totp', 'recovery_code']
+    },
+    ipAddress: {
+        type: String,
+        trim: true
+    },
+    userAgent: {
+        type: String,
+        trim: true
+    },
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session'
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false
+});
+
+// Indexes for better performance
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ email: 1, createdAt: -1 });
+loginAttemptSchema.index({ ipAddress: 1, createdAt: -1 });
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: LOGIN_HISTORY_RETENTION_DAYS * 24 * 60 * 60 });
+
+// Static method to record an attempt without failing the login that triggered it
+loginAttemptSchema.statics.record = async function(fields) {
+    try {
+        return await this.create(fields);
+    } catch (error) {
+        logger.error('Record login attempt error', { error });
+        return null;
+    }
+};
+
+const LoginAttempt = mongoose.model('LoginAttempt', loginAttemptSchema);
+
+module.exports = LoginAttempt;
@@ -0,0 +1,89 @@
+// Brute-force protection settings and the per-IP failed login tracker.
+//
+// Per account: after each failed password the next attempt has to wait
+// 1s, 2s, 4s, ... (capped at MAX_DELAY_SECONDS), and after MAX_LOGIN_ATTEMPTS
+// failures the account is locked for LOCKOUT_MINUTES. The account counters
+// live on the User model so they are shared by every server instance.
+//
+// Per IP: failures from one address are counted over a sliding window and the
+// address is blocked once MAX_LOGIN_ATTEMPTS_PER_IP is reached. This counter
+// is kept in memory, so each server instance tracks its own clients.
+
+const config = require('../../config/env');
+
+const BASE_DELAY_SECONDS = 1;
+const MAX_DELAY_SECONDS = 30;
+
+const getSettings = () => config.loginThrottle;
+
+// Delay required after the given number of consecutive failures
+const getDelaySeconds = (failedAttempts) => {
+    if (!failedAttempts) return 0;
+    return Math.min(BASE_DELAY_SECONDS * 2 ** (failedAttempts - 1), MAX_DELAY_SECONDS);
+};
+
+// Seconds the account still has to wait before the next attempt is accepted
+const getRetryAfterSeconds = (user, now = Date.now()) => {
+    if (!user.failedLoginAttempts || !user.lastFailedLoginAt) return 0;
+
+    const allowedAt = user.lastFailedLoginAt.getTime() + getDelaySeconds(user.failedLoginAttempts) * 1000;
+    return Math.max(0, Math.ceil((allowedAt - now) / 1000));
+};
+
+// ip -> { count, windowStart, blockedUntil }
+const ipFailures = new Map();
+
+// Get remaining block time for an IP address, or 0 if it may try again
+const getIpBlockSeconds = (ip, now = Date.now()) => {
+    const entry = ipFailures.get(ip);
+    if (!entry || !entry.blockedUntil) return 0;
+
+    if (entry.blockedUntil <= now) {
+        ipFailures.delete(ip);
+        return 0;
+    }
+    return Math.ceil((entry.blockedUntil - now) / 1000);
+};
+
+// Count a failed login from an IP address. Returns true when this failure blocked the address.
+const registerIpFailure = (ip, now = Date.now()) => {
+    const { maxAttemptsPerIp, ipWindowMinutes } = getSettings();
+    const windowMs = ipWindowMinutes * 60 * 1000;
+
+    let entry = ipFailures.get(ip);
+    if (!entry || entry.windowStart + windowMs <= now) {
+        entry = { count: 0, windowStart: now, blockedUntil: null };
+        ipFailures.set(ip, entry);
+    }
+
+    entry.count += 1;
+
+    if (entry.count >= maxAttemptsPerIp && !entry.blockedUntil) {
+        entry.blockedUntil = now + windowMs;
+        return true;
+    }
+    return false;
+};
+
+// Drop entries whose window and block have both ended
+const pruneIpFailures = (now = Date.now()) => {
+    const windowMs = getSettings().ipWindowMinutes * 60 * 1000;
+
+    for (const [ip, entry] of ipFailures) {
+        const expired = entry.windowStart + windowMs <= now;
+        const unblocked = !entry.blockedUntil || entry.blockedUntil <= now;
+        if (expired && unblocked) {
+            ipFailures.delete(ip);
+        }
+    }
+};
+
+setInterval(pruneIpFailures, 60 * 1000).unref();
+
+module.exports = {
+    getSettings,
+    getDelaySeconds,
+    getRetryAfterSeconds,
+    getIpBlockSeconds,
+    registerIpFailure
+};
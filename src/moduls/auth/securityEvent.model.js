@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const logger = require('../../services/logger');
+
+// Security-relevant account events kept for later review
+const securityEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: [true, 'Event type is required'],
+        enum: {
+            values: [
+                'account_locked',
+                'account_unlocked',
+                'ip_blocked',
+                'two_factor_enabled',
+                'two_factor_disabled',
+                'two_factor_reset'
+            ],
+            message: 'Invalid security event type'
+        }
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    ipAddress: {
+        type: String,
+        trim: true
+    },
+    userAgent: {
+        type: String,
+        trim: true
+    },
+    lockedUntil: {
+        type: Date
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false },
+    versionKey: false
+});
+
+// Indexes for better performance
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ ipAddress: 1, createdAt: -1 });
+
+// Static method to record an event without failing the request that triggered it
+securityEventSchema.statics.record = async function(type, fields = {}) {
+    try {
+        return await this.create({ type, ...fields });
+    } catch (error) {
+        logger.error('Record security event error', { error });
+        return null;
+    }
+};
+
+const SecurityEvent = mongoose.model('SecurityEvent', securityEventSchema);
+
+module.exports = SecurityEvent;
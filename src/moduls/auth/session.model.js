@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const config = require('../../config/env');
+
+const REFRESH_TOKEN_EXPIRES_DAYS = config.auth.refreshTokenExpiresDays;
+
+// Refresh tokens are only ever stored as SHA-256 hashes
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// A session is one login on one device. Every refresh token issued for that
+// login belongs to the same token family and is rotated on each use.
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required']
+    },
+    refreshTokenHash: {
+        type: String,
+        required: [true, 'Refresh token hash is required']
+    },
+    usedTokenHashes: {
+        type: [String],
+        default: [],
+        select: false
+    },
+    userAgent: {
+        type: String,
+        trim: true
+    },
+    ipAddress: {
+        type: String,
+        trim: true
+    },
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: [true, 'Expiry date is required']
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    },
+    revokedReason: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+// Indexes for better performance
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ usedTokenHashes: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Virtual for whether the session can still be used
+sessionSchema.virtual('isActive').get(function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+// Static method to open a new session and issue its first refresh token
+sessionSchema.statics.createForUser = async function(userId, { userAgent, ipAddress } = {}) {
+    const refreshToken = generateRefreshToken();
+
+    const session = await this.create({
+        user: userId,
+        refreshTokenHash: hashToken(refreshToken),
+        userAgent,
+        ipAddress,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000)
+    });
+
+    return { session, refreshToken };
+};
+
+// Static method to exchange a refresh token for a new one.
+// Returns { session, refreshToken } on success, { reuseDetected: true } when an
+// already rotated token is presented again, and {} when the token is unknown.
+sessionSchema.statics.rotateRefreshToken = async function(refreshToken, { userAgent, ipAddress } = {}) {
+    const tokenHash = hashToken(refreshToken);
+    const nextRefreshToken = generateRefreshToken();
+
+    const session = await this.findOneAndUpdate(
+        {
+            refreshTokenHash: tokenHash,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        {
+            $set: {
+                refreshTokenHash: hashToken(nextRefreshToken),
+                lastUsedAt: new Date(),
+                ...(userAgent && { userAgent }),
+                ...(ipAddress && { ipAddress })
+            },
+            $push: { usedTokenHashes: tokenHash }
+        },
+        { new: true }
+    );
+
+    if (session) {
+        return { session, refreshToken: nextRefreshToken };
+    }
+
+    // A rotated-out token being replayed means the family is compromised
+    const compromisedSession = await this.findOne({ usedTokenHashes: tokenHash });
+    if (compromisedSession) {
+        await compromisedSession.revoke('token_reuse');
+        return { reuseDetected: true };
+    }
+
+    return {};
+};
+
+// Static method to revoke every active session of a user, optionally keeping one
+sessionSchema.statics.revokeAllForUser = function(userId, reason, { except } = {}) {
+    const query = { user: userId, revokedAt: null };
+    if (except) {
+        query._id = { $ne: except };
+    }
+
+    return this.updateMany(query, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+// Static method to list the sessions of a user that can still be used, newest first
+sessionSchema.statics.findActiveForUser = function(userId) {
+    return this.find({
+        user: userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+};
+
+// Instance method to revoke this session
+sessionSchema.methods.revoke = function(reason) {
+    if (this.revokedAt) {
+        return Promise.resolve(this);
+    }
+
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    return this.save();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+module.exports = Session;
@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { authenticator } = require('otplib');
+const config = require('../../config/env');
+
+// Accept codes from the previous and next 30 second step to allow for clock drift
+authenticator.options = { window: 1 };
+
+const ISSUER = config.auth.twoFactorIssuer;
+const CHALLENGE_EXPIRES_IN = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+// Generate a new base32 TOTP secret
+const generateSecret = () => authenticator.generateSecret(20);
+
+// Build the otpauth:// URI that authenticator apps read from a QR code
+const buildOtpauthUrl = (email, secret) => authenticator.keyuri(email, ISSUER, secret);
+
+// Verify a TOTP code. Returns the time step it belongs to, or null when invalid.
+// Codes from a step at or before lastUsedStep are rejected so a code cannot be replayed.
+const verifyCode = (secret, code, lastUsedStep = null) => {
+    const token = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(token)) return null;
+
+    const delta = authenticator.checkDelta(token, secret);
+    if (delta === null) return null;
+
+    const step = Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+    if (lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep) {
+        return null;
+    }
+    return step;
+};
+
+// Recovery codes are shown once and only stored as SHA-256 hashes
+const hashRecoveryCode = (code) => crypto
+    .createHash('sha256')
+    .update(String(code).trim().toLowerCase())
+    .digest('hex');
+
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString('hex');
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+});
+
+// Short-lived token proving the password step of a login succeeded
+const signChallengeToken = (user, { enrollment = false } = {}) => jwt.sign(
+    { id: user._id, purpose: enrollment ? '2fa_enrollment' : '2fa_challenge' },
+    config.jwt.secret,
+    { expiresIn: CHALLENGE_EXPIRES_IN }
+);
+
+// Verify a challenge token and return its payload, or null when invalid or expired
+const verifyChallengeToken = (token, purpose) => {
+    try {
+        const decoded = jwt.verify(token, config.jwt.secret);
+        return decoded.purpose === purpose ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    CHALLENGE_EXPIRES_IN,
+    generateSecret,
+    buildOtpauthUrl,
+    verifyCode,
+    hashRecoveryCode,
+    generateRecoveryCodes,
+    signChallengeToken,
+    verifyChallengeToken
+};
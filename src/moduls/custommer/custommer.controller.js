@@ -1,562 +1,535 @@
 const Customer = require('./custommer.model');
 const mongoose = require('mongoose');
+const webhooks = require('../../services/webhooks');
+const asyncHandler = require('../../utils/asyncHandler');
+const { sendSuccessResponse } = require('../../utils/response');
+const { BadRequestError, NotFoundError, ConflictError, PreconditionFailedError } = require('../../utils/errors');
+const { isCursorPagination, paginateWithCursor } = require('../../utils/pagination');
+const { setETag, checkIfMatch } = require('../../utils/concurrency');
 
-// Helper function for error responses
-const sendErrorResponse = (res, statusCode, message, details = null) => {
-    const response = {
-        success: false,
-        message
-    };
-    
-    if (details) {
-        response.details = details;
+// Create a new customer
+const createCustomer = asyncHandler(async (req, res) => {
+    const {
+        fullName,
+        email,
+        mobileNumber,
+        gender,
+        address,
+        city,
+        state,
+        pincode,
+        dateOfBirth,
+        membership,
+        notes
+    } = req.body;
+
+    // Check if customer already exists
+    const existingCustomer = await Customer.findOne({
+        $or: [
+            { email: email.toLowerCase() },
+            { mobileNumber: mobileNumber }
+        ]
+    });
+
+    if (existingCustomer) {
+        throw new ConflictError('Customer already exists with this email or mobile number');
     }
-    
-    return res.status(statusCode).json(response);
-};
 
-// Helper function for success responses
-const sendSuccessResponse = (res, statusCode, message, data = null) => {
-    const response = {
-        success: true,
-        message
-    };
+    // Create new customer
+    const customer = new Customer({
+        fullName,
+        email,
+        mobileNumber,
+        gender,
+        address,
+        city,
+        state,
+        pincode,
+        dateOfBirth,
+        membership: membership || 'Regular',
+        notes: notes || ''
+    });
+
+    const savedCustomer = await customer.save();
+
+    await webhooks.publish('customer.created', { customer: savedCustomer });
+
+    return sendSuccessResponse(res, 201, 'Customer created successfully', savedCustomer);
+});
+
+// Get all customers with pagination and filters
+const getAllCustomers = asyncHandler(async (req, res) => {
+    const {
+        page = 1,
+        limit = 10,
+        search = '',
+        sortBy = 'createdAt',
+        sortOrder = 'desc',
+        membership = '',
+        isActive,
+        city = '',
+        state = '',
+        after,
+        before
+    } = req.query;
+
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
+
+    // Build query object
+    const query = {};
     
-    if (data !== null) {
-        response.data = data;
+    if (search) {
+        query.$or = [
+            { fullName: { $regex: search, $options: 'i' } },
+            { email: { $regex: search, $options: 'i' } },
+            { mobileNumber: { $regex: search, $options: 'i' } }
+        ];
     }
     
-    return res.status(statusCode).json(response);
-};
+    if (membership) query.membership = membership;
+    if (isActive !== undefined) query.isActive = isActive;
+    if (city) query.city = { $regex: city, $options: 'i' };
+    if (state) query.state = { $regex: state, $options: 'i' };
+
+    // Generic filter, sort and fields parameters
+    const listQuery = Customer.parseListQuery(req.query);
+    if (listQuery.conditions.length > 0) query.$and = listQuery.conditions;
+
+    // Build sort object
+    const sort = listQuery.sort || { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+
+    if (isCursorPagination(req.query)) {
+        const { items: customers, pagination } = await paginateWithCursor(
+            Customer.find(query).select(listQuery.select).lean(),
+            { sort, limit: limitNum, after, before }
+        );
+        return sendSuccessResponse(res, 200, 'Customers retrieved successfully', { customers, pagination });
+    }
 
-// Create a new customer
-const createCustomer = async (req, res) => {
-    try {
-        const {
-            fullName,
-            email,
-            mobileNumber,
-            gender,
-            address,
-            city,
-            state,
-            pincode,
-            dateOfBirth,
-            membership,
-            notes
-        } = req.body;
-
-        // Check if customer already exists
-        const existingCustomer = await Customer.findOne({
-            $or: [
-                { email: email.toLowerCase() },
-                { mobileNumber: mobileNumber }
-            ]
-        });
+    // Get customers with pagination
+    const customers = await Customer.find(query)
+        .select(listQuery.select)
+        .sort(sort)
+        .skip(skip)
+        .limit(limitNum)
+        .lean();
+
+    // Get total count for pagination
+    const totalCustomers = await Customer.countDocuments(query);
+    const totalPages = Math.ceil(totalCustomers / limitNum);
 
-        if (existingCustomer) {
-            return sendErrorResponse(res, 409, 'Customer already exists with this email or mobile number');
+    const response = {
+        customers,
+        pagination: {
+            currentPage: pageNum,
+            totalPages,
+            totalCustomers,
+            hasNextPage: pageNum < totalPages,
+            hasPrevPage: pageNum > 1,
+            limit: limitNum
         }
+    };
 
-        // Create new customer
-        const customer = new Customer({
-            fullName,
-            email,
-            mobileNumber,
-            gender,
-            address,
-            city,
-            state,
-            pincode,
-            dateOfBirth,
-            membership: membership || 'Regular',
-            notes: notes || ''
-        });
+    return sendSuccessResponse(res, 200, 'Customers retrieved successfully', response);
+});
 
-        const savedCustomer = await customer.save();
-        
-        return sendSuccessResponse(res, 201, 'Customer created successfully', savedCustomer);
-    } catch (error) {
-        console.error('Create customer error:', error);
-        
-        if (error.name === 'ValidationError') {
-            const errors = Object.values(error.errors).map(err => err.message);
-            return sendErrorResponse(res, 400, 'Validation failed', errors);
-        }
-        
-        if (error.code === 11000) {
-            const field = Object.keys(error.keyValue)[0];
-            return sendErrorResponse(res, 409, `${field} already exists`);
-        }
-        
-        return sendErrorResponse(res, 500, 'Internal server error');
+// Get customer by ID
+const getCustomerById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid customer ID');
     }
-};
 
-// Get all customers with pagination and filters
-const getAllCustomers = async (req, res) => {
-    try {
-        const {
-            page = 1,
-            limit = 10,
-            search = '',
-            sortBy = 'createdAt',
-            sortOrder = 'desc',
-            membership = '',
-            isActive = '',
-            city = '',
-            state = ''
-        } = req.query;
-
-        const pageNum = parseInt(page);
-        const limitNum = parseInt(limit);
-        const skip = (pageNum - 1) * limitNum;
-
-        // Build query object
-        const query = {};
-        
-        if (search) {
-            query.$or = [
-                { fullName: { $regex: search, $options: 'i' } },
-                { email: { $regex: search, $options: 'i' } },
-                { mobileNumber: { $regex: search, $options: 'i' } }
-            ];
-        }
-        
-        if (membership) query.membership = membership;
-        if (isActive !== '') query.isActive = isActive === 'true';
-        if (city) query.city = { $regex: city, $options: 'i' };
-        if (state) query.state = { $regex: state, $options: 'i' };
-
-        // Build sort object
-        const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
-
-        // Get customers with pagination
-        const customers = await Customer.find(query)
-            .sort(sort)
-            .skip(skip)
-            .limit(limitNum)
-            .lean();
-
-        // Get total count for pagination
-        const totalCustomers = await Customer.countDocuments(query);
-        const totalPages = Math.ceil(totalCustomers / limitNum);
-
-        const response = {
-            customers,
-            pagination: {
-                currentPage: pageNum,
-                totalPages,
-                totalCustomers,
-                hasNextPage: pageNum < totalPages,
-                hasPrevPage: pageNum > 1,
-                limit: limitNum
-            }
-        };
+    const customer = await Customer.findById(id);
 
-        return sendSuccessResponse(res, 200, 'Customers retrieved successfully', response);
-    } catch (error) {
-        console.error('Get all customers error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    if (!customer) {
+        throw new NotFoundError('Customer not found');
     }
-};
-
-// Get customer by ID
-const getCustomerById = async (req, res) => {
-    try {
-        const { id } = req.params;
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid customer ID');
-        }
+    setETag(res, customer);
+    return sendSuccessResponse(res, 200, 'Customer retrieved successfully', customer);
+});
 
-        const customer = await Customer.findById(id);
+// Update customer
+const updateCustomer = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const updateData = req.body;
 
-        if (!customer) {
-            return sendErrorResponse(res, 404, 'Customer not found');
-        }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid customer ID');
+    }
 
-        return sendSuccessResponse(res, 200, 'Customer retrieved successfully', customer);
-    } catch (error) {
-        console.error('Get customer by ID error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    // Check if customer exists
+    const existingCustomer = await Customer.findById(id);
+    if (!existingCustomer) {
+        throw new NotFoundError('Customer not found');
     }
-};
 
-// Update customer
-const updateCustomer = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const updateData = req.body;
+    const version = checkIfMatch(req, existingCustomer);
+
+    // Check for duplicate email or mobile number (exclude current customer)
+    if (updateData.email || updateData.mobileNumber) {
+        const duplicateQuery = {
+            _id: { $ne: id },
+            $or: []
+        };
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid customer ID');
+        if (updateData.email) {
+            duplicateQuery.$or.push({ email: updateData.email.toLowerCase() });
+        }
+        if (updateData.mobileNumber) {
+            duplicateQuery.$or.push({ mobileNumber: updateData.mobileNumber });
         }
 
-        // Check if customer exists
-        const existingCustomer = await Customer.findById(id);
-        if (!existingCustomer) {
-            return sendErrorResponse(res, 404, 'Customer not found');
+        const duplicateCustomer = await Customer.findOne(duplicateQuery);
+        if (duplicateCustomer) {
+            throw new ConflictError('Another customer already exists with this email or mobile number');
         }
+    }
 
-        // Check for duplicate email or mobile number (exclude current customer)
-        if (updateData.email || updateData.mobileNumber) {
-            const duplicateQuery = {
-                _id: { $ne: id },
-                $or: []
-            };
+    // Update customer
+    const updatedCustomer = await Customer.findOneAndUpdate(
+        { _id: id, ...version },
+        { $set: updateData },
+        { 
+            new: true, 
+            runValidators: true 
+        }
+    );
 
-            if (updateData.email) {
-                duplicateQuery.$or.push({ email: updateData.email.toLowerCase() });
-            }
-            if (updateData.mobileNumber) {
-                duplicateQuery.$or.push({ mobileNumber: updateData.mobileNumber });
-            }
+    if (!updatedCustomer) {
+        throw new PreconditionFailedError();
+    }
 
-            const duplicateCustomer = await Customer.findOne(duplicateQuery);
-            if (duplicateCustomer) {
-                return sendErrorResponse(res, 409, 'Another customer already exists with this email or mobile number');
-            }
-        }
+    setETag(res, updatedCustomer);
+    return sendSuccessResponse(res, 200, 'Customer updated successfully', updatedCustomer);
+});
 
-        // Update customer
-        const updatedCustomer = await Customer.findByIdAndUpdate(
-            id,
-            { $set: updateData },
-            { 
-                new: true, 
-                runValidators: true 
-            }
-        );
+// Delete customer
+const deleteCustomer = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-        return sendSuccessResponse(res, 200, 'Customer updated successfully', updatedCustomer);
-    } catch (error) {
-        console.error('Update customer error:', error);
-        
-        if (error.name === 'ValidationError') {
-            const errors = Object.values(error.errors).map(err => err.message);
-            return sendErrorResponse(res, 400, 'Validation failed', errors);
-        }
-        
-        return sendErrorResponse(res, 500, 'Internal server error');
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid customer ID');
     }
-};
 
-// Delete customer
-const deleteCustomer = async (req, res) => {
-    try {
-        const { id } = req.params;
+    const customer = await Customer.findById(id);
+    if (!customer) {
+        throw new NotFoundError('Customer not found');
+    }
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid customer ID');
-        }
+    checkIfMatch(req, customer);
+    await customer.softDelete(req.user.id);
 
-        const customer = await Customer.findById(id);
-        if (!customer) {
-            return sendErrorResponse(res, 404, 'Customer not found');
-        }
+    return sendSuccessResponse(res, 200, 'Customer deleted successfully');
+});
+
+// Get customers in the trash, most recently deleted first
+const getDeletedCustomers = asyncHandler(async (req, res) => {
+    const { items: customers, pagination } = await Customer.findInTrash(req.query);
+    return sendSuccessResponse(res, 200, 'Deleted customers retrieved successfully', { customers, pagination });
+});
 
-        await Customer.findByIdAndDelete(id);
+// Restore a customer from the trash
+const restoreCustomer = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-        return sendSuccessResponse(res, 200, 'Customer deleted successfully');
-    } catch (error) {
-        console.error('Delete customer error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid customer ID');
     }
-};
 
-// Soft delete customer (deactivate)
-const deactivateCustomer = async (req, res) => {
-    try {
-        const { id } = req.params;
+    const customer = await Customer.findById(id).onlyDeleted();
+    if (!customer) {
+        throw new NotFoundError('Customer not found in trash');
+    }
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid customer ID');
-        }
+    checkIfMatch(req, customer);
+    await customer.restore();
 
-        const customer = await Customer.findByIdAndUpdate(
-            id,
-            { $set: { isActive: false } },
-            { new: true }
-        );
+    setETag(res, customer);
+    return sendSuccessResponse(res, 200, 'Customer restored successfully', customer);
+});
 
-        if (!customer) {
-            return sendErrorResponse(res, 404, 'Customer not found');
-        }
+// Permanently delete a customer from the trash
+const permanentDeleteCustomer = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-        return sendSuccessResponse(res, 200, 'Customer deactivated successfully', customer);
-    } catch (error) {
-        console.error('Deactivate customer error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid customer ID');
     }
-};
 
-// Activate customer
-const activateCustomer = async (req, res) => {
-    try {
-        const { id } = req.params;
+    const customer = await Customer.findById(id).onlyDeleted();
+    if (!customer) {
+        throw new NotFoundError('Customer not found in trash');
+    }
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid customer ID');
-        }
+    checkIfMatch(req, customer);
+    if (!await customer.purge()) {
+        throw new NotFoundError('Customer not found in trash');
+    }
 
-        const customer = await Customer.findByIdAndUpdate(
-            id,
-            { $set: { isActive: true } },
-            { new: true }
-        );
+    return sendSuccessResponse(res, 200, 'Customer permanently deleted successfully');
+});
 
-        if (!customer) {
-            return sendErrorResponse(res, 404, 'Customer not found');
-        }
+// Soft delete customer (deactivate)
+const deactivateCustomer = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-        return sendSuccessResponse(res, 200, 'Customer activated successfully', customer);
-    } catch (error) {
-        console.error('Activate customer error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid customer ID');
     }
-};
 
-// Search customers with advanced filters
-const searchCustomers = async (req, res) => {
-    try {
-        const {
-            q = '',
-            page = 1,
-            limit = 10,
-            sortBy = 'createdAt',
-            sortOrder = 'desc',
-            membership = null,
-            isActive = null,
-            city = null,
-            state = null,
-            ageMin = null,
-            ageMax = null
-        } = req.query;
-
-        const options = {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            sortBy,
-            sortOrder,
-            membership,
-            isActive: isActive !== null ? isActive === 'true' : null,
-            city,
-            state
-        };
+    const existingCustomer = await Customer.findById(id);
+    if (!existingCustomer) {
+        throw new NotFoundError('Customer not found');
+    }
 
-        let customers = await Customer.searchCustomers(q, options);
+    const customer = await Customer.findOneAndUpdate(
+        { _id: id, ...checkIfMatch(req, existingCustomer) },
+        { $set: { isActive: false } },
+        { new: true }
+    );
 
-        // Filter by age if specified
-        if (ageMin !== null || ageMax !== null) {
-            customers = customers.filter(customer => {
-                const age = customer.age;
-                if (ageMin !== null && age < parseInt(ageMin)) return false;
-                if (ageMax !== null && age > parseInt(ageMax)) return false;
-                return true;
-            });
-        }
+    if (!customer) {
+        throw new PreconditionFailedError();
+    }
 
-        // Get total count for pagination
-        const totalQuery = {};
-        if (q) {
-            totalQuery.$or = [
-                { fullName: { $regex: q, $options: 'i' } },
-                { email: { $regex: q, $options: 'i' } },
-                { mobileNumber: { $regex: q, $options: 'i' } }
-            ];
-        }
-        if (membership) totalQuery.membership = membership;
-        if (isActive !== null) totalQuery.isActive = isActive === 'true';
-        if (city) totalQuery.city = { $regex: city, $options: 'i' };
-        if (state) totalQuery.state = { $regex: state, $options: 'i' };
-
-        const totalCustomers = await Customer.countDocuments(totalQuery);
-        const totalPages = Math.ceil(totalCustomers / options.limit);
-
-        const response = {
-            customers,
-            pagination: {
-                currentPage: options.page,
-                totalPages,
-                totalCustomers,
-                hasNextPage: options.page < totalPages,
-                hasPrevPage: options.page > 1,
-                limit: options.limit
-            },
-            filters: {
-                searchTerm: q,
-                membership,
-                isActive,
-                city,
-                state,
-                ageMin,
-                ageMax
-            }
-        };
+    setETag(res, customer);
+    return sendSuccessResponse(res, 200, 'Customer deactivated successfully', customer);
+});
+
+// Activate customer
+const activateCustomer = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-        return sendSuccessResponse(res, 200, 'Search completed successfully', response);
-    } catch (error) {
-        console.error('Search customers error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid customer ID');
     }
-};
 
-// Get customer statistics
-const getCustomerStats = async (req, res) => {
-    try {
-        const totalCustomers = await Customer.countDocuments();
-        const activeCustomers = await Customer.countDocuments({ isActive: true });
-        const inactiveCustomers = await Customer.countDocuments({ isActive: false });
-
-        // Membership distribution
-        const membershipStats = await Customer.aggregate([
-            {
-                $group: {
-                    _id: '$membership',
-                    count: { $sum: 1 }
-                }
-            }
-        ]);
-
-        // Gender distribution
-        const genderStats = await Customer.aggregate([
-            {
-                $group: {
-                    _id: '$gender',
-                    count: { $sum: 1 }
-                }
-            }
-        ]);
-
-        // City-wise distribution (top 10)
-        const cityStats = await Customer.aggregate([
-            {
-                $group: {
-                    _id: '$city',
-                    count: { $sum: 1 }
-                }
-            },
-            { $sort: { count: -1 } },
-            { $limit: 10 }
-        ]);
-
-        // Recent customers (last 30 days)
-        const thirtyDaysAgo = new Date();
-        thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-        const recentCustomers = await Customer.countDocuments({
-            createdAt: { $gte: thirtyDaysAgo }
-        });
+    const existingCustomer = await Customer.findById(id);
+    if (!existingCustomer) {
+        throw new NotFoundError('Customer not found');
+    }
 
-        const stats = {
-            total: totalCustomers,
-            active: activeCustomers,
-            inactive: inactiveCustomers,
-            recent: recentCustomers,
-            membershipDistribution: membershipStats,
-            genderDistribution: genderStats,
-            topCities: cityStats
-        };
+    const customer = await Customer.findOneAndUpdate(
+        { _id: id, ...checkIfMatch(req, existingCustomer) },
+        { $set: { isActive: true } },
+        { new: true }
+    );
 
-        return sendSuccessResponse(res, 200, 'Customer statistics retrieved successfully', stats);
-    } catch (error) {
-        console.error('Get customer stats error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    if (!customer) {
+        throw new PreconditionFailedError();
     }
-};
 
-// Get all unique cities
-const getAllCities = async (req, res) => {
-    try {
-        const cities = await Customer.distinct('city');
-        return sendSuccessResponse(res, 200, 'Cities retrieved successfully', cities.filter(city => city));
-    } catch (error) {
-        console.error('Get cities error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
-    }
-};
+    setETag(res, customer);
+    return sendSuccessResponse(res, 200, 'Customer activated successfully', customer);
+});
 
-// Get all unique states
-const getAllStates = async (req, res) => {
-    try {
-        const states = await Customer.distinct('state');
-        return sendSuccessResponse(res, 200, 'States retrieved successfully', states.filter(state => state));
-    } catch (error) {
-        console.error('Get states error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+// Search customers with advanced filters
+const searchCustomers = asyncHandler(async (req, res) => {
+    const {
+        q = '',
+        page = 1,
+        limit = 10,
+        sortBy = 'createdAt',
+        sortOrder = 'desc',
+        membership = null,
+        isActive = null,
+        city = null,
+        state = null,
+        ageMin = null,
+        ageMax = null,
+        pagination = null,
+        after = null,
+        before = null
+    } = req.query;
+
+    const options = {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        sortBy,
+        sortOrder,
+        membership,
+        isActive,
+        city,
+        state,
+        pagination,
+        after,
+        before
+    };
+
+    const filters = {
+        searchTerm: q,
+        membership,
+        isActive,
+        city,
+        state,
+        ageMin,
+        ageMax
+    };
+
+    // Filter by age if specified
+    const filterByAge = (list) => {
+        if (ageMin === null && ageMax === null) return list;
+        return list.filter(customer => {
+            const age = customer.age;
+            if (ageMin !== null && age < parseInt(ageMin)) return false;
+            if (ageMax !== null && age > parseInt(ageMax)) return false;
+            return true;
+        });
+    };
+
+    if (isCursorPagination(options)) {
+        const result = await Customer.searchCustomers(q, options);
+        return sendSuccessResponse(res, 200, 'Search completed successfully', {
+            customers: filterByAge(result.items),
+            pagination: result.pagination,
+            filters
+        });
     }
-};
 
-// Get membership types
-const getMembershipTypes = async (req, res) => {
-    try {
-        const membershipTypes = ['Regular', 'Premium', 'VIP', 'Gold', 'Silver', 'Bronze', 'Platinum'];
-        return sendSuccessResponse(res, 200, 'Membership types retrieved successfully', membershipTypes);
-    } catch (error) {
-        console.error('Get membership types error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    const customers = filterByAge(await Customer.searchCustomers(q, options));
+
+    // Get total count for pagination
+    const totalQuery = {};
+    if (q) {
+        totalQuery.$or = [
+            { fullName: { $regex: q, $options: 'i' } },
+            { email: { $regex: q, $options: 'i' } },
+            { mobileNumber: { $regex: q, $options: 'i' } }
+        ];
     }
-};
+    if (membership) totalQuery.membership = membership;
+    if (isActive !== null) totalQuery.isActive = isActive;
+    if (city) totalQuery.city = { $regex: city, $options: 'i' };
+    if (state) totalQuery.state = { $regex: state, $options: 'i' };
 
-// Bulk delete customers
-const bulkDeleteCustomers = async (req, res) => {
-    try {
-        const { ids } = req.body;
+    const totalCustomers = await Customer.countDocuments(totalQuery);
+    const totalPages = Math.ceil(totalCustomers / options.limit);
 
-        if (!ids || !Array.isArray(ids) || ids.length === 0) {
-            return sendErrorResponse(res, 400, 'Please provide an array of customer IDs');
-        }
+    const response = {
+        customers,
+        pagination: {
+            currentPage: options.page,
+            totalPages,
+            totalCustomers,
+            hasNextPage: options.page < totalPages,
+            hasPrevPage: options.page > 1,
+            limit: options.limit
+        },
+        filters
+    };
 
-        // Validate all IDs
-        const invalidIds = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
-        if (invalidIds.length > 0) {
-            return sendErrorResponse(res, 400, 'Invalid customer IDs provided');
+    return sendSuccessResponse(res, 200, 'Search completed successfully', response);
+});
+
+// Get customer statistics
+const getCustomerStats = asyncHandler(async (req, res) => {
+    const totalCustomers = await Customer.countDocuments();
+    const activeCustomers = await Customer.countDocuments({ isActive: true });
+    const inactiveCustomers = await Customer.countDocuments({ isActive: false });
+
+    // Membership distribution
+    const membershipStats = await Customer.aggregate([
+        {
+            $group: {
+                _id: '$membership',
+                count: { $sum: 1 }
+            }
+        }
+    ]);
+
+    // Gender distribution
+    const genderStats = await Customer.aggregate([
+        {
+            $group: {
+                _id: '$gender',
+                count: { $sum: 1 }
+            }
         }
+    ]);
+
+    // City-wise distribution (top 10)
+    const cityStats = await Customer.aggregate([
+        {
+            $group: {
+                _id: '$city',
+                count: { $sum: 1 }
+            }
+        },
+        { $sort: { count: -1 } },
+        { $limit: 10 }
+    ]);
+
+    // Recent customers (last 30 days)
+    const thirtyDaysAgo = new Date();
+    thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+    const recentCustomers = await Customer.countDocuments({
+        createdAt: { $gte: thirtyDaysAgo }
+    });
+
+    const stats = {
+        total: totalCustomers,
+        active: activeCustomers,
+        inactive: inactiveCustomers,
+        recent: recentCustomers,
+        membershipDistribution: membershipStats,
+        genderDistribution: genderStats,
+        topCities: cityStats
+    };
 
-        const result = await Customer.deleteMany({ _id: { $in: ids } });
+    return sendSuccessResponse(res, 200, 'Customer statistics retrieved successfully', stats);
+});
 
-        return sendSuccessResponse(res, 200, `${result.deletedCount} customers deleted successfully`, { deletedCount: result.deletedCount });
-    } catch (error) {
-        console.error('Bulk delete customers error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
-    }
-};
+// Get all unique cities
+const getAllCities = asyncHandler(async (req, res) => {
+    const cities = await Customer.distinct('city');
+    return sendSuccessResponse(res, 200, 'Cities retrieved successfully', cities.filter(city => city));
+});
 
-// Bulk update membership
-const bulkUpdateMembership = async (req, res) => {
-    try {
-        const { ids, membership } = req.body;
+// Get all unique states
+const getAllStates = asyncHandler(async (req, res) => {
+    const states = await Customer.distinct('state');
+    return sendSuccessResponse(res, 200, 'States retrieved successfully', states.filter(state => state));
+});
 
-        if (!ids || !Array.isArray(ids) || ids.length === 0) {
-            return sendErrorResponse(res, 400, 'Please provide an array of customer IDs');
-        }
+// Get membership types
+const getMembershipTypes = asyncHandler(async (req, res) => {
+    const membershipTypes = ['Regular', 'Premium', 'VIP', 'Gold', 'Silver', 'Bronze', 'Platinum'];
+    return sendSuccessResponse(res, 200, 'Membership types retrieved successfully', membershipTypes);
+});
 
-        if (!membership) {
-            return sendErrorResponse(res, 400, 'Please provide membership type');
-        }
+// Bulk delete customers (moves them to the trash)
+const bulkDeleteCustomers = asyncHandler(async (req, res) => {
+    const { ids } = req.body;
 
-        const validMemberships = ['Regular', 'Premium', 'VIP', 'Gold', 'Silver', 'Bronze', 'Platinum'];
-        if (!validMemberships.includes(membership)) {
-            return sendErrorResponse(res, 400, 'Invalid membership type');
-        }
+    const result = await Customer.updateMany(
+        { _id: { $in: ids } },
+        { $set: { deletedAt: new Date(), deletedBy: req.user.id } }
+    );
 
-        // Validate all IDs
-        const invalidIds = ids.filter(id => !mongoose.Types.ObjectId.isValid(id));
-        if (invalidIds.length > 0) {
-            return sendErrorResponse(res, 400, 'Invalid customer IDs provided');
-        }
+    return sendSuccessResponse(res, 200, `${result.modifiedCount} customers deleted successfully`, { deletedCount: result.modifiedCount });
+});
 
-        const result = await Customer.updateMany(
-            { _id: { $in: ids } },
-            { $set: { membership: membership } }
-        );
+// Bulk update membership
+const bulkUpdateMembership = asyncHandler(async (req, res) => {
+    const { ids, membership } = req.body;
 
-        return sendSuccessResponse(res, 200, `${result.modifiedCount} customers updated successfully`, { modifiedCount: result.modifiedCount });
-    } catch (error) {
-        console.error('Bulk update membership error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    const validMemberships = ['Regular', 'Premium', 'VIP', 'Gold', 'Silver', 'Bronze', 'Platinum'];
+    if (!validMemberships.includes(membership)) {
+        throw new BadRequestError('Invalid membership type');
     }
-};
+
+    const result = await Customer.updateMany(
+        { _id: { $in: ids } },
+        { $set: { membership: membership } }
+    );
+
+    return sendSuccessResponse(res, 200, `${result.modifiedCount} customers updated successfully`, { modifiedCount: result.modifiedCount });
+});
 
 module.exports = {
     createCustomer,
@@ -564,6 +537,9 @@ module.exports = {
     getCustomerById,
     updateCustomer,
     deleteCustomer,
+    getDeletedCustomers,
+    restoreCustomer,
+    permanentDeleteCustomer,
     deactivateCustomer,
     activateCustomer,
     searchCustomers,
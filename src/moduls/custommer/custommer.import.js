@@ -0,0 +1,36 @@
+const Customer = require('./custommer.model');
+const validation = require('./custommer.validation');
+const webhooks = require('../../services/webhooks');
+
+// Customers can be imported from CSV or XLSX, see services/imports
+module.exports = {
+    name: 'customers',
+    label: 'customer',
+    Model: Customer,
+    key: 'email',
+    // Checked like the create endpoint does: no two customers share a mobile number
+    unique: ['mobileNumber'],
+    schemas: {
+        create: validation.createCustomer.body,
+        update: validation.updateCustomer.body
+    },
+    columns: [
+        'email', 'fullName', 'mobileNumber', 'gender', 'dateOfBirth', 'address', 'city', 'state',
+        'pincode', 'membership', 'notes'
+    ],
+    aliases: {
+        name: 'fullName',
+        customer: 'fullName',
+        phone: 'mobileNumber',
+        mobile: 'mobileNumber',
+        dob: 'dateOfBirth'
+    },
+
+    normalize: (data) => ({
+        ...data,
+        ...(data.email !== undefined && { email: data.email.toLowerCase() })
+    }),
+
+    // Imported customers are announced to webhooks like ones created through the API
+    afterCreate: (customer) => webhooks.publish('customer.created', { customer })
+};
@@ -1,4 +1,9 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../audit/audit.plugin');
+const listQueryPlugin = require('../../utils/listQuery');
+const softDeletePlugin = require('../../utils/softDelete');
+const { concurrencyPlugin } = require('../../utils/concurrency');
+const { isCursorPagination, paginateWithCursor } = require('../../utils/pagination');
 
 const customerSchema = new mongoose.Schema({
     fullName: {
@@ -138,8 +143,7 @@ const customerSchema = new mongoose.Schema({
         min: 0
     }
 }, {
-    timestamps: true,
-    versionKey: false
+    timestamps: true
 });
 
 // Indexes for better performance
@@ -184,7 +188,8 @@ customerSchema.pre('save', function(next) {
     next();
 });
 
-// Static method to search customers
+// Static method to search customers. With after/before or pagination: 'cursor' in
+// the options it resolves to { items, pagination } instead of a plain list.
 customerSchema.statics.searchCustomers = function(searchTerm, options = {}) {
     const {
         page = 1,
@@ -194,7 +199,9 @@ customerSchema.statics.searchCustomers = function(searchTerm, options = {}) {
         membership = null,
         isActive = null,
         city = null,
-        state = null
+        state = null,
+        after = null,
+        before = null
     } = options;
 
     const query = {};
@@ -215,6 +222,10 @@ customerSchema.statics.searchCustomers = function(searchTerm, options = {}) {
     const skip = (page - 1) * limit;
     const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
 
+    if (isCursorPagination(options)) {
+        return paginateWithCursor(this.find(query).lean(), { sort, limit, after, before });
+    }
+
     return this.find(query)
         .sort(sort)
         .skip(skip)
@@ -233,6 +244,26 @@ customerSchema.methods.toJSON = function() {
     return customer;
 };
 
+// Deleted records go to the trash (see utils/softDelete)
+customerSchema.plugin(softDeletePlugin);
+
+// Record changes in the audit log
+customerSchema.plugin(auditPlugin);
+
+// Version every change for ETags and If-Match (see utils/concurrency)
+customerSchema.plugin(concurrencyPlugin);
+
+// Fields clients can filter, sort and select on in list endpoints (see utils/listQuery)
+customerSchema.plugin(listQueryPlugin, {
+    filter: ['email', 'mobileNumber', 'city', 'state', 'membership', 'isActive'],
+    sort: ['fullName', 'email', 'createdAt', 'updatedAt', 'membership'],
+    select: [
+        'fullName', 'email', 'mobileNumber', 'gender', 'address', 'city', 'state', 'pincode',
+        'dateOfBirth', 'membership', 'notes', 'isActive', 'lastVisit', 'totalPurchases',
+        'totalSpent', 'createdAt', 'updatedAt'
+    ]
+});
+
 const Customer = mongoose.model('Customer', customerSchema);
 
 module.exports = Customer;
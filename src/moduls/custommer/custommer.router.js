@@ -6,6 +6,9 @@ const {
     getCustomerById,
     updateCustomer,
     deleteCustomer,
+    getDeletedCustomers,
+    restoreCustomer,
+    permanentDeleteCustomer,
     deactivateCustomer,
     activateCustomer,
     searchCustomers,
@@ -17,6 +20,10 @@ const {
     bulkUpdateMembership
 } = require('./custommer.controller');
 const auth = require('../../middleware/auth.middleware');
+const requirePermission = require('../../middleware/permission.middleware');
+const validate = require('../../middleware/validate.middleware');
+const idempotency = require('../../middleware/idempotency.middleware');
+const validation = require('./custommer.validation');
 
 /**
  * @swagger
@@ -131,134 +138,6 @@ const auth = require('../../middleware/auth.middleware');
  *           description: Last update timestamp
  *           example: "2024-01-15T10:30:00.000Z"
  *     
- *     CustomerCreateRequest:
- *       type: object
- *       required:
- *         - fullName
- *         - email
- *         - mobileNumber
- *         - gender
- *         - address
- *         - city
- *         - state
- *         - pincode
- *         - dateOfBirth
- *       properties:
- *         fullName:
- *           type: string
- *           minLength: 2
- *           maxLength: 100
- *           description: Customer's full name
- *           example: "John Doe"
- *         email:
- *           type: string
- *           format: email
- *           description: Customer's email address
- *           example: "john.doe@example.com"
- *         mobileNumber:
- *           type: string
- *           description: Customer's mobile number
- *           example: "9876543210"
- *         gender:
- *           type: string
- *           enum: [Male, Female, Other]
- *           description: Customer's gender
- *           example: "Male"
- *         address:
- *           type: string
- *           maxLength: 500
- *           description: Customer's address
- *           example: "123 Main Street, Apartment 4B"
- *         city:
- *           type: string
- *           maxLength: 100
- *           description: Customer's city
- *           example: "Mumbai"
- *         state:
- *           type: string
- *           maxLength: 100
- *           description: Customer's state
- *           example: "Maharashtra"
- *         pincode:
- *           type: string
- *           pattern: '^[0-9]{6}$'
- *           description: Customer's pincode
- *           example: "400001"
- *         dateOfBirth:
- *           type: string
- *           format: date
- *           description: Customer's date of birth
- *           example: "1990-05-15"
- *         membership:
- *           type: string
- *           enum: [Regular, Premium, VIP, Gold, Silver]
- *           description: Customer's membership type
- *           example: "Regular"
- *         notes:
- *           type: string
- *           maxLength: 1000
- *           description: Additional notes about the customer
- *           example: "Prefers evening delivery"
- *     
- *     CustomerUpdateRequest:
- *       type: object
- *       properties:
- *         fullName:
- *           type: string
- *           minLength: 2
- *           maxLength: 100
- *           description: Customer's full name
- *           example: "John Smith"
- *         email:
- *           type: string
- *           format: email
- *           description: Customer's email address
- *           example: "john.smith@example.com"
- *         mobileNumber:
- *           type: string
- *           description: Customer's mobile number
- *           example: "9876543211"
- *         gender:
- *           type: string
- *           enum: [Male, Female, Other]
- *           description: Customer's gender
- *           example: "Male"
- *         address:
- *           type: string
- *           maxLength: 500
- *           description: Customer's address
- *           example: "456 New Street, Apartment 2A"
- *         city:
- *           type: string
- *           maxLength: 100
- *           description: Customer's city
- *           example: "Delhi"
- *         state:
- *           type: string
- *           maxLength: 100
- *           description: Customer's state
- *           example: "Delhi"
- *         pincode:
- *           type: string
- *           pattern: '^[0-9]{6}$'
- *           description: Customer's pincode
- *           example: "110001"
- *         dateOfBirth:
- *           type: string
- *           format: date
- *           description: Customer's date of birth
- *           example: "1990-05-15"
- *         membership:
- *           type: string
- *           enum: [Regular, Premium, VIP, Gold, Silver]
- *           description: Customer's membership type
- *           example: "Premium"
- *         notes:
- *           type: string
- *           maxLength: 1000
- *           description: Additional notes about the customer
- *           example: "Updated delivery preferences"
- * 
  *     CustomerStats:
  *       type: object
  *       properties:
@@ -328,12 +207,6 @@ const auth = require('../../middleware/auth.middleware');
  *     tags: [Customers]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/CustomerCreateRequest'
  *     responses:
  *       201:
  *         description: Customer created successfully
@@ -369,7 +242,7 @@ const auth = require('../../middleware/auth.middleware');
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/', auth, createCustomer);
+router.post('/', auth, requirePermission('customers:write'), validate(validation.createCustomer), idempotency, createCustomer);
 
 /**
  * @swagger
@@ -383,7 +256,7 @@ router.post('/', auth, createCustomer);
  *       200:
  *         description: Cities retrieved successfully
  */
-router.get('/dropdown/cities', auth, getAllCities);
+router.get('/dropdown/cities', auth, requirePermission('customers:read'), getAllCities);
 
 /**
  * @swagger
@@ -397,7 +270,7 @@ router.get('/dropdown/cities', auth, getAllCities);
  *       200:
  *         description: States retrieved successfully
  */
-router.get('/dropdown/states', auth, getAllStates);
+router.get('/dropdown/states', auth, requirePermission('customers:read'), getAllStates);
 
 /**
  * @swagger
@@ -411,7 +284,7 @@ router.get('/dropdown/states', auth, getAllStates);
  *       200:
  *         description: Membership types retrieved successfully
  */
-router.get('/dropdown/memberships', auth, getMembershipTypes);
+router.get('/dropdown/memberships', auth, requirePermission('customers:read'), getMembershipTypes);
 
 /**
  * @swagger
@@ -421,24 +294,11 @@ router.get('/dropdown/memberships', auth, getMembershipTypes);
  *     tags: [Customers]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - ids
- *             properties:
- *               ids:
- *                 type: array
- *                 items:
- *                   type: string
  *     responses:
  *       200:
  *         description: Customers deleted successfully
  */
-router.post('/bulk/delete', auth, bulkDeleteCustomers);
+router.post('/bulk/delete', auth, requirePermission('customers:delete'), validate(validation.bulkDeleteCustomers), bulkDeleteCustomers);
 
 /**
  * @swagger
@@ -448,28 +308,11 @@ router.post('/bulk/delete', auth, bulkDeleteCustomers);
  *     tags: [Customers]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - ids
- *               - membership
- *             properties:
- *               ids:
- *                 type: array
- *                 items:
- *                   type: string
- *               membership:
- *                 type: string
- *                 enum: [Regular, Premium, VIP, Gold, Silver, Bronze, Platinum]
  *     responses:
  *       200:
  *         description: Customers updated successfully
  */
-router.post('/bulk/update-membership', auth, bulkUpdateMembership);
+router.post('/bulk/update-membership', auth, requirePermission('customers:write'), validate(validation.bulkUpdateMembership), bulkUpdateMembership);
 
 /**
  * @swagger
@@ -479,62 +322,6 @@ router.post('/bulk/update-membership', auth, bulkUpdateMembership);
  *     tags: [Customers]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number for pagination
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *           default: 10
- *         description: Number of customers per page
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Search term for name, email, or mobile number
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *           enum: [fullName, email, createdAt, updatedAt, membership]
- *           default: createdAt
- *         description: Field to sort by
- *       - in: query
- *         name: sortOrder
- *         schema:
- *           type: string
- *           enum: [asc, desc]
- *           default: desc
- *         description: Sort order
- *       - in: query
- *         name: membership
- *         schema:
- *           type: string
- *           enum: [Regular, Premium, VIP, Gold, Silver]
- *         description: Filter by membership type
- *       - in: query
- *         name: isActive
- *         schema:
- *           type: boolean
- *         description: Filter by active status
- *       - in: query
- *         name: city
- *         schema:
- *           type: string
- *         description: Filter by city
- *       - in: query
- *         name: state
- *         schema:
- *           type: string
- *         description: Filter by state
  *     responses:
  *       200:
  *         description: Customers retrieved successfully
@@ -584,7 +371,7 @@ router.post('/bulk/update-membership', auth, bulkUpdateMembership);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/', auth, getAllCustomers);
+router.get('/', auth, requirePermission('customers:read'), validate(validation.getAllCustomers), getAllCustomers);
 
 /**
  * @swagger
@@ -594,74 +381,6 @@ router.get('/', auth, getAllCustomers);
  *     tags: [Customers]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: q
- *         schema:
- *           type: string
- *         description: Search query for name, email, or mobile number
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number for pagination
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *           default: 10
- *         description: Number of customers per page
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *           enum: [fullName, email, createdAt, updatedAt, membership]
- *           default: createdAt
- *         description: Field to sort by
- *       - in: query
- *         name: sortOrder
- *         schema:
- *           type: string
- *           enum: [asc, desc]
- *           default: desc
- *         description: Sort order
- *       - in: query
- *         name: membership
- *         schema:
- *           type: string
- *           enum: [Regular, Premium, VIP, Gold, Silver]
- *         description: Filter by membership type
- *       - in: query
- *         name: isActive
- *         schema:
- *           type: boolean
- *         description: Filter by active status
- *       - in: query
- *         name: city
- *         schema:
- *           type: string
- *         description: Filter by city
- *       - in: query
- *         name: state
- *         schema:
- *           type: string
- *         description: Filter by state
- *       - in: query
- *         name: ageMin
- *         schema:
- *           type: integer
- *           minimum: 0
- *         description: Minimum age filter
- *       - in: query
- *         name: ageMax
- *         schema:
- *           type: integer
- *           maximum: 150
- *         description: Maximum age filter
  *     responses:
  *       200:
  *         description: Search completed successfully
@@ -735,7 +454,7 @@ router.get('/', auth, getAllCustomers);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/search', auth, searchCustomers);
+router.get('/search', auth, requirePermission('customers:read'), validate(validation.searchCustomers), searchCustomers);
 
 /**
  * @swagger
@@ -768,7 +487,21 @@ router.get('/search', auth, searchCustomers);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/stats', auth, getCustomerStats);
+router.get('/stats', auth, requirePermission('customers:read'), getCustomerStats);
+
+/**
+ * @swagger
+ * /api/customers/trash:
+ *   get:
+ *     summary: List deleted customers
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deleted customers retrieved successfully
+ */
+router.get('/trash', auth, requirePermission('customers:read'), validate(validation.getDeletedCustomers), getDeletedCustomers);
 
 /**
  * @swagger
@@ -778,16 +511,12 @@ router.get('/stats', auth, getCustomerStats);
  *     tags: [Customers]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Customer ID
  *     responses:
  *       200:
  *         description: Customer retrieved successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -820,7 +549,7 @@ router.get('/stats', auth, getCustomerStats);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/:id', auth, getCustomerById);
+router.get('/:id', auth, requirePermission('customers:read'), validate(validation.getCustomerById), getCustomerById);
 
 /**
  * @swagger
@@ -831,18 +560,7 @@ router.get('/:id', auth, getCustomerById);
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Customer ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/CustomerUpdateRequest'
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Customer updated successfully
@@ -877,6 +595,8 @@ router.get('/:id', auth, getCustomerById);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  *         content:
@@ -884,23 +604,18 @@ router.get('/:id', auth, getCustomerById);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.put('/:id', auth, updateCustomer);
+router.put('/:id', auth, requirePermission('customers:write'), validate(validation.updateCustomer), updateCustomer);
 
 /**
  * @swagger
  * /api/customers/{id}:
  *   delete:
- *     summary: Delete customer permanently
+ *     summary: Delete customer (moves it to the trash)
  *     tags: [Customers]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Customer ID
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Customer deleted successfully
@@ -927,6 +642,8 @@ router.put('/:id', auth, updateCustomer);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  *         content:
@@ -934,23 +651,61 @@ router.put('/:id', auth, updateCustomer);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete('/:id', auth, deleteCustomer);
+router.delete('/:id', auth, requirePermission('customers:delete'), validate(validation.deleteCustomer), deleteCustomer);
+
+/**
+ * @swagger
+ * /api/customers/{id}/restore:
+ *   patch:
+ *     summary: Restore a deleted customer
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Customer restored successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *       404:
+ *         description: Customer not found in trash
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.patch('/:id/restore', auth, requirePermission('customers:write'), validate(validation.restoreCustomer), restoreCustomer);
+
+/**
+ * @swagger
+ * /api/customers/{id}/permanent:
+ *   delete:
+ *     summary: Permanently delete a customer from the trash
+ *     tags: [Customers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Customer permanently deleted successfully
+ *       404:
+ *         description: Customer not found in trash
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.delete('/:id/permanent', auth, requirePermission('customers:delete'), validate(validation.permanentDeleteCustomer), permanentDeleteCustomer);
 
 /**
  * @swagger
  * /api/customers/{id}/deactivate:
  *   patch:
- *     summary: Deactivate customer (soft delete)
+ *     summary: Deactivate customer
  *     tags: [Customers]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Customer ID
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Customer deactivated successfully
@@ -979,6 +734,8 @@ router.delete('/:id', auth, deleteCustomer);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  *         content:
@@ -986,7 +743,7 @@ router.delete('/:id', auth, deleteCustomer);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.patch('/:id/deactivate', auth, deactivateCustomer);
+router.patch('/:id/deactivate', auth, requirePermission('customers:write'), validate(validation.deactivateCustomer), deactivateCustomer);
 
 /**
  * @swagger
@@ -997,12 +754,7 @@ router.patch('/:id/deactivate', auth, deactivateCustomer);
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Customer ID
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Customer activated successfully
@@ -1031,6 +783,8 @@ router.patch('/:id/deactivate', auth, deactivateCustomer);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  *         content:
@@ -1038,6 +792,6 @@ router.patch('/:id/deactivate', auth, deactivateCustomer);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.patch('/:id/activate', auth, activateCustomer);
+router.patch('/:id/activate', auth, requirePermission('customers:write'), validate(validation.activateCustomer), activateCustomer);
 
 module.exports = router;
@@ -0,0 +1,37 @@
+const Customer = require('./custommer.model');
+const { person, place } = require('../../seed/people');
+
+const seedCustomers = async ({ random, count }) => {
+    const customers = [];
+
+    for (let index = 0; index < count(25); index++) {
+        const { gender, fullName, email, mobileNumber } = person(random, index, 'example.com');
+        const address = place(random);
+        const totalPurchases = random.weighted({ none: 1, some: 4 }) === 'none' ? 0 : random.int(1, 40);
+
+        customers.push(await Customer.create({
+            fullName,
+            email,
+            mobileNumber,
+            gender,
+            address: address.street,
+            city: address.city,
+            state: address.state,
+            pincode: address.pincode,
+            dateOfBirth: random.daysFromNow(-65 * 365, -18 * 365),
+            membership: random.weighted({ Regular: 10, Silver: 4, Gold: 3, Premium: 2, Platinum: 1, VIP: 1 }),
+            isActive: random.bool(0.95),
+            lastVisit: totalPurchases > 0 ? random.daysFromNow(-120, 0) : null,
+            totalPurchases,
+            totalSpent: totalPurchases * random.int(300, 5000)
+        }));
+    }
+
+    return customers;
+};
+
+module.exports = {
+    name: 'customers',
+    Model: Customer,
+    seed: seedCustomers
+};
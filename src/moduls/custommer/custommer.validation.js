@@ -0,0 +1,140 @@
+const { objectId, idParams, paginationQuery, sortQuery, listQuery, dateTime } = require('../../middleware/validate.middleware');
+const Customer = require('./custommer.model');
+
+// The model normalises the case of membership names, so they are not checked here
+const membership = {
+    type: 'string',
+    description: 'Membership type: Regular, Premium, VIP, Gold, Silver, Bronze or Platinum'
+};
+
+const customerParams = idParams({ id: 'Customer ID' });
+
+const customerFields = {
+    fullName: { type: 'string', minLength: 2, maxLength: 100, description: "Customer's full name", example: 'John Doe' },
+    email: { type: 'string', format: 'email', description: "Customer's email address", example: 'john.doe@example.com' },
+    mobileNumber: {
+        type: 'string',
+        pattern: '^[+]?[\\d\\s\\-()]{10,15}$',
+        description: "Customer's mobile number",
+        example: '9876543210'
+    },
+    gender: { type: 'string', enum: ['Male', 'Female', 'Other'], description: "Customer's gender" },
+    address: { type: 'string', minLength: 1, maxLength: 500, description: "Customer's address" },
+    city: { type: 'string', minLength: 1, maxLength: 100, description: "Customer's city", example: 'Mumbai' },
+    state: { type: 'string', minLength: 1, maxLength: 100, description: "Customer's state", example: 'Maharashtra' },
+    pincode: { type: 'string', pattern: '^[0-9]{6}$', description: "Customer's 6-digit pincode", example: '400001' },
+    dateOfBirth: { ...dateTime, description: "Customer's date of birth", example: '1990-05-15' },
+    membership,
+    notes: { type: 'string', maxLength: 1000, description: 'Additional notes about the customer' }
+};
+
+const customerFilters = {
+    ...paginationQuery(10),
+    ...sortQuery(Customer.sortFields),
+    membership: { ...membership, description: 'Filter by membership type' },
+    isActive: { type: 'boolean', description: 'Filter by active status' },
+    city: { type: 'string', description: 'Filter by city' },
+    state: { type: 'string', description: 'Filter by state' }
+};
+
+const customerIds = {
+    type: 'array',
+    minItems: 1,
+    items: objectId,
+    description: 'Customer IDs'
+};
+
+const createCustomer = {
+    body: {
+        type: 'object',
+        required: ['fullName', 'email', 'mobileNumber', 'gender', 'address', 'city', 'state', 'pincode', 'dateOfBirth'],
+        properties: customerFields
+    }
+};
+
+const bulkDeleteCustomers = {
+    body: {
+        type: 'object',
+        required: ['ids'],
+        properties: {
+            ids: customerIds
+        }
+    }
+};
+
+const bulkUpdateMembership = {
+    body: {
+        type: 'object',
+        required: ['ids', 'membership'],
+        properties: {
+            ids: customerIds,
+            membership
+        }
+    }
+};
+
+const getAllCustomers = {
+    query: {
+        type: 'object',
+        properties: {
+            search: { type: 'string', description: 'Search term for name, email, or mobile number' },
+            ...customerFilters,
+            ...listQuery
+        }
+    }
+};
+
+const searchCustomers = {
+    query: {
+        type: 'object',
+        properties: {
+            q: { type: 'string', description: 'Search query for name, email, or mobile number' },
+            ...customerFilters,
+            ageMin: { type: 'integer', minimum: 0, description: 'Minimum age filter' },
+            ageMax: { type: 'integer', maximum: 150, description: 'Maximum age filter' }
+        }
+    }
+};
+
+const getCustomerById = { params: customerParams };
+
+const updateCustomer = {
+    params: customerParams,
+    body: {
+        type: 'object',
+        properties: customerFields
+    }
+};
+
+const deleteCustomer = { params: customerParams };
+
+const getDeletedCustomers = {
+    query: {
+        type: 'object',
+        properties: paginationQuery(10)
+    }
+};
+
+const restoreCustomer = { params: customerParams };
+
+const permanentDeleteCustomer = { params: customerParams };
+
+const deactivateCustomer = { params: customerParams };
+
+const activateCustomer = { params: customerParams };
+
+module.exports = {
+    createCustomer,
+    bulkDeleteCustomers,
+    bulkUpdateMembership,
+    getAllCustomers,
+    searchCustomers,
+    getCustomerById,
+    updateCustomer,
+    deleteCustomer,
+    getDeletedCustomers,
+    restoreCustomer,
+    permanentDeleteCustomer,
+    deactivateCustomer,
+    activateCustomer
+};
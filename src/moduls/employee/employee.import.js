@@ -0,0 +1,39 @@
+const Employee = require('./employee.model');
+const validation = require('./employee.validation');
+
+// Employees can be imported from CSV or XLSX, see services/imports
+module.exports = {
+    name: 'employees',
+    label: 'employee',
+    Model: Employee,
+    key: 'employeeId',
+    unique: ['email'],
+    schemas: {
+        create: validation.createEmployee.body,
+        update: validation.updateEmployee.body
+    },
+    columns: [
+        'employeeId', 'fullName', 'email', 'mobileNumber', 'gender', 'dateOfBirth', 'position',
+        'department', 'salary', 'joiningDate', 'experienceYears', 'qualification', 'skills',
+        'address.street', 'address.city', 'address.state', 'address.pincode',
+        'emergencyContact.name', 'emergencyContact.phone', 'notes', 'isActive'
+    ],
+    aliases: {
+        name: 'fullName',
+        employee: 'fullName',
+        phone: 'mobileNumber',
+        mobile: 'mobileNumber',
+        dob: 'dateOfBirth',
+        street: 'address.street',
+        city: 'address.city',
+        state: 'address.state',
+        pincode: 'address.pincode'
+    },
+
+    // Skills are a comma-separated list in the file
+    normalize: (data) => ({
+        ...data,
+        ...(data.email !== undefined && { email: data.email.toLowerCase() }),
+        ...(data.skills !== undefined && { skills: data.skills.split(',').map(skill => skill.trim()).filter(Boolean) })
+    })
+};
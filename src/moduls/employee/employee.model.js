@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../audit/audit.plugin');
+const listQueryPlugin = require('../../utils/listQuery');
+const softDeletePlugin = require('../../utils/softDelete');
+const { concurrencyPlugin } = require('../../utils/concurrency');
 
 const employeeSchema = new mongoose.Schema({
     fullName: {
@@ -146,4 +150,24 @@ employeeSchema.virtual('fullAddress').get(function() {
 employeeSchema.set('toJSON', { virtuals: true });
 employeeSchema.set('toObject', { virtuals: true });
 
+// Deleted records go to the trash (see utils/softDelete)
+employeeSchema.plugin(softDeletePlugin);
+
+// Record changes in the audit log
+employeeSchema.plugin(auditPlugin);
+
+// Version every change for ETags and If-Match (see utils/concurrency)
+employeeSchema.plugin(concurrencyPlugin);
+
+// Fields clients can filter, sort and select on in list endpoints (see utils/listQuery)
+employeeSchema.plugin(listQueryPlugin, {
+    filter: ['employeeId', 'email', 'department', 'isActive'],
+    sort: ['fullName', 'email', 'department', 'position', 'createdAt', 'updatedAt'],
+    select: [
+        'fullName', 'employeeId', 'email', 'mobileNumber', 'position', 'department', 'joiningDate',
+        'gender', 'experienceYears', 'qualification', 'skills', 'isActive', 'profileImage',
+        'createdAt', 'updatedAt'
+    ]
+});
+
 module.exports = mongoose.model('Employee', employeeSchema);
@@ -2,6 +2,10 @@ const express = require('express');
 const router = express.Router();
 const employeeController = require('./employee.controller');
 const auth = require('../../middleware/auth.middleware');
+const requirePermission = require('../../middleware/permission.middleware');
+const validate = require('../../middleware/validate.middleware');
+const idempotency = require('../../middleware/idempotency.middleware');
+const validation = require('./employee.validation');
 
 /**
  * @swagger
@@ -134,93 +138,6 @@ const auth = require('../../middleware/auth.middleware');
  *           type: string
  *           format: date-time
  *           description: Last update timestamp
- * 
- *     EmployeeInput:
- *       type: object
- *       required:
- *         - fullName
- *         - employeeId
- *         - email
- *         - mobileNumber
- *         - position
- *         - department
- *         - salary
- *         - joiningDate
- *         - dateOfBirth
- *         - gender
- *       properties:
- *         fullName:
- *           type: string
- *           example: "John Doe"
- *         employeeId:
- *           type: string
- *           example: "EMP001"
- *         email:
- *           type: string
- *           format: email
- *           example: "john.doe@company.com"
- *         mobileNumber:
- *           type: string
- *           example: "+919876543210"
- *         position:
- *           type: string
- *           example: "Software Developer"
- *         department:
- *           type: string
- *           example: "IT"
- *         salary:
- *           type: number
- *           example: 50000
- *         joiningDate:
- *           type: string
- *           format: date
- *           example: "2024-01-15"
- *         dateOfBirth:
- *           type: string
- *           format: date
- *           example: "1990-05-20"
- *         gender:
- *           type: string
- *           enum: [Male, Female, Other]
- *           example: "Male"
- *         experienceYears:
- *           type: number
- *           example: 5
- *         qualification:
- *           type: string
- *           example: "B.Tech Computer Science"
- *         skills:
- *           type: array
- *           items:
- *             type: string
- *           example: ["JavaScript", "Node.js", "React"]
- *         address:
- *           type: object
- *           properties:
- *             street:
- *               type: string
- *               example: "123 Main Street"
- *             city:
- *               type: string
- *               example: "Mumbai"
- *             state:
- *               type: string
- *               example: "Maharashtra"
- *             pincode:
- *               type: string
- *               example: "400001"
- *         emergencyContact:
- *           type: object
- *           properties:
- *             name:
- *               type: string
- *               example: "Jane Doe"
- *             phone:
- *               type: string
- *               example: "+919876543211"
- *         notes:
- *           type: string
- *           example: "Good performer"
  */
 
 /**
@@ -229,48 +146,6 @@ const auth = require('../../middleware/auth.middleware');
  *   get:
  *     summary: Get all employees with pagination and filtering
  *     tags: [Employees]
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Number of employees per page
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Search by name, employee ID, email, or position
- *       - in: query
- *         name: department
- *         schema:
- *           type: string
- *         description: Filter by department
- *       - in: query
- *         name: isActive
- *         schema:
- *           type: string
- *           enum: [true, false]
- *         description: Filter by active status
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *           default: createdAt
- *         description: Sort by field
- *       - in: query
- *         name: sortOrder
- *         schema:
- *           type: string
- *           enum: [asc, desc]
- *           default: desc
- *         description: Sort order
  *     responses:
  *       200:
  *         description: Employees retrieved successfully
@@ -314,7 +189,7 @@ const auth = require('../../middleware/auth.middleware');
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/', auth, employeeController.getAllEmployees);
+router.get('/', auth, requirePermission('employees:read'), validate(validation.getAllEmployees), employeeController.getAllEmployees);
 
 /**
  * @swagger
@@ -371,7 +246,7 @@ router.get('/', auth, employeeController.getAllEmployees);
  *       500:
  *         description: Internal server error
  */
-router.get('/stats', auth, employeeController.getEmployeeStats);
+router.get('/stats', auth, requirePermission('employees:read'), employeeController.getEmployeeStats);
 
 /**
  * @swagger
@@ -379,13 +254,6 @@ router.get('/stats', auth, employeeController.getEmployeeStats);
  *   get:
  *     summary: Search employee by employee ID
  *     tags: [Employees]
- *     parameters:
- *       - in: path
- *         name: employeeId
- *         required: true
- *         schema:
- *           type: string
- *         description: Employee ID to search for
  *     responses:
  *       200:
  *         description: Employee found successfully
@@ -411,7 +279,19 @@ router.get('/stats', auth, employeeController.getEmployeeStats);
  *       500:
  *         description: Internal server error
  */
-router.get('/search/:employeeId', auth, employeeController.searchByEmployeeId);
+router.get('/search/:employeeId', auth, requirePermission('employees:read'), validate(validation.searchByEmployeeId), employeeController.searchByEmployeeId);
+
+/**
+ * @swagger
+ * /api/employees/trash:
+ *   get:
+ *     summary: List deleted employees
+ *     tags: [Employees]
+ *     responses:
+ *       200:
+ *         description: Deleted employees retrieved successfully
+ */
+router.get('/trash', auth, requirePermission('employees:read'), validate(validation.getDeletedEmployees), employeeController.getDeletedEmployees);
 
 /**
  * @swagger
@@ -419,16 +299,12 @@ router.get('/search/:employeeId', auth, employeeController.searchByEmployeeId);
  *   get:
  *     summary: Get employee by ID
  *     tags: [Employees]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Employee MongoDB ObjectId
  *     responses:
  *       200:
  *         description: Employee retrieved successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -449,7 +325,7 @@ router.get('/search/:employeeId', auth, employeeController.searchByEmployeeId);
  *       500:
  *         description: Internal server error
  */
-router.get('/:id', auth, employeeController.getEmployeeById);
+router.get('/:id', auth, requirePermission('employees:read'), validate(validation.getEmployeeById), employeeController.getEmployeeById);
 
 /**
  * @swagger
@@ -457,12 +333,6 @@ router.get('/:id', auth, employeeController.getEmployeeById);
  *   post:
  *     summary: Create a new employee
  *     tags: [Employees]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/EmployeeInput'
  *     responses:
  *       201:
  *         description: Employee created successfully
@@ -499,7 +369,7 @@ router.get('/:id', auth, employeeController.getEmployeeById);
  *       500:
  *         description: Internal server error
  */
-router.post('/', auth, employeeController.createEmployee);
+router.post('/', auth, requirePermission('employees:write'), validate(validation.createEmployee), idempotency, employeeController.createEmployee);
 
 /**
  * @swagger
@@ -508,18 +378,7 @@ router.post('/', auth, employeeController.createEmployee);
  *     summary: Update employee by ID
  *     tags: [Employees]
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Employee MongoDB ObjectId
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/EmployeeInput'
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Employee updated successfully
@@ -540,24 +399,21 @@ router.post('/', auth, employeeController.createEmployee);
  *         description: Invalid employee ID format or validation error
  *       404:
  *         description: Employee not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  */
-router.put('/:id', auth, employeeController.updateEmployee);
+router.put('/:id', auth, requirePermission('employees:write'), validate(validation.updateEmployee), employeeController.updateEmployee);
 
 /**
  * @swagger
  * /api/employees/{id}:
  *   delete:
- *     summary: Soft delete employee (deactivate)
+ *     summary: Delete employee (moves it to the trash)
  *     tags: [Employees]
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Employee MongoDB ObjectId
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Employee deleted successfully
@@ -576,24 +432,21 @@ router.put('/:id', auth, employeeController.updateEmployee);
  *         description: Invalid employee ID format
  *       404:
  *         description: Employee not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  */
-router.delete('/:id', auth, employeeController.deleteEmployee);
+router.delete('/:id', auth, requirePermission('employees:delete'), validate(validation.deleteEmployee), employeeController.deleteEmployee);
 
 /**
  * @swagger
  * /api/employees/{id}/permanent:
  *   delete:
- *     summary: Permanently delete employee
+ *     summary: Permanently delete an employee from the trash
  *     tags: [Employees]
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Employee MongoDB ObjectId
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Employee permanently deleted successfully
@@ -611,25 +464,22 @@ router.delete('/:id', auth, employeeController.deleteEmployee);
  *       400:
  *         description: Invalid employee ID format
  *       404:
- *         description: Employee not found
+ *         description: Employee not found in trash
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  */
-router.delete('/:id/permanent', auth, employeeController.permanentDeleteEmployee);
+router.delete('/:id/permanent', auth, requirePermission('employees:delete'), validate(validation.permanentDeleteEmployee), employeeController.permanentDeleteEmployee);
 
 /**
  * @swagger
  * /api/employees/{id}/restore:
  *   patch:
- *     summary: Restore employee (activate)
+ *     summary: Restore a deleted employee
  *     tags: [Employees]
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Employee MongoDB ObjectId
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Employee restored successfully
@@ -649,11 +499,13 @@ router.delete('/:id/permanent', auth, employeeController.permanentDeleteEmployee
  *       400:
  *         description: Invalid employee ID format
  *       404:
- *         description: Employee not found
+ *         description: Employee not found in trash
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  */
-router.patch('/:id/restore', auth, employeeController.restoreEmployee);
+router.patch('/:id/restore', auth, requirePermission('employees:write'), validate(validation.restoreEmployee), employeeController.restoreEmployee);
 
 /**
  * @swagger
@@ -661,71 +513,11 @@ router.patch('/:id/restore', auth, employeeController.restoreEmployee);
  *   get:
  *     summary: Search employees with advanced filters
  *     tags: [Employees]
- *     parameters:
- *       - in: query
- *         name: q
- *         schema:
- *           type: string
- *         description: Search query for name, email, employeeId, or mobile
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number for pagination
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *           default: 10
- *         description: Number of employees per page
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *           enum: [fullName, email, createdAt, updatedAt, department, position, salary]
- *           default: createdAt
- *         description: Field to sort by
- *       - in: query
- *         name: sortOrder
- *         schema:
- *           type: string
- *           enum: [asc, desc]
- *           default: desc
- *         description: Sort order
- *       - in: query
- *         name: department
- *         schema:
- *           type: string
- *         description: Filter by department
- *       - in: query
- *         name: isActive
- *         schema:
- *           type: boolean
- *         description: Filter by active status
- *       - in: query
- *         name: position
- *         schema:
- *           type: string
- *         description: Filter by position
- *       - in: query
- *         name: salaryMin
- *         schema:
- *           type: integer
- *         description: Minimum salary filter
- *       - in: query
- *         name: salaryMax
- *         schema:
- *           type: integer
- *         description: Maximum salary filter
  *     responses:
  *       200:
  *         description: Search completed successfully
  */
-router.get('/search', auth, employeeController.searchEmployees);
+router.get('/search', auth, requirePermission('employees:read'), validate(validation.searchEmployees), employeeController.searchEmployees);
 
 /**
  * @swagger
@@ -737,7 +529,7 @@ router.get('/search', auth, employeeController.searchEmployees);
  *       200:
  *         description: Departments retrieved successfully
  */
-router.get('/dropdown/departments', auth, employeeController.getAllDepartments);
+router.get('/dropdown/departments', auth, requirePermission('employees:read'), employeeController.getAllDepartments);
 
 /**
  * @swagger
@@ -749,7 +541,7 @@ router.get('/dropdown/departments', auth, employeeController.getAllDepartments);
  *       200:
  *         description: Positions retrieved successfully
  */
-router.get('/dropdown/positions', auth, employeeController.getAllPositions);
+router.get('/dropdown/positions', auth, requirePermission('employees:read'), employeeController.getAllPositions);
 
 /**
  * @swagger
@@ -761,7 +553,7 @@ router.get('/dropdown/positions', auth, employeeController.getAllPositions);
  *       200:
  *         description: Cities retrieved successfully
  */
-router.get('/dropdown/cities', auth, employeeController.getAllCities);
+router.get('/dropdown/cities', auth, requirePermission('employees:read'), employeeController.getAllCities);
 
 /**
  * @swagger
@@ -773,7 +565,7 @@ router.get('/dropdown/cities', auth, employeeController.getAllCities);
  *       200:
  *         description: States retrieved successfully
  */
-router.get('/dropdown/states', auth, employeeController.getAllStates);
+router.get('/dropdown/states', auth, requirePermission('employees:read'), employeeController.getAllStates);
 
 /**
  * @swagger
@@ -785,7 +577,7 @@ router.get('/dropdown/states', auth, employeeController.getAllStates);
  *       200:
  *         description: Qualifications retrieved successfully
  */
-router.get('/dropdown/qualifications', auth, employeeController.getAllQualifications);
+router.get('/dropdown/qualifications', auth, requirePermission('employees:read'), employeeController.getAllQualifications);
 
 /**
  * @swagger
@@ -797,7 +589,7 @@ router.get('/dropdown/qualifications', auth, employeeController.getAllQualificat
  *       200:
  *         description: Skills retrieved successfully
  */
-router.get('/dropdown/skills', auth, employeeController.getAllSkills);
+router.get('/dropdown/skills', auth, requirePermission('employees:read'), employeeController.getAllSkills);
 
 /**
  * @swagger
@@ -809,7 +601,7 @@ router.get('/dropdown/skills', auth, employeeController.getAllSkills);
  *       200:
  *         description: Gender options retrieved successfully
  */
-router.get('/dropdown/genders', auth, employeeController.getGenderOptions);
+router.get('/dropdown/genders', auth, requirePermission('employees:read'), employeeController.getGenderOptions);
 
 /**
  * @swagger
@@ -817,23 +609,11 @@ router.get('/dropdown/genders', auth, employeeController.getGenderOptions);
  *   post:
  *     summary: Add new department
  *     tags: [Employees]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - department
- *             properties:
- *               department:
- *                 type: string
- *                 description: Department name
  *     responses:
  *       200:
  *         description: Department validated successfully
  */
-router.post('/dropdown/departments', auth, employeeController.addDepartment);
+router.post('/dropdown/departments', auth, requirePermission('employees:write'), validate(validation.addDepartment), employeeController.addDepartment);
 
 /**
  * @swagger
@@ -841,23 +621,11 @@ router.post('/dropdown/departments', auth, employeeController.addDepartment);
  *   post:
  *     summary: Add new position
  *     tags: [Employees]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - position
- *             properties:
- *               position:
- *                 type: string
- *                 description: Position name
  *     responses:
  *       200:
  *         description: Position validated successfully
  */
-router.post('/dropdown/positions', auth, employeeController.addPosition);
+router.post('/dropdown/positions', auth, requirePermission('employees:write'), validate(validation.addPosition), employeeController.addPosition);
 
 /**
  * @swagger
@@ -865,23 +633,11 @@ router.post('/dropdown/positions', auth, employeeController.addPosition);
  *   post:
  *     summary: Add new city
  *     tags: [Employees]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - city
- *             properties:
- *               city:
- *                 type: string
- *                 description: City name
  *     responses:
  *       200:
  *         description: City validated successfully
  */
-router.post('/dropdown/cities', auth, employeeController.addCity);
+router.post('/dropdown/cities', auth, requirePermission('employees:write'), validate(validation.addCity), employeeController.addCity);
 
 /**
  * @swagger
@@ -889,23 +645,11 @@ router.post('/dropdown/cities', auth, employeeController.addCity);
  *   post:
  *     summary: Add new state
  *     tags: [Employees]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - state
- *             properties:
- *               state:
- *                 type: string
- *                 description: State name
  *     responses:
  *       200:
  *         description: State validated successfully
  */
-router.post('/dropdown/states', auth, employeeController.addState);
+router.post('/dropdown/states', auth, requirePermission('employees:write'), validate(validation.addState), employeeController.addState);
 
 /**
  * @swagger
@@ -913,23 +657,11 @@ router.post('/dropdown/states', auth, employeeController.addState);
  *   post:
  *     summary: Add new qualification
  *     tags: [Employees]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - qualification
- *             properties:
- *               qualification:
- *                 type: string
- *                 description: Qualification name
  *     responses:
  *       200:
  *         description: Qualification validated successfully
  */
-router.post('/dropdown/qualifications', auth, employeeController.addQualification);
+router.post('/dropdown/qualifications', auth, requirePermission('employees:write'), validate(validation.addQualification), employeeController.addQualification);
 
 /**
  * @swagger
@@ -937,23 +669,11 @@ router.post('/dropdown/qualifications', auth, employeeController.addQualificatio
  *   post:
  *     summary: Add new skill
  *     tags: [Employees]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - skill
- *             properties:
- *               skill:
- *                 type: string
- *                 description: Skill name
  *     responses:
  *       200:
  *         description: Skill validated successfully
  */
-router.post('/dropdown/skills', auth, employeeController.addSkill);
+router.post('/dropdown/skills', auth, requirePermission('employees:write'), validate(validation.addSkill), employeeController.addSkill);
 
 /**
  * @swagger
@@ -961,25 +681,11 @@ router.post('/dropdown/skills', auth, employeeController.addSkill);
  *   post:
  *     summary: Bulk delete employees
  *     tags: [Employees]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - ids
- *             properties:
- *               ids:
- *                 type: array
- *                 items:
- *                   type: string
- *                 description: Array of employee IDs to delete
  *     responses:
  *       200:
  *         description: Employees deleted successfully
  */
-router.post('/bulk/delete', auth, employeeController.bulkDeleteEmployees);
+router.post('/bulk/delete', auth, requirePermission('employees:delete'), validate(validation.bulkDeleteEmployees), employeeController.bulkDeleteEmployees);
 
 /**
  * @swagger
@@ -987,29 +693,11 @@ router.post('/bulk/delete', auth, employeeController.bulkDeleteEmployees);
  *   post:
  *     summary: Bulk update employee department
  *     tags: [Employees]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - ids
- *               - department
- *             properties:
- *               ids:
- *                 type: array
- *                 items:
- *                   type: string
- *                 description: Array of employee IDs to update
- *               department:
- *                 type: string
- *                 description: New department name
  *     responses:
  *       200:
  *         description: Employees updated successfully
  */
-router.post('/bulk/update-department', auth, employeeController.bulkUpdateDepartment);
+router.post('/bulk/update-department', auth, requirePermission('employees:write'), validate(validation.bulkUpdateDepartment), employeeController.bulkUpdateDepartment);
 
 /**
  * @swagger
@@ -1017,28 +705,10 @@ router.post('/bulk/update-department', auth, employeeController.bulkUpdateDepart
  *   post:
  *     summary: Bulk update employee status
  *     tags: [Employees]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - ids
- *               - isActive
- *             properties:
- *               ids:
- *                 type: array
- *                 items:
- *                   type: string
- *                 description: Array of employee IDs to update
- *               isActive:
- *                 type: boolean
- *                 description: New status (true for active, false for inactive)
  *     responses:
  *       200:
  *         description: Employees updated successfully
  */
-router.post('/bulk/update-status', auth, employeeController.bulkUpdateStatus);
+router.post('/bulk/update-status', auth, requirePermission('employees:write'), validate(validation.bulkUpdateStatus), employeeController.bulkUpdateStatus);
 
 module.exports = router;
@@ -0,0 +1,62 @@
+const Employee = require('./employee.model');
+const dropdownData = require('./dropdownData');
+const { person, place } = require('../../seed/people');
+
+// Monthly salary range in INR by position
+const SALARIES = {
+    'Manager': [80000, 150000],
+    'Team Lead': [70000, 120000],
+    'Senior Developer': [60000, 110000],
+    'Junior Developer': [30000, 55000],
+    'Accountant': [35000, 60000],
+    'HR Executive': [30000, 50000],
+    'Sales Executive': [20000, 40000],
+    'Intern': [10000, 20000]
+};
+
+const seedEmployees = async ({ random, count }) => {
+    const employees = [];
+
+    for (let index = 0; index < count(10); index++) {
+        const { gender, fullName, email, mobileNumber } = person(random, index, 'staff.example.com');
+        const address = place(random);
+        const position = random.pick(Object.keys(SALARIES));
+        const [minSalary, maxSalary] = SALARIES[position];
+        const emergencyContact = person(random, index, 'example.com');
+
+        employees.push(await Employee.create({
+            fullName,
+            employeeId: `EMP${String(index + 1).padStart(4, '0')}`,
+            email,
+            mobileNumber,
+            position,
+            department: random.pick(dropdownData.departments),
+            salary: Math.round(random.int(minSalary, maxSalary) / 1000) * 1000,
+            joiningDate: random.daysFromNow(-8 * 365, -7),
+            dateOfBirth: random.daysFromNow(-55 * 365, -20 * 365),
+            gender,
+            experienceYears: position === 'Intern' ? 0 : random.int(1, 15),
+            qualification: random.pick(dropdownData.qualifications),
+            skills: random.sample(dropdownData.skills, random.int(2, 4)),
+            address: {
+                street: address.street,
+                city: address.city,
+                state: address.state,
+                pincode: address.pincode
+            },
+            emergencyContact: {
+                name: emergencyContact.fullName,
+                phone: emergencyContact.mobileNumber
+            },
+            isActive: random.bool(0.9)
+        }));
+    }
+
+    return employees;
+};
+
+module.exports = {
+    name: 'employees',
+    Model: Employee,
+    seed: seedEmployees
+};
@@ -0,0 +1,202 @@
+const { objectId, idParams, paginationQuery, sortQuery, listQuery, dateTime } = require('../../middleware/validate.middleware');
+const Employee = require('./employee.model');
+
+const phone = { type: 'string', pattern: '^\\+?[1-9]\\d{1,14}$', example: '+919876543210' };
+
+const employeeParams = idParams({ id: 'Employee MongoDB ObjectId' });
+
+const employeeFields = {
+    fullName: { type: 'string', minLength: 1, maxLength: 100, example: 'John Doe' },
+    employeeId: { type: 'string', minLength: 1, example: 'EMP001' },
+    email: { type: 'string', format: 'email', example: 'john.doe@company.com' },
+    mobileNumber: phone,
+    position: { type: 'string', minLength: 1, example: 'Software Developer' },
+    department: { type: 'string', minLength: 1, example: 'IT' },
+    salary: { type: 'number', minimum: 0, example: 50000 },
+    joiningDate: { ...dateTime, example: '2024-01-15' },
+    dateOfBirth: { ...dateTime, example: '1990-05-20' },
+    gender: { type: 'string', enum: ['Male', 'Female', 'Other'] },
+    experienceYears: { type: 'number', minimum: 0, example: 5 },
+    qualification: { type: 'string', example: 'B.Tech Computer Science' },
+    skills: { type: 'array', items: { type: 'string' }, example: ['JavaScript', 'Node.js', 'React'] },
+    address: {
+        type: 'object',
+        properties: {
+            street: { type: 'string', example: '123 Main Street' },
+            city: { type: 'string', example: 'Mumbai' },
+            state: { type: 'string', example: 'Maharashtra' },
+            pincode: { type: 'string', pattern: '^\\d{6}$', example: '400001' }
+        }
+    },
+    emergencyContact: {
+        type: 'object',
+        properties: {
+            name: { type: 'string', example: 'Jane Doe' },
+            phone: { ...phone, example: '+919876543211' }
+        }
+    },
+    notes: { type: 'string', maxLength: 500, example: 'Good performer' },
+    isActive: { type: 'boolean' },
+    profileImage: { type: 'string' }
+};
+
+const employeeIds = (description) => ({
+    type: 'array',
+    minItems: 1,
+    items: objectId,
+    description
+});
+
+// Body for adding a dropdown option, e.g. { department: 'Sales' }
+const dropdownOption = (name, description) => ({
+    body: {
+        type: 'object',
+        required: [name],
+        properties: {
+            [name]: { type: 'string', minLength: 1, description }
+        }
+    }
+});
+
+const getAllEmployees = {
+    query: {
+        type: 'object',
+        properties: {
+            ...paginationQuery(10),
+            search: { type: 'string', description: 'Search by name, employee ID, email, or position' },
+            department: { type: 'string', description: 'Filter by department' },
+            isActive: { type: 'boolean', description: 'Filter by active status' },
+            ...sortQuery(Employee.sortFields),
+            ...listQuery
+        }
+    }
+};
+
+const searchByEmployeeId = {
+    params: {
+        type: 'object',
+        required: ['employeeId'],
+        properties: {
+            employeeId: { type: 'string', description: 'Employee ID to search for' }
+        }
+    }
+};
+
+const getEmployeeById = { params: employeeParams };
+
+const createEmployee = {
+    body: {
+        type: 'object',
+        required: [
+            'fullName',
+            'employeeId',
+            'email',
+            'mobileNumber',
+            'position',
+            'department',
+            'salary',
+            'joiningDate',
+            'dateOfBirth',
+            'gender'
+        ],
+        properties: employeeFields
+    }
+};
+
+const updateEmployee = {
+    params: employeeParams,
+    body: {
+        type: 'object',
+        properties: employeeFields
+    }
+};
+
+const deleteEmployee = { params: employeeParams };
+
+const getDeletedEmployees = {
+    query: {
+        type: 'object',
+        properties: paginationQuery(10)
+    }
+};
+
+const permanentDeleteEmployee = { params: employeeParams };
+
+const restoreEmployee = { params: employeeParams };
+
+const searchEmployees = {
+    query: {
+        type: 'object',
+        properties: {
+            q: { type: 'string', description: 'Search query for name, email, employeeId, or mobile' },
+            ...paginationQuery(10),
+            ...sortQuery(Employee.sortFields),
+            department: { type: 'string', description: 'Filter by department' },
+            isActive: { type: 'boolean', description: 'Filter by active status' },
+            position: { type: 'string', description: 'Filter by position' },
+            salaryMin: { type: 'number', minimum: 0, description: 'Minimum salary filter' },
+            salaryMax: { type: 'number', minimum: 0, description: 'Maximum salary filter' }
+        }
+    }
+};
+
+const addDepartment = dropdownOption('department', 'Department name');
+const addPosition = dropdownOption('position', 'Position name');
+const addCity = dropdownOption('city', 'City name');
+const addState = dropdownOption('state', 'State name');
+const addQualification = dropdownOption('qualification', 'Qualification name');
+const addSkill = dropdownOption('skill', 'Skill name');
+
+const bulkDeleteEmployees = {
+    body: {
+        type: 'object',
+        required: ['ids'],
+        properties: {
+            ids: employeeIds('Array of employee IDs to delete')
+        }
+    }
+};
+
+const bulkUpdateDepartment = {
+    body: {
+        type: 'object',
+        required: ['ids', 'department'],
+        properties: {
+            ids: employeeIds('Array of employee IDs to update'),
+            department: { type: 'string', minLength: 1, description: 'New department name' }
+        }
+    }
+};
+
+const bulkUpdateStatus = {
+    body: {
+        type: 'object',
+        required: ['ids', 'isActive'],
+        properties: {
+            ids: employeeIds('Array of employee IDs to update'),
+            isActive: { type: 'boolean', description: 'New status (true for active, false for inactive)' }
+        }
+    }
+};
+
+module.exports = {
+    getAllEmployees,
+    searchByEmployeeId,
+    getEmployeeById,
+    createEmployee,
+    updateEmployee,
+    deleteEmployee,
+    getDeletedEmployees,
+    permanentDeleteEmployee,
+    restoreEmployee,
+    searchEmployees,
+    addDepartment,
+    addPosition,
+    addCity,
+    addState,
+    addQualification,
+    addSkill,
+    bulkDeleteEmployees,
+    bulkUpdateDepartment,
+    bulkUpdateStatus
+};
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+const jobs = require('../../jobs');
+const { isShuttingDown } = require('../../services/shutdown');
+const asyncHandler = require('../../utils/asyncHandler');
+const { sendSuccessResponse } = require('../../utils/response');
+
+const PING_TIMEOUT_MS = 2 * 1000;
+
+const withTimeout = (promise, ms) => Promise.race([
+    promise,
+    new Promise((resolve, reject) => setTimeout(() => reject(new Error(`No answer within ${ms} ms`)), ms).unref())
+]);
+
+// MongoDB is connected and answers a ping
+const checkDatabase = async () => {
+    const { readyState } = mongoose.connection;
+    if (readyState !== mongoose.ConnectionStates.connected) {
+        return { status: 'down', message: `MongoDB is ${mongoose.ConnectionStates[readyState]}` };
+    }
+
+    const startedAt = Date.now();
+    try {
+        await withTimeout(mongoose.connection.db.admin().ping(), PING_TIMEOUT_MS);
+        return { status: 'up', latencyMs: Date.now() - startedAt };
+    } catch (error) {
+        return { status: 'down', message: error.message };
+    }
+};
+
+// Every model has finished building the indexes it declares. Until then unique
+// constraints are not enforced and queries may scan whole collections. Builds
+// that failed are reported, but do not make the instance unready.
+const checkIndexes = async () => {
+    const pending = [];
+    const failed = [];
+
+    await Promise.all(mongoose.modelNames().map(async (name) => {
+        const build = Promise.resolve(mongoose.model(name).$init).then(() => 'built', error => error);
+        const notYet = new Promise(resolve => setImmediate(() => resolve('pending')));
+        const state = await Promise.race([build, notYet]);
+
+        if (state === 'pending') pending.push(name);
+        else if (state instanceof Error) failed.push({ model: name, message: state.message });
+    }));
+
+    return {
+        status: pending.length > 0 ? 'down' : 'up',
+        pending: pending.sort(),
+        ...(failed.length > 0 && { failed })
+    };
+};
+
+// The job runner on this instance is polling, see services/jobs
+const checkJobRunner = () => {
+    const { enabled, running, healthy, lastPollAt, activeRun } = jobs.getStatus();
+
+    if (!enabled) {
+        return { status: 'disabled' };
+    }
+
+    return {
+        status: healthy ? 'up' : 'down',
+        lastPollAt,
+        ...(activeRun && { activeJob: activeRun.job }),
+        ...(!running && { message: 'Job runner has not started' })
+    };
+};
+
+// Liveness: the process is up and serving requests. Does not look at
+// dependencies, so an outage of MongoDB does not get the process restarted.
+const getLiveness = (req, res) => sendSuccessResponse(res, 200, 'API is running', {
+    status: 'alive',
+    uptimeSeconds: Math.round(process.uptime()),
+    timestamp: new Date().toISOString()
+});
+
+// Readiness: the instance can serve traffic. Answers 503 with the failing checks
+// otherwise, so load balancers stop routing to it until it recovers.
+const getReadiness = asyncHandler(async (req, res) => {
+    const [database, indexes] = await Promise.all([checkDatabase(), checkIndexes()]);
+    const checks = { database, indexes, jobRunner: checkJobRunner() };
+
+    // Draining before exit, see services/shutdown
+    if (isShuttingDown()) {
+        checks.shutdown = { status: 'down', message: 'Server is shutting down' };
+    }
+
+    const ready = Object.values(checks).every(check => check.status !== 'down');
+    const data = { status: ready ? 'ready' : 'not_ready', checks, timestamp: new Date().toISOString() };
+
+    if (!ready) {
+        return res.status(503).json({
+            success: false,
+            code: 'NOT_READY',
+            message: 'Service is not ready',
+            data,
+            requestId: req.id
+        });
+    }
+
+    return sendSuccessResponse(res, 200, 'Service is ready', data);
+});
+
+module.exports = {
+    getLiveness,
+    getReadiness
+};
@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const { getLiveness, getReadiness } = require('./health.controller');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     HealthCheck:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [up, down, disabled]
+ *         message:
+ *           type: string
+ *           description: Why the check is down
+ *     Readiness:
+ *       type: object
+ *       properties:
+ *         status:
+ *           type: string
+ *           enum: [ready, not_ready]
+ *         checks:
+ *           type: object
+ *           properties:
+ *             database:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/HealthCheck'
+ *                 - type: object
+ *                   properties:
+ *                     latencyMs:
+ *                       type: integer
+ *                       example: 3
+ *             indexes:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/HealthCheck'
+ *                 - type: object
+ *                   properties:
+ *                     pending:
+ *                       type: array
+ *                       description: Models whose indexes are still being built
+ *                       items:
+ *                         type: string
+ *             jobRunner:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/HealthCheck'
+ *                 - type: object
+ *                   properties:
+ *                     lastPollAt:
+ *                       type: string
+ *                       format: date-time
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/health:
+ *   get:
+ *     summary: Health check endpoint
+ *     description: Same as /api/health/live, kept for existing monitors.
+ *     tags: [System]
+ *     responses:
+ *       200:
+ *         description: API is running
+ */
+router.get('/', getLiveness);
+
+/**
+ * @swagger
+ * /api/health/live:
+ *   get:
+ *     summary: Liveness probe
+ *     description: Answers 200 as long as the process serves requests. Dependencies are not checked, use /api/health/ready for that.
+ *     tags: [System]
+ *     responses:
+ *       200:
+ *         description: API is running
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "API is running"
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     status:
+ *                       type: string
+ *                       example: alive
+ *                     uptimeSeconds:
+ *                       type: integer
+ *                       example: 3600
+ *                     timestamp:
+ *                       type: string
+ *                       format: date-time
+ */
+router.get('/live', getLiveness);
+
+/**
+ * @swagger
+ * /api/health/ready:
+ *   get:
+ *     summary: Readiness probe
+ *     description: Checks that MongoDB answers, that every model has built its indexes and that the job runner on this instance is polling.
+ *     tags: [System]
+ *     responses:
+ *       200:
+ *         description: Service is ready
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Service is ready"
+ *                 data:
+ *                   $ref: '#/components/schemas/Readiness'
+ *       503:
+ *         description: Service is not ready. data.checks shows which check is down
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 code:
+ *                   type: string
+ *                   example: NOT_READY
+ *                 message:
+ *                   type: string
+ *                   example: "Service is not ready"
+ *                 data:
+ *                   $ref: '#/components/schemas/Readiness'
+ */
+router.get('/ready', getReadiness);
+
+module.exports = router;
@@ -0,0 +1,188 @@
+const Import = require('./import.model');
+const ImportRow = require('./importRow.model');
+const imports = require('../../services/imports');
+const asyncHandler = require('../../utils/asyncHandler');
+const { sendSuccessResponse } = require('../../utils/response');
+const { BadRequestError, NotFoundError } = require('../../utils/errors');
+const { isCursorPagination, paginateWithCursor } = require('../../utils/pagination');
+
+// Problems of failed rows returned with an import, the rest are in the rows endpoint
+const MAX_FAILED_ROWS = 100;
+
+const findImport = async (req) => {
+    const importDoc = await Import.findOne({ _id: req.params.id, entity: req.params.entity })
+        .populate('createdBy', 'name email');
+    if (!importDoc) {
+        throw new NotFoundError('Import not found');
+    }
+    return importDoc;
+};
+
+// The mapping arrives as a JSON string in the multipart form
+const parseMapping = (mapping) => {
+    if (mapping === undefined || mapping === '') return undefined;
+
+    let parsed;
+    try {
+        parsed = JSON.parse(mapping);
+    } catch (error) {
+        throw new BadRequestError('mapping must be a JSON object');
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed) ||
+        !Object.values(parsed).every(field => typeof field === 'string')) {
+        throw new BadRequestError('mapping must be a JSON object from column header to field name');
+    }
+    return parsed;
+};
+
+// An import with the first failed rows and their problems
+const withFailedRows = async (importDoc) => {
+    const failedRows = await ImportRow.find({ import: importDoc._id, status: 'Failed' })
+        .select('row problems')
+        .sort({ row: 1 })
+        .limit(MAX_FAILED_ROWS)
+        .lean();
+
+    return {
+        ...importDoc.toObject(),
+        failedRows: failedRows.map(({ row, problems }) => ({ row, problems }))
+    };
+};
+
+// Upload a file to import. Small files are imported right away (201), larger ones
+// are queued (202) and can be followed through the import's status.
+const createImport = asyncHandler(async (req, res) => {
+    if (!req.file) {
+        throw new BadRequestError('A .csv or .xlsx file is required');
+    }
+
+    const importDoc = await imports.createImport({
+        entity: req.params.entity,
+        file: req.file,
+        dryRun: req.body.dryRun,
+        upsert: req.body.upsert,
+        mapping: parseMapping(req.body.mapping),
+        userId: req.user.id
+    });
+
+    if (importDoc.status === 'Pending') {
+        return sendSuccessResponse(res, 202, 'Import queued', importDoc);
+    }
+
+    const message = importDoc.dryRun ? 'Dry run completed' : 'Import completed';
+    return sendSuccessResponse(res, 201, message, await withFailedRows(importDoc));
+});
+
+// Get the imports of a module, newest first
+const getImports = asyncHandler(async (req, res) => {
+    const { page, limit, status, after, before } = req.query;
+
+    const query = { entity: req.params.entity };
+    if (status) query.status = status;
+
+    if (isCursorPagination(req.query)) {
+        const { items: importList, pagination } = await paginateWithCursor(
+            Import.find(query).populate('createdBy', 'name email'),
+            { sort: { createdAt: -1 }, limit, after, before }
+        );
+        return sendSuccessResponse(res, 200, 'Imports retrieved successfully', { imports: importList, pagination });
+    }
+
+    const [importList, totalImports] = await Promise.all([
+        Import.find(query)
+            .populate('createdBy', 'name email')
+            .sort({ createdAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit),
+        Import.countDocuments(query)
+    ]);
+    const totalPages = Math.ceil(totalImports / limit);
+
+    return sendSuccessResponse(res, 200, 'Imports retrieved successfully', {
+        imports: importList,
+        pagination: {
+            currentPage: page,
+            totalPages,
+            totalImports,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1,
+            limit
+        }
+    });
+});
+
+// Download an empty CSV with every column the module can import
+const getTemplate = asyncHandler(async (req, res) => {
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${req.params.entity}-import-template.csv"`);
+
+    return res.status(200).send(imports.getTemplate(req.params.entity));
+});
+
+// Get an import with its progress, counts and the first failed rows
+const getImportById = asyncHandler(async (req, res) => {
+    const importDoc = await findImport(req);
+
+    return sendSuccessResponse(res, 200, 'Import retrieved successfully', await withFailedRows(importDoc));
+});
+
+// Get the rows of an import with what happened to each
+const getImportRows = asyncHandler(async (req, res) => {
+    const { page, limit, status, after, before } = req.query;
+    const importDoc = await findImport(req);
+
+    const query = { import: importDoc._id };
+    if (status) query.status = status;
+
+    if (isCursorPagination(req.query)) {
+        const { items: rows, pagination } = await paginateWithCursor(
+            ImportRow.find(query).select('-import -expiresAt').lean(),
+            { sort: { row: 1 }, limit, after, before }
+        );
+        return sendSuccessResponse(res, 200, 'Import rows retrieved successfully', { rows, pagination });
+    }
+
+    const [rows, totalRows] = await Promise.all([
+        ImportRow.find(query)
+            .select('-import -expiresAt')
+            .sort({ row: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean(),
+        ImportRow.countDocuments(query)
+    ]);
+    const totalPages = Math.ceil(totalRows / limit);
+
+    return sendSuccessResponse(res, 200, 'Import rows retrieved successfully', {
+        rows,
+        pagination: {
+            currentPage: page,
+            totalPages,
+            totalRows,
+            hasNextPage: page < totalPages,
+            hasPrevPage: page > 1,
+            limit
+        }
+    });
+});
+
+// Download the results as CSV: the uploaded columns plus the outcome of each row
+const downloadResults = asyncHandler(async (req, res) => {
+    const importDoc = await findImport(req);
+    const baseName = importDoc.fileName.replace(/\.[^.]*$/, '').replace(/[^\w.-]+/g, '_');
+
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}-results.csv"`);
+    res.status(200);
+
+    await imports.writeResults(importDoc, res, { failedOnly: req.query.failedOnly });
+});
+
+module.exports = {
+    createImport,
+    getImports,
+    getTemplate,
+    getImportById,
+    getImportRows,
+    downloadResults
+};
@@ -0,0 +1,13 @@
+const imports = require('../../services/imports');
+
+// Background jobs of the import module, see src/jobs
+module.exports = [
+    {
+        name: 'process-imports',
+        description: 'Import the rows of uploaded files too large to import during the upload',
+        intervalSeconds: 15,
+        // Each run works for at most a minute, so restarts and shutdowns are not held
+        // up; an import that takes longer carries on in the next run
+        handler: () => imports.processPendingImports({ budgetMs: 60 * 1000 })
+    }
+];
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// One uploaded file being imported into a module, e.g. a CSV of products. The
+// rows themselves are ImportRow documents. Small files are imported while the
+// upload request waits, larger ones by the process-imports job; either way the
+// import goes Pending, Processing, then Completed. It is Failed only when the
+// import as a whole broke off, problems with single rows are kept on the rows.
+// MongoDB removes imports and their rows once they expire.
+const importSchema = new mongoose.Schema({
+    entity: {
+        type: String,
+        required: [true, 'Entity is required']
+    },
+    fileName: {
+        type: String,
+        required: true
+    },
+    format: {
+        type: String,
+        enum: ['csv', 'xlsx'],
+        required: true
+    },
+    // Check every row without saving anything
+    dryRun: {
+        type: Boolean,
+        default: false
+    },
+    // Update records whose key (SKU, email, employee ID) is already taken instead
+    // of reporting the row as a duplicate
+    upsert: {
+        type: Boolean,
+        default: false
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ['Pending', 'Processing', 'Completed', 'Failed'],
+            message: 'Status must be Pending, Processing, Completed or Failed'
+        },
+        default: 'Pending'
+    },
+    // Header row of the file, and the field each used column was mapped to
+    headers: [String],
+    columns: [{
+        _id: false,
+        header: String,
+        field: String
+    }],
+    ignoredColumns: [String],
+    totalRows: {
+        type: Number,
+        default: 0
+    },
+    processedRows: {
+        type: Number,
+        default: 0
+    },
+    // In a dry run, what would have happened
+    counts: {
+        created: { type: Number, default: 0 },
+        updated: { type: Number, default: 0 },
+        unchanged: { type: Number, default: 0 },
+        failed: { type: Number, default: 0 }
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    startedAt: {
+        type: Date,
+        default: null
+    },
+    finishedAt: {
+        type: Date,
+        default: null
+    },
+    // Held by the instance importing the rows, see services/imports
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    lockedBy: {
+        type: String,
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+// Indexes for better performance
+importSchema.index({ entity: 1, createdAt: -1 });
+importSchema.index({ status: 1, createdAt: 1 });
+importSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to lock the oldest import that still has rows to import. Resolves
+// to null when there is none. A lock still held after lockMs is considered
+// abandoned, e.g. because the server stopped mid-import, and the import resumes
+// from its first unprocessed row.
+importSchema.statics.claimNext = function(lockMs, lockedBy) {
+    const now = new Date();
+
+    return this.findOneAndUpdate(
+        {
+            status: { $in: ['Pending', 'Processing'] },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+        },
+        { $set: { status: 'Processing', lockedUntil: new Date(now.getTime() + lockMs), lockedBy } },
+        { sort: { createdAt: 1 }, new: true }
+    );
+};
+
+const Import = mongoose.model('Import', importSchema);
+
+module.exports = Import;
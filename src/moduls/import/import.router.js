@@ -0,0 +1,280 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const path = require('path');
+const {
+    createImport,
+    getImports,
+    getTemplate,
+    getImportById,
+    getImportRows,
+    downloadResults
+} = require('./import.controller');
+const auth = require('../../middleware/auth.middleware');
+const requirePermission = require('../../middleware/permission.middleware');
+const validate = require('../../middleware/validate.middleware');
+const validation = require('./import.validation');
+const idempotency = require('../../middleware/idempotency.middleware');
+const { keepRequestContext } = require('../../middleware/requestContext.middleware');
+const imports = require('../../services/imports');
+const { BadRequestError, NotFoundError } = require('../../utils/errors');
+const config = require('../../config/env');
+
+// Files are parsed straight from memory and stored as rows, never written to disk
+const upload = multer({
+    storage: multer.memoryStorage(),
+    fileFilter: (req, file, cb) => {
+        if (['.csv', '.xlsx'].includes(path.extname(file.originalname).toLowerCase())) {
+            cb(null, true);
+        } else {
+            cb(new BadRequestError('Only .csv and .xlsx files can be imported'), false);
+        }
+    },
+    limits: {
+        fileSize: config.imports.maxFileMb * 1024 * 1024,
+        files: 1
+    }
+});
+
+// Imports need the permissions of the module they import into, e.g. products:write
+// to import products and products:read to see product imports
+const requireEntityPermission = (action) => (req, res, next) => {
+    if (!imports.getImporter(req.params.entity)) {
+        return next(new NotFoundError('Unknown import type'));
+    }
+    return requirePermission(`${req.params.entity}:${action}`)(req, res, next);
+};
+
+/**
+ * @swagger
+ * tags:
+ *   name: Imports
+ *   description: Bulk import of products, customers and employees from CSV or XLSX files
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Import:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *         entity:
+ *           type: string
+ *           enum: [products, customers, employees]
+ *         fileName:
+ *           type: string
+ *           example: "products.xlsx"
+ *         format:
+ *           type: string
+ *           enum: [csv, xlsx]
+ *         dryRun:
+ *           type: boolean
+ *         upsert:
+ *           type: boolean
+ *         status:
+ *           type: string
+ *           enum: [Pending, Processing, Completed, Failed]
+ *         headers:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["SKU", "Name", "Category", "Price", "Stock"]
+ *         columns:
+ *           type: array
+ *           description: Field each used column was mapped to
+ *           items:
+ *             type: object
+ *             properties:
+ *               header:
+ *                 type: string
+ *                 example: "Stock"
+ *               field:
+ *                 type: string
+ *                 example: "quantity"
+ *         ignoredColumns:
+ *           type: array
+ *           items:
+ *             type: string
+ *         totalRows:
+ *           type: integer
+ *           example: 250
+ *         processedRows:
+ *           type: integer
+ *           example: 250
+ *         counts:
+ *           type: object
+ *           description: In a dry run, what would have happened
+ *           properties:
+ *             created:
+ *               type: integer
+ *               example: 240
+ *             updated:
+ *               type: integer
+ *               example: 0
+ *             unchanged:
+ *               type: integer
+ *               example: 0
+ *             failed:
+ *               type: integer
+ *               example: 10
+ *         failedRows:
+ *           type: array
+ *           description: The first 100 failed rows
+ *           items:
+ *             $ref: '#/components/schemas/ImportRowResult'
+ *         error:
+ *           type: string
+ *           nullable: true
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *     ImportRowResult:
+ *       type: object
+ *       properties:
+ *         row:
+ *           type: integer
+ *           description: Row number in the file, the header being row 1
+ *           example: 7
+ *         problems:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               field:
+ *                 type: string
+ *                 example: "price"
+ *               column:
+ *                 type: string
+ *                 example: "Price"
+ *               message:
+ *                 type: string
+ *                 example: "must be >= 0"
+ */
+
+/**
+ * @swagger
+ * /api/imports/{entity}:
+ *   post:
+ *     summary: Import a CSV or XLSX file
+ *     description: |
+ *       Columns are matched to fields by their header, ignoring case, spaces and punctuation; `mapping` covers
+ *       other headers. Every row is checked like a request to the create endpoint, or the update endpoint when
+ *       `upsert` is set and its key (SKU, email or employee ID) exists. Rows that fail are reported and the others
+ *       are imported. With `dryRun` nothing is saved. Files of up to IMPORT_SYNC_MAX_ROWS rows are imported before
+ *       the response; larger ones are queued and imported in the background.
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: File imported, or checked in a dry run
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Import'
+ *       202:
+ *         description: File queued for import
+ *       400:
+ *         description: The file cannot be read or its columns cannot be mapped
+ */
+router.post('/:entity', auth, requireEntityPermission('write'), keepRequestContext(upload.single('file')), validate(validation.createImport), idempotency, createImport);
+
+/**
+ * @swagger
+ * /api/imports/{entity}:
+ *   get:
+ *     summary: Get the imports of a module
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Imports retrieved successfully
+ */
+router.get('/:entity', auth, requireEntityPermission('read'), validate(validation.getImports), getImports);
+
+/**
+ * @swagger
+ * /api/imports/{entity}/template:
+ *   get:
+ *     summary: Download an empty CSV with every column that can be imported
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: CSV template
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ */
+router.get('/:entity/template', auth, requireEntityPermission('read'), validate(validation.getTemplate), getTemplate);
+
+/**
+ * @swagger
+ * /api/imports/{entity}/{id}:
+ *   get:
+ *     summary: Get an import with its progress and the first failed rows
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Import retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Import'
+ *       404:
+ *         description: Import not found
+ */
+router.get('/:entity/:id', auth, requireEntityPermission('read'), validate(validation.getImportById), getImportById);
+
+/**
+ * @swagger
+ * /api/imports/{entity}/{id}/rows:
+ *   get:
+ *     summary: Get the rows of an import with their outcome and problems
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Import rows retrieved successfully
+ *       404:
+ *         description: Import not found
+ */
+router.get('/:entity/:id/rows', auth, requireEntityPermission('read'), validate(validation.getImportRows), getImportRows);
+
+/**
+ * @swagger
+ * /api/imports/{entity}/{id}/results:
+ *   get:
+ *     summary: Download the results of an import as CSV
+ *     description: The columns of the uploaded file followed by the row number, its result, its problems and the record ID.
+ *     tags: [Imports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Results file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Import not found
+ */
+router.get('/:entity/:id/results', auth, requireEntityPermission('read'), validate(validation.downloadResults), downloadResults);
+
+module.exports = router;
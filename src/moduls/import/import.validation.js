@@ -0,0 +1,85 @@
+const { objectId, paginationQuery } = require('../../middleware/validate.middleware');
+const { ENTITIES } = require('../../services/imports');
+
+const IMPORT_STATUSES = ['Pending', 'Processing', 'Completed', 'Failed'];
+const ROW_STATUSES = ['Pending', 'Created', 'Updated', 'Unchanged', 'Failed'];
+
+const entity = { type: 'string', enum: ENTITIES, description: 'What the file holds' };
+
+const entityParams = {
+    type: 'object',
+    required: ['entity'],
+    properties: { entity }
+};
+
+const importParams = {
+    type: 'object',
+    required: ['entity', 'id'],
+    properties: {
+        entity,
+        id: { ...objectId, description: 'Import ID' }
+    }
+};
+
+const createImport = {
+    contentType: 'multipart/form-data',
+    params: entityParams,
+    body: {
+        type: 'object',
+        properties: {
+            file: { type: 'string', format: 'binary', description: 'A .csv or .xlsx file; the first row names the columns' },
+            dryRun: { type: 'boolean', default: false, description: 'Check every row without saving anything' },
+            upsert: { type: 'boolean', default: false, description: 'Update records whose key already exists instead of failing the row' },
+            mapping: {
+                type: 'string',
+                description: 'JSON object from column header to field, for headers that do not match a field name. Map a header to "" to skip it',
+                example: '{"Item Code": "sku", "Remarks": ""}'
+            }
+        }
+    }
+};
+
+const getImports = {
+    params: entityParams,
+    query: {
+        type: 'object',
+        properties: {
+            ...paginationQuery(10),
+            status: { type: 'string', enum: IMPORT_STATUSES, description: 'Filter by import status' }
+        }
+    }
+};
+
+const getTemplate = { params: entityParams };
+
+const getImportById = { params: importParams };
+
+const getImportRows = {
+    params: importParams,
+    query: {
+        type: 'object',
+        properties: {
+            ...paginationQuery(50, 500),
+            status: { type: 'string', enum: ROW_STATUSES, description: 'Filter by row status, e.g. Failed' }
+        }
+    }
+};
+
+const downloadResults = {
+    params: importParams,
+    query: {
+        type: 'object',
+        properties: {
+            failedOnly: { type: 'boolean', default: false, description: 'Only the rows that failed, to fix and upload again' }
+        }
+    }
+};
+
+module.exports = {
+    createImport,
+    getImports,
+    getTemplate,
+    getImportById,
+    getImportRows,
+    downloadResults
+};
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// One row of an imported file: the cells as uploaded, the record they were mapped
+// to, and what became of it. Rows stay Pending until they are imported, so an
+// import that was interrupted carries on where it stopped.
+const importRowSchema = new mongoose.Schema({
+    import: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Import',
+        required: true
+    },
+    // Row number in the file, the header being row 1
+    row: {
+        type: Number,
+        required: true
+    },
+    values: [String],
+    data: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ['Pending', 'Created', 'Updated', 'Unchanged', 'Failed'],
+            message: 'Status must be Pending, Created, Updated, Unchanged or Failed'
+        },
+        default: 'Pending'
+    },
+    problems: [{
+        _id: false,
+        field: String,
+        column: String,
+        message: String
+    }],
+    // The record created or updated. In a dry run, the record an update would change.
+    record: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    versionKey: false,
+    minimize: false
+});
+
+// Indexes for better performance
+importRowSchema.index({ import: 1, row: 1 }, { unique: true });
+importRowSchema.index({ import: 1, status: 1, row: 1 });
+importRowSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ImportRow = mongoose.model('ImportRow', importRowSchema);
+
+module.exports = ImportRow;
@@ -0,0 +1,127 @@
+const Job = require('./job.model');
+const jobs = require('../../jobs');
+const logger = require('../../services/logger');
+const asyncHandler = require('../../utils/asyncHandler');
+const { sendSuccessResponse } = require('../../utils/response');
+const { NotFoundError, ConflictError } = require('../../utils/errors');
+
+const findDefinition = (name) => {
+    const definition = jobs.getDefinition(name);
+    if (!definition) {
+        throw new NotFoundError('Job not found');
+    }
+    return definition;
+};
+
+// A job as shown by the API: its definition merged with its stored run state
+const toJobResponse = (definition, state, { withRuns = false } = {}) => {
+    const { _id, runs = [], ...fields } = state || {};
+
+    const job = {
+        name: definition.name,
+        description: definition.description,
+        intervalSeconds: definition.intervalSeconds,
+        maxAttempts: definition.maxAttempts,
+        running: Boolean(fields.lockedUntil && fields.lockedUntil > new Date()),
+        ...fields
+    };
+
+    if (withRuns) {
+        job.runs = [...runs].reverse();
+    }
+
+    return job;
+};
+
+// Get all jobs with their schedule and last run
+const getAllJobs = asyncHandler(async (req, res) => {
+    const definitions = jobs.getDefinitions();
+
+    const states = await Job.find({ _id: { $in: definitions.map(definition => definition.name) } })
+        .select('-runs')
+        .lean();
+    const stateByName = new Map(states.map(state => [state._id, state]));
+
+    const jobList = definitions.map(definition => toJobResponse(definition, stateByName.get(definition.name)));
+
+    return sendSuccessResponse(res, 200, 'Jobs retrieved successfully', jobList);
+});
+
+// Get a job with its recent runs, newest first
+const getJobByName = asyncHandler(async (req, res) => {
+    const definition = findDefinition(req.params.name);
+
+    const state = await Job.findById(definition.name)
+        .populate('pausedBy', 'name email')
+        .populate('runRequestedBy', 'name email')
+        .lean();
+
+    return sendSuccessResponse(res, 200, 'Job retrieved successfully', toJobResponse(definition, state, { withRuns: true }));
+});
+
+// Stop a job from running on its schedule. It can still be run by hand.
+const pauseJob = asyncHandler(async (req, res) => {
+    const definition = findDefinition(req.params.name);
+
+    const current = await Job.findById(definition.name).select('paused').lean();
+    if (current && current.paused) {
+        throw new ConflictError('Job is already paused');
+    }
+
+    const state = await Job.findOneAndUpdate(
+        { _id: definition.name },
+        { $set: { paused: true, pausedAt: new Date(), pausedBy: req.user.id } },
+        { upsert: true, new: true }
+    ).select('-runs').lean();
+
+    logger.info('Job paused', { job: definition.name });
+
+    return sendSuccessResponse(res, 200, 'Job paused successfully', toJobResponse(definition, state));
+});
+
+// Put a paused job back on its schedule. A run that fell due while paused starts right away.
+const resumeJob = asyncHandler(async (req, res) => {
+    const definition = findDefinition(req.params.name);
+
+    const state = await Job.findOneAndUpdate(
+        { _id: definition.name, paused: true },
+        { $set: { paused: false, pausedAt: null, pausedBy: null } },
+        { new: true }
+    ).select('-runs').lean();
+
+    if (!state) {
+        throw new ConflictError('Job is not paused');
+    }
+
+    logger.info('Job resumed', { job: definition.name });
+
+    return sendSuccessResponse(res, 200, 'Job resumed successfully', toJobResponse(definition, state));
+});
+
+// Ask for a run now, also for a paused job. The next poll of any instance picks it up.
+const runJob = asyncHandler(async (req, res) => {
+    const definition = findDefinition(req.params.name);
+
+    const current = await Job.findById(definition.name).select('lockedUntil').lean();
+    if (current && current.lockedUntil && current.lockedUntil > new Date()) {
+        throw new ConflictError('Job is already running');
+    }
+
+    const state = await Job.findOneAndUpdate(
+        { _id: definition.name },
+        { $set: { runRequestedAt: new Date(), runRequestedBy: req.user.id } },
+        { upsert: true, new: true }
+    ).select('-runs').lean();
+
+    logger.info('Job run requested', { job: definition.name });
+
+    return sendSuccessResponse(res, 202, 'Job queued to run', toJobResponse(definition, state));
+});
+
+module.exports = {
+    getAllJobs,
+    getJobByName,
+    pauseJob,
+    resumeJob,
+    runJob
+};
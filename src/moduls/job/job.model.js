@@ -0,0 +1,99 @@
+const mongoose = require('mongoose');
+
+// Run state of one background job, keyed by the job name. What a job does and how
+// often is defined in code (see services/jobs); this document holds what has to be
+// shared between server instances: the schedule, the lock, pausing and the history.
+const jobSchema = new mongoose.Schema({
+    _id: {
+        type: String
+    },
+    paused: {
+        type: Boolean,
+        default: false
+    },
+    pausedAt: {
+        type: Date,
+        default: null
+    },
+    pausedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    nextRunAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Set by a manual trigger; the job runs on the next poll even when paused
+    runRequestedAt: {
+        type: Date,
+        default: null
+    },
+    runRequestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // The instance running the job holds the lock until the run ends or the job times out
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    lockedBy: {
+        type: String,
+        default: null
+    },
+    // Failed attempts of the current run, reset once it succeeds or gives up
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastRunAt: {
+        type: Date,
+        default: null
+    },
+    lastFinishedAt: {
+        type: Date,
+        default: null
+    },
+    lastStatus: {
+        type: String,
+        enum: ['Succeeded', 'Failed'],
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    lastResult: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    runCount: {
+        type: Number,
+        default: 0
+    },
+    failureCount: {
+        type: Number,
+        default: 0
+    },
+    runs: [{
+        _id: false,
+        startedAt: Date,
+        finishedAt: Date,
+        durationMs: Number,
+        status: String,
+        trigger: String,
+        attempt: Number,
+        instance: String,
+        error: String,
+        result: mongoose.Schema.Types.Mixed
+    }]
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+const Job = mongoose.model('Job', jobSchema);
+
+module.exports = Job;
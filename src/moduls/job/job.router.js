@@ -0,0 +1,171 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getAllJobs,
+    getJobByName,
+    pauseJob,
+    resumeJob,
+    runJob
+} = require('./job.controller');
+const auth = require('../../middleware/auth.middleware');
+const requirePermission = require('../../middleware/permission.middleware');
+const validate = require('../../middleware/validate.middleware');
+const validation = require('./job.validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Jobs
+ *   description: Background jobs such as sending scheduled notifications and expiring payment links
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Job:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "expire-payment-links"
+ *         description:
+ *           type: string
+ *           example: "Mark active payment links past their expiry date as Expired"
+ *         intervalSeconds:
+ *           type: integer
+ *           example: 300
+ *         maxAttempts:
+ *           type: integer
+ *           description: Attempts per run before the job waits for its next regular run
+ *           example: 3
+ *         paused:
+ *           type: boolean
+ *         running:
+ *           type: boolean
+ *         lockedBy:
+ *           type: string
+ *           nullable: true
+ *           description: Server instance running the job
+ *         nextRunAt:
+ *           type: string
+ *           format: date-time
+ *         runRequestedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         attempts:
+ *           type: integer
+ *           description: Failed attempts of the current run
+ *         lastRunAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         lastStatus:
+ *           type: string
+ *           enum: [Succeeded, Failed]
+ *           nullable: true
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *         lastResult:
+ *           type: object
+ *           nullable: true
+ *           example: { "expired": 3 }
+ *         runCount:
+ *           type: integer
+ *         failureCount:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: Get all background jobs
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Jobs retrieved successfully
+ */
+router.get('/', auth, requirePermission('jobs:read'), getAllJobs);
+
+/**
+ * @swagger
+ * /api/jobs/{name}:
+ *   get:
+ *     summary: Get a job with its recent runs
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Job retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Job'
+ *       404:
+ *         description: Job not found
+ */
+router.get('/:name', auth, requirePermission('jobs:read'), validate(validation.getJobByName), getJobByName);
+
+/**
+ * @swagger
+ * /api/jobs/{name}/pause:
+ *   post:
+ *     summary: Pause a job
+ *     description: The job stops running on its schedule until it is resumed. It can still be run by hand.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Job paused successfully
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is already paused
+ */
+router.post('/:name/pause', auth, requirePermission('jobs:write'), validate(validation.pauseJob), pauseJob);
+
+/**
+ * @swagger
+ * /api/jobs/{name}/resume:
+ *   post:
+ *     summary: Resume a paused job
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Job resumed successfully
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is not paused
+ */
+router.post('/:name/resume', auth, requirePermission('jobs:write'), validate(validation.resumeJob), resumeJob);
+
+/**
+ * @swagger
+ * /api/jobs/{name}/run:
+ *   post:
+ *     summary: Run a job now
+ *     description: Queues a run for the next poll of the job runner, also when the job is paused.
+ *     tags: [Jobs]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Job queued to run
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is already running
+ */
+router.post('/:name/run', auth, requirePermission('jobs:write'), validate(validation.runJob), runJob);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const jobParams = {
+    type: 'object',
+    required: ['name'],
+    properties: {
+        name: { type: 'string', pattern: '^[a-z0-9-]+$', description: 'Job name', example: 'expire-payment-links' }
+    }
+};
+
+const getJobByName = { params: jobParams };
+
+const pauseJob = { params: jobParams };
+
+const resumeJob = { params: jobParams };
+
+const runJob = { params: jobParams };
+
+module.exports = {
+    getJobByName,
+    pauseJob,
+    resumeJob,
+    runJob
+};
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../audit/audit.plugin');
+const listQueryPlugin = require('../../utils/listQuery');
+const softDeletePlugin = require('../../utils/softDelete');
+const { concurrencyPlugin } = require('../../utils/concurrency');
 
 const locationSchema = new mongoose.Schema({
     locationName: {
@@ -186,4 +190,28 @@ locationSchema.methods.calculateDistance = function(lat, lng) {
 locationSchema.set('toJSON', { virtuals: true });
 locationSchema.set('toObject', { virtuals: true });
 
+// Deleted records go to the trash (see utils/softDelete)
+locationSchema.plugin(softDeletePlugin);
+
+// Record changes in the audit log
+locationSchema.plugin(auditPlugin);
+
+// Version every change for ETags and If-Match (see utils/concurrency)
+locationSchema.plugin(concurrencyPlugin);
+
+// Fields clients can filter, sort and select on in list endpoints (see utils/listQuery)
+locationSchema.plugin(listQueryPlugin, {
+    filter: [
+        'locationName', 'city', 'state', 'pincode', 'locationActive', 'deliveryAvailable',
+        'pickupAvailable'
+    ],
+    sort: ['locationName', 'city', 'state', 'createdAt', 'updatedAt'],
+    select: [
+        'locationName', 'fullAddress', 'city', 'state', 'pincode', 'phoneNumber', 'emailAddress',
+        'managerName', 'openingTime', 'closingTime', 'deliveryAvailable', 'pickupAvailable',
+        'locationActive', 'coordinates', 'deliveryRadius', 'minimumOrderAmount', 'deliveryCharge',
+        'description', 'facilities', 'images', 'createdAt', 'updatedAt'
+    ]
+});
+
 module.exports = mongoose.model('Location', locationSchema);
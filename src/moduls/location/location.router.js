@@ -1,6 +1,11 @@
 const express = require('express');
 const router = express.Router();
 const locationController = require('./location.controller');
+const auth = require('../../middleware/auth.middleware');
+const requirePermission = require('../../middleware/permission.middleware');
+const validate = require('../../middleware/validate.middleware');
+const idempotency = require('../../middleware/idempotency.middleware');
+const validation = require('./location.validation');
 
 /**
  * @swagger
@@ -132,89 +137,6 @@ const locationController = require('./location.controller');
  *           type: string
  *           format: date-time
  *           description: Last update timestamp
- * 
- *     LocationInput:
- *       type: object
- *       required:
- *         - locationName
- *         - fullAddress
- *         - city
- *         - state
- *         - pincode
- *         - openingTime
- *         - closingTime
- *       properties:
- *         locationName:
- *           type: string
- *           example: "Main Store"
- *         fullAddress:
- *           type: string
- *           example: "123 Main Street, Near Central Mall"
- *         city:
- *           type: string
- *           example: "Mumbai"
- *         state:
- *           type: string
- *           example: "Maharashtra"
- *         pincode:
- *           type: string
- *           example: "400001"
- *         phoneNumber:
- *           type: string
- *           example: "+919876543210"
- *         emailAddress:
- *           type: string
- *           format: email
- *           example: "store@example.com"
- *         managerName:
- *           type: string
- *           example: "John Doe"
- *         openingTime:
- *           type: string
- *           example: "09:00 AM"
- *         closingTime:
- *           type: string
- *           example: "09:00 PM"
- *         deliveryAvailable:
- *           type: boolean
- *           example: true
- *         pickupAvailable:
- *           type: boolean
- *           example: true
- *         locationActive:
- *           type: boolean
- *           example: true
- *         coordinates:
- *           type: object
- *           properties:
- *             latitude:
- *               type: number
- *               example: 19.0760
- *             longitude:
- *               type: number
- *               example: 72.8777
- *         deliveryRadius:
- *           type: number
- *           example: 10
- *         minimumOrderAmount:
- *           type: number
- *           example: 500
- *         deliveryCharge:
- *           type: number
- *           example: 50
- *         description:
- *           type: string
- *           example: "Our flagship store with all facilities"
- *         facilities:
- *           type: array
- *           items:
- *             type: string
- *           example: ["Parking", "AC", "WiFi"]
- *         images:
- *           type: array
- *           items:
- *             type: string
- *           example: ["image1.jpg", "image2.jpg"]
  */
 
 /**
@@ -223,65 +145,6 @@ const locationController = require('./location.controller');
  *   get:
  *     summary: Get all locations with pagination and filtering
  *     tags: [Locations]
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Number of locations per page
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Search by location name, address, manager name, or pincode
- *       - in: query
- *         name: city
- *         schema:
- *           type: string
- *         description: Filter by city
- *       - in: query
- *         name: state
- *         schema:
- *           type: string
- *         description: Filter by state
- *       - in: query
- *         name: locationActive
- *         schema:
- *           type: string
- *           enum: [true, false]
- *         description: Filter by active status
- *       - in: query
- *         name: deliveryAvailable
- *         schema:
- *           type: string
- *           enum: [true, false]
- *         description: Filter by delivery availability
- *       - in: query
- *         name: pickupAvailable
- *         schema:
- *           type: string
- *           enum: [true, false]
- *         description: Filter by pickup availability
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *           default: createdAt
- *         description: Sort by field
- *       - in: query
- *         name: sortOrder
- *         schema:
- *           type: string
- *           enum: [asc, desc]
- *           default: desc
- *         description: Sort order
  *     responses:
  *       200:
  *         description: Locations retrieved successfully
@@ -321,7 +184,7 @@ const locationController = require('./location.controller');
  *       500:
  *         description: Internal server error
  */
-router.get('/', locationController.getAllLocations);
+router.get('/', auth, requirePermission('locations:read'), validate(validation.getAllLocations), locationController.getAllLocations);
 
 /**
  * @swagger
@@ -380,7 +243,7 @@ router.get('/', locationController.getAllLocations);
  *       500:
  *         description: Internal server error
  */
-router.get('/stats', locationController.getLocationStats);
+router.get('/stats', auth, requirePermission('locations:read'), locationController.getLocationStats);
 
 /**
  * @swagger
@@ -388,28 +251,6 @@ router.get('/stats', locationController.getLocationStats);
  *   get:
  *     summary: Find nearby locations based on coordinates
  *     tags: [Locations]
- *     parameters:
- *       - in: query
- *         name: latitude
- *         required: true
- *         schema:
- *           type: number
- *         description: Latitude coordinate
- *         example: 19.0760
- *       - in: query
- *         name: longitude
- *         required: true
- *         schema:
- *           type: number
- *         description: Longitude coordinate
- *         example: 72.8777
- *       - in: query
- *         name: radius
- *         schema:
- *           type: number
- *           default: 10
- *         description: Search radius in kilometers
- *         example: 5
  *     responses:
  *       200:
  *         description: Nearby locations retrieved successfully
@@ -453,7 +294,7 @@ router.get('/stats', locationController.getLocationStats);
  *       500:
  *         description: Internal server error
  */
-router.get('/nearby', locationController.findNearbyLocations);
+router.get('/nearby', auth, requirePermission('locations:read'), validate(validation.findNearbyLocations), locationController.findNearbyLocations);
 
 /**
  * @swagger
@@ -461,21 +302,6 @@ router.get('/nearby', locationController.findNearbyLocations);
  *   get:
  *     summary: Get locations by city
  *     tags: [Locations]
- *     parameters:
- *       - in: path
- *         name: city
- *         required: true
- *         schema:
- *           type: string
- *         description: City name
- *         example: "Mumbai"
- *       - in: query
- *         name: locationActive
- *         schema:
- *           type: string
- *           enum: [true, false, '']
- *           default: 'true'
- *         description: Filter by active status
  *     responses:
  *       200:
  *         description: Locations in city retrieved successfully
@@ -504,7 +330,7 @@ router.get('/nearby', locationController.findNearbyLocations);
  *       500:
  *         description: Internal server error
  */
-router.get('/city/:city', locationController.getLocationsByCity);
+router.get('/city/:city', auth, requirePermission('locations:read'), validate(validation.getLocationsByCity), locationController.getLocationsByCity);
 
 /**
  * @swagger
@@ -512,13 +338,6 @@ router.get('/city/:city', locationController.getLocationsByCity);
  *   get:
  *     summary: Check if location is currently open
  *     tags: [Locations]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Location MongoDB ObjectId
  *     responses:
  *       200:
  *         description: Location status retrieved successfully
@@ -557,7 +376,19 @@ router.get('/city/:city', locationController.getLocationsByCity);
  *       500:
  *         description: Internal server error
  */
-router.get('/:id/status', locationController.checkLocationStatus);
+router.get('/:id/status', auth, requirePermission('locations:read'), validate(validation.checkLocationStatus), locationController.checkLocationStatus);
+
+/**
+ * @swagger
+ * /api/locations/trash:
+ *   get:
+ *     summary: List deleted locations
+ *     tags: [Locations]
+ *     responses:
+ *       200:
+ *         description: Deleted locations retrieved successfully
+ */
+router.get('/trash', auth, requirePermission('locations:read'), validate(validation.getDeletedLocations), locationController.getDeletedLocations);
 
 /**
  * @swagger
@@ -565,16 +396,12 @@ router.get('/:id/status', locationController.checkLocationStatus);
  *   get:
  *     summary: Get location by ID
  *     tags: [Locations]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Location MongoDB ObjectId
  *     responses:
  *       200:
  *         description: Location retrieved successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -595,7 +422,7 @@ router.get('/:id/status', locationController.checkLocationStatus);
  *       500:
  *         description: Internal server error
  */
-router.get('/:id', locationController.getLocationById);
+router.get('/:id', auth, requirePermission('locations:read'), validate(validation.getLocationById), locationController.getLocationById);
 
 /**
  * @swagger
@@ -603,12 +430,6 @@ router.get('/:id', locationController.getLocationById);
  *   post:
  *     summary: Create a new location
  *     tags: [Locations]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/LocationInput'
  *     responses:
  *       201:
  *         description: Location created successfully
@@ -645,7 +466,7 @@ router.get('/:id', locationController.getLocationById);
  *       500:
  *         description: Internal server error
  */
-router.post('/', locationController.createLocation);
+router.post('/', auth, requirePermission('locations:write'), validate(validation.createLocation), idempotency, locationController.createLocation);
 
 /**
  * @swagger
@@ -654,18 +475,7 @@ router.post('/', locationController.createLocation);
  *     summary: Update location by ID
  *     tags: [Locations]
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Location MongoDB ObjectId
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/LocationInput'
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Location updated successfully
@@ -686,27 +496,24 @@ router.post('/', locationController.createLocation);
  *         description: Invalid location ID format or validation error
  *       404:
  *         description: Location not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  */
-router.put('/:id', locationController.updateLocation);
+router.put('/:id', auth, requirePermission('locations:write'), validate(validation.updateLocation), locationController.updateLocation);
 
 /**
  * @swagger
  * /api/locations/{id}:
  *   delete:
- *     summary: Soft delete location (deactivate)
+ *     summary: Delete location (moves it to the trash)
  *     tags: [Locations]
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Location MongoDB ObjectId
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
- *         description: Location deactivated successfully
+ *         description: Location deleted successfully
  *         content:
  *           application/json:
  *             schema:
@@ -717,29 +524,26 @@ router.put('/:id', locationController.updateLocation);
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Location deactivated successfully"
+ *                   example: "Location deleted successfully"
  *       400:
  *         description: Invalid location ID format
  *       404:
  *         description: Location not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  */
-router.delete('/:id', locationController.deleteLocation);
+router.delete('/:id', auth, requirePermission('locations:delete'), validate(validation.deleteLocation), locationController.deleteLocation);
 
 /**
  * @swagger
  * /api/locations/{id}/permanent:
  *   delete:
- *     summary: Permanently delete location
+ *     summary: Permanently delete a location from the trash
  *     tags: [Locations]
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Location MongoDB ObjectId
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Location permanently deleted successfully
@@ -757,28 +561,25 @@ router.delete('/:id', locationController.deleteLocation);
  *       400:
  *         description: Invalid location ID format
  *       404:
- *         description: Location not found
+ *         description: Location not found in trash
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  */
-router.delete('/:id/permanent', locationController.permanentDeleteLocation);
+router.delete('/:id/permanent', auth, requirePermission('locations:delete'), validate(validation.permanentDeleteLocation), locationController.permanentDeleteLocation);
 
 /**
  * @swagger
  * /api/locations/{id}/restore:
  *   patch:
- *     summary: Restore location (activate)
+ *     summary: Restore a deleted location
  *     tags: [Locations]
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Location MongoDB ObjectId
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
- *         description: Location activated successfully
+ *         description: Location restored successfully
  *         content:
  *           application/json:
  *             schema:
@@ -789,16 +590,18 @@ router.delete('/:id/permanent', locationController.permanentDeleteLocation);
  *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Location activated successfully"
+ *                   example: "Location restored successfully"
  *                 data:
  *                   $ref: '#/components/schemas/Location'
  *       400:
  *         description: Invalid location ID format
  *       404:
- *         description: Location not found
+ *         description: Location not found in trash
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  */
-router.patch('/:id/restore', locationController.restoreLocation);
+router.patch('/:id/restore', auth, requirePermission('locations:write'), validate(validation.restoreLocation), locationController.restoreLocation);
 
 module.exports = router;
@@ -0,0 +1,50 @@
+const Location = require('./location.model');
+const { CITIES, person } = require('../../seed/people');
+
+const AREAS = ['Central', 'Mall', 'Market', 'Junction', 'High Street', 'Plaza'];
+const FACILITIES = ['Parking', 'Wheelchair Access', 'Card Payment', 'UPI Payment', 'Trial Rooms', 'Free Wi-Fi', 'Home Delivery'];
+
+// One store per city first, then more stores in the same cities
+const seedLocations = async ({ random, count }) => {
+    const locations = [];
+
+    for (let index = 0; index < count(4); index++) {
+        const city = CITIES[index % CITIES.length];
+        const area = random.pick(AREAS);
+        const manager = person(random, index, 'staff.example.com');
+
+        locations.push(await Location.create({
+            locationName: `HOTSPOT RETAIL ${city.city} ${area}${index >= CITIES.length ? ` ${Math.floor(index / CITIES.length) + 1}` : ''}`,
+            fullAddress: `Shop ${random.int(1, 120)}, ${area}, ${city.city}`,
+            city: city.city,
+            state: city.state,
+            pincode: `${city.pincode}${random.digits(3)}`,
+            phoneNumber: manager.mobileNumber,
+            emailAddress: `store${index + 1}@hotspot-retail.example.com`,
+            managerName: manager.fullName,
+            openingTime: random.pick(['09:00 AM', '09:30 AM', '10:00 AM']),
+            closingTime: random.pick(['08:00 PM', '09:00 PM', '10:00 PM']),
+            deliveryAvailable: random.bool(0.7),
+            pickupAvailable: random.bool(0.9),
+            locationActive: random.bool(0.9),
+            // Within a few kilometres of the city centre
+            coordinates: {
+                latitude: Number((city.latitude + random.float(-0.05, 0.05, 4)).toFixed(4)),
+                longitude: Number((city.longitude + random.float(-0.05, 0.05, 4)).toFixed(4))
+            },
+            deliveryRadius: random.pick([5, 10, 15]),
+            minimumOrderAmount: random.pick([0, 199, 499]),
+            deliveryCharge: random.pick([0, 29, 49]),
+            description: `Our ${area.toLowerCase()} store in ${city.city}.`,
+            facilities: random.sample(FACILITIES, random.int(2, 5))
+        }));
+    }
+
+    return locations;
+};
+
+module.exports = {
+    name: 'locations',
+    Model: Location,
+    seed: seedLocations
+};
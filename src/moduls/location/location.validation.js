@@ -0,0 +1,132 @@
+const { idParams, paginationQuery, sortQuery, listQuery } = require('../../middleware/validate.middleware');
+const Location = require('./location.model');
+
+const TIME_PATTERN = '^([01]?[0-9]|2[0-3]):[0-5][0-9] (AM|PM)$';
+
+const locationParams = idParams({ id: 'Location MongoDB ObjectId' });
+
+const locationFields = {
+    locationName: { type: 'string', minLength: 1, maxLength: 100, example: 'Main Store' },
+    fullAddress: { type: 'string', minLength: 1, maxLength: 500, example: '123 Main Street, Near Central Mall' },
+    city: { type: 'string', minLength: 1, maxLength: 50, example: 'Mumbai' },
+    state: { type: 'string', minLength: 1, maxLength: 50, example: 'Maharashtra' },
+    pincode: { type: 'string', pattern: '^\\d{6}$', example: '400001' },
+    phoneNumber: { type: 'string', pattern: '^\\+?[1-9]\\d{1,14}$', example: '+919876543210' },
+    emailAddress: { type: 'string', format: 'email', example: 'store@example.com' },
+    managerName: { type: 'string', maxLength: 100, example: 'John Doe' },
+    openingTime: { type: 'string', pattern: TIME_PATTERN, description: 'HH:MM AM/PM', example: '09:00 AM' },
+    closingTime: { type: 'string', pattern: TIME_PATTERN, description: 'HH:MM AM/PM', example: '09:00 PM' },
+    deliveryAvailable: { type: 'boolean', example: true },
+    pickupAvailable: { type: 'boolean', example: true },
+    locationActive: { type: 'boolean', example: true },
+    coordinates: {
+        type: 'object',
+        properties: {
+            latitude: { type: 'number', minimum: -90, maximum: 90, example: 19.0760 },
+            longitude: { type: 'number', minimum: -180, maximum: 180, example: 72.8777 }
+        }
+    },
+    deliveryRadius: { type: 'number', minimum: 0, maximum: 100, description: 'Kilometres', example: 10 },
+    minimumOrderAmount: { type: 'number', minimum: 0, example: 500 },
+    deliveryCharge: { type: 'number', minimum: 0, example: 50 },
+    description: { type: 'string', maxLength: 1000, example: 'Our flagship store with all facilities' },
+    facilities: { type: 'array', items: { type: 'string' }, example: ['Parking', 'AC', 'WiFi'] },
+    images: { type: 'array', items: { type: 'string' }, example: ['image1.jpg', 'image2.jpg'] }
+};
+
+const getAllLocations = {
+    query: {
+        type: 'object',
+        properties: {
+            ...paginationQuery(10),
+            search: { type: 'string', description: 'Search by location name, address, manager name, or pincode' },
+            city: { type: 'string', description: 'Filter by city' },
+            state: { type: 'string', description: 'Filter by state' },
+            locationActive: { type: 'boolean', description: 'Filter by active status' },
+            deliveryAvailable: { type: 'boolean', description: 'Filter by delivery availability' },
+            pickupAvailable: { type: 'boolean', description: 'Filter by pickup availability' },
+            ...sortQuery(Location.sortFields),
+            ...listQuery
+        }
+    }
+};
+
+const findNearbyLocations = {
+    query: {
+        type: 'object',
+        required: ['latitude', 'longitude'],
+        properties: {
+            latitude: { type: 'number', minimum: -90, maximum: 90, description: 'Latitude coordinate' },
+            longitude: { type: 'number', minimum: -180, maximum: 180, description: 'Longitude coordinate' },
+            radius: { type: 'number', minimum: 0, default: 10, description: 'Search radius in kilometers' }
+        }
+    }
+};
+
+const getLocationsByCity = {
+    params: {
+        type: 'object',
+        required: ['city'],
+        properties: {
+            city: { type: 'string', description: 'City name' }
+        }
+    },
+    query: {
+        type: 'object',
+        properties: {
+            locationActive: {
+                type: 'string',
+                enum: ['true', 'false', 'all'],
+                default: 'true',
+                description: 'Filter by active status, or all for every location'
+            }
+        }
+    }
+};
+
+const checkLocationStatus = { params: locationParams };
+
+const getLocationById = { params: locationParams };
+
+const createLocation = {
+    body: {
+        type: 'object',
+        required: ['locationName', 'fullAddress', 'city', 'state', 'pincode', 'openingTime', 'closingTime'],
+        properties: locationFields
+    }
+};
+
+const updateLocation = {
+    params: locationParams,
+    body: {
+        type: 'object',
+        properties: locationFields
+    }
+};
+
+const deleteLocation = { params: locationParams };
+
+const getDeletedLocations = {
+    query: {
+        type: 'object',
+        properties: paginationQuery(10)
+    }
+};
+
+const permanentDeleteLocation = { params: locationParams };
+
+const restoreLocation = { params: locationParams };
+
+module.exports = {
+    getAllLocations,
+    findNearbyLocations,
+    getLocationsByCity,
+    checkLocationStatus,
+    getLocationById,
+    createLocation,
+    updateLocation,
+    deleteLocation,
+    getDeletedLocations,
+    permanentDeleteLocation,
+    restoreLocation
+};
@@ -0,0 +1,14 @@
+const metrics = require('../../metrics');
+const asyncHandler = require('../../utils/asyncHandler');
+
+// Prometheus text exposition format, version 0.0.4
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const getMetrics = asyncHandler(async (req, res) => {
+    res.set('Content-Type', CONTENT_TYPE);
+    res.status(200).send(await metrics.render());
+});
+
+module.exports = {
+    getMetrics
+};
@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const { getMetrics } = require('./metrics.controller');
+const auth = require('../../middleware/auth.middleware');
+const requirePermission = require('../../middleware/permission.middleware');
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Prometheus metrics
+ *     description: |
+ *       Request counts and latency histograms per route, MongoDB connection pool
+ *       stats, process stats and business gauges such as low stock products and
+ *       overdue purchase orders, in the Prometheus text format. Scrape it with an
+ *       API key that has the metrics:read scope, sent as a bearer token.
+ *     tags: [System]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Metrics in the Prometheus text format
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 # HELP http_requests_total HTTP requests by method, route and status
+ *                 # TYPE http_requests_total counter
+ *                 http_requests_total{method="GET",route="/api/products/:id",status="200"} 42
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission metrics:read
+ */
+router.get('/', auth, requirePermission('metrics:read'), getMetrics);
+
+module.exports = router;
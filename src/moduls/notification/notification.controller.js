@@ -1,730 +1,671 @@
 const Notification = require('./notification.model');
 const mongoose = require('mongoose');
+const asyncHandler = require('../../utils/asyncHandler');
+const { BadRequestError, NotFoundError } = require('../../utils/errors');
+const { isCursorPagination, paginateWithCursor } = require('../../utils/pagination');
 
 // Create a new notification
-const createNotification = async (req, res) => {
-    try {
-        const {
-            title,
-            message,
-            type = 'Info',
-            priority = 'Medium',
-            sendToAllUsers = false,
-            targetUsers = [],
-            scheduledTime,
-            category = 'General',
-            actionButton,
-            icon = 'bell',
-            expiresAt,
-            metadata = {}
-        } = req.body;
-
-        // Validate required fields
-        if (!title || !message) {
-            return res.status(400).json({
-                success: false,
-                message: 'Title and message are required'
-            });
-        }
+const createNotification = asyncHandler(async (req, res) => {
+    const {
+        title,
+        message,
+        type = 'Info',
+        priority = 'Medium',
+        sendToAllUsers = false,
+        targetUsers = [],
+        scheduledTime,
+        category = 'General',
+        actionButton,
+        icon = 'bell',
+        expiresAt,
+        metadata = {}
+    } = req.body;
+
+    // Validate if targetUsers is provided when sendToAllUsers is false
+    if (!sendToAllUsers && (!targetUsers || targetUsers.length === 0)) {
+        throw new BadRequestError('Target users are required when not sending to all users');
+    }
 
-        // Validate if targetUsers is provided when sendToAllUsers is false
-        if (!sendToAllUsers && (!targetUsers || targetUsers.length === 0)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Target users are required when not sending to all users'
-            });
+    // Create notification object
+    const notificationData = {
+        title,
+        message,
+        type,
+        priority,
+        sendToAllUsers,
+        targetUsers: sendToAllUsers ? [] : targetUsers,
+        scheduledTime: scheduledTime ? new Date(scheduledTime) : null,
+        category,
+        actionButton,
+        icon,
+        expiresAt: expiresAt ? new Date(expiresAt) : null,
+        createdBy: req.user.id,
+        metadata: {
+            platform: metadata.platform || 'both',
+            sound: metadata.sound !== undefined ? metadata.sound : true,
+            vibration: metadata.vibration !== undefined ? metadata.vibration : false
         }
+    };
 
-        // Create notification object
-        const notificationData = {
-            title,
-            message,
-            type,
-            priority,
-            sendToAllUsers,
-            targetUsers: sendToAllUsers ? [] : targetUsers,
-            scheduledTime: scheduledTime ? new Date(scheduledTime) : null,
-            category,
-            actionButton,
-            icon,
-            expiresAt: expiresAt ? new Date(expiresAt) : null,
-            createdBy: req.user.id,
-            metadata: {
-                platform: metadata.platform || 'both',
-                sound: metadata.sound !== undefined ? metadata.sound : true,
-                vibration: metadata.vibration !== undefined ? metadata.vibration : false
-            }
-        };
+    const notification = new Notification(notificationData);
+    await notification.save();
 
-        const notification = new Notification(notificationData);
-        await notification.save();
+    // Populate createdBy field
+    await notification.populate('createdBy', 'name email');
 
-        // Populate createdBy field
-        await notification.populate('createdBy', 'name email');
+    res.status(201).json({
+        success: true,
+        message: 'Notification created successfully',
+        data: notification
+    });
+});
 
-        res.status(201).json({
-            success: true,
-            message: 'Notification created successfully',
-            data: notification
-        });
+// Get all notifications with filters and pagination
+const getAllNotifications = asyncHandler(async (req, res) => {
+    const {
+        page = 1,
+        limit = 20,
+        type,
+        priority,
+        status,
+        category,
+        sendToAllUsers,
+        createdBy,
+        search,
+        sortBy = 'createdAt',
+        sortOrder = 'desc',
+        after,
+        before
+    } = req.query;
+
+    // Build query
+    const query = {};
+    
+    if (type) query.type = type;
+    if (priority) query.priority = priority;
+    if (status) query.status = status;
+    if (category) query.category = category;
+    if (sendToAllUsers !== undefined) query.sendToAllUsers = sendToAllUsers;
+    if (createdBy) query.createdBy = createdBy;
+    
+    if (search) {
+        query.$or = [
+            { title: { $regex: search, $options: 'i' } },
+            { message: { $regex: search, $options: 'i' } }
+        ];
+    }
 
-    } catch (error) {
-        console.error('Create notification error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to create notification',
-            error: error.message
+    // Generic filter, sort and fields parameters
+    const listQuery = Notification.parseListQuery(req.query);
+    if (listQuery.conditions.length > 0) query.$and = listQuery.conditions;
+
+    // Calculate pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const sortOptions = listQuery.sort || { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
+
+    if (isCursorPagination(req.query)) {
+        const { items: notifications, pagination } = await paginateWithCursor(
+            Notification.find(query)
+                .select(listQuery.select)
+                .populate('createdBy', 'name email')
+                .populate('targetUsers', 'name email')
+                .lean(),
+            { sort: sortOptions, limit: parseInt(limit), after, before }
+        );
+
+        return res.status(200).json({
+            success: true,
+            message: 'Notifications retrieved successfully',
+            data: { notifications, pagination }
         });
     }
-};
 
-// Get all notifications with filters and pagination
-const getAllNotifications = async (req, res) => {
-    try {
-        const {
-            page = 1,
-            limit = 20,
-            type,
-            priority,
-            status,
-            category,
-            sendToAllUsers,
-            createdBy,
-            search,
-            sortBy = 'createdAt',
-            sortOrder = 'desc'
-        } = req.query;
-
-        // Build query
-        const query = {};
-        
-        if (type) query.type = type;
-        if (priority) query.priority = priority;
-        if (status) query.status = status;
-        if (category) query.category = category;
-        if (sendToAllUsers !== undefined) query.sendToAllUsers = sendToAllUsers === 'true';
-        if (createdBy) query.createdBy = createdBy;
-        
-        if (search) {
-            query.$or = [
-                { title: { $regex: search, $options: 'i' } },
-                { message: { $regex: search, $options: 'i' } }
-            ];
+    // Get notifications
+    const notifications = await Notification.find(query)
+        .select(listQuery.select)
+        .sort(sortOptions)
+        .skip(skip)
+        .limit(parseInt(limit))
+        .populate('createdBy', 'name email')
+        .populate('targetUsers', 'name email')
+        .lean();
+
+    // Get total count
+    const total = await Notification.countDocuments(query);
+
+    res.status(200).json({
+        success: true,
+        message: 'Notifications retrieved successfully',
+        data: {
+            notifications,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalItems: total,
+                itemsPerPage: parseInt(limit),
+                hasNextPage: skip + parseInt(limit) < total,
+                hasPreviousPage: parseInt(page) > 1
+            }
         }
+    });
+});
 
-        // Calculate pagination
-        const skip = (parseInt(page) - 1) * parseInt(limit);
-        const sortOptions = {};
-        sortOptions[sortBy] = sortOrder === 'asc' ? 1 : -1;
+// Get notification by ID
+const getNotificationById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-        // Get notifications
-        const notifications = await Notification.find(query)
-            .sort(sortOptions)
-            .skip(skip)
-            .limit(parseInt(limit))
-            .populate('createdBy', 'name email')
-            .populate('targetUsers', 'name email')
-            .lean();
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid notification ID');
+    }
 
-        // Get total count
-        const total = await Notification.countDocuments(query);
+    const notification = await Notification.findById(id)
+        .populate('createdBy', 'name email')
+        .populate('targetUsers', 'name email')
+        .populate('readBy.user', 'name email');
 
-        res.status(200).json({
-            success: true,
-            message: 'Notifications retrieved successfully',
-            data: {
-                notifications,
-                pagination: {
-                    currentPage: parseInt(page),
-                    totalPages: Math.ceil(total / parseInt(limit)),
-                    totalItems: total,
-                    itemsPerPage: parseInt(limit),
-                    hasNextPage: skip + parseInt(limit) < total,
-                    hasPreviousPage: parseInt(page) > 1
-                }
-            }
-        });
+    if (!notification) {
+        throw new NotFoundError('Notification not found');
+    }
 
-    } catch (error) {
-        console.error('Get notifications error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to retrieve notifications',
-            error: error.message
-        });
+    res.status(200).json({
+        success: true,
+        message: 'Notification retrieved successfully',
+        data: notification
+    });
+});
+
+// Update notification
+const updateNotification = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const updateData = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid notification ID');
     }
-};
 
-// Get notification by ID
-const getNotificationById = async (req, res) => {
-    try {
-        const { id } = req.params;
-
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid notification ID'
-            });
-        }
+    // Remove fields that shouldn't be updated
+    delete updateData.createdBy;
+    delete updateData.createdAt;
+    delete updateData.readBy;
+    delete updateData.deliveryStatus;
 
-        const notification = await Notification.findById(id)
-            .populate('createdBy', 'name email')
-            .populate('targetUsers', 'name email')
-            .populate('readBy.user', 'name email');
-
-        if (!notification) {
-            return res.status(404).json({
-                success: false,
-                message: 'Notification not found'
-            });
-        }
+    // Parse dates if provided
+    if (updateData.scheduledTime) {
+        updateData.scheduledTime = new Date(updateData.scheduledTime);
+    }
+    if (updateData.expiresAt) {
+        updateData.expiresAt = new Date(updateData.expiresAt);
+    }
 
-        res.status(200).json({
-            success: true,
-            message: 'Notification retrieved successfully',
-            data: notification
-        });
+    const notification = await Notification.findByIdAndUpdate(
+        id,
+        updateData,
+        { new: true, runValidators: true }
+    ).populate('createdBy', 'name email')
+     .populate('targetUsers', 'name email');
 
-    } catch (error) {
-        console.error('Get notification by ID error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to retrieve notification',
-            error: error.message
-        });
+    if (!notification) {
+        throw new NotFoundError('Notification not found');
     }
-};
 
-// Update notification
-const updateNotification = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const updateData = req.body;
-
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid notification ID'
-            });
-        }
+    res.status(200).json({
+        success: true,
+        message: 'Notification updated successfully',
+        data: notification
+    });
+});
 
-        // Remove fields that shouldn't be updated
-        delete updateData.createdBy;
-        delete updateData.createdAt;
-        delete updateData.readBy;
-        delete updateData.deliveryStatus;
+// Delete notification (moves it to the trash)
+const deleteNotification = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-        // Parse dates if provided
-        if (updateData.scheduledTime) {
-            updateData.scheduledTime = new Date(updateData.scheduledTime);
-        }
-        if (updateData.expiresAt) {
-            updateData.expiresAt = new Date(updateData.expiresAt);
-        }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid notification ID');
+    }
 
-        const notification = await Notification.findByIdAndUpdate(
-            id,
-            updateData,
-            { new: true, runValidators: true }
-        ).populate('createdBy', 'name email')
-         .populate('targetUsers', 'name email');
-
-        if (!notification) {
-            return res.status(404).json({
-                success: false,
-                message: 'Notification not found'
-            });
-        }
+    const notification = await Notification.findById(id);
 
-        res.status(200).json({
-            success: true,
-            message: 'Notification updated successfully',
-            data: notification
-        });
+    if (!notification) {
+        throw new NotFoundError('Notification not found');
+    }
 
-    } catch (error) {
-        console.error('Update notification error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to update notification',
-            error: error.message
-        });
+    await notification.softDelete(req.user.id);
+
+    res.status(200).json({
+        success: true,
+        message: 'Notification deleted successfully',
+        data: notification
+    });
+});
+
+// Get notifications in the trash, most recently deleted first
+const getDeletedNotifications = asyncHandler(async (req, res) => {
+    const { items: notifications, pagination } = await Notification.findInTrash(req.query);
+
+    res.status(200).json({
+        success: true,
+        message: 'Deleted notifications retrieved successfully',
+        data: { notifications, pagination }
+    });
+});
+
+// Restore notification from the trash
+const restoreNotification = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid notification ID');
     }
-};
 
-// Delete notification
-const deleteNotification = async (req, res) => {
-    try {
-        const { id } = req.params;
+    const notification = await Notification.findById(id).onlyDeleted();
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid notification ID'
-            });
-        }
+    if (!notification) {
+        throw new NotFoundError('Notification not found in trash');
+    }
 
-        const notification = await Notification.findByIdAndDelete(id);
+    await notification.restore();
 
-        if (!notification) {
-            return res.status(404).json({
-                success: false,
-                message: 'Notification not found'
-            });
-        }
+    res.status(200).json({
+        success: true,
+        message: 'Notification restored successfully',
+        data: notification
+    });
+});
 
-        res.status(200).json({
-            success: true,
-            message: 'Notification deleted successfully',
-            data: notification
-        });
+// Permanently delete notification from the trash
+const permanentDeleteNotification = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-    } catch (error) {
-        console.error('Delete notification error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to delete notification',
-            error: error.message
-        });
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid notification ID');
     }
-};
 
-// Get notifications for current user
-const getUserNotifications = async (req, res) => {
-    try {
-        const {
-            page = 1,
-            limit = 20,
-            unreadOnly = false,
-            type,
-            priority
-        } = req.query;
-
-        const userId = req.user.id;
-        const options = {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            unreadOnly: unreadOnly === 'true',
-            type,
-            priority
-        };
-
-        const notifications = await Notification.getForUser(userId, options);
-        const total = await Notification.countDocuments({
-            $or: [
-                { sendToAllUsers: true },
-                { targetUsers: userId }
-            ],
-            status: 'Sent',
-            isActive: true,
-            $or: [
-                { expiresAt: { $exists: false } },
-                { expiresAt: null },
-                { expiresAt: { $gt: new Date() } }
-            ]
-        });
+    const notification = await Notification.findById(id).onlyDeleted();
+
+    if (!notification || !await notification.purge()) {
+        throw new NotFoundError('Notification not found in trash');
+    }
+
+    res.status(200).json({
+        success: true,
+        message: 'Notification permanently deleted successfully'
+    });
+});
 
+// Get notifications for current user
+const getUserNotifications = asyncHandler(async (req, res) => {
+    const {
+        page = 1,
+        limit = 20,
+        unreadOnly = false,
+        type,
+        priority,
+        pagination,
+        after,
+        before
+    } = req.query;
+
+    const userId = req.user.id;
+    const options = {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        unreadOnly,
+        type,
+        priority,
+        pagination,
+        after,
+        before
+    };
+
+    if (isCursorPagination(options)) {
+        const result = await Notification.getForUser(userId, options);
         const unreadCount = await Notification.getUnreadCount(userId);
 
-        res.status(200).json({
+        return res.status(200).json({
             success: true,
             message: 'User notifications retrieved successfully',
             data: {
-                notifications,
+                notifications: result.items,
                 unreadCount,
-                pagination: {
-                    currentPage: parseInt(page),
-                    totalPages: Math.ceil(total / parseInt(limit)),
-                    totalItems: total,
-                    itemsPerPage: parseInt(limit),
-                    hasNextPage: parseInt(page) * parseInt(limit) < total,
-                    hasPreviousPage: parseInt(page) > 1
-                }
+                pagination: result.pagination
             }
         });
-
-    } catch (error) {
-        console.error('Get user notifications error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to retrieve user notifications',
-            error: error.message
-        });
     }
-};
 
-// Mark notification as read
-const markAsRead = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const userId = req.user.id;
-
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid notification ID'
-            });
+    const notifications = await Notification.getForUser(userId, options);
+    const total = await Notification.countDocuments({
+        $or: [
+            { sendToAllUsers: true },
+            { targetUsers: userId }
+        ],
+        status: 'Sent',
+        isActive: true,
+        $or: [
+            { expiresAt: { $exists: false } },
+            { expiresAt: null },
+            { expiresAt: { $gt: new Date() } }
+        ]
+    });
+
+    const unreadCount = await Notification.getUnreadCount(userId);
+
+    res.status(200).json({
+        success: true,
+        message: 'User notifications retrieved successfully',
+        data: {
+            notifications,
+            unreadCount,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalItems: total,
+                itemsPerPage: parseInt(limit),
+                hasNextPage: parseInt(page) * parseInt(limit) < total,
+                hasPreviousPage: parseInt(page) > 1
+            }
         }
+    });
+});
 
-        const notification = await Notification.markAsRead(id, userId);
+// Mark notification as read
+const markAsRead = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const userId = req.user.id;
 
-        if (!notification) {
-            return res.status(404).json({
-                success: false,
-                message: 'Notification not found'
-            });
-        }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid notification ID');
+    }
 
-        res.status(200).json({
-            success: true,
-            message: 'Notification marked as read',
-            data: notification
-        });
+    const notification = await Notification.markAsRead(id, userId);
 
-    } catch (error) {
-        console.error('Mark as read error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to mark notification as read',
-            error: error.message
-        });
+    if (!notification) {
+        throw new NotFoundError('Notification not found');
     }
-};
-
-// Mark all notifications as read for user
-const markAllAsRead = async (req, res) => {
-    try {
-        const userId = req.user.id;
-
-        // Find all unread notifications for this user
-        const unreadNotifications = await Notification.find({
-            $or: [
-                { sendToAllUsers: true },
-                { targetUsers: userId }
-            ],
-            status: 'Sent',
-            isActive: true,
-            'readBy.user': { $ne: userId }
-        });
 
-        // Mark all as read
-        const updatePromises = unreadNotifications.map(notification => 
-            Notification.markAsRead(notification._id, userId)
-        );
+    res.status(200).json({
+        success: true,
+        message: 'Notification marked as read',
+        data: notification
+    });
+});
 
-        await Promise.all(updatePromises);
+// Mark all notifications as read for user
+const markAllAsRead = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+
+    // Find all unread notifications for this user
+    const unreadNotifications = await Notification.find({
+        $or: [
+            { sendToAllUsers: true },
+            { targetUsers: userId }
+        ],
+        status: 'Sent',
+        isActive: true,
+        'readBy.user': { $ne: userId }
+    });
+
+    // Mark all as read
+    const updatePromises = unreadNotifications.map(notification => 
+        Notification.markAsRead(notification._id, userId)
+    );
+
+    await Promise.all(updatePromises);
+
+    res.status(200).json({
+        success: true,
+        message: `${unreadNotifications.length} notifications marked as read`,
+        data: {
+            markedCount: unreadNotifications.length
+        }
+    });
+});
 
-        res.status(200).json({
-            success: true,
-            message: `${unreadNotifications.length} notifications marked as read`,
-            data: {
-                markedCount: unreadNotifications.length
-            }
-        });
+// Send immediate notification
+const sendImmediateNotification = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-    } catch (error) {
-        console.error('Mark all as read error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to mark all notifications as read',
-            error: error.message
-        });
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid notification ID');
     }
-};
 
-// Send immediate notification
-const sendImmediateNotification = async (req, res) => {
-    try {
-        const { id } = req.params;
-
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid notification ID'
-            });
-        }
+    const notification = await Notification.findById(id);
 
-        const notification = await Notification.findById(id);
-
-        if (!notification) {
-            return res.status(404).json({
-                success: false,
-                message: 'Notification not found'
-            });
-        }
+    if (!notification) {
+        throw new NotFoundError('Notification not found');
+    }
 
-        if (notification.status === 'Sent') {
-            return res.status(400).json({
-                success: false,
-                message: 'Notification already sent'
-            });
-        }
+    if (notification.status === 'Sent') {
+        throw new BadRequestError('Notification already sent');
+    }
 
-        // Update notification status
-        notification.status = 'Sent';
-        notification.sentAt = new Date();
-        notification.scheduledTime = null;
-
-        // Calculate delivery status (mock implementation)
-        let totalRecipients = 0;
-        if (notification.sendToAllUsers) {
-            // In real implementation, count all active users
-            totalRecipients = 100; // Mock value
-        } else {
-            totalRecipients = notification.targetUsers.length;
-        }
+    // Update notification status
+    notification.status = 'Sent';
+    notification.sentAt = new Date();
+    notification.scheduledTime = null;
 
-        notification.deliveryStatus = {
-            total: totalRecipients,
-            delivered: totalRecipients,
-            failed: 0,
-            pending: 0
-        };
+    const totalRecipients = await notification.countRecipients();
 
-        await notification.save();
+    notification.deliveryStatus = {
+        total: totalRecipients,
+        delivered: totalRecipients,
+        failed: 0,
+        pending: 0
+    };
 
-        res.status(200).json({
-            success: true,
-            message: 'Notification sent successfully',
-            data: notification
-        });
+    await notification.save();
 
-    } catch (error) {
-        console.error('Send immediate notification error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to send notification',
-            error: error.message
-        });
-    }
-};
+    res.status(200).json({
+        success: true,
+        message: 'Notification sent successfully',
+        data: notification
+    });
+});
 
 // Get notification statistics
-const getNotificationStats = async (req, res) => {
-    try {
-        const { period = '30d', createdBy } = req.query;
-
-        // Calculate date range
-        const now = new Date();
-        let startDate;
-        
-        switch (period) {
-            case '7d':
-                startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-                break;
-            case '30d':
-                startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-                break;
-            case '90d':
-                startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-                break;
-            default:
-                startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-        }
+const getNotificationStats = asyncHandler(async (req, res) => {
+    const { period = '30d', createdBy } = req.query;
+
+    // Calculate date range
+    const now = new Date();
+    let startDate;
+    
+    switch (period) {
+        case '7d':
+            startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+            break;
+        case '30d':
+            startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+            break;
+        case '90d':
+            startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
+            break;
+        default:
+            startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+    }
 
-        const matchQuery = {
-            createdAt: { $gte: startDate }
-        };
+    const matchQuery = {
+        createdAt: { $gte: startDate }
+    };
 
-        if (createdBy) {
-            matchQuery.createdBy = mongoose.Types.ObjectId(createdBy);
-        }
+    if (createdBy) {
+        matchQuery.createdBy = mongoose.Types.ObjectId(createdBy);
+    }
 
-        const stats = await Notification.aggregate([
-            { $match: matchQuery },
-            {
-                $group: {
-                    _id: null,
-                    total: { $sum: 1 },
-                    sent: {
-                        $sum: {
-                            $cond: [{ $eq: ['$status', 'Sent'] }, 1, 0]
-                        }
-                    },
-                    scheduled: {
-                        $sum: {
-                            $cond: [{ $eq: ['$status', 'Scheduled'] }, 1, 0]
-                        }
-                    },
-                    draft: {
-                        $sum: {
-                            $cond: [{ $eq: ['$status', 'Draft'] }, 1, 0]
-                        }
-                    },
-                    failed: {
-                        $sum: {
-                            $cond: [{ $eq: ['$status', 'Failed'] }, 1, 0]
-                        }
-                    },
-                    highPriority: {
-                        $sum: {
-                            $cond: [{ $eq: ['$priority', 'High'] }, 1, 0]
-                        }
-                    },
-                    totalDelivered: { $sum: '$deliveryStatus.delivered' },
-                    totalFailed: { $sum: '$deliveryStatus.failed' },
-                    totalReads: { $sum: { $size: '$readBy' } }
-                }
-            }
-        ]);
-
-        const typeStats = await Notification.aggregate([
-            { $match: matchQuery },
-            {
-                $group: {
-                    _id: '$type',
-                    count: { $sum: 1 }
-                }
+    const stats = await Notification.aggregate([
+        { $match: matchQuery },
+        {
+            $group: {
+                _id: null,
+                total: { $sum: 1 },
+                sent: {
+                    $sum: {
+                        $cond: [{ $eq: ['$status', 'Sent'] }, 1, 0]
+                    }
+                },
+                scheduled: {
+                    $sum: {
+                        $cond: [{ $eq: ['$status', 'Scheduled'] }, 1, 0]
+                    }
+                },
+                draft: {
+                    $sum: {
+                        $cond: [{ $eq: ['$status', 'Draft'] }, 1, 0]
+                    }
+                },
+                failed: {
+                    $sum: {
+                        $cond: [{ $eq: ['$status', 'Failed'] }, 1, 0]
+                    }
+                },
+                highPriority: {
+                    $sum: {
+                        $cond: [{ $eq: ['$priority', 'High'] }, 1, 0]
+                    }
+                },
+                totalDelivered: { $sum: '$deliveryStatus.delivered' },
+                totalFailed: { $sum: '$deliveryStatus.failed' },
+                totalReads: { $sum: { $size: '$readBy' } }
             }
-        ]);
-
-        const priorityStats = await Notification.aggregate([
-            { $match: matchQuery },
-            {
-                $group: {
-                    _id: '$priority',
-                    count: { $sum: 1 }
-                }
+        }
+    ]);
+
+    const typeStats = await Notification.aggregate([
+        { $match: matchQuery },
+        {
+            $group: {
+                _id: '$type',
+                count: { $sum: 1 }
             }
-        ]);
-
-        const categoryStats = await Notification.aggregate([
-            { $match: matchQuery },
-            {
-                $group: {
-                    _id: '$category',
-                    count: { $sum: 1 }
-                }
+        }
+    ]);
+
+    const priorityStats = await Notification.aggregate([
+        { $match: matchQuery },
+        {
+            $group: {
+                _id: '$priority',
+                count: { $sum: 1 }
             }
-        ]);
-
-        res.status(200).json({
-            success: true,
-            message: 'Notification statistics retrieved successfully',
-            data: {
-                overview: stats[0] || {
-                    total: 0,
-                    sent: 0,
-                    scheduled: 0,
-                    draft: 0,
-                    failed: 0,
-                    highPriority: 0,
-                    totalDelivered: 0,
-                    totalFailed: 0,
-                    totalReads: 0
-                },
-                byType: typeStats,
-                byPriority: priorityStats,
-                byCategory: categoryStats,
-                period
+        }
+    ]);
+
+    const categoryStats = await Notification.aggregate([
+        { $match: matchQuery },
+        {
+            $group: {
+                _id: '$category',
+                count: { $sum: 1 }
             }
-        });
-
-    } catch (error) {
-        console.error('Get notification stats error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to retrieve notification statistics',
-            error: error.message
-        });
-    }
-};
+        }
+    ]);
+
+    res.status(200).json({
+        success: true,
+        message: 'Notification statistics retrieved successfully',
+        data: {
+            overview: stats[0] || {
+                total: 0,
+                sent: 0,
+                scheduled: 0,
+                draft: 0,
+                failed: 0,
+                highPriority: 0,
+                totalDelivered: 0,
+                totalFailed: 0,
+                totalReads: 0
+            },
+            byType: typeStats,
+            byPriority: priorityStats,
+            byCategory: categoryStats,
+            period
+        }
+    });
+});
 
 // Get scheduled notifications
-const getScheduledNotifications = async (req, res) => {
-    try {
-        const { page = 1, limit = 20 } = req.query;
+const getScheduledNotifications = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, after, before } = req.query;
 
-        const skip = (parseInt(page) - 1) * parseInt(limit);
-
-        const notifications = await Notification.find({
-            status: 'Scheduled',
-            scheduledTime: { $gt: new Date() }
-        })
-        .sort({ scheduledTime: 1 })
-        .skip(skip)
-        .limit(parseInt(limit))
-        .populate('createdBy', 'name email')
-        .populate('targetUsers', 'name email');
+    const skip = (parseInt(page) - 1) * parseInt(limit);
 
-        const total = await Notification.countDocuments({
-            status: 'Scheduled',
-            scheduledTime: { $gt: new Date() }
-        });
+    if (isCursorPagination(req.query)) {
+        const { items: notifications, pagination } = await paginateWithCursor(
+            Notification.find({
+                status: 'Scheduled',
+                scheduledTime: { $gt: new Date() }
+            })
+            .populate('createdBy', 'name email')
+            .populate('targetUsers', 'name email'),
+            { sort: { scheduledTime: 1 }, limit: parseInt(limit), after, before }
+        );
 
-        res.status(200).json({
+        return res.status(200).json({
             success: true,
             message: 'Scheduled notifications retrieved successfully',
-            data: {
-                notifications,
-                pagination: {
-                    currentPage: parseInt(page),
-                    totalPages: Math.ceil(total / parseInt(limit)),
-                    totalItems: total,
-                    itemsPerPage: parseInt(limit),
-                    hasNextPage: skip + parseInt(limit) < total,
-                    hasPreviousPage: parseInt(page) > 1
-                }
-            }
-        });
-
-    } catch (error) {
-        console.error('Get scheduled notifications error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to retrieve scheduled notifications',
-            error: error.message
+            data: { notifications, pagination }
         });
     }
-};
 
-// Cancel scheduled notification
-const cancelScheduledNotification = async (req, res) => {
-    try {
-        const { id } = req.params;
-
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid notification ID'
-            });
+    const notifications = await Notification.find({
+        status: 'Scheduled',
+        scheduledTime: { $gt: new Date() }
+    })
+    .sort({ scheduledTime: 1 })
+    .skip(skip)
+    .limit(parseInt(limit))
+    .populate('createdBy', 'name email')
+    .populate('targetUsers', 'name email');
+
+    const total = await Notification.countDocuments({
+        status: 'Scheduled',
+        scheduledTime: { $gt: new Date() }
+    });
+
+    res.status(200).json({
+        success: true,
+        message: 'Scheduled notifications retrieved successfully',
+        data: {
+            notifications,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / parseInt(limit)),
+                totalItems: total,
+                itemsPerPage: parseInt(limit),
+                hasNextPage: skip + parseInt(limit) < total,
+                hasPreviousPage: parseInt(page) > 1
+            }
         }
+    });
+});
 
-        const notification = await Notification.findById(id);
-
-        if (!notification) {
-            return res.status(404).json({
-                success: false,
-                message: 'Notification not found'
-            });
-        }
+// Cancel scheduled notification
+const cancelScheduledNotification = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-        if (notification.status !== 'Scheduled') {
-            return res.status(400).json({
-                success: false,
-                message: 'Only scheduled notifications can be cancelled'
-            });
-        }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid notification ID');
+    }
 
-        notification.status = 'Cancelled';
-        notification.scheduledTime = null;
-        await notification.save();
+    const notification = await Notification.findById(id);
 
-        res.status(200).json({
-            success: true,
-            message: 'Scheduled notification cancelled successfully',
-            data: notification
-        });
+    if (!notification) {
+        throw new NotFoundError('Notification not found');
+    }
 
-    } catch (error) {
-        console.error('Cancel scheduled notification error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to cancel scheduled notification',
-            error: error.message
-        });
+    if (notification.status !== 'Scheduled') {
+        throw new BadRequestError('Only scheduled notifications can be cancelled');
     }
-};
+
+    notification.status = 'Cancelled';
+    notification.scheduledTime = null;
+    await notification.save();
+
+    res.status(200).json({
+        success: true,
+        message: 'Scheduled notification cancelled successfully',
+        data: notification
+    });
+});
 
 module.exports = {
     createNotification,
@@ -732,6 +673,9 @@ module.exports = {
     getNotificationById,
     updateNotification,
     deleteNotification,
+    getDeletedNotifications,
+    restoreNotification,
+    permanentDeleteNotification,
     getUserNotifications,
     markAsRead,
     markAllAsRead,
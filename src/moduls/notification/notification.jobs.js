@@ -0,0 +1,11 @@
+const Notification = require('./notification.model');
+
+// Background jobs of the notification module, see src/jobs
+module.exports = [
+    {
+        name: 'send-scheduled-notifications',
+        description: 'Send scheduled notifications whose scheduled time has passed',
+        intervalSeconds: 60,
+        handler: async () => ({ sent: await Notification.sendDueScheduled() })
+    }
+];
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../audit/audit.plugin');
+const listQueryPlugin = require('../../utils/listQuery');
+const softDeletePlugin = require('../../utils/softDelete');
+const { isCursorPagination, paginateWithCursor } = require('../../utils/pagination');
 
 const notificationSchema = new mongoose.Schema({
     title: {
@@ -178,14 +182,17 @@ notificationSchema.pre('save', function(next) {
     next();
 });
 
-// Static method to get notifications for a specific user
+// Static method to get notifications for a specific user. Cursor options make it
+// resolve to { items, pagination }, see utils/pagination.
 notificationSchema.statics.getForUser = function(userId, options = {}) {
     const {
         page = 1,
         limit = 20,
         unreadOnly = false,
         type = null,
-        priority = null
+        priority = null,
+        after = null,
+        before = null
     } = options;
 
     const query = {
@@ -211,6 +218,13 @@ notificationSchema.statics.getForUser = function(userId, options = {}) {
 
     const skip = (page - 1) * limit;
 
+    if (isCursorPagination(options)) {
+        return paginateWithCursor(
+            this.find(query).populate('createdBy', 'name email').lean(),
+            { sort: { priority: -1, createdAt: -1 }, limit, after, before }
+        );
+    }
+
     return this.find(query)
         .sort({ priority: -1, createdAt: -1 })
         .skip(skip)
@@ -253,7 +267,7 @@ notificationSchema.statics.getUnreadCount = function(userId) {
     });
 };
 
-// Static method to search notifications
+// Static method to search notifications (cursor mode resolves to { items, pagination })
 notificationSchema.statics.searchNotifications = function(searchTerm, options = {}) {
     const {
         page = 1,
@@ -261,7 +275,9 @@ notificationSchema.statics.searchNotifications = function(searchTerm, options =
         type = null,
         priority = null,
         status = null,
-        createdBy = null
+        createdBy = null,
+        after = null,
+        before = null
     } = options;
 
     const query = {};
@@ -280,6 +296,16 @@ notificationSchema.statics.searchNotifications = function(searchTerm, options =
 
     const skip = (page - 1) * limit;
 
+    if (isCursorPagination(options)) {
+        return paginateWithCursor(
+            this.find(query)
+                .populate('createdBy', 'name email')
+                .populate('targetUsers', 'name email')
+                .lean(),
+            { sort: { createdAt: -1 }, limit, after, before }
+        );
+    }
+
     return this.find(query)
         .sort({ createdAt: -1 })
         .skip(skip)
@@ -289,6 +315,39 @@ notificationSchema.statics.searchNotifications = function(searchTerm, options =
         .lean();
 };
 
+// Static method to send scheduled notifications whose time has come. Each one is
+// only switched to Sent while it is still Scheduled, so one that was cancelled or
+// sent by hand in the meantime is left alone. Resolves to the number sent.
+notificationSchema.statics.sendDueScheduled = async function(now = new Date()) {
+    const due = await this.find({ status: 'Scheduled', scheduledTime: { $lte: now } });
+
+    let sent = 0;
+    for (const notification of due) {
+        const total = await notification.countRecipients();
+        const result = await this.updateOne(
+            { _id: notification._id, status: 'Scheduled' },
+            {
+                $set: {
+                    status: 'Sent',
+                    sentAt: now,
+                    deliveryStatus: { total, delivered: total, failed: 0, pending: 0 }
+                }
+            }
+        );
+        sent += result.modifiedCount;
+    }
+
+    return sent;
+};
+
+// Instance method to count the users who receive the notification
+notificationSchema.methods.countRecipients = async function() {
+    if (this.sendToAllUsers) {
+        return mongoose.model('User').countDocuments({ isActive: true });
+    }
+    return this.targetUsers.length;
+};
+
 // Instance method to check if user has read the notification
 notificationSchema.methods.isReadBy = function(userId) {
     return this.readBy.some(read => read.user.toString() === userId.toString());
@@ -306,6 +365,26 @@ notificationSchema.methods.toJSON = function() {
     return notification;
 };
 
+// Deleted records go to the trash (see utils/softDelete)
+notificationSchema.plugin(softDeletePlugin);
+
+// Record changes in the audit log
+notificationSchema.plugin(auditPlugin);
+
+// Fields clients can filter, sort and select on in list endpoints (see utils/listQuery)
+notificationSchema.plugin(listQueryPlugin, {
+    filter: [
+        'type', 'priority', 'status', 'category', 'sendToAllUsers', 'targetUsers', 'scheduledTime',
+        'createdBy', 'expiresAt', 'createdAt'
+    ],
+    sort: ['createdAt', 'scheduledTime', 'sentAt', 'priority', 'type', 'status'],
+    select: [
+        'title', 'message', 'type', 'priority', 'sendToAllUsers', 'targetUsers', 'scheduledTime',
+        'status', 'sentAt', 'deliveryStatus', 'category', 'actionButton', 'icon', 'isActive',
+        'expiresAt', 'createdBy', 'createdAt', 'updatedAt'
+    ]
+});
+
 const Notification = mongoose.model('Notification', notificationSchema);
 
 module.exports = Notification;
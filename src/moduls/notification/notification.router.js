@@ -1,12 +1,20 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../../middleware/auth.middleware');
+const { userOnlyMiddleware } = authMiddleware;
+const requirePermission = require('../../middleware/permission.middleware');
+const validate = require('../../middleware/validate.middleware');
+const idempotency = require('../../middleware/idempotency.middleware');
+const validation = require('./notification.validation');
 const {
     createNotification,
     getAllNotifications,
     getNotificationById,
     updateNotification,
     deleteNotification,
+    getDeletedNotifications,
+    restoreNotification,
+    permanentDeleteNotification,
     getUserNotifications,
     markAsRead,
     markAllAsRead,
@@ -156,83 +164,6 @@ const {
  *         category: "System"
  *         icon: "warning"
  * 
- *     NotificationInput:
- *       type: object
- *       required:
- *         - title
- *         - message
- *       properties:
- *         title:
- *           type: string
- *           minLength: 3
- *           maxLength: 200
- *           example: "System Maintenance Alert"
- *         message:
- *           type: string
- *           minLength: 5
- *           maxLength: 1000
- *           example: "System will be under maintenance from 2 AM to 4 AM"
- *         type:
- *           type: string
- *           enum: [Warning, Info, Success, Error]
- *           default: "Info"
- *           example: "Warning"
- *         priority:
- *           type: string
- *           enum: [High, Medium, Low]
- *           default: "Medium"
- *           example: "High"
- *         sendToAllUsers:
- *           type: boolean
- *           default: false
- *           example: true
- *         targetUsers:
- *           type: array
- *           items:
- *             type: string
- *           description: Required if sendToAllUsers is false
- *         scheduledTime:
- *           type: string
- *           format: date-time
- *           description: Leave empty for immediate sending
- *         category:
- *           type: string
- *           enum: [System, Marketing, Security, Updates, General]
- *           default: "General"
- *           example: "System"
- *         actionButton:
- *           type: object
- *           properties:
- *             text:
- *               type: string
- *               maxLength: 50
- *               example: "View Details"
- *             url:
- *               type: string
- *               format: uri
- *               example: "https://example.com/details"
- *         icon:
- *           type: string
- *           default: "bell"
- *           example: "warning"
- *         expiresAt:
- *           type: string
- *           format: date-time
- *           description: When the notification should expire
- *         metadata:
- *           type: object
- *           properties:
- *             platform:
- *               type: string
- *               enum: [web, mobile, both]
- *               default: "both"
- *             sound:
- *               type: boolean
- *               default: true
- *             vibration:
- *               type: boolean
- *               default: false
- * 
  *   securitySchemes:
  *     BearerAuth:
  *       type: http
@@ -255,12 +186,6 @@ const {
  *     tags: [Notifications]
  *     security:
  *       - BearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/NotificationInput'
  *     responses:
  *       201:
  *         description: Notification created successfully
@@ -284,7 +209,7 @@ const {
  *       500:
  *         description: Internal server error
  */
-router.post('/', authMiddleware, createNotification);
+router.post('/', authMiddleware, requirePermission('notifications:write'), validate(validation.createNotification), idempotency, createNotification);
 
 /**
  * @swagger
@@ -294,74 +219,6 @@ router.post('/', authMiddleware, createNotification);
  *     tags: [Notifications]
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number for pagination
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *           default: 20
- *         description: Number of items per page
- *       - in: query
- *         name: type
- *         schema:
- *           type: string
- *           enum: [Warning, Info, Success, Error]
- *         description: Filter by notification type
- *       - in: query
- *         name: priority
- *         schema:
- *           type: string
- *           enum: [High, Medium, Low]
- *         description: Filter by priority level
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [Draft, Scheduled, Sent, Failed, Cancelled]
- *         description: Filter by notification status
- *       - in: query
- *         name: category
- *         schema:
- *           type: string
- *           enum: [System, Marketing, Security, Updates, General]
- *         description: Filter by category
- *       - in: query
- *         name: sendToAllUsers
- *         schema:
- *           type: boolean
- *         description: Filter by send to all users flag
- *       - in: query
- *         name: createdBy
- *         schema:
- *           type: string
- *         description: Filter by creator user ID
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Search in title and message
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *           default: createdAt
- *         description: Field to sort by
- *       - in: query
- *         name: sortOrder
- *         schema:
- *           type: string
- *           enum: [asc, desc]
- *           default: desc
- *         description: Sort order
  *     responses:
  *       200:
  *         description: Notifications retrieved successfully
@@ -403,7 +260,7 @@ router.post('/', authMiddleware, createNotification);
  *       500:
  *         description: Internal server error
  */
-router.get('/', authMiddleware, getAllNotifications);
+router.get('/', authMiddleware, requirePermission('notifications:read'), validate(validation.getAllNotifications), getAllNotifications);
 
 /**
  * @swagger
@@ -413,40 +270,6 @@ router.get('/', authMiddleware, getAllNotifications);
  *     tags: [Notifications]
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number for pagination
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *           default: 20
- *         description: Number of items per page
- *       - in: query
- *         name: unreadOnly
- *         schema:
- *           type: boolean
- *           default: false
- *         description: Show only unread notifications
- *       - in: query
- *         name: type
- *         schema:
- *           type: string
- *           enum: [Warning, Info, Success, Error]
- *         description: Filter by notification type
- *       - in: query
- *         name: priority
- *         schema:
- *           type: string
- *           enum: [High, Medium, Low]
- *         description: Filter by priority level
  *     responses:
  *       200:
  *         description: User notifications retrieved successfully
@@ -478,7 +301,7 @@ router.get('/', authMiddleware, getAllNotifications);
  *       500:
  *         description: Internal server error
  */
-router.get('/user', authMiddleware, getUserNotifications);
+router.get('/user', userOnlyMiddleware, validate(validation.getUserNotifications), getUserNotifications);
 
 /**
  * @swagger
@@ -488,19 +311,6 @@ router.get('/user', authMiddleware, getUserNotifications);
  *     tags: [Notifications]
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: query
- *         name: period
- *         schema:
- *           type: string
- *           enum: [7d, 30d, 90d]
- *           default: 30d
- *         description: Time period for statistics
- *       - in: query
- *         name: createdBy
- *         schema:
- *           type: string
- *         description: Filter by creator user ID
  *     responses:
  *       200:
  *         description: Notification statistics retrieved successfully
@@ -563,7 +373,7 @@ router.get('/user', authMiddleware, getUserNotifications);
  *       500:
  *         description: Internal server error
  */
-router.get('/stats', authMiddleware, getNotificationStats);
+router.get('/stats', authMiddleware, requirePermission('notifications:read'), validate(validation.getNotificationStats), getNotificationStats);
 
 /**
  * @swagger
@@ -573,20 +383,6 @@ router.get('/stats', authMiddleware, getNotificationStats);
  *     tags: [Notifications]
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *           default: 20
  *     responses:
  *       200:
  *         description: Scheduled notifications retrieved successfully
@@ -614,7 +410,21 @@ router.get('/stats', authMiddleware, getNotificationStats);
  *       500:
  *         description: Internal server error
  */
-router.get('/scheduled', authMiddleware, getScheduledNotifications);
+router.get('/scheduled', authMiddleware, requirePermission('notifications:read'), validate(validation.getScheduledNotifications), getScheduledNotifications);
+
+/**
+ * @swagger
+ * /api/notifications/trash:
+ *   get:
+ *     summary: List deleted notifications
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deleted notifications retrieved successfully
+ */
+router.get('/trash', authMiddleware, requirePermission('notifications:read'), validate(validation.getDeletedNotifications), getDeletedNotifications);
 
 /**
  * @swagger
@@ -624,13 +434,6 @@ router.get('/scheduled', authMiddleware, getScheduledNotifications);
  *     tags: [Notifications]
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Notification ID
  *     responses:
  *       200:
  *         description: Notification retrieved successfully
@@ -656,7 +459,7 @@ router.get('/scheduled', authMiddleware, getScheduledNotifications);
  *       500:
  *         description: Internal server error
  */
-router.get('/:id', authMiddleware, getNotificationById);
+router.get('/:id', authMiddleware, requirePermission('notifications:read'), validate(validation.getNotificationById), getNotificationById);
 
 /**
  * @swagger
@@ -666,19 +469,6 @@ router.get('/:id', authMiddleware, getNotificationById);
  *     tags: [Notifications]
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Notification ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/NotificationInput'
  *     responses:
  *       200:
  *         description: Notification updated successfully
@@ -704,7 +494,7 @@ router.get('/:id', authMiddleware, getNotificationById);
  *       500:
  *         description: Internal server error
  */
-router.put('/:id', authMiddleware, updateNotification);
+router.put('/:id', authMiddleware, requirePermission('notifications:write'), validate(validation.updateNotification), updateNotification);
 
 /**
  * @swagger
@@ -714,13 +504,6 @@ router.put('/:id', authMiddleware, updateNotification);
  *     tags: [Notifications]
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Notification ID
  *     responses:
  *       200:
  *         description: Notification deleted successfully
@@ -746,7 +529,39 @@ router.put('/:id', authMiddleware, updateNotification);
  *       500:
  *         description: Internal server error
  */
-router.delete('/:id', authMiddleware, deleteNotification);
+router.delete('/:id', authMiddleware, requirePermission('notifications:delete'), validate(validation.deleteNotification), deleteNotification);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/restore:
+ *   patch:
+ *     summary: Restore a deleted notification
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification restored successfully
+ *       404:
+ *         description: Notification not found in trash
+ */
+router.patch('/:id/restore', authMiddleware, requirePermission('notifications:write'), validate(validation.restoreNotification), restoreNotification);
+
+/**
+ * @swagger
+ * /api/notifications/{id}/permanent:
+ *   delete:
+ *     summary: Permanently delete a notification from the trash
+ *     tags: [Notifications]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Notification permanently deleted successfully
+ *       404:
+ *         description: Notification not found in trash
+ */
+router.delete('/:id/permanent', authMiddleware, requirePermission('notifications:delete'), validate(validation.permanentDeleteNotification), permanentDeleteNotification);
 
 /**
  * @swagger
@@ -756,13 +571,6 @@ router.delete('/:id', authMiddleware, deleteNotification);
  *     tags: [Notifications]
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Notification ID
  *     responses:
  *       200:
  *         description: Notification marked as read
@@ -788,7 +596,7 @@ router.delete('/:id', authMiddleware, deleteNotification);
  *       500:
  *         description: Internal server error
  */
-router.patch('/:id/read', authMiddleware, markAsRead);
+router.patch('/:id/read', userOnlyMiddleware, validate(validation.markAsRead), markAsRead);
 
 /**
  * @swagger
@@ -823,7 +631,7 @@ router.patch('/:id/read', authMiddleware, markAsRead);
  *       500:
  *         description: Internal server error
  */
-router.patch('/read-all', authMiddleware, markAllAsRead);
+router.patch('/read-all', userOnlyMiddleware, markAllAsRead);
 
 /**
  * @swagger
@@ -833,13 +641,6 @@ router.patch('/read-all', authMiddleware, markAllAsRead);
  *     tags: [Notifications]
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Notification ID
  *     responses:
  *       200:
  *         description: Notification sent successfully
@@ -865,7 +666,7 @@ router.patch('/read-all', authMiddleware, markAllAsRead);
  *       500:
  *         description: Internal server error
  */
-router.post('/:id/send', authMiddleware, sendImmediateNotification);
+router.post('/:id/send', authMiddleware, requirePermission('notifications:write'), validate(validation.sendImmediateNotification), sendImmediateNotification);
 
 /**
  * @swagger
@@ -875,13 +676,6 @@ router.post('/:id/send', authMiddleware, sendImmediateNotification);
  *     tags: [Notifications]
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Notification ID
  *     responses:
  *       200:
  *         description: Scheduled notification cancelled successfully
@@ -907,6 +701,6 @@ router.post('/:id/send', authMiddleware, sendImmediateNotification);
  *       500:
  *         description: Internal server error
  */
-router.patch('/:id/cancel', authMiddleware, cancelScheduledNotification);
+router.patch('/:id/cancel', authMiddleware, requirePermission('notifications:write'), validate(validation.cancelScheduledNotification), cancelScheduledNotification);
 
 module.exports = router;
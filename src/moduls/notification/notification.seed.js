@@ -0,0 +1,70 @@
+const Notification = require('./notification.model');
+const config = require('../../config/env');
+
+// Notifications about the other seeded records: stock, orders and new customers.
+// Most have been sent, a few are scheduled for the coming days.
+const seedNotifications = async ({ random, count, refs, owner }) => {
+    const lowStock = refs.products.filter(product => product.isLowStock);
+    const openOrders = refs.purchaseOrders.filter(order => ['Pending', 'Confirmed', 'Shipped'].includes(order.status));
+
+    const templates = [
+        () => {
+            const product = random.pick(lowStock);
+            return {
+                title: product.quantity === 0 ? 'Out of stock' : 'Low stock',
+                message: `${product.productName} (${product.sku}) has ${product.quantity} left in stock.`,
+                type: 'Warning',
+                priority: product.quantity === 0 ? 'High' : 'Medium',
+                category: 'System',
+                actionButton: { text: 'View product', url: `${config.frontendUrl}/products/${product._id}` }
+            };
+        },
+        () => {
+            const order = random.pick(openOrders);
+            return {
+                title: `Purchase order ${order.status.toLowerCase()}`,
+                message: `${order.orderNumber} is expected on ${order.expectedDelivery.toDateString()}.`,
+                type: 'Info',
+                priority: order.priority === 'Urgent' ? 'High' : 'Low',
+                category: 'Updates',
+                actionButton: { text: 'View order', url: `${config.frontendUrl}/purchase-orders/${order._id}` }
+            };
+        },
+        () => ({
+            title: 'Weekend sale',
+            message: `Up to ${random.pick([10, 20, 30])}% off across ${random.pick(refs.categories).name} this weekend.`,
+            type: 'Success',
+            priority: 'Low',
+            category: 'Marketing'
+        }),
+        () => ({
+            title: 'New customers',
+            message: `${random.int(1, refs.customers.length)} customers signed up this week.`,
+            type: 'Info',
+            priority: 'Low',
+            category: 'General'
+        })
+    ].filter((template, index) => (index === 0 ? lowStock.length > 0 : index === 1 ? openOrders.length > 0 : true));
+
+    const notifications = [];
+    for (let index = 0; index < count(6); index++) {
+        const scheduled = random.bool(0.2);
+        const sendToAllUsers = random.bool(0.5);
+
+        notifications.push(await Notification.create({
+            ...random.pick(templates)(),
+            sendToAllUsers,
+            targetUsers: sendToAllUsers ? [] : [owner._id],
+            ...(scheduled && { scheduledTime: random.daysFromNow(1, 7) }),
+            createdBy: owner._id
+        }));
+    }
+
+    return notifications;
+};
+
+module.exports = {
+    name: 'notifications',
+    Model: Notification,
+    seed: seedNotifications
+};
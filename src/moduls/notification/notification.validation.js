@@ -0,0 +1,151 @@
+const { objectId, idParams, paginationQuery, sortQuery, listQuery, dateTime } = require('../../middleware/validate.middleware');
+const Notification = require('./notification.model');
+
+const NOTIFICATION_TYPES = ['Warning', 'Info', 'Success', 'Error'];
+const PRIORITIES = ['High', 'Medium', 'Low'];
+const STATUSES = ['Draft', 'Scheduled', 'Sent', 'Failed', 'Cancelled'];
+const CATEGORIES = ['System', 'Marketing', 'Security', 'Updates', 'General'];
+
+const notificationParams = idParams({ id: 'Notification ID' });
+
+// A date, or empty/null for none
+const optionalDate = (description) => ({
+    anyOf: [
+        dateTime,
+        { type: 'string', nullable: true, maxLength: 0 }
+    ],
+    description
+});
+
+const notificationFields = {
+    title: { type: 'string', minLength: 3, maxLength: 200, example: 'System Maintenance Alert' },
+    message: { type: 'string', minLength: 5, maxLength: 1000, example: 'System will be under maintenance from 2 AM to 4 AM' },
+    type: { type: 'string', enum: NOTIFICATION_TYPES, description: 'Defaults to Info' },
+    priority: { type: 'string', enum: PRIORITIES, description: 'Defaults to Medium' },
+    sendToAllUsers: { type: 'boolean', description: 'Defaults to false' },
+    targetUsers: {
+        type: 'array',
+        items: objectId,
+        description: 'Required if sendToAllUsers is false'
+    },
+    scheduledTime: optionalDate('Leave empty for immediate sending'),
+    category: { type: 'string', enum: CATEGORIES, description: 'Defaults to General' },
+    actionButton: {
+        type: 'object',
+        properties: {
+            text: { type: 'string', maxLength: 50, example: 'View Details' },
+            url: { type: 'string', example: 'https://example.com/details' }
+        }
+    },
+    icon: { type: 'string', description: 'Defaults to bell', example: 'warning' },
+    expiresAt: optionalDate('When the notification should expire'),
+    metadata: {
+        type: 'object',
+        properties: {
+            platform: { type: 'string', enum: ['web', 'mobile', 'both'], description: 'Defaults to both' },
+            sound: { type: 'boolean', description: 'Defaults to true' },
+            vibration: { type: 'boolean', description: 'Defaults to false' }
+        }
+    }
+};
+
+const createNotification = {
+    body: {
+        type: 'object',
+        required: ['title', 'message'],
+        properties: notificationFields
+    }
+};
+
+const getAllNotifications = {
+    query: {
+        type: 'object',
+        properties: {
+            ...paginationQuery(20),
+            type: { type: 'string', enum: NOTIFICATION_TYPES, description: 'Filter by notification type' },
+            priority: { type: 'string', enum: PRIORITIES, description: 'Filter by priority level' },
+            status: { type: 'string', enum: STATUSES, description: 'Filter by notification status' },
+            category: { type: 'string', enum: CATEGORIES, description: 'Filter by category' },
+            sendToAllUsers: { type: 'boolean', description: 'Filter by send to all users flag' },
+            createdBy: { ...objectId, description: 'Filter by creator user ID' },
+            search: { type: 'string', description: 'Search in title and message' },
+            ...sortQuery(Notification.sortFields),
+            ...listQuery
+        }
+    }
+};
+
+const getUserNotifications = {
+    query: {
+        type: 'object',
+        properties: {
+            ...paginationQuery(20),
+            unreadOnly: { type: 'boolean', default: false, description: 'Show only unread notifications' },
+            type: { type: 'string', enum: NOTIFICATION_TYPES, description: 'Filter by notification type' },
+            priority: { type: 'string', enum: PRIORITIES, description: 'Filter by priority level' }
+        }
+    }
+};
+
+const getNotificationStats = {
+    query: {
+        type: 'object',
+        properties: {
+            period: { type: 'string', enum: ['7d', '30d', '90d'], default: '30d', description: 'Time period for statistics' },
+            createdBy: { ...objectId, description: 'Filter by creator user ID' }
+        }
+    }
+};
+
+const getScheduledNotifications = {
+    query: {
+        type: 'object',
+        properties: paginationQuery(20)
+    }
+};
+
+const getNotificationById = { params: notificationParams };
+
+const updateNotification = {
+    params: notificationParams,
+    body: {
+        type: 'object',
+        properties: notificationFields
+    }
+};
+
+const deleteNotification = { params: notificationParams };
+
+const getDeletedNotifications = {
+    query: {
+        type: 'object',
+        properties: paginationQuery(10)
+    }
+};
+
+const restoreNotification = { params: notificationParams };
+
+const permanentDeleteNotification = { params: notificationParams };
+
+const markAsRead = { params: notificationParams };
+
+const sendImmediateNotification = { params: notificationParams };
+
+const cancelScheduledNotification = { params: notificationParams };
+
+module.exports = {
+    createNotification,
+    getAllNotifications,
+    getUserNotifications,
+    getNotificationStats,
+    getScheduledNotifications,
+    getNotificationById,
+    updateNotification,
+    deleteNotification,
+    getDeletedNotifications,
+    restoreNotification,
+    permanentDeleteNotification,
+    markAsRead,
+    sendImmediateNotification,
+    cancelScheduledNotification
+};
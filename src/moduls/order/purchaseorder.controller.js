@@ -1,751 +1,676 @@
 const PurchaseOrder = require('./purchaseorder.model');
 const mongoose = require('mongoose');
+const logger = require('../../services/logger');
+const webhooks = require('../../services/webhooks');
+const asyncHandler = require('../../utils/asyncHandler');
+const { sendSuccessResponse } = require('../../utils/response');
+const { BadRequestError, NotFoundError, PreconditionFailedError } = require('../../utils/errors');
+const { isCursorPagination, paginateWithCursor } = require('../../utils/pagination');
+const { setETag, checkIfMatch } = require('../../utils/concurrency');
 
-// Helper function for error responses
-const sendErrorResponse = (res, statusCode, message, details = null) => {
-    const response = {
-        success: false,
-        message
-    };
-    
-    if (details) {
-        response.details = details;
-    }
-    
-    return res.status(statusCode).json(response);
-};
-
-// Helper function for success responses
-const sendSuccessResponse = (res, statusCode, message, data = null, meta = null) => {
-    const response = {
-        success: true,
-        message
-    };
-    
-    if (data !== null) {
-        response.data = data;
-    }
-    
-    if (meta) {
-        response.meta = meta;
+// Create a new purchase order
+const createPurchaseOrder = asyncHandler(async (req, res) => {
+    const {
+        vendor,
+        purchaseDate,
+        expectedDelivery,
+        paymentTerms,
+        priority,
+        orderItems,
+        taxRate,
+        shippingCost,
+        discount,
+        notes,
+        isRecurring,
+        recurringFrequency
+    } = req.body;
+
+    // Validate vendor exists (skip validation if vendor is a static ID like '1', '2', etc.)
+    // This allows both database vendors and static vendors
+    if (vendor && mongoose.Types.ObjectId.isValid(vendor)) {
+        const vendorExists = await mongoose.model('Supplier').findById(vendor);
+        if (!vendorExists) {
+            logger.warn('Vendor not found, allowing static vendor ID', { vendor });
+            // Don't return error, allow static vendors
+        }
+    } else {
+        logger.debug('Using static vendor ID', { vendor });
     }
-    
-    return res.status(statusCode).json(response);
-};
 
-// Create a new purchase order
-const createPurchaseOrder = async (req, res) => {
+    // Create purchase order
+    const purchaseOrder = new PurchaseOrder({
+        vendor,
+        purchaseDate: purchaseDate || new Date(),
+        expectedDelivery,
+        paymentTerms: paymentTerms || 'Net 30 Days',
+        priority: priority || 'Medium',
+        orderItems,
+        taxRate: taxRate || 18,
+        shippingCost: shippingCost || 0,
+        discount: discount || 0,
+        notes,
+        isRecurring: isRecurring || false,
+        recurringFrequency,
+        createdBy: req.user?.id, // Assuming auth middleware adds user to req
+        status: 'Draft'
+    });
+
+    await purchaseOrder.save();
+
+    // Try to populate vendor and product details (will skip if vendor is not ObjectId)
     try {
-        const {
-            vendor,
-            purchaseDate,
-            expectedDelivery,
-            paymentTerms,
-            priority,
-            orderItems,
-            taxRate,
-            shippingCost,
-            discount,
-            notes,
-            isRecurring,
-            recurringFrequency
-        } = req.body;
-
-        // Validate required fields
-        if (!vendor) {
-            return sendErrorResponse(res, 400, 'Vendor is required');
-        }
-
-        if (!orderItems || !Array.isArray(orderItems) || orderItems.length === 0) {
-            return sendErrorResponse(res, 400, 'At least one order item is required');
-        }
-
-        // Validate each order item
-        for (let i = 0; i < orderItems.length; i++) {
-            const item = orderItems[i];
-            if (!item.product || !item.productName || !item.category || !item.unitPrice || !item.quantity) {
-                return sendErrorResponse(res, 400, `Order item ${i + 1} is missing required fields`);
-            }
-            
-            if (item.unitPrice <= 0 || item.quantity <= 0) {
-                return sendErrorResponse(res, 400, `Order item ${i + 1} has invalid price or quantity`);
-            }
-        }
-
-        // Validate vendor exists (skip validation if vendor is a static ID like '1', '2', etc.)
-        // This allows both database vendors and static vendors
-        if (vendor && mongoose.Types.ObjectId.isValid(vendor)) {
-            const vendorExists = await mongoose.model('Supplier').findById(vendor);
-            if (!vendorExists) {
-                console.log('⚠️ Vendor not found in database, but allowing static vendor ID:', vendor);
-                // Don't return error, allow static vendors
-            }
+        if (mongoose.Types.ObjectId.isValid(vendor)) {
+            await purchaseOrder.populate([
+                { path: 'vendor', select: 'supplierName contactPerson email phone address' },
+                { path: 'orderItems.product', select: 'productName sku price' },
+                { path: 'orderItems.category', select: 'categoryName' },
+                { path: 'createdBy', select: 'name email' }
+            ]);
         } else {
-            console.log('⚠️ Using static vendor ID:', vendor);
-        }
-
-        // Create purchase order
-        const purchaseOrder = new PurchaseOrder({
-            vendor,
-            purchaseDate: purchaseDate || new Date(),
-            expectedDelivery,
-            paymentTerms: paymentTerms || 'Net 30 Days',
-            priority: priority || 'Medium',
-            orderItems,
-            taxRate: taxRate || 18,
-            shippingCost: shippingCost || 0,
-            discount: discount || 0,
-            notes,
-            isRecurring: isRecurring || false,
-            recurringFrequency,
-            createdBy: req.user?.id, // Assuming auth middleware adds user to req
-            status: 'Draft'
-        });
-
-        await purchaseOrder.save();
-
-        // Try to populate vendor and product details (will skip if vendor is not ObjectId)
-        try {
-            if (mongoose.Types.ObjectId.isValid(vendor)) {
-                await purchaseOrder.populate([
-                    { path: 'vendor', select: 'supplierName contactPerson email phone address' },
-                    { path: 'orderItems.product', select: 'productName sku price' },
-                    { path: 'orderItems.category', select: 'categoryName' },
-                    { path: 'createdBy', select: 'name email' }
-                ]);
-            } else {
-                // For static vendors, only populate products and categories
-                await purchaseOrder.populate([
-                    { path: 'orderItems.product', select: 'productName sku price' },
-                    { path: 'orderItems.category', select: 'categoryName' },
-                    { path: 'createdBy', select: 'name email' }
-                ]);
-            }
-        } catch (populateError) {
-            console.log('⚠️ Populate warning:', populateError.message);
-            // Continue even if populate fails
-        }
-
-        return sendSuccessResponse(
-            res, 
-            201, 
-            'Purchase order created successfully', 
-            purchaseOrder
-        );
-
-    } catch (error) {
-        console.error('Error creating purchase order:', error);
-        
-        if (error.name === 'ValidationError') {
-            const validationErrors = Object.values(error.errors).map(err => err.message);
-            return sendErrorResponse(res, 400, 'Validation failed', validationErrors);
-        }
-        
-        if (error.code === 11000) {
-            return sendErrorResponse(res, 409, 'Purchase order with this order number already exists');
-        }
-        
-        return sendErrorResponse(res, 500, 'Internal server error while creating purchase order');
+            // For static vendors, only populate products and categories
+            await purchaseOrder.populate([
+                { path: 'orderItems.product', select: 'productName sku price' },
+                { path: 'orderItems.category', select: 'categoryName' },
+                { path: 'createdBy', select: 'name email' }
+            ]);
+        }
+    } catch (populateError) {
+        logger.warn('Populate purchase order failed', { error: populateError });
+        // Continue even if populate fails
     }
-};
 
-// Get all purchase orders with filtering, sorting, and pagination
-const getAllPurchaseOrders = async (req, res) => {
-    try {
-        const {
-            page = 1,
-            limit = 10,
-            sortBy = 'createdAt',
-            sortOrder = 'desc',
-            status,
-            vendor,
-            priority,
-            startDate,
-            endDate,
-            search,
-            deliveryStatus
-        } = req.query;
-
-        // Build filter object
-        const filter = { isDeleted: false };
-
-        if (status) {
-            filter.status = status;
-        }
-
-        if (vendor) {
-            filter.vendor = vendor;
-        }
-
-        if (priority) {
-            filter.priority = priority;
-        }
-
-        if (startDate || endDate) {
-            filter.purchaseDate = {};
-            if (startDate) filter.purchaseDate.$gte = new Date(startDate);
-            if (endDate) filter.purchaseDate.$lte = new Date(endDate);
-        }
+    return sendSuccessResponse(
+        res, 
+        201, 
+        'Purchase order created successfully', 
+        purchaseOrder
+    );
+});
 
-        if (search) {
-            filter.$or = [
-                { orderNumber: { $regex: search, $options: 'i' } },
-                { notes: { $regex: search, $options: 'i' } }
-            ];
-        }
-
-        // Calculate pagination
-        const pageNumber = Math.max(1, parseInt(page));
-        const pageSize = Math.min(100, Math.max(1, parseInt(limit)));
-        const skip = (pageNumber - 1) * pageSize;
-
-        // Build sort object
-        const sort = {};
-        sort[sortBy] = sortOrder === 'asc' ? 1 : -1;
-
-        // Execute query
-        const [purchaseOrders, totalCount] = await Promise.all([
-            PurchaseOrder.find(filter)
-                .populate([
-                    { path: 'vendor', select: 'supplierName contactPerson email phone' },
-                    { path: 'orderItems.product', select: 'productName sku' },
-                    { path: 'orderItems.category', select: 'categoryName' },
-                    { path: 'createdBy', select: 'name email' }
-                ])
-                .sort(sort)
-                .skip(skip)
-                .limit(pageSize)
-                .lean(),
-            PurchaseOrder.countDocuments(filter)
-        ]);
-
-        // Filter by delivery status if provided (virtual field)
-        let filteredOrders = purchaseOrders;
-        if (deliveryStatus) {
-            filteredOrders = purchaseOrders.filter(order => {
-                const now = new Date();
-                let orderDeliveryStatus;
-                
-                if (order.status === 'Delivered') orderDeliveryStatus = 'Delivered';
-                else if (order.status === 'Cancelled') orderDeliveryStatus = 'Cancelled';
-                else if (now > new Date(order.expectedDelivery)) orderDeliveryStatus = 'Overdue';
-                else {
-                    const daysLeft = Math.ceil((new Date(order.expectedDelivery) - now) / (1000 * 60 * 60 * 24));
-                    if (daysLeft <= 3) orderDeliveryStatus = 'Due Soon';
-                    else orderDeliveryStatus = 'On Time';
-                }
-                
-                return orderDeliveryStatus === deliveryStatus;
-            });
-        }
+// Get all purchase orders with filtering, sorting, and pagination
+const getAllPurchaseOrders = asyncHandler(async (req, res) => {
+    const {
+        page = 1,
+        limit = 10,
+        sortBy = 'createdAt',
+        sortOrder = 'desc',
+        status,
+        vendor,
+        priority,
+        startDate,
+        endDate,
+        search,
+        deliveryStatus,
+        after,
+        before
+    } = req.query;
+
+    // Build filter object
+    const filter = {};
+
+    if (status) {
+        filter.status = status;
+    }
 
-        // Calculate pagination meta
-        const totalPages = Math.ceil(totalCount / pageSize);
-        const hasNext = pageNumber < totalPages;
-        const hasPrev = pageNumber > 1;
+    if (vendor) {
+        filter.vendor = vendor;
+    }
 
-        const meta = {
-            currentPage: pageNumber,
-            totalPages,
-            totalCount,
-            pageSize,
-            hasNext,
-            hasPrev
-        };
+    if (priority) {
+        filter.priority = priority;
+    }
 
-        return sendSuccessResponse(
-            res,
-            200,
-            'Purchase orders retrieved successfully',
-            filteredOrders,
-            meta
-        );
+    if (startDate || endDate) {
+        filter.purchaseDate = {};
+        if (startDate) filter.purchaseDate.$gte = new Date(startDate);
+        if (endDate) filter.purchaseDate.$lte = new Date(endDate);
+    }
 
-    } catch (error) {
-        console.error('Error fetching purchase orders:', error);
-        return sendErrorResponse(res, 500, 'Internal server error while fetching purchase orders');
+    if (search) {
+        filter.$or = [
+            { orderNumber: { $regex: search, $options: 'i' } },
+            { notes: { $regex: search, $options: 'i' } }
+        ];
     }
-};
 
-// Get purchase order by ID
-const getPurchaseOrderById = async (req, res) => {
-    try {
-        const { id } = req.params;
+    // Generic filter, sort and fields parameters
+    const listQuery = PurchaseOrder.parseListQuery(req.query);
+    if (listQuery.conditions.length > 0) filter.$and = listQuery.conditions;
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid purchase order ID');
-        }
+    // The delivery status filter below needs these whatever fields were asked for
+    if (listQuery.select && deliveryStatus) {
+        Object.assign(listQuery.select, { status: 1, expectedDelivery: 1 });
+    }
 
-        const purchaseOrder = await PurchaseOrder.findOne({ 
-            _id: id, 
-            isDeleted: false 
-        }).populate([
-            { 
-                path: 'vendor', 
-                select: 'supplierName contactPerson email phone address city state pincode'
-            },
-            { 
-                path: 'orderItems.product', 
-                select: 'productName sku price description images'
-            },
-            { 
-                path: 'orderItems.category', 
-                select: 'categoryName'
-            },
-            { 
-                path: 'createdBy', 
-                select: 'name email'
-            },
-            { 
-                path: 'updatedBy', 
-                select: 'name email'
+    // Calculate pagination
+    const pageNumber = page;
+    const pageSize = limit;
+    const skip = (pageNumber - 1) * pageSize;
+
+    // Build sort object
+    const sort = listQuery.sort || { [sortBy]: sortOrder === 'asc' ? 1 : -1 };
+
+    const populate = [
+        { path: 'vendor', select: 'supplierName contactPerson email phone' },
+        { path: 'orderItems.product', select: 'productName sku' },
+        { path: 'orderItems.category', select: 'categoryName' },
+        { path: 'createdBy', select: 'name email' }
+    ];
+
+    // Filter by delivery status if provided (virtual field)
+    const filterByDeliveryStatus = (orders) => {
+        if (!deliveryStatus) return orders;
+        return orders.filter(order => {
+            const now = new Date();
+            let orderDeliveryStatus;
+            
+            if (order.status === 'Delivered') orderDeliveryStatus = 'Delivered';
+            else if (order.status === 'Cancelled') orderDeliveryStatus = 'Cancelled';
+            else if (now > new Date(order.expectedDelivery)) orderDeliveryStatus = 'Overdue';
+            else {
+                const daysLeft = Math.ceil((new Date(order.expectedDelivery) - now) / (1000 * 60 * 60 * 24));
+                if (daysLeft <= 3) orderDeliveryStatus = 'Due Soon';
+                else orderDeliveryStatus = 'On Time';
             }
-        ]);
+            
+            return orderDeliveryStatus === deliveryStatus;
+        });
+    };
 
-        if (!purchaseOrder) {
-            return sendErrorResponse(res, 404, 'Purchase order not found');
-        }
+    if (isCursorPagination(req.query)) {
+        const { items, pagination } = await paginateWithCursor(
+            PurchaseOrder.find(filter).select(listQuery.select).populate(populate).lean(),
+            { sort, limit: pageSize, after, before }
+        );
 
         return sendSuccessResponse(
             res,
             200,
-            'Purchase order retrieved successfully',
-            purchaseOrder
+            'Purchase orders retrieved successfully',
+            filterByDeliveryStatus(items),
+            pagination
         );
-
-    } catch (error) {
-        console.error('Error fetching purchase order:', error);
-        return sendErrorResponse(res, 500, 'Internal server error while fetching purchase order');
     }
-};
 
-// Update purchase order
-const updatePurchaseOrder = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const updateData = req.body;
-
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid purchase order ID');
-        }
-
-        // Check if purchase order exists
-        const existingOrder = await PurchaseOrder.findOne({ 
-            _id: id, 
-            isDeleted: false 
-        });
-
-        if (!existingOrder) {
-            return sendErrorResponse(res, 404, 'Purchase order not found');
-        }
+    // Execute query
+    const [purchaseOrders, totalCount] = await Promise.all([
+        PurchaseOrder.find(filter)
+            .select(listQuery.select)
+            .populate(populate)
+            .sort(sort)
+            .skip(skip)
+            .limit(pageSize)
+            .lean(),
+        PurchaseOrder.countDocuments(filter)
+    ]);
+
+    const filteredOrders = filterByDeliveryStatus(purchaseOrders);
+
+    // Calculate pagination meta
+    const totalPages = Math.ceil(totalCount / pageSize);
+    const hasNext = pageNumber < totalPages;
+    const hasPrev = pageNumber > 1;
+
+    const meta = {
+        currentPage: pageNumber,
+        totalPages,
+        totalCount,
+        pageSize,
+        hasNext,
+        hasPrev
+    };
 
-        // Prevent updating certain fields based on status
-        if (existingOrder.status === 'Delivered') {
-            return sendErrorResponse(res, 400, 'Cannot update a delivered purchase order');
-        }
+    return sendSuccessResponse(
+        res,
+        200,
+        'Purchase orders retrieved successfully',
+        filteredOrders,
+        meta
+    );
+});
 
-        if (existingOrder.status === 'Cancelled') {
-            return sendErrorResponse(res, 400, 'Cannot update a cancelled purchase order');
-        }
+// Get purchase order by ID
+const getPurchaseOrderById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-        // Validate vendor if being updated
-        if (updateData.vendor) {
-            const vendorExists = await mongoose.model('Supplier').findById(updateData.vendor);
-            if (!vendorExists) {
-                return sendErrorResponse(res, 404, 'Vendor not found');
-            }
-        }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid purchase order ID');
+    }
 
-        // Validate order items if being updated
-        if (updateData.orderItems) {
-            if (!Array.isArray(updateData.orderItems) || updateData.orderItems.length === 0) {
-                return sendErrorResponse(res, 400, 'At least one order item is required');
-            }
+    const purchaseOrder = await PurchaseOrder.findById(id).populate([
+        { 
+            path: 'vendor', 
+            select: 'supplierName contactPerson email phone address city state pincode'
+        },
+        { 
+            path: 'orderItems.product', 
+            select: 'productName sku price description images'
+        },
+        { 
+            path: 'orderItems.category', 
+            select: 'categoryName'
+        },
+        { 
+            path: 'createdBy', 
+            select: 'name email'
+        },
+        { 
+            path: 'updatedBy', 
+            select: 'name email'
+        }
+    ]);
+
+    if (!purchaseOrder) {
+        throw new NotFoundError('Purchase order not found');
+    }
 
-            for (let i = 0; i < updateData.orderItems.length; i++) {
-                const item = updateData.orderItems[i];
-                if (!item.product || !item.productName || !item.unitPrice || !item.quantity) {
-                    return sendErrorResponse(res, 400, `Order item ${i + 1} is missing required fields`);
-                }
-                
-                if (item.unitPrice <= 0 || item.quantity <= 0) {
-                    return sendErrorResponse(res, 400, `Order item ${i + 1} has invalid price or quantity`);
-                }
-            }
-        }
+    setETag(res, purchaseOrder);
+    return sendSuccessResponse(
+        res,
+        200,
+        'Purchase order retrieved successfully',
+        purchaseOrder
+    );
+});
 
-        // Add updatedBy field
-        updateData.updatedBy = req.user?.id;
+// Update purchase order
+const updatePurchaseOrder = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const updateData = req.body;
 
-        // Update the purchase order
-        const updatedOrder = await PurchaseOrder.findByIdAndUpdate(
-            id,
-            updateData,
-            { 
-                new: true, 
-                runValidators: true 
-            }
-        ).populate([
-            { path: 'vendor', select: 'supplierName contactPerson email phone address' },
-            { path: 'orderItems.product', select: 'productName sku price' },
-            { path: 'orderItems.category', select: 'categoryName' },
-            { path: 'createdBy', select: 'name email' },
-            { path: 'updatedBy', select: 'name email' }
-        ]);
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid purchase order ID');
+    }
 
-        return sendSuccessResponse(
-            res,
-            200,
-            'Purchase order updated successfully',
-            updatedOrder
-        );
+    // Check if purchase order exists
+    const existingOrder = await PurchaseOrder.findById(id);
 
-    } catch (error) {
-        console.error('Error updating purchase order:', error);
-        
-        if (error.name === 'ValidationError') {
-            const validationErrors = Object.values(error.errors).map(err => err.message);
-            return sendErrorResponse(res, 400, 'Validation failed', validationErrors);
-        }
-        
-        return sendErrorResponse(res, 500, 'Internal server error while updating purchase order');
+    if (!existingOrder) {
+        throw new NotFoundError('Purchase order not found');
     }
-};
 
-// Delete purchase order (soft delete)
-const deletePurchaseOrder = async (req, res) => {
-    try {
-        const { id } = req.params;
+    const version = checkIfMatch(req, existingOrder);
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid purchase order ID');
-        }
+    // Prevent updating certain fields based on status
+    if (existingOrder.status === 'Delivered') {
+        throw new BadRequestError('Cannot update a delivered purchase order');
+    }
 
-        const purchaseOrder = await PurchaseOrder.findOne({ 
-            _id: id, 
-            isDeleted: false 
-        });
+    if (existingOrder.status === 'Cancelled') {
+        throw new BadRequestError('Cannot update a cancelled purchase order');
+    }
 
-        if (!purchaseOrder) {
-            return sendErrorResponse(res, 404, 'Purchase order not found');
+    // Validate vendor if being updated
+    if (updateData.vendor) {
+        const vendorExists = await mongoose.model('Supplier').findById(updateData.vendor);
+        if (!vendorExists) {
+            throw new NotFoundError('Vendor not found');
         }
+    }
 
-        // Prevent deleting orders that are shipped or delivered
-        if (['Shipped', 'Delivered'].includes(purchaseOrder.status)) {
-            return sendErrorResponse(res, 400, `Cannot delete a ${purchaseOrder.status.toLowerCase()} purchase order`);
-        }
+    // Add updatedBy field
+    updateData.updatedBy = req.user?.id;
+
+    // Update the purchase order
+    const updatedOrder = await PurchaseOrder.findOneAndUpdate(
+        { _id: id, ...version },
+        updateData,
+        { 
+            new: true, 
+            runValidators: true 
+        }
+    ).populate([
+        { path: 'vendor', select: 'supplierName contactPerson email phone address' },
+        { path: 'orderItems.product', select: 'productName sku price' },
+        { path: 'orderItems.category', select: 'categoryName' },
+        { path: 'createdBy', select: 'name email' },
+        { path: 'updatedBy', select: 'name email' }
+    ]);
+
+    if (!updatedOrder) {
+        throw new PreconditionFailedError();
+    }
 
-        // Soft delete
-        purchaseOrder.isDeleted = true;
-        purchaseOrder.deletedAt = new Date();
-        purchaseOrder.updatedBy = req.user?.id;
+    setETag(res, updatedOrder);
+    return sendSuccessResponse(
+        res,
+        200,
+        'Purchase order updated successfully',
+        updatedOrder
+    );
+});
+
+// Delete purchase order (moves it to the trash)
+const deletePurchaseOrder = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid purchase order ID');
+    }
 
-        await purchaseOrder.save();
+    const purchaseOrder = await PurchaseOrder.findById(id);
 
-        return sendSuccessResponse(
-            res,
-            200,
-            'Purchase order deleted successfully'
-        );
-
-    } catch (error) {
-        console.error('Error deleting purchase order:', error);
-        return sendErrorResponse(res, 500, 'Internal server error while deleting purchase order');
+    if (!purchaseOrder) {
+        throw new NotFoundError('Purchase order not found');
     }
-};
-
-// Update order status
-const updateOrderStatus = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { status, cancellationReason } = req.body;
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid purchase order ID');
-        }
+    checkIfMatch(req, purchaseOrder);
 
-        if (!status) {
-            return sendErrorResponse(res, 400, 'Status is required');
-        }
+    // Prevent deleting orders that are shipped or delivered
+    if (['Shipped', 'Delivered'].includes(purchaseOrder.status)) {
+        throw new BadRequestError(`Cannot delete a ${purchaseOrder.status.toLowerCase()} purchase order`);
+    }
 
-        const validStatuses = ['Draft', 'Pending', 'Confirmed', 'Shipped', 'Delivered', 'Cancelled', 'Returned'];
-        if (!validStatuses.includes(status)) {
-            return sendErrorResponse(res, 400, 'Invalid status');
-        }
+    purchaseOrder.updatedBy = req.user?.id;
+    await purchaseOrder.softDelete(req.user.id);
+
+    return sendSuccessResponse(
+        res,
+        200,
+        'Purchase order deleted successfully'
+    );
+});
+
+// Get purchase orders in the trash, most recently deleted first
+const getDeletedPurchaseOrders = asyncHandler(async (req, res) => {
+    const { items: purchaseOrders, pagination } = await PurchaseOrder.findInTrash(req.query);
+
+    return sendSuccessResponse(
+        res,
+        200,
+        'Deleted purchase orders retrieved successfully',
+        { purchaseOrders, pagination }
+    );
+});
+
+// Restore purchase order from the trash
+const restorePurchaseOrder = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid purchase order ID');
+    }
 
-        const purchaseOrder = await PurchaseOrder.findOne({ 
-            _id: id, 
-            isDeleted: false 
-        });
+    const purchaseOrder = await PurchaseOrder.findById(id).onlyDeleted();
+    if (!purchaseOrder) {
+        throw new NotFoundError('Purchase order not found in trash');
+    }
 
-        if (!purchaseOrder) {
-            return sendErrorResponse(res, 404, 'Purchase order not found');
-        }
+    checkIfMatch(req, purchaseOrder);
 
-        // Validate status transitions
-        const currentStatus = purchaseOrder.status;
-        const invalidTransitions = {
-            'Delivered': ['Draft', 'Pending', 'Confirmed', 'Shipped'],
-            'Cancelled': ['Draft', 'Pending', 'Confirmed', 'Shipped', 'Delivered', 'Returned'],
-            'Returned': ['Draft', 'Pending', 'Confirmed', 'Shipped']
-        };
+    purchaseOrder.updatedBy = req.user?.id;
+    await purchaseOrder.restore();
 
-        if (invalidTransitions[currentStatus] && invalidTransitions[currentStatus].includes(status)) {
-            return sendErrorResponse(res, 400, `Cannot change status from ${currentStatus} to ${status}`);
-        }
+    setETag(res, purchaseOrder);
+    return sendSuccessResponse(
+        res,
+        200,
+        'Purchase order restored successfully',
+        purchaseOrder
+    );
+});
 
-        // Handle cancellation
-        if (status === 'Cancelled') {
-            if (!cancellationReason) {
-                return sendErrorResponse(res, 400, 'Cancellation reason is required when cancelling an order');
-            }
-            purchaseOrder.cancelledAt = new Date();
-            purchaseOrder.cancellationReason = cancellationReason;
-        }
+// Permanently delete purchase order from the trash
+const permanentDeletePurchaseOrder = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-        // Handle delivery
-        if (status === 'Delivered') {
-            purchaseOrder.deliveredAt = new Date();
-        }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid purchase order ID');
+    }
 
-        purchaseOrder.status = status;
-        purchaseOrder.updatedBy = req.user?.id;
+    const purchaseOrder = await PurchaseOrder.findById(id).onlyDeleted();
+    if (!purchaseOrder) {
+        throw new NotFoundError('Purchase order not found in trash');
+    }
 
-        await purchaseOrder.save();
+    checkIfMatch(req, purchaseOrder);
+    if (!await purchaseOrder.purge()) {
+        throw new NotFoundError('Purchase order not found in trash');
+    }
 
-        await purchaseOrder.populate([
-            { path: 'vendor', select: 'supplierName contactPerson email phone' },
-            { path: 'updatedBy', select: 'name email' }
-        ]);
+    return sendSuccessResponse(
+        res,
+        200,
+        'Purchase order permanently deleted successfully'
+    );
+});
 
-        return sendSuccessResponse(
-            res,
-            200,
-            `Purchase order status updated to ${status}`,
-            purchaseOrder
-        );
+// Update order status
+const updateOrderStatus = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { status, cancellationReason } = req.body;
 
-    } catch (error) {
-        console.error('Error updating order status:', error);
-        return sendErrorResponse(res, 500, 'Internal server error while updating order status');
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid purchase order ID');
     }
-};
-
-// Get purchase order statistics
-const getPurchaseOrderStats = async (req, res) => {
-    try {
-        const stats = await PurchaseOrder.getOrderStats();
-        
-        const totalOrders = await PurchaseOrder.countDocuments({ isDeleted: false });
-        const overdueOrders = await PurchaseOrder.countDocuments({
-            isDeleted: false,
-            status: { $nin: ['Delivered', 'Cancelled'] },
-            expectedDelivery: { $lt: new Date() }
-        });
 
-        const recentOrders = await PurchaseOrder.find({ isDeleted: false })
-            .sort({ createdAt: -1 })
-            .limit(5)
-            .populate('vendor', 'supplierName')
-            .select('orderNumber vendor totalAmount status createdAt');
-
-        return sendSuccessResponse(
-            res,
-            200,
-            'Purchase order statistics retrieved successfully',
-            {
-                statusStats: stats,
-                totalOrders,
-                overdueOrders,
-                recentOrders
-            }
-        );
+    const purchaseOrder = await PurchaseOrder.findById(id);
 
-    } catch (error) {
-        console.error('Error fetching purchase order stats:', error);
-        return sendErrorResponse(res, 500, 'Internal server error while fetching statistics');
+    if (!purchaseOrder) {
+        throw new NotFoundError('Purchase order not found');
     }
-};
 
-// Duplicate purchase order
-const duplicatePurchaseOrder = async (req, res) => {
-    try {
-        const { id } = req.params;
+    checkIfMatch(req, purchaseOrder);
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid purchase order ID');
-        }
+    // Validate status transitions
+    const currentStatus = purchaseOrder.status;
+    const invalidTransitions = {
+        'Delivered': ['Draft', 'Pending', 'Confirmed', 'Shipped'],
+        'Cancelled': ['Draft', 'Pending', 'Confirmed', 'Shipped', 'Delivered', 'Returned'],
+        'Returned': ['Draft', 'Pending', 'Confirmed', 'Shipped']
+    };
 
-        const originalOrder = await PurchaseOrder.findOne({ 
-            _id: id, 
-            isDeleted: false 
-        });
+    if (invalidTransitions[currentStatus] && invalidTransitions[currentStatus].includes(status)) {
+        throw new BadRequestError(`Cannot change status from ${currentStatus} to ${status}`);
+    }
 
-        if (!originalOrder) {
-            return sendErrorResponse(res, 404, 'Purchase order not found');
+    // Handle cancellation
+    if (status === 'Cancelled') {
+        if (!cancellationReason) {
+            throw new BadRequestError('Cancellation reason is required when cancelling an order');
         }
+        purchaseOrder.cancelledAt = new Date();
+        purchaseOrder.cancellationReason = cancellationReason;
+    }
 
-        // Create new order with same data but reset certain fields
-        const duplicateData = originalOrder.toObject();
-        delete duplicateData._id;
-        delete duplicateData.orderNumber; // Will be auto-generated
-        delete duplicateData.createdAt;
-        delete duplicateData.updatedAt;
-        delete duplicateData.deliveredAt;
-        delete duplicateData.cancelledAt;
-        delete duplicateData.cancellationReason;
-
-        duplicateData.status = 'Draft';
-        duplicateData.purchaseDate = new Date();
-        duplicateData.createdBy = req.user?.id;
-        duplicateData.updatedBy = undefined;
-
-        const duplicateOrder = new PurchaseOrder(duplicateData);
-        await duplicateOrder.save();
-
-        await duplicateOrder.populate([
-            { path: 'vendor', select: 'supplierName contactPerson email phone address' },
-            { path: 'orderItems.product', select: 'productName sku price' },
-            { path: 'orderItems.category', select: 'categoryName' },
-            { path: 'createdBy', select: 'name email' }
-        ]);
-
-        return sendSuccessResponse(
-            res,
-            201,
-            'Purchase order duplicated successfully',
-            duplicateOrder
-        );
-
-    } catch (error) {
-        console.error('Error duplicating purchase order:', error);
-        return sendErrorResponse(res, 500, 'Internal server error while duplicating purchase order');
+    // Handle delivery
+    if (status === 'Delivered') {
+        purchaseOrder.deliveredAt = new Date();
     }
-};
 
-// Bulk delete purchase orders (soft delete)
-const bulkDeletePurchaseOrders = async (req, res) => {
-    try {
-        const { orderIds } = req.body;
+    purchaseOrder.status = status;
+    purchaseOrder.updatedBy = req.user?.id;
 
-        if (!orderIds || !Array.isArray(orderIds) || orderIds.length === 0) {
-            return sendErrorResponse(res, 400, 'Order IDs array is required');
-        }
+    await purchaseOrder.save();
 
-        // Validate all IDs
-        const invalidIds = orderIds.filter(id => !mongoose.Types.ObjectId.isValid(id));
-        if (invalidIds.length > 0) {
-            return sendErrorResponse(res, 400, 'Invalid order IDs found');
-        }
+    await purchaseOrder.populate([
+        { path: 'vendor', select: 'supplierName contactPerson email phone' },
+        { path: 'updatedBy', select: 'name email' }
+    ]);
 
-        // Find orders that cannot be deleted
-        const orders = await PurchaseOrder.find({ 
-            _id: { $in: orderIds }, 
-            isDeleted: false 
+    if (status !== currentStatus) {
+        await webhooks.publish('purchaseOrder.statusChanged', {
+            purchaseOrder,
+            previousStatus: currentStatus,
+            status
         });
+    }
 
-        const cannotDelete = orders.filter(order => 
-            ['Shipped', 'Delivered'].includes(order.status)
-        );
-
-        if (cannotDelete.length > 0) {
-            return sendErrorResponse(
-                res, 
-                400, 
-                `Cannot delete ${cannotDelete.length} order(s) that are shipped or delivered`
-            );
-        }
+    setETag(res, purchaseOrder);
+    return sendSuccessResponse(
+        res,
+        200,
+        `Purchase order status updated to ${status}`,
+        purchaseOrder
+    );
+});
 
-        // Soft delete all valid orders
-        const result = await PurchaseOrder.updateMany(
-            { 
-                _id: { $in: orderIds }, 
-                isDeleted: false,
-                status: { $nin: ['Shipped', 'Delivered'] }
-            },
-            { 
-                $set: { 
-                    isDeleted: true, 
-                    deletedAt: new Date(),
-                    updatedBy: req.user?.id
-                } 
-            }
-        );
+// Get purchase order statistics
+const getPurchaseOrderStats = asyncHandler(async (req, res) => {
+    const stats = await PurchaseOrder.getOrderStats();
+    
+    const totalOrders = await PurchaseOrder.countDocuments();
+    const overdueOrders = await PurchaseOrder.countOverdue();
+
+    const recentOrders = await PurchaseOrder.find()
+        .sort({ createdAt: -1 })
+        .limit(5)
+        .populate('vendor', 'supplierName')
+        .select('orderNumber vendor totalAmount status createdAt');
+
+    return sendSuccessResponse(
+        res,
+        200,
+        'Purchase order statistics retrieved successfully',
+        {
+            statusStats: stats,
+            totalOrders,
+            overdueOrders,
+            recentOrders
+        }
+    );
+});
 
-        return sendSuccessResponse(
-            res,
-            200,
-            `${result.modifiedCount} purchase order(s) deleted successfully`
-        );
+// Duplicate purchase order
+const duplicatePurchaseOrder = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-    } catch (error) {
-        console.error('Error bulk deleting purchase orders:', error);
-        return sendErrorResponse(res, 500, 'Internal server error while bulk deleting purchase orders');
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid purchase order ID');
     }
-};
 
-// Export purchase orders to CSV
-const exportPurchaseOrders = async (req, res) => {
-    try {
-        const {
-            status,
-            vendor,
-            priority,
-            startDate,
-            endDate,
-            search
-        } = req.query;
-
-        // Build filter object
-        const filter = { isDeleted: false };
-
-        if (status) filter.status = status;
-        if (vendor) filter.vendor = vendor;
-        if (priority) filter.priority = priority;
-        if (startDate || endDate) {
-            filter.purchaseDate = {};
-            if (startDate) filter.purchaseDate.$gte = new Date(startDate);
-            if (endDate) filter.purchaseDate.$lte = new Date(endDate);
-        }
-        if (search) {
-            filter.$or = [
-                { orderNumber: { $regex: search, $options: 'i' } },
-                { notes: { $regex: search, $options: 'i' } }
-            ];
-        }
+    const originalOrder = await PurchaseOrder.findById(id);
 
-        // Get all orders matching the filter
-        const orders = await PurchaseOrder.find(filter)
-            .populate('vendor', 'supplierName contactPerson email phone')
-            .populate('orderItems.product', 'productName sku')
-            .populate('orderItems.category', 'categoryName')
-            .sort({ createdAt: -1 })
-            .lean();
-
-        // Create CSV content
-        let csvContent = 'Order Number,Vendor,Status,Priority,Payment Terms,Purchase Date,Expected Delivery,Subtotal,Tax Rate,Tax Amount,Shipping Cost,Discount,Total Amount,Items Count,Notes,Created At\n';
-
-        orders.forEach(order => {
-            const vendorName = order.vendor?.supplierName || 'N/A';
-            const purchaseDate = new Date(order.purchaseDate).toLocaleDateString('en-IN');
-            const expectedDelivery = new Date(order.expectedDelivery).toLocaleDateString('en-IN');
-            const createdAt = new Date(order.createdAt).toLocaleDateString('en-IN');
-            const notes = (order.notes || '').replace(/,/g, ';').replace(/\n/g, ' ');
-
-            csvContent += `"${order.orderNumber}","${vendorName}","${order.status}","${order.priority}","${order.paymentTerms}","${purchaseDate}","${expectedDelivery}",${order.subtotal},${order.taxRate},${order.taxAmount},${order.shippingCost},${order.discount},${order.totalAmount},${order.orderItems.length},"${notes}","${createdAt}"\n`;
-        });
+    if (!originalOrder) {
+        throw new NotFoundError('Purchase order not found');
+    }
+
+    // Create new order with same data but reset certain fields
+    const duplicateData = originalOrder.toObject();
+    delete duplicateData._id;
+    delete duplicateData.orderNumber; // Will be auto-generated
+    delete duplicateData.createdAt;
+    delete duplicateData.updatedAt;
+    delete duplicateData.deliveredAt;
+    delete duplicateData.cancelledAt;
+    delete duplicateData.cancellationReason;
+
+    duplicateData.status = 'Draft';
+    duplicateData.purchaseDate = new Date();
+    duplicateData.createdBy = req.user?.id;
+    duplicateData.updatedBy = undefined;
+
+    const duplicateOrder = new PurchaseOrder(duplicateData);
+    await duplicateOrder.save();
+
+    await duplicateOrder.populate([
+        { path: 'vendor', select: 'supplierName contactPerson email phone address' },
+        { path: 'orderItems.product', select: 'productName sku price' },
+        { path: 'orderItems.category', select: 'categoryName' },
+        { path: 'createdBy', select: 'name email' }
+    ]);
+
+    return sendSuccessResponse(
+        res,
+        201,
+        'Purchase order duplicated successfully',
+        duplicateOrder
+    );
+});
+
+// Bulk delete purchase orders (moves them to the trash)
+const bulkDeletePurchaseOrders = asyncHandler(async (req, res) => {
+    const { orderIds } = req.body;
+
+    // Find orders that cannot be deleted
+    const orders = await PurchaseOrder.find({ _id: { $in: orderIds } });
+
+    const cannotDelete = orders.filter(order => 
+        ['Shipped', 'Delivered'].includes(order.status)
+    );
+
+    if (cannotDelete.length > 0) {
+        throw new BadRequestError(`Cannot delete ${cannotDelete.length} order(s) that are shipped or delivered`);
+    }
 
-        // Set headers for file download
-        res.setHeader('Content-Type', 'text/csv');
-        res.setHeader('Content-Disposition', `attachment; filename="purchase-orders-${Date.now()}.csv"`);
-        
-        return res.status(200).send(csvContent);
+    // Soft delete all valid orders
+    const result = await PurchaseOrder.updateMany(
+        { 
+            _id: { $in: orderIds }, 
+            status: { $nin: ['Shipped', 'Delivered'] }
+        },
+        { 
+            $set: { 
+                deletedAt: new Date(),
+                deletedBy: req.user?.id,
+                updatedBy: req.user?.id
+            } 
+        }
+    );
+
+    return sendSuccessResponse(
+        res,
+        200,
+        `${result.modifiedCount} purchase order(s) deleted successfully`
+    );
+});
 
-    } catch (error) {
-        console.error('Error exporting purchase orders:', error);
-        return sendErrorResponse(res, 500, 'Internal server error while exporting purchase orders');
+// Export purchase orders to CSV
+const exportPurchaseOrders = asyncHandler(async (req, res) => {
+    const {
+        status,
+        vendor,
+        priority,
+        startDate,
+        endDate,
+        search
+    } = req.query;
+
+    // Build filter object
+    const filter = {};
+
+    if (status) filter.status = status;
+    if (vendor) filter.vendor = vendor;
+    if (priority) filter.priority = priority;
+    if (startDate || endDate) {
+        filter.purchaseDate = {};
+        if (startDate) filter.purchaseDate.$gte = new Date(startDate);
+        if (endDate) filter.purchaseDate.$lte = new Date(endDate);
     }
-};
+    if (search) {
+        filter.$or = [
+            { orderNumber: { $regex: search, $options: 'i' } },
+            { notes: { $regex: search, $options: 'i' } }
+        ];
+    }
+
+    // Get all orders matching the filter
+    const orders = await PurchaseOrder.find(filter)
+        .populate('vendor', 'supplierName contactPerson email phone')
+        .populate('orderItems.product', 'productName sku')
+        .populate('orderItems.category', 'categoryName')
+        .sort({ createdAt: -1 })
+        .lean();
+
+    // Create CSV content
+    let csvContent = 'Order Number,Vendor,Status,Priority,Payment Terms,Purchase Date,Expected Delivery,Subtotal,Tax Rate,Tax Amount,Shipping Cost,Discount,Total Amount,Items Count,Notes,Created At\n';
+
+    orders.forEach(order => {
+        const vendorName = order.vendor?.supplierName || 'N/A';
+        const purchaseDate = new Date(order.purchaseDate).toLocaleDateString('en-IN');
+        const expectedDelivery = new Date(order.expectedDelivery).toLocaleDateString('en-IN');
+        const createdAt = new Date(order.createdAt).toLocaleDateString('en-IN');
+        const notes = (order.notes || '').replace(/,/g, ';').replace(/\n/g, ' ');
+
+        csvContent += `"${order.orderNumber}","${vendorName}","${order.status}","${order.priority}","${order.paymentTerms}","${purchaseDate}","${expectedDelivery}",${order.subtotal},${order.taxRate},${order.taxAmount},${order.shippingCost},${order.discount},${order.totalAmount},${order.orderItems.length},"${notes}","${createdAt}"\n`;
+    });
+
+    // Set headers for file download
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="purchase-orders-${Date.now()}.csv"`);
+    
+    return res.status(200).send(csvContent);
+});
 
 module.exports = {
     createPurchaseOrder,
@@ -753,6 +678,9 @@ module.exports = {
     getPurchaseOrderById,
     updatePurchaseOrder,
     deletePurchaseOrder,
+    getDeletedPurchaseOrders,
+    restorePurchaseOrder,
+    permanentDeletePurchaseOrder,
     bulkDeletePurchaseOrders,
     updateOrderStatus,
     getPurchaseOrderStats,
@@ -0,0 +1,10 @@
+const PurchaseOrder = require('./purchaseorder.model');
+
+// Business gauges of the purchase order module, see src/metrics
+module.exports = [
+    {
+        name: 'retail_purchase_orders_overdue',
+        help: 'Purchase orders past their expected delivery date that have not been delivered or cancelled',
+        collect: () => PurchaseOrder.countOverdue()
+    }
+];
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../audit/audit.plugin');
+const listQueryPlugin = require('../../utils/listQuery');
+const softDeletePlugin = require('../../utils/softDelete');
+const { concurrencyPlugin } = require('../../utils/concurrency');
 
 // Schema for individual order items
 const orderItemSchema = new mongoose.Schema({
@@ -160,13 +164,6 @@ const purchaseOrderSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
     },
-    isDeleted: {
-        type: Boolean,
-        default: false
-    },
-    deletedAt: {
-        type: Date
-    },
     deliveredAt: {
         type: Date
     },
@@ -256,12 +253,10 @@ purchaseOrderSchema.index({ vendor: 1 });
 purchaseOrderSchema.index({ status: 1 });
 purchaseOrderSchema.index({ purchaseDate: -1 });
 purchaseOrderSchema.index({ createdAt: -1 });
-purchaseOrderSchema.index({ isDeleted: 1 });
 
 // Static method to get order statistics
 purchaseOrderSchema.statics.getOrderStats = function() {
     return this.aggregate([
-        { $match: { isDeleted: false } },
         {
             $group: {
                 _id: '$status',
@@ -272,4 +267,36 @@ purchaseOrderSchema.statics.getOrderStats = function() {
     ]);
 };
 
+// Orders past their expected delivery date that have not arrived or been cancelled
+purchaseOrderSchema.statics.countOverdue = function() {
+    return this.countDocuments({
+        status: { $nin: ['Delivered', 'Cancelled'] },
+        expectedDelivery: { $lt: new Date() }
+    });
+};
+
+// Deleted records go to the trash (see utils/softDelete)
+purchaseOrderSchema.plugin(softDeletePlugin);
+
+// Record changes in the audit log
+purchaseOrderSchema.plugin(auditPlugin);
+
+// Version every change for ETags and If-Match (see utils/concurrency)
+purchaseOrderSchema.plugin(concurrencyPlugin);
+
+// Fields clients can filter, sort and select on in list endpoints (see utils/listQuery)
+purchaseOrderSchema.plugin(listQueryPlugin, {
+    filter: ['orderNumber', 'status', 'priority', 'purchaseDate', 'createdAt'],
+    sort: [
+        'orderNumber', 'purchaseDate', 'expectedDelivery', 'totalAmount', 'priority', 'status',
+        'createdAt', 'updatedAt'
+    ],
+    select: [
+        'orderNumber', 'vendor', 'purchaseDate', 'expectedDelivery', 'paymentTerms', 'priority',
+        'status', 'orderItems', 'subtotal', 'taxRate', 'taxAmount', 'shippingCost', 'discount',
+        'totalAmount', 'notes', 'isRecurring', 'recurringFrequency', 'createdBy', 'deliveredAt',
+        'cancelledAt', 'cancellationReason', 'createdAt', 'updatedAt'
+    ]
+});
+
 module.exports = mongoose.model('PurchaseOrder', purchaseOrderSchema);
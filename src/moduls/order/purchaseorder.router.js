@@ -6,18 +6,20 @@ const {
     getPurchaseOrderById,
     updatePurchaseOrder,
     deletePurchaseOrder,
+    getDeletedPurchaseOrders,
+    restorePurchaseOrder,
+    permanentDeletePurchaseOrder,
     bulkDeletePurchaseOrders,
     updateOrderStatus,
     getPurchaseOrderStats,
     duplicatePurchaseOrder,
     exportPurchaseOrders
 } = require('./purchaseorder.controller');
-
-// Middleware for authentication (uncomment when auth is implemented)
-// const { authenticate } = require('../../middleware/auth.middleware');
-
-// Apply authentication middleware to all routes (uncomment when auth is implemented)
-// router.use(authenticate);
+const auth = require('../../middleware/auth.middleware');
+const requirePermission = require('../../middleware/permission.middleware');
+const validate = require('../../middleware/validate.middleware');
+const idempotency = require('../../middleware/idempotency.middleware');
+const validation = require('./purchaseorder.validation');
 
 /**
  * @swagger
@@ -130,12 +132,6 @@ const {
  *   post:
  *     summary: Create a new purchase order
  *     tags: [Purchase Orders]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/PurchaseOrder'
  *     responses:
  *       201:
  *         description: Purchase order created successfully
@@ -152,7 +148,7 @@ const {
  *       500:
  *         description: Internal server error
  */
-router.post('/', createPurchaseOrder);
+router.post('/', auth, requirePermission('purchaseOrders:write'), validate(validation.createPurchaseOrder), idempotency, createPurchaseOrder);
 
 /**
  * @swagger
@@ -160,73 +156,6 @@ router.post('/', createPurchaseOrder);
  *   get:
  *     summary: Get all purchase orders with filtering and pagination
  *     tags: [Purchase Orders]
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *           maximum: 100
- *         description: Number of items per page
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *           default: createdAt
- *         description: Field to sort by
- *       - in: query
- *         name: sortOrder
- *         schema:
- *           type: string
- *           enum: [asc, desc]
- *           default: desc
- *         description: Sort order
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [Draft, Pending, Confirmed, Shipped, Delivered, Cancelled, Returned]
- *         description: Filter by status
- *       - in: query
- *         name: vendor
- *         schema:
- *           type: string
- *         description: Filter by vendor ID
- *       - in: query
- *         name: priority
- *         schema:
- *           type: string
- *           enum: [Low, Medium, High, Urgent]
- *         description: Filter by priority
- *       - in: query
- *         name: startDate
- *         schema:
- *           type: string
- *           format: date
- *         description: Filter orders from this date
- *       - in: query
- *         name: endDate
- *         schema:
- *           type: string
- *           format: date
- *         description: Filter orders until this date
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Search in order number and notes
- *       - in: query
- *         name: deliveryStatus
- *         schema:
- *           type: string
- *           enum: [On Time, Due Soon, Overdue, Delivered, Cancelled]
- *         description: Filter by delivery status
  *     responses:
  *       200:
  *         description: Purchase orders retrieved successfully
@@ -261,7 +190,7 @@ router.post('/', createPurchaseOrder);
  *       500:
  *         description: Internal server error
  */
-router.get('/', getAllPurchaseOrders);
+router.get('/', auth, requirePermission('purchaseOrders:read'), validate(validation.getAllPurchaseOrders), getAllPurchaseOrders);
 
 /**
  * @swagger
@@ -304,7 +233,7 @@ router.get('/', getAllPurchaseOrders);
  *       500:
  *         description: Internal server error
  */
-router.get('/stats', getPurchaseOrderStats);
+router.get('/stats', auth, requirePermission('purchaseOrders:read'), getPurchaseOrderStats);
 
 /**
  * @swagger
@@ -312,39 +241,6 @@ router.get('/stats', getPurchaseOrderStats);
  *   get:
  *     summary: Export purchase orders to CSV
  *     tags: [Purchase Orders]
- *     parameters:
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *         description: Filter by status
- *       - in: query
- *         name: vendor
- *         schema:
- *           type: string
- *         description: Filter by vendor ID
- *       - in: query
- *         name: priority
- *         schema:
- *           type: string
- *         description: Filter by priority
- *       - in: query
- *         name: startDate
- *         schema:
- *           type: string
- *           format: date
- *         description: Filter from date
- *       - in: query
- *         name: endDate
- *         schema:
- *           type: string
- *           format: date
- *         description: Filter to date
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Search term
  *     responses:
  *       200:
  *         description: CSV file download
@@ -355,7 +251,7 @@ router.get('/stats', getPurchaseOrderStats);
  *       500:
  *         description: Internal server error
  */
-router.get('/export', exportPurchaseOrders);
+router.get('/export', auth, requirePermission('purchaseOrders:read'), validate(validation.exportPurchaseOrders), exportPurchaseOrders);
 
 /**
  * @swagger
@@ -363,20 +259,6 @@ router.get('/export', exportPurchaseOrders);
  *   post:
  *     summary: Bulk delete purchase orders
  *     tags: [Purchase Orders]
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - orderIds
- *             properties:
- *               orderIds:
- *                 type: array
- *                 items:
- *                   type: string
- *                 description: Array of order IDs to delete
  *     responses:
  *       200:
  *         description: Orders deleted successfully
@@ -385,7 +267,19 @@ router.get('/export', exportPurchaseOrders);
  *       500:
  *         description: Internal server error
  */
-router.post('/bulk-delete', bulkDeletePurchaseOrders);
+router.post('/bulk-delete', auth, requirePermission('purchaseOrders:delete'), validate(validation.bulkDeletePurchaseOrders), bulkDeletePurchaseOrders);
+
+/**
+ * @swagger
+ * /api/purchase-orders/trash:
+ *   get:
+ *     summary: List deleted purchase orders
+ *     tags: [Purchase Orders]
+ *     responses:
+ *       200:
+ *         description: Deleted purchase orders retrieved successfully
+ */
+router.get('/trash', auth, requirePermission('purchaseOrders:read'), validate(validation.getDeletedPurchaseOrders), getDeletedPurchaseOrders);
 
 /**
  * @swagger
@@ -393,16 +287,12 @@ router.post('/bulk-delete', bulkDeletePurchaseOrders);
  *   get:
  *     summary: Get purchase order by ID
  *     tags: [Purchase Orders]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Purchase order ID
  *     responses:
  *       200:
  *         description: Purchase order retrieved successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -414,7 +304,7 @@ router.post('/bulk-delete', bulkDeletePurchaseOrders);
  *       500:
  *         description: Internal server error
  */
-router.get('/:id', getPurchaseOrderById);
+router.get('/:id', auth, requirePermission('purchaseOrders:read'), validate(validation.getPurchaseOrderById), getPurchaseOrderById);
 
 /**
  * @swagger
@@ -423,18 +313,7 @@ router.get('/:id', getPurchaseOrderById);
  *     summary: Update purchase order
  *     tags: [Purchase Orders]
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Purchase order ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/PurchaseOrder'
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Purchase order updated successfully
@@ -446,24 +325,21 @@ router.get('/:id', getPurchaseOrderById);
  *         description: Bad request - validation error or invalid status transition
  *       404:
  *         description: Purchase order or vendor not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  */
-router.put('/:id', updatePurchaseOrder);
+router.put('/:id', auth, requirePermission('purchaseOrders:write'), validate(validation.updatePurchaseOrder), updatePurchaseOrder);
 
 /**
  * @swagger
  * /api/purchase-orders/{id}:
  *   delete:
- *     summary: Delete purchase order (soft delete)
+ *     summary: Delete purchase order (moves it to the trash)
  *     tags: [Purchase Orders]
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Purchase order ID
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Purchase order deleted successfully
@@ -471,10 +347,51 @@ router.put('/:id', updatePurchaseOrder);
  *         description: Invalid ID or cannot delete shipped/delivered orders
  *       404:
  *         description: Purchase order not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  */
-router.delete('/:id', deletePurchaseOrder);
+router.delete('/:id', auth, requirePermission('purchaseOrders:delete'), validate(validation.deletePurchaseOrder), deletePurchaseOrder);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/restore:
+ *   patch:
+ *     summary: Restore a deleted purchase order
+ *     tags: [Purchase Orders]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Purchase order restored successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *       404:
+ *         description: Purchase order not found in trash
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.patch('/:id/restore', auth, requirePermission('purchaseOrders:write'), validate(validation.restorePurchaseOrder), restorePurchaseOrder);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{id}/permanent:
+ *   delete:
+ *     summary: Permanently delete a purchase order from the trash
+ *     tags: [Purchase Orders]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Purchase order permanently deleted successfully
+ *       404:
+ *         description: Purchase order not found in trash
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.delete('/:id/permanent', auth, requirePermission('purchaseOrders:delete'), validate(validation.permanentDeletePurchaseOrder), permanentDeletePurchaseOrder);
 
 /**
  * @swagger
@@ -483,27 +400,7 @@ router.delete('/:id', deletePurchaseOrder);
  *     summary: Update purchase order status
  *     tags: [Purchase Orders]
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Purchase order ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - status
- *             properties:
- *               status:
- *                 type: string
- *                 enum: [Draft, Pending, Confirmed, Shipped, Delivered, Cancelled, Returned]
- *               cancellationReason:
- *                 type: string
- *                 description: Required when status is 'Cancelled'
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Status updated successfully
@@ -515,10 +412,12 @@ router.delete('/:id', deletePurchaseOrder);
  *         description: Bad request - invalid status or status transition
  *       404:
  *         description: Purchase order not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  */
-router.patch('/:id/status', updateOrderStatus);
+router.patch('/:id/status', auth, requirePermission('purchaseOrders:write'), validate(validation.updateOrderStatus), updateOrderStatus);
 
 /**
  * @swagger
@@ -526,13 +425,6 @@ router.patch('/:id/status', updateOrderStatus);
  *   post:
  *     summary: Duplicate an existing purchase order
  *     tags: [Purchase Orders]
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Purchase order ID to duplicate
  *     responses:
  *       201:
  *         description: Purchase order duplicated successfully
@@ -547,6 +439,6 @@ router.patch('/:id/status', updateOrderStatus);
  *       500:
  *         description: Internal server error
  */
-router.post('/:id/duplicate', duplicatePurchaseOrder);
+router.post('/:id/duplicate', auth, requirePermission('purchaseOrders:write'), validate(validation.duplicatePurchaseOrder), idempotency, duplicatePurchaseOrder);
 
 module.exports = router;
@@ -0,0 +1,61 @@
+const PurchaseOrder = require('./purchaseorder.model');
+
+const REASONS = ['Supplier could not deliver in time', 'Ordered by mistake', 'Found a better price'];
+
+// Orders are placed with active suppliers for products that are actually sold.
+// Open orders past their expected delivery show up as overdue.
+const seedPurchaseOrders = async ({ random, count, refs, owner }) => {
+    const active = refs.suppliers.filter(supplier => supplier.isActive);
+    const suppliers = active.length > 0 ? active : refs.suppliers;
+    const products = refs.products.filter(product => product.status !== 'Draft');
+    const orders = [];
+
+    // Saved one at a time, so that each gets the next order number
+    for (let index = 0; index < count(12); index++) {
+        const status = random.weighted({ Draft: 1, Pending: 2, Confirmed: 2, Shipped: 2, Delivered: 5, Cancelled: 1 });
+        const purchaseDate = random.daysFromNow(-90, -1);
+        const expectedDelivery = new Date(purchaseDate.getTime() + random.int(3, 21) * 24 * 60 * 60 * 1000);
+
+        const orderItems = random.sample(products, random.int(1, 4)).map(product => {
+            // Bought at a wholesale discount on the selling price
+            const unitPrice = Math.round(product.price * random.float(0.55, 0.75));
+            const quantity = random.int(5, 50);
+            return {
+                product: product._id,
+                productName: product.productName,
+                category: product.category,
+                unitPrice,
+                quantity,
+                totalPrice: unitPrice * quantity
+            };
+        });
+
+        const subtotal = orderItems.reduce((sum, item) => sum + item.totalPrice, 0);
+        const isRecurring = random.bool(0.15);
+
+        orders.push(await PurchaseOrder.create({
+            vendor: random.pick(suppliers)._id,
+            purchaseDate,
+            expectedDelivery,
+            paymentTerms: random.pick(['Net 30 Days', 'Net 15 Days', 'Net 7 Days', 'Immediate', 'COD', 'Advance Payment']),
+            priority: random.weighted({ Low: 2, Medium: 5, High: 2, Urgent: 1 }),
+            status,
+            orderItems,
+            shippingCost: random.pick([0, 250, 500, 1000]),
+            discount: Math.round(subtotal * random.pick([0, 0, 2, 5]) / 100),
+            isRecurring,
+            ...(isRecurring && { recurringFrequency: random.pick(['Weekly', 'Monthly', 'Quarterly']) }),
+            createdBy: owner._id,
+            ...(status === 'Delivered' && { deliveredAt: expectedDelivery }),
+            ...(status === 'Cancelled' && { cancelledAt: purchaseDate, cancellationReason: random.pick(REASONS) })
+        }));
+    }
+
+    return orders;
+};
+
+module.exports = {
+    name: 'purchaseOrders',
+    Model: PurchaseOrder,
+    seed: seedPurchaseOrders
+};
@@ -0,0 +1,154 @@
+const { objectId, idParams, paginationQuery, sortQuery, listQuery, dateTime } = require('../../middleware/validate.middleware');
+const PurchaseOrder = require('./purchaseorder.model');
+
+const ORDER_STATUSES = ['Draft', 'Pending', 'Confirmed', 'Shipped', 'Delivered', 'Cancelled', 'Returned'];
+const PRIORITIES = ['Low', 'Medium', 'High', 'Urgent'];
+const PAYMENT_TERMS = ['Net 30 Days', 'Net 15 Days', 'Net 7 Days', 'Immediate', 'COD', 'Advance Payment'];
+
+const orderParams = idParams({ id: 'Purchase order ID' });
+
+const orderItem = {
+    type: 'object',
+    required: ['product', 'productName', 'category', 'unitPrice', 'quantity', 'totalPrice'],
+    properties: {
+        product: { ...objectId, description: 'Product ID' },
+        productName: { type: 'string', minLength: 1, example: 'Wireless Mouse' },
+        category: { ...objectId, description: 'Category ID' },
+        unitPrice: { type: 'number', minimum: 0.01, example: 499 },
+        quantity: { type: 'integer', minimum: 1, example: 10 },
+        totalPrice: { type: 'number', minimum: 0, description: 'unitPrice × quantity. Recalculated when the order is saved' }
+    }
+};
+
+const orderFields = {
+    vendor: {
+        type: 'string',
+        minLength: 1,
+        description: 'Supplier ID, or the ID of a static vendor'
+    },
+    purchaseDate: { ...dateTime, description: 'Defaults to now' },
+    expectedDelivery: dateTime,
+    paymentTerms: { type: 'string', enum: PAYMENT_TERMS, description: 'Defaults to Net 30 Days' },
+    priority: { type: 'string', enum: PRIORITIES, description: 'Defaults to Medium' },
+    orderItems: {
+        type: 'array',
+        minItems: 1,
+        items: orderItem
+    },
+    taxRate: { type: 'number', minimum: 0, maximum: 100, description: 'Percentage. Defaults to 18' },
+    shippingCost: { type: 'number', minimum: 0 },
+    discount: { type: 'number', minimum: 0 },
+    notes: { type: 'string', maxLength: 1000 },
+    isRecurring: { type: 'boolean' },
+    recurringFrequency: { type: 'string', enum: ['Weekly', 'Monthly', 'Quarterly', 'Yearly'] }
+};
+
+const orderFilters = {
+    status: { type: 'string', enum: ORDER_STATUSES, description: 'Filter by status' },
+    vendor: { type: 'string', description: 'Filter by vendor ID' },
+    priority: { type: 'string', enum: PRIORITIES, description: 'Filter by priority' },
+    startDate: { ...dateTime, description: 'Filter orders from this date' },
+    endDate: { ...dateTime, description: 'Filter orders until this date' },
+    search: { type: 'string', description: 'Search in order number and notes' }
+};
+
+const createPurchaseOrder = {
+    body: {
+        type: 'object',
+        required: ['vendor', 'orderItems'],
+        properties: orderFields
+    }
+};
+
+const getAllPurchaseOrders = {
+    query: {
+        type: 'object',
+        properties: {
+            ...paginationQuery(10),
+            ...sortQuery(PurchaseOrder.sortFields),
+            ...orderFilters,
+            deliveryStatus: {
+                type: 'string',
+                enum: ['On Time', 'Due Soon', 'Overdue', 'Delivered', 'Cancelled'],
+                description: 'Filter by delivery status'
+            },
+            ...listQuery
+        }
+    }
+};
+
+const exportPurchaseOrders = {
+    query: {
+        type: 'object',
+        properties: orderFilters
+    }
+};
+
+const bulkDeletePurchaseOrders = {
+    body: {
+        type: 'object',
+        required: ['orderIds'],
+        properties: {
+            orderIds: {
+                type: 'array',
+                minItems: 1,
+                items: objectId,
+                description: 'Array of order IDs to delete'
+            }
+        }
+    }
+};
+
+const getPurchaseOrderById = { params: orderParams };
+
+const updatePurchaseOrder = {
+    params: orderParams,
+    body: {
+        type: 'object',
+        properties: orderFields
+    }
+};
+
+const deletePurchaseOrder = { params: orderParams };
+
+const getDeletedPurchaseOrders = {
+    query: {
+        type: 'object',
+        properties: paginationQuery(10)
+    }
+};
+
+const restorePurchaseOrder = { params: orderParams };
+
+const permanentDeletePurchaseOrder = { params: orderParams };
+
+const updateOrderStatus = {
+    params: orderParams,
+    body: {
+        type: 'object',
+        required: ['status'],
+        properties: {
+            status: { type: 'string', enum: ORDER_STATUSES },
+            cancellationReason: { type: 'string', description: "Required when status is 'Cancelled'" }
+        }
+    }
+};
+
+const duplicatePurchaseOrder = {
+    params: idParams({ id: 'Purchase order ID to duplicate' })
+};
+
+module.exports = {
+    createPurchaseOrder,
+    getAllPurchaseOrders,
+    exportPurchaseOrders,
+    bulkDeletePurchaseOrders,
+    getPurchaseOrderById,
+    updatePurchaseOrder,
+    deletePurchaseOrder,
+    getDeletedPurchaseOrders,
+    restorePurchaseOrder,
+    permanentDeletePurchaseOrder,
+    updateOrderStatus,
+    duplicatePurchaseOrder
+};
@@ -1,576 +1,552 @@
 const PaymentLink = require('./paymentlink.model');
 const mongoose = require('mongoose');
-
-// Helper function for error responses
-const sendErrorResponse = (res, statusCode, message, details = null) => {
-    const response = {
-        success: false,
-        message
-    };
-    
-    if (details) {
-        response.details = details;
+const logger = require('../../services/logger');
+const webhooks = require('../../services/webhooks');
+const asyncHandler = require('../../utils/asyncHandler');
+const { sendSuccessResponse } = require('../../utils/response');
+const { AppError, BadRequestError, NotFoundError, ConflictError } = require('../../utils/errors');
+const { isCursorPagination, paginateWithCursor } = require('../../utils/pagination');
+const { getStore } = require('../../services/rateLimit');
+
+// A visitor opening the same link again within this window is not a new click
+const CLICK_WINDOW_MS = 30 * 60 * 1000;
+
+// Whether this request is the first from its IP address to open the link in the
+// current window. Counted in the rate limit store, so with RATE_LIMIT_STORE=mongo
+// every instance sees the same visitors.
+const isNewClick = async (req, paymentLink) => {
+    try {
+        const { count } = await getStore().increment(`payment_link_click:${paymentLink._id}:${req.ip}`, CLICK_WINDOW_MS);
+        return count === 1;
+    } catch (error) {
+        logger.error('Payment link click store error', { paymentLinkId: paymentLink.paymentLinkId, error });
+        return false;
     }
-    
-    return res.status(statusCode).json(response);
 };
 
-// Helper function for success responses
-const sendSuccessResponse = (res, statusCode, message, data = null) => {
-    const response = {
-        success: true,
-        message
+// Create a new payment link
+const createPaymentLink = asyncHandler(async (req, res) => {
+    const {
+        title,
+        amount,
+        currency,
+        customerName,
+        customerEmail,
+        description,
+        expiryDate,
+        allowPartialPayment,
+        sendEmailNotification,
+        sendSmsNotification,
+        paymentGateway,
+        metadata
+    } = req.body;
+
+    // NOTE: Removed title uniqueness check - users can create multiple links with same title
+    // This is intentional to allow flexibility
+
+    // Create new payment link
+    const paymentLinkData = {
+        title: title.trim(),
+        amount,
+        currency: currency || 'INR',
+        customerName: customerName?.trim(),
+        customerEmail: customerEmail.toLowerCase(),
+        description: description?.trim(),
+        expiryDate: expiryDate ? new Date(expiryDate) : null,
+        allowPartialPayment: allowPartialPayment || false,
+        sendEmailNotification: sendEmailNotification !== false,
+        sendSmsNotification: sendSmsNotification !== false,
+        paymentGateway: paymentGateway || 'Razorpay',
+        createdBy: req.user.id,
+        metadata: metadata || {}
     };
+
+    const paymentLink = new PaymentLink(paymentLinkData);
+    const savedPaymentLink = await paymentLink.save();
+
+    logger.info('Payment link created', {
+        paymentLinkId: savedPaymentLink.paymentLinkId,
+        id: savedPaymentLink._id
+    });
+
+    // Populate created by user details
+    await savedPaymentLink.populate('createdBy', 'name email');
+
+    return sendSuccessResponse(res, 201, 'Payment link created successfully', savedPaymentLink);
+});
+
+// Get all payment links with pagination and filters
+const getAllPaymentLinks = asyncHandler(async (req, res) => {
+    // Query is validated and coerced by the route schema
+    const {
+        page: pageNum,
+        limit: limitNum,
+        search = '',
+        sortBy,
+        sortOrder,
+        status = '',
+        paymentStatus = '',
+        currency = '',
+        startDate = '',
+        endDate = '',
+        after,
+        before
+    } = req.query;
+
+    const skip = (pageNum - 1) * limitNum;
+
+    // Build query object
+    const query = { createdBy: req.user.id };
     
-    if (data !== null) {
-        response.data = data;
+    if (search) {
+        query.$or = [
+            { title: { $regex: search, $options: 'i' } },
+            { customerName: { $regex: search, $options: 'i' } },
+            { customerEmail: { $regex: search, $options: 'i' } },
+            { paymentLinkId: { $regex: search, $options: 'i' } }
+        ];
     }
     
-    return res.status(statusCode).json(response);
-};
-
-// Create a new payment link
-const createPaymentLink = async (req, res) => {
-    try {
-        console.log('\n========== CREATE PAYMENT LINK START ==========');
-        console.log('📥 Request Body:', JSON.stringify(req.body, null, 2));
-        console.log('👤 User ID:', req.user.id);
-        
-        const {
-            title,
-            amount,
-            currency,
-            customerName,
-            customerEmail,
-            description,
-            expiryDate,
-            allowPartialPayment,
-            sendEmailNotification,
-            sendSmsNotification,
-            paymentGateway,
-            metadata
-        } = req.body;
-
-        console.log('🔍 Skipping title uniqueness check - allowing duplicate titles');
-        console.log('   User ID:', req.user.id);
-        console.log('   Title:', title?.trim());
-        
-        // NOTE: Removed title uniqueness check - users can create multiple links with same title
-        // This is intentional to allow flexibility
-        
-        console.log('✅ Proceeding to create payment link...');
-
-        // Create new payment link
-        const paymentLinkData = {
-            title: title.trim(),
-            amount,
-            currency: currency || 'INR',
-            customerName: customerName?.trim(),
-            customerEmail: customerEmail.toLowerCase(),
-            description: description?.trim(),
-            expiryDate: expiryDate ? new Date(expiryDate) : null,
-            allowPartialPayment: allowPartialPayment || false,
-            sendEmailNotification: sendEmailNotification !== false,
-            sendSmsNotification: sendSmsNotification !== false,
-            paymentGateway: paymentGateway || 'Razorpay',
-            createdBy: req.user.id,
-            metadata: metadata || {}
-        };
-        
-        console.log('📝 Payment link data prepared:', JSON.stringify(paymentLinkData, null, 2));
-        
-        const paymentLink = new PaymentLink(paymentLinkData);
-        
-        console.log('💾 Attempting to save payment link...');
-        const savedPaymentLink = await paymentLink.save();
-        
-        console.log('✅ Payment link saved successfully!');
-        console.log('   ID:', savedPaymentLink._id);
-        console.log('   PaymentLinkId:', savedPaymentLink.paymentLinkId);
-        
-        // Populate created by user details
-        await savedPaymentLink.populate('createdBy', 'name email');
-
-        console.log('========== CREATE PAYMENT LINK SUCCESS ==========\n');
-        return sendSuccessResponse(res, 201, 'Payment link created successfully', savedPaymentLink);
-    } catch (error) {
-        console.error('\n❌❌❌ CREATE PAYMENT LINK ERROR ❌❌❌');
-        console.error('Error Name:', error.name);
-        console.error('Error Message:', error.message);
-        console.error('Error Code:', error.code);
-        
-        if (error.code === 11000) {
-            console.error('🔴 DUPLICATE KEY ERROR!');
-            console.error('Duplicate Key Info:', JSON.stringify(error.keyValue, null, 2));
-            console.error('Duplicate Key Pattern:', JSON.stringify(error.keyPattern, null, 2));
-        }
-        
-        console.error('Full Error:', error);
-        console.error('========== CREATE PAYMENT LINK ERROR END ==========\n');
-        
-        if (error.name === 'ValidationError') {
-            const errors = Object.values(error.errors).map(e => e.message);
-            return sendErrorResponse(res, 400, 'Validation Error', errors);
-        }
-        
-        if (error.code === 11000) {
-            return sendErrorResponse(res, 409, 'Duplicate entry - Payment link with this information already exists');
-        }
-        
-        return sendErrorResponse(res, 500, 'Internal server error', error.message);
+    if (status) query.status = status;
+    if (paymentStatus) query.paymentStatus = paymentStatus;
+    if (currency) query.currency = currency;
+    
+    // Date range filter
+    if (startDate || endDate) {
+        query.createdAt = {};
+        if (startDate) query.createdAt.$gte = new Date(startDate);
+        if (endDate) query.createdAt.$lte = new Date(endDate);
     }
-};
 
-// Get all payment links with pagination and filters
-const getAllPaymentLinks = async (req, res) => {
-    try {
-        const {
-            page = 1,
-            limit = 10,
-            search = '',
-            sortBy = 'createdAt',
-            sortOrder = 'desc',
-            status = '',
-            paymentStatus = '',
-            currency = '',
-            startDate = '',
-            endDate = ''
-        } = req.query;
-
-        const pageNum = parseInt(page);
-        const limitNum = parseInt(limit);
-        const skip = (pageNum - 1) * limitNum;
-
-        // Build query object
-        const query = { createdBy: req.user.id };
-        
-        if (search) {
-            query.$or = [
-                { title: { $regex: search, $options: 'i' } },
-                { customerName: { $regex: search, $options: 'i' } },
-                { customerEmail: { $regex: search, $options: 'i' } },
-                { paymentLinkId: { $regex: search, $options: 'i' } }
-            ];
-        }
-        
-        if (status) query.status = status;
-        if (paymentStatus) query.paymentStatus = paymentStatus;
-        if (currency) query.currency = currency;
-        
-        // Date range filter
-        if (startDate || endDate) {
-            query.createdAt = {};
-            if (startDate) query.createdAt.$gte = new Date(startDate);
-            if (endDate) query.createdAt.$lte = new Date(endDate);
-        }
+    // Generic filter, sort and fields parameters
+    const listQuery = PaymentLink.parseListQuery(req.query);
+    if (listQuery.conditions.length > 0) query.$and = listQuery.conditions;
 
-        // Build sort object
-        const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
-
-        // Get payment links with pagination
-        const paymentLinks = await PaymentLink.find(query)
-            .sort(sort)
-            .skip(skip)
-            .limit(limitNum)
-            .populate('createdBy', 'name email')
-            .lean();
-
-        // Get total count for pagination
-        const totalPaymentLinks = await PaymentLink.countDocuments(query);
-        const totalPages = Math.ceil(totalPaymentLinks / limitNum);
-
-        const response = {
-            paymentLinks,
-            pagination: {
-                currentPage: pageNum,
-                totalPages,
-                totalPaymentLinks,
-                hasNextPage: pageNum < totalPages,
-                hasPrevPage: pageNum > 1,
-                limit: limitNum
-            }
-        };
+    // Build sort object
+    const sort = listQuery.sort || { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
 
-        return sendSuccessResponse(res, 200, 'Payment links retrieved successfully', response);
-    } catch (error) {
-        console.error('Get all payment links error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    if (isCursorPagination(req.query)) {
+        const { items: paymentLinks, pagination } = await paginateWithCursor(
+            PaymentLink.find(query).select(listQuery.select).populate('createdBy', 'name email').lean(),
+            { sort, limit: limitNum, after, before }
+        );
+        return sendSuccessResponse(res, 200, 'Payment links retrieved successfully', { paymentLinks, pagination });
     }
-};
 
-// Get payment link by ID
-const getPaymentLinkById = async (req, res) => {
-    try {
-        const { id } = req.params;
+    // Get payment links with pagination
+    const paymentLinks = await PaymentLink.find(query)
+        .select(listQuery.select)
+        .sort(sort)
+        .skip(skip)
+        .limit(limitNum)
+        .populate('createdBy', 'name email')
+        .lean();
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid payment link ID');
+    // Get total count for pagination
+    const totalPaymentLinks = await PaymentLink.countDocuments(query);
+    const totalPages = Math.ceil(totalPaymentLinks / limitNum);
+
+    const response = {
+        paymentLinks,
+        pagination: {
+            currentPage: pageNum,
+            totalPages,
+            totalPaymentLinks,
+            hasNextPage: pageNum < totalPages,
+            hasPrevPage: pageNum > 1,
+            limit: limitNum
         }
+    };
 
-        const paymentLink = await PaymentLink.findOne({
-            _id: id,
-            createdBy: req.user.id
-        }).populate('createdBy', 'name email');
+    return sendSuccessResponse(res, 200, 'Payment links retrieved successfully', response);
+});
 
-        if (!paymentLink) {
-            return sendErrorResponse(res, 404, 'Payment link not found');
-        }
+// Get payment link by ID
+const getPaymentLinkById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-        return sendSuccessResponse(res, 200, 'Payment link retrieved successfully', paymentLink);
-    } catch (error) {
-        console.error('Get payment link by ID error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid payment link ID');
     }
-};
 
-// Get payment link by payment link ID (public endpoint)
-const getPaymentLinkByLinkId = async (req, res) => {
-    try {
-        const { linkId } = req.params;
+    const paymentLink = await PaymentLink.findOne({
+        _id: id,
+        createdBy: req.user.id
+    }).populate('createdBy', 'name email');
 
-        const paymentLink = await PaymentLink.findOne({
-            paymentLinkId: linkId.toUpperCase(),
-            isActive: true
-        }).populate('createdBy', 'name email');
+    if (!paymentLink) {
+        throw new NotFoundError('Payment link not found');
+    }
 
-        if (!paymentLink) {
-            return sendErrorResponse(res, 404, 'Payment link not found or inactive');
-        }
+    return sendSuccessResponse(res, 200, 'Payment link retrieved successfully', paymentLink);
+});
 
-        // Check if payment link is expired
-        if (paymentLink.expiryDate && paymentLink.expiryDate < new Date()) {
-            paymentLink.status = 'Expired';
-            await paymentLink.save();
-            return sendErrorResponse(res, 410, 'Payment link has expired');
-        }
+// Get payment link by payment link ID (public endpoint)
+const getPaymentLinkByLinkId = asyncHandler(async (req, res) => {
+    const { linkId } = req.params;
 
-        // Check if payment is already completed
-        if (paymentLink.status === 'Paid') {
-            return sendErrorResponse(res, 409, 'Payment link is already paid');
-        }
+    const paymentLink = await PaymentLink.findOne({
+        paymentLinkId: linkId.toUpperCase(),
+        isActive: true
+    }).populate('createdBy', 'name email');
 
-        // Increment click count and update last accessed
-        paymentLink.clickCount += 1;
-        paymentLink.lastAccessedAt = new Date();
+    if (!paymentLink) {
+        throw new NotFoundError('Payment link not found or inactive');
+    }
+
+    // Check if payment link is expired
+    if (paymentLink.expiryDate && paymentLink.expiryDate < new Date()) {
+        paymentLink.status = 'Expired';
         await paymentLink.save();
+        throw new AppError('Payment link has expired', { status: 410, code: 'PAYMENT_LINK_EXPIRED' });
+    }
 
-        return sendSuccessResponse(res, 200, 'Payment link retrieved successfully', paymentLink);
-    } catch (error) {
-        console.error('Get payment link by link ID error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    // Check if payment is already completed
+    if (paymentLink.status === 'Paid') {
+        throw new ConflictError('Payment link is already paid');
     }
-};
+
+    // Reloading the page or opening the link again soon after is not another click
+    if (await isNewClick(req, paymentLink)) {
+        paymentLink.clickCount += 1;
+    }
+    paymentLink.lastAccessedAt = new Date();
+    await paymentLink.save();
+
+    return sendSuccessResponse(res, 200, 'Payment link retrieved successfully', paymentLink);
+});
 
 // Update payment link
-const updatePaymentLink = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const updateData = req.body;
+const updatePaymentLink = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const updateData = req.body;
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid payment link ID');
-        }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid payment link ID');
+    }
 
-        // Check if payment link exists and belongs to user
-        const existingPaymentLink = await PaymentLink.findOne({
-            _id: id,
-            createdBy: req.user.id
-        });
+    // Check if payment link exists and belongs to user
+    const existingPaymentLink = await PaymentLink.findOne({
+        _id: id,
+        createdBy: req.user.id
+    });
 
-        if (!existingPaymentLink) {
-            return sendErrorResponse(res, 404, 'Payment link not found');
-        }
+    if (!existingPaymentLink) {
+        throw new NotFoundError('Payment link not found');
+    }
+
+    // Don't allow updates if payment link is paid or has payments
+    if (existingPaymentLink.status === 'Paid' || existingPaymentLink.paidAmount > 0) {
+        throw new ConflictError('Cannot update payment link that has been paid or has partial payments');
+    }
 
-        // Don't allow updates if payment link is paid or has payments
-        if (existingPaymentLink.status === 'Paid' || existingPaymentLink.paidAmount > 0) {
-            return sendErrorResponse(res, 409, 'Cannot update payment link that has been paid or has partial payments');
+    // Remove fields that shouldn't be updated
+    const { paymentLinkId, paidAmount, remainingAmount, paymentHistory, createdBy, ...allowedUpdates } = updateData;
+
+    // Update payment link
+    const updatedPaymentLink = await PaymentLink.findByIdAndUpdate(
+        id,
+        { $set: allowedUpdates },
+        { 
+            new: true, 
+            runValidators: true 
         }
+    ).populate('createdBy', 'name email');
 
-        // Remove fields that shouldn't be updated
-        const { paymentLinkId, paidAmount, remainingAmount, paymentHistory, createdBy, ...allowedUpdates } = updateData;
+    return sendSuccessResponse(res, 200, 'Payment link updated successfully', updatedPaymentLink);
+});
 
-        // Update payment link
-        const updatedPaymentLink = await PaymentLink.findByIdAndUpdate(
-            id,
-            { $set: allowedUpdates },
-            { 
-                new: true, 
-                runValidators: true 
-            }
-        ).populate('createdBy', 'name email');
+// Delete payment link (moves it to the trash)
+const deletePaymentLink = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-        return sendSuccessResponse(res, 200, 'Payment link updated successfully', updatedPaymentLink);
-    } catch (error) {
-        console.error('Update payment link error:', error);
-        
-        if (error.name === 'ValidationError') {
-            const errors = Object.values(error.errors).map(e => e.message);
-            return sendErrorResponse(res, 400, 'Validation Error', errors);
-        }
-        
-        return sendErrorResponse(res, 500, 'Internal server error');
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid payment link ID');
     }
-};
 
-// Delete payment link
-const deletePaymentLink = async (req, res) => {
-    try {
-        const { id } = req.params;
+    const paymentLink = await PaymentLink.findOne({
+        _id: id,
+        createdBy: req.user.id
+    });
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid payment link ID');
-        }
+    if (!paymentLink) {
+        throw new NotFoundError('Payment link not found');
+    }
 
-        const paymentLink = await PaymentLink.findOne({
-            _id: id,
-            createdBy: req.user.id
-        });
+    // Don't allow deletion if payment link has been paid
+    if (paymentLink.paidAmount > 0) {
+        throw new ConflictError('Cannot delete payment link that has received payments');
+    }
 
-        if (!paymentLink) {
-            return sendErrorResponse(res, 404, 'Payment link not found');
-        }
+    await paymentLink.softDelete(req.user.id);
 
-        // Don't allow deletion if payment link has been paid
-        if (paymentLink.paidAmount > 0) {
-            return sendErrorResponse(res, 409, 'Cannot delete payment link that has received payments');
-        }
+    return sendSuccessResponse(res, 200, 'Payment link deleted successfully');
+});
 
-        await PaymentLink.findByIdAndDelete(id);
+// Get the user's payment links in the trash, most recently deleted first
+const getDeletedPaymentLinks = asyncHandler(async (req, res) => {
+    const { items: paymentLinks, pagination } = await PaymentLink.findInTrash(req.query, { createdBy: req.user.id });
+    return sendSuccessResponse(res, 200, 'Deleted payment links retrieved successfully', { paymentLinks, pagination });
+});
 
-        return sendSuccessResponse(res, 200, 'Payment link deleted successfully');
-    } catch (error) {
-        console.error('Delete payment link error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+// Restore payment link from the trash
+const restorePaymentLink = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid payment link ID');
     }
-};
 
-// Cancel payment link
-const cancelPaymentLink = async (req, res) => {
-    try {
-        const { id } = req.params;
+    const paymentLink = await PaymentLink.findOne({
+        _id: id,
+        createdBy: req.user.id
+    }).onlyDeleted();
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid payment link ID');
-        }
+    if (!paymentLink) {
+        throw new NotFoundError('Payment link not found in trash');
+    }
 
-        const paymentLink = await PaymentLink.findOne({
-            _id: id,
-            createdBy: req.user.id
-        });
+    await paymentLink.restore();
 
-        if (!paymentLink) {
-            return sendErrorResponse(res, 404, 'Payment link not found');
-        }
+    return sendSuccessResponse(res, 200, 'Payment link restored successfully', paymentLink);
+});
 
-        // Don't allow cancellation if payment link is already paid
-        if (paymentLink.status === 'Paid') {
-            return sendErrorResponse(res, 409, 'Cannot cancel a paid payment link');
-        }
+// Permanently delete payment link from the trash
+const permanentDeletePaymentLink = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-        paymentLink.status = 'Cancelled';
-        paymentLink.isActive = false;
-        await paymentLink.save();
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid payment link ID');
+    }
 
-        return sendSuccessResponse(res, 200, 'Payment link cancelled successfully', paymentLink);
-    } catch (error) {
-        console.error('Cancel payment link error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    const paymentLink = await PaymentLink.findOne({
+        _id: id,
+        createdBy: req.user.id
+    }).onlyDeleted();
+
+    if (!paymentLink || !await paymentLink.purge()) {
+        throw new NotFoundError('Payment link not found in trash');
     }
-};
 
-// Activate payment link
-const activatePaymentLink = async (req, res) => {
-    try {
-        const { id } = req.params;
+    return sendSuccessResponse(res, 200, 'Payment link permanently deleted successfully');
+});
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid payment link ID');
-        }
+// Cancel payment link
+const cancelPaymentLink = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-        const paymentLink = await PaymentLink.findOne({
-            _id: id,
-            createdBy: req.user.id
-        });
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid payment link ID');
+    }
 
-        if (!paymentLink) {
-            return sendErrorResponse(res, 404, 'Payment link not found');
-        }
+    const paymentLink = await PaymentLink.findOne({
+        _id: id,
+        createdBy: req.user.id
+    });
 
-        // Check if payment link is expired
-        if (paymentLink.expiryDate && paymentLink.expiryDate < new Date()) {
-            return sendErrorResponse(res, 409, 'Cannot activate expired payment link');
-        }
+    if (!paymentLink) {
+        throw new NotFoundError('Payment link not found');
+    }
 
-        paymentLink.status = 'Active';
-        paymentLink.isActive = true;
-        await paymentLink.save();
+    // Don't allow cancellation if payment link is already paid
+    if (paymentLink.status === 'Paid') {
+        throw new ConflictError('Cannot cancel a paid payment link');
+    }
 
-        return sendSuccessResponse(res, 200, 'Payment link activated successfully', paymentLink);
-    } catch (error) {
-        console.error('Activate payment link error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    paymentLink.status = 'Cancelled';
+    paymentLink.isActive = false;
+    await paymentLink.save();
+
+    return sendSuccessResponse(res, 200, 'Payment link cancelled successfully', paymentLink);
+});
+
+// Activate payment link
+const activatePaymentLink = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid payment link ID');
     }
-};
 
-// Record payment for payment link
-const recordPayment = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const {
-            amount,
-            transactionId,
-            paymentMethod,
-            gatewayPaymentId,
-            gatewayOrderId,
-            transactionFee = 0
-        } = req.body;
-
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid payment link ID');
-        }
+    const paymentLink = await PaymentLink.findOne({
+        _id: id,
+        createdBy: req.user.id
+    });
 
-        const paymentLink = await PaymentLink.findById(id);
+    if (!paymentLink) {
+        throw new NotFoundError('Payment link not found');
+    }
 
-        if (!paymentLink) {
-            return sendErrorResponse(res, 404, 'Payment link not found');
-        }
+    // Check if payment link is expired
+    if (paymentLink.expiryDate && paymentLink.expiryDate < new Date()) {
+        throw new ConflictError('Cannot activate expired payment link');
+    }
 
-        // Validate payment amount
-        if (amount <= 0) {
-            return sendErrorResponse(res, 400, 'Payment amount must be greater than 0');
-        }
+    paymentLink.status = 'Active';
+    paymentLink.isActive = true;
+    await paymentLink.save();
 
-        const maxAllowedAmount = paymentLink.allowPartialPayment 
-            ? paymentLink.amount 
-            : paymentLink.remainingAmount;
+    return sendSuccessResponse(res, 200, 'Payment link activated successfully', paymentLink);
+});
 
-        if (amount > maxAllowedAmount) {
-            return sendErrorResponse(res, 400, 'Payment amount exceeds the allowed amount');
-        }
+// Record payment for payment link
+const recordPayment = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const {
+        amount,
+        transactionId,
+        paymentMethod,
+        gatewayPaymentId,
+        gatewayOrderId,
+        transactionFee = 0
+    } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid payment link ID');
+    }
 
-        // Record payment
-        paymentLink.paymentHistory.push({
-            amount,
-            transactionId,
-            paymentMethod,
-            status: 'Success'
-        });
+    const paymentLink = await PaymentLink.findById(id);
 
-        paymentLink.paidAmount += amount;
-        paymentLink.gatewayPaymentId = gatewayPaymentId;
-        paymentLink.gatewayOrderId = gatewayOrderId;
-        paymentLink.transactionFee += transactionFee;
+    if (!paymentLink) {
+        throw new NotFoundError('Payment link not found');
+    }
 
-        await paymentLink.save();
+    const maxAllowedAmount = paymentLink.allowPartialPayment 
+        ? paymentLink.amount 
+        : paymentLink.remainingAmount;
 
-        return sendSuccessResponse(res, 200, 'Payment recorded successfully', paymentLink);
-    } catch (error) {
-        console.error('Record payment error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    if (amount > maxAllowedAmount) {
+        throw new BadRequestError('Payment amount exceeds the allowed amount');
     }
-};
+
+    // Record payment
+    paymentLink.paymentHistory.push({
+        amount,
+        transactionId,
+        paymentMethod,
+        status: 'Success'
+    });
+
+    paymentLink.paidAmount += amount;
+    paymentLink.gatewayPaymentId = gatewayPaymentId;
+    paymentLink.gatewayOrderId = gatewayOrderId;
+    paymentLink.transactionFee += transactionFee;
+
+    await paymentLink.save();
+
+    await webhooks.publish('paymentLink.paymentRecorded', {
+        paymentLink,
+        payment: paymentLink.paymentHistory[paymentLink.paymentHistory.length - 1]
+    });
+
+    return sendSuccessResponse(res, 200, 'Payment recorded successfully', paymentLink);
+});
 
 // Get payment link statistics
-const getPaymentLinkStats = async (req, res) => {
-    try {
-        const userId = req.user.id;
-
-        const stats = await PaymentLink.aggregate([
-            { $match: { createdBy: new mongoose.Types.ObjectId(userId) } },
-            {
-                $group: {
-                    _id: null,
-                    totalLinks: { $sum: 1 },
-                    activeLinks: {
-                        $sum: { $cond: [{ $eq: ['$status', 'Active'] }, 1, 0] }
-                    },
-                    paidLinks: {
-                        $sum: { $cond: [{ $eq: ['$status', 'Paid'] }, 1, 0] }
-                    },
-                    expiredLinks: {
-                        $sum: { $cond: [{ $eq: ['$status', 'Expired'] }, 1, 0] }
-                    },
-                    totalAmount: { $sum: '$amount' },
-                    totalPaidAmount: { $sum: '$paidAmount' },
-                    totalClickCount: { $sum: '$clickCount' }
-                }
+const getPaymentLinkStats = asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+
+    const stats = await PaymentLink.aggregate([
+        { $match: { createdBy: new mongoose.Types.ObjectId(userId) } },
+        {
+            $group: {
+                _id: null,
+                totalLinks: { $sum: 1 },
+                activeLinks: {
+                    $sum: { $cond: [{ $eq: ['$status', 'Active'] }, 1, 0] }
+                },
+                paidLinks: {
+                    $sum: { $cond: [{ $eq: ['$status', 'Paid'] }, 1, 0] }
+                },
+                expiredLinks: {
+                    $sum: { $cond: [{ $eq: ['$status', 'Expired'] }, 1, 0] }
+                },
+                totalAmount: { $sum: '$amount' },
+                totalPaidAmount: { $sum: '$paidAmount' },
+                totalClickCount: { $sum: '$clickCount' }
             }
-        ]);
-
-        const result = stats[0] || {
-            totalLinks: 0,
-            activeLinks: 0,
-            paidLinks: 0,
-            expiredLinks: 0,
-            totalAmount: 0,
-            totalPaidAmount: 0,
-            totalClickCount: 0
-        };
-
-        result.pendingAmount = result.totalAmount - result.totalPaidAmount;
-        result.conversionRate = result.totalLinks > 0 
-            ? ((result.paidLinks / result.totalLinks) * 100).toFixed(2)
-            : 0;
-
-        return sendSuccessResponse(res, 200, 'Payment link statistics retrieved successfully', result);
-    } catch (error) {
-        console.error('Get payment link stats error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
-    }
-};
+        }
+    ]);
+
+    const result = stats[0] || {
+        totalLinks: 0,
+        activeLinks: 0,
+        paidLinks: 0,
+        expiredLinks: 0,
+        totalAmount: 0,
+        totalPaidAmount: 0,
+        totalClickCount: 0
+    };
+
+    result.pendingAmount = result.totalAmount - result.totalPaidAmount;
+    result.conversionRate = result.totalLinks > 0 
+        ? ((result.paidLinks / result.totalLinks) * 100).toFixed(2)
+        : 0;
+
+    return sendSuccessResponse(res, 200, 'Payment link statistics retrieved successfully', result);
+});
 
 // Search payment links
-const searchPaymentLinks = async (req, res) => {
-    try {
-        const {
-            search = '',
-            page = 1,
-            limit = 10,
-            sortBy = 'createdAt',
-            sortOrder = 'desc',
-            status = '',
-            paymentStatus = ''
-        } = req.query;
-
-        const options = {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            sortBy,
-            sortOrder,
-            status,
-            paymentStatus,
-            createdBy: req.user.id
-        };
-
-        const paymentLinks = await PaymentLink.searchPaymentLinks(search, options);
-        const totalCount = await PaymentLink.countDocuments({
-            createdBy: req.user.id,
-            $or: search ? [
-                { title: { $regex: search, $options: 'i' } },
-                { customerName: { $regex: search, $options: 'i' } },
-                { customerEmail: { $regex: search, $options: 'i' } },
-                { paymentLinkId: { $regex: search, $options: 'i' } }
-            ] : [{}]
+const searchPaymentLinks = asyncHandler(async (req, res) => {
+    const {
+        search = '',
+        page,
+        limit,
+        sortBy,
+        sortOrder,
+        status = '',
+        paymentStatus = '',
+        pagination,
+        after,
+        before
+    } = req.query;
+
+    const options = {
+        page,
+        limit,
+        sortBy,
+        sortOrder,
+        status,
+        paymentStatus,
+        createdBy: req.user.id,
+        pagination,
+        after,
+        before
+    };
+
+    if (isCursorPagination(options)) {
+        const result = await PaymentLink.searchPaymentLinks(search, options);
+        return sendSuccessResponse(res, 200, 'Payment links searched successfully', {
+            paymentLinks: result.items,
+            pagination: result.pagination
         });
+    }
 
-        const response = {
-            paymentLinks,
-            pagination: {
-                currentPage: options.page,
-                totalPages: Math.ceil(totalCount / options.limit),
-                totalPaymentLinks: totalCount,
-                hasNextPage: options.page < Math.ceil(totalCount / options.limit),
-                hasPrevPage: options.page > 1,
-                limit: options.limit
-            }
-        };
+    const paymentLinks = await PaymentLink.searchPaymentLinks(search, options);
+    const totalCount = await PaymentLink.countDocuments({
+        createdBy: req.user.id,
+        $or: search ? [
+            { title: { $regex: search, $options: 'i' } },
+            { customerName: { $regex: search, $options: 'i' } },
+            { customerEmail: { $regex: search, $options: 'i' } },
+            { paymentLinkId: { $regex: search, $options: 'i' } }
+        ] : [{}]
+    });
 
-        return sendSuccessResponse(res, 200, 'Payment links searched successfully', response);
-    } catch (error) {
-        console.error('Search payment links error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
-    }
-};
+    const response = {
+        paymentLinks,
+        pagination: {
+            currentPage: options.page,
+            totalPages: Math.ceil(totalCount / options.limit),
+            totalPaymentLinks: totalCount,
+            hasNextPage: options.page < Math.ceil(totalCount / options.limit),
+            hasPrevPage: options.page > 1,
+            limit: options.limit
+        }
+    };
+
+    return sendSuccessResponse(res, 200, 'Payment links searched successfully', response);
+});
 
 module.exports = {
     createPaymentLink,
@@ -579,6 +555,9 @@ module.exports = {
     getPaymentLinkByLinkId,
     updatePaymentLink,
     deletePaymentLink,
+    getDeletedPaymentLinks,
+    restorePaymentLink,
+    permanentDeletePaymentLink,
     cancelPaymentLink,
     activatePaymentLink,
     recordPayment,
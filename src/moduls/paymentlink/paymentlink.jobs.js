@@ -0,0 +1,11 @@
+const PaymentLink = require('./paymentlink.model');
+
+// Background jobs of the payment link module, see src/jobs
+module.exports = [
+    {
+        name: 'expire-payment-links',
+        description: 'Mark active payment links past their expiry date as Expired',
+        intervalSeconds: 5 * 60,
+        handler: async () => ({ expired: await PaymentLink.expireOverdue() })
+    }
+];
@@ -1,4 +1,10 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../audit/audit.plugin');
+const listQueryPlugin = require('../../utils/listQuery');
+const softDeletePlugin = require('../../utils/softDelete');
+const logger = require('../../services/logger');
+const { isCursorPagination, paginateWithCursor } = require('../../utils/pagination');
+const config = require('../../config/env');
 
 const paymentLinkSchema = new mongoose.Schema({
     title: {
@@ -203,60 +209,46 @@ paymentLinkSchema.virtual('paymentPercentage').get(function() {
 
 // Virtual for payment link URL
 paymentLinkSchema.virtual('paymentUrl').get(function() {
-    const baseUrl = process.env.PAYMENT_BASE_URL || 'https://pay.yourapp.com';
+    const baseUrl = config.payments.baseUrl;
     return `${baseUrl}/${this.paymentLinkId}`;
 });
 
 // Pre-save middleware to generate payment link ID
 paymentLinkSchema.pre('save', function(next) {
     try {
-        console.log('\n🔧 PRE-SAVE HOOK STARTED');
-        console.log('   Document ID:', this._id);
-        console.log('   Is New Document:', this.isNew);
-        
         // Generate payment link ID if not present
         if (!this.paymentLinkId) {
             const timestamp = Date.now().toString(36);
             const randomStr1 = Math.random().toString(36).substring(2, 8);
             const randomStr2 = Math.random().toString(36).substring(2, 5);
             this.paymentLinkId = `PL_${timestamp}_${randomStr1}${randomStr2}`.toUpperCase();
-            console.log('   ✅ Generated PaymentLinkId:', this.paymentLinkId);
-        } else {
-            console.log('   ℹ️  PaymentLinkId already exists:', this.paymentLinkId);
         }
         
         // Update remaining amount
         this.remainingAmount = Math.max(0, this.amount - this.paidAmount);
-        console.log('   💰 Calculated remainingAmount:', this.remainingAmount);
         
         // Update status based on payment
         if (this.paidAmount >= this.amount) {
             this.status = 'Paid';
             this.paymentStatus = 'Completed';
-            console.log('   📊 Status updated to: Paid');
         } else if (this.paidAmount > 0) {
             this.status = 'Partially Paid';
             this.paymentStatus = 'Partially Paid';
-            console.log('   📊 Status updated to: Partially Paid');
-        } else {
-            console.log('   📊 Status remains:', this.status);
         }
         
         // Check expiry
         if (this.expiryDate && this.expiryDate < new Date() && this.status === 'Active') {
             this.status = 'Expired';
-            console.log('   ⏰ Status changed to Expired due to expiry date');
         }
         
-        console.log('🔧 PRE-SAVE HOOK COMPLETED\n');
         next();
     } catch (error) {
-        console.error('\n❌ PRE-SAVE HOOK ERROR:', error);
+        logger.error('Payment link pre-save error', { error });
         next(error);
     }
 });
 
-// Static method to search payment links
+// Static method to search payment links (cursor mode resolves to { items, pagination })
 paymentLinkSchema.statics.searchPaymentLinks = function(searchTerm, options = {}) {
     const {
         page = 1,
@@ -265,7 +257,9 @@ paymentLinkSchema.statics.searchPaymentLinks = function(searchTerm, options = {}
         sortOrder = 'desc',
         status = null,
         paymentStatus = null,
-        createdBy = null
+        createdBy = null,
+        after = null,
+        before = null
     } = options;
 
     const query = {};
@@ -286,6 +280,10 @@ paymentLinkSchema.statics.searchPaymentLinks = function(searchTerm, options = {}
     const skip = (page - 1) * limit;
     const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
 
+    if (isCursorPagination(options)) {
+        return paginateWithCursor(this.find(query).populate('createdBy', 'name email').lean(), { sort, limit, after, before });
+    }
+
     return this.find(query)
         .sort(sort)
         .skip(skip)
@@ -294,6 +292,18 @@ paymentLinkSchema.statics.searchPaymentLinks = function(searchTerm, options = {}
         .lean();
 };
 
+// Static method to mark active links past their expiry date as Expired. Links are
+// also expired when they are opened, this catches the ones nobody opens.
+// Resolves to the number expired.
+paymentLinkSchema.statics.expireOverdue = async function(now = new Date()) {
+    const result = await this.updateMany(
+        { status: 'Active', expiryDate: { $ne: null, $lte: now } },
+        { $set: { status: 'Expired' } }
+    );
+
+    return result.modifiedCount;
+};
+
 // Instance method to format payment link data
 paymentLinkSchema.methods.toJSON = function() {
     const paymentLink = this.toObject();
@@ -306,6 +316,27 @@ paymentLinkSchema.methods.toJSON = function() {
     return paymentLink;
 };
 
+// Deleted records go to the trash (see utils/softDelete)
+paymentLinkSchema.plugin(softDeletePlugin);
+
+// Record changes in the audit log. Visits to the public page are not edits, and
+// anyone can make them.
+paymentLinkSchema.plugin(auditPlugin, { exclude: ['clickCount', 'lastAccessedAt'] });
+
+// Fields clients can filter, sort and select on in list endpoints (see utils/listQuery)
+paymentLinkSchema.plugin(listQueryPlugin, {
+    filter: [
+        'paymentLinkId', 'customerEmail', 'status', 'paymentStatus', 'currency', 'expiryDate',
+        'createdAt'
+    ],
+    sort: ['createdAt', 'updatedAt', 'title', 'amount', 'status', 'expiryDate'],
+    select: [
+        'title', 'amount', 'currency', 'customerName', 'customerEmail', 'description', 'expiryDate',
+        'allowPartialPayment', 'paymentLinkId', 'shortUrl', 'status', 'paymentStatus', 'paidAmount',
+        'remainingAmount', 'clickCount', 'lastAccessedAt', 'isActive', 'createdAt', 'updatedAt'
+    ]
+});
+
 const PaymentLink = mongoose.model('PaymentLink', paymentLinkSchema);
 
 module.exports = PaymentLink;
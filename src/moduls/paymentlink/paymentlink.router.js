@@ -7,6 +7,9 @@ const {
     getPaymentLinkByLinkId,
     updatePaymentLink,
     deletePaymentLink,
+    getDeletedPaymentLinks,
+    restorePaymentLink,
+    permanentDeletePaymentLink,
     cancelPaymentLink,
     activatePaymentLink,
     recordPayment,
@@ -14,6 +17,14 @@ const {
     searchPaymentLinks
 } = require('./paymentlink.controller');
 const auth = require('../../middleware/auth.middleware');
+const requirePermission = require('../../middleware/permission.middleware');
+const validate = require('../../middleware/validate.middleware');
+const idempotency = require('../../middleware/idempotency.middleware');
+const validation = require('./paymentlink.validation');
+const rateLimit = require('../../middleware/rateLimit.middleware');
+
+// The public link is opened by customers without logging in
+const publicLinkLimiter = rateLimit({ name: 'payment_link_public', max: 60, windowSeconds: 60 });
 
 /**
  * @swagger
@@ -83,7 +94,7 @@ const auth = require('../../middleware/auth.middleware');
  *           description: Payment gateway
  *         clickCount:
  *           type: number
- *           description: Number of times link was accessed
+ *           description: Number of times the link was opened. Opening it again from the same IP address within 30 minutes counts once
  *         paymentUrl:
  *           type: string
  *           description: Full payment URL
@@ -96,71 +107,6 @@ const auth = require('../../middleware/auth.middleware');
  *         updatedAt:
  *           type: string
  *           format: date-time
- *     PaymentLinkCreateRequest:
- *       type: object
- *       required:
- *         - title
- *         - amount
- *         - customerEmail
- *       properties:
- *         title:
- *           type: string
- *           minLength: 3
- *           maxLength: 200
- *           description: Payment link title
- *           example: "Invoice Payment - #INV001"
- *         amount:
- *           type: number
- *           minimum: 0.01
- *           description: Payment amount
- *           example: 1500
- *         currency:
- *           type: string
- *           enum: [INR, USD, EUR, GBP]
- *           default: INR
- *           description: Currency code
- *           example: "INR"
- *         customerName:
- *           type: string
- *           maxLength: 100
- *           description: Customer name
- *           example: "John Doe"
- *         customerEmail:
- *           type: string
- *           format: email
- *           description: Customer email address
- *           example: "john.doe@example.com"
- *         description:
- *           type: string
- *           maxLength: 1000
- *           description: Payment description
- *           example: "Payment for services rendered"
- *         expiryDate:
- *           type: string
- *           format: date-time
- *           description: Payment link expiry date
- *           example: "2024-12-31T23:59:59Z"
- *         allowPartialPayment:
- *           type: boolean
- *           default: false
- *           description: Allow partial payments
- *           example: false
- *         sendEmailNotification:
- *           type: boolean
- *           default: true
- *           description: Send email notification to customer
- *           example: true
- *         sendSmsNotification:
- *           type: boolean
- *           default: true
- *           description: Send SMS notification to customer
- *           example: true
- *         paymentGateway:
- *           type: string
- *           enum: [Razorpay, Stripe, PayPal, Paytm]
- *           default: Razorpay
- *           description: Payment gateway
- *           example: "Razorpay"
  *     PaymentLinkStats:
  *       type: object
  *       properties:
@@ -208,12 +154,6 @@ const auth = require('../../middleware/auth.middleware');
  *     tags: [Payment Links]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/PaymentLinkCreateRequest'
  *     responses:
  *       201:
  *         description: Payment link created successfully
@@ -249,7 +189,7 @@ const auth = require('../../middleware/auth.middleware');
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/', auth, createPaymentLink);
+router.post('/', auth, requirePermission('paymentLinks:write'), validate(validation.createPaymentLink), idempotency, createPaymentLink);
 
 /**
  * @swagger
@@ -259,71 +199,6 @@ router.post('/', auth, createPaymentLink);
  *     tags: [Payment Links]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *           default: 10
- *         description: Number of items per page
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Search term for title, customer name, email, or payment link ID
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *           enum: [createdAt, updatedAt, title, amount, status]
- *           default: createdAt
- *         description: Field to sort by
- *       - in: query
- *         name: sortOrder
- *         schema:
- *           type: string
- *           enum: [asc, desc]
- *           default: desc
- *         description: Sort order
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [Active, Expired, Paid, Cancelled, Partially Paid]
- *         description: Filter by status
- *       - in: query
- *         name: paymentStatus
- *         schema:
- *           type: string
- *           enum: [Pending, Completed, Failed, Partially Paid, Refunded]
- *         description: Filter by payment status
- *       - in: query
- *         name: currency
- *         schema:
- *           type: string
- *           enum: [INR, USD, EUR, GBP]
- *         description: Filter by currency
- *       - in: query
- *         name: startDate
- *         schema:
- *           type: string
- *           format: date
- *         description: Start date for date range filter
- *       - in: query
- *         name: endDate
- *         schema:
- *           type: string
- *           format: date
- *         description: End date for date range filter
  *     responses:
  *       200:
  *         description: Payment links retrieved successfully
@@ -367,7 +242,7 @@ router.post('/', auth, createPaymentLink);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/', auth, getAllPaymentLinks);
+router.get('/', auth, requirePermission('paymentLinks:read'), validate(validation.getAllPaymentLinks), getAllPaymentLinks);
 
 /**
  * @swagger
@@ -377,34 +252,6 @@ router.get('/', auth, getAllPaymentLinks);
  *     tags: [Payment Links]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Search term
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Items per page
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *         description: Filter by status
- *       - in: query
- *         name: paymentStatus
- *         schema:
- *           type: string
- *         description: Filter by payment status
  *     responses:
  *       200:
  *         description: Payment links searched successfully
@@ -435,7 +282,7 @@ router.get('/', auth, getAllPaymentLinks);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/search', auth, searchPaymentLinks);
+router.get('/search', auth, requirePermission('paymentLinks:read'), validate(validation.searchPaymentLinks), searchPaymentLinks);
 
 /**
  * @swagger
@@ -468,7 +315,7 @@ router.get('/search', auth, searchPaymentLinks);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/stats', auth, getPaymentLinkStats);
+router.get('/stats', auth, requirePermission('paymentLinks:read'), getPaymentLinkStats);
 
 /**
  * @swagger
@@ -476,13 +323,6 @@ router.get('/stats', auth, getPaymentLinkStats);
  *   get:
  *     summary: Get payment link by link ID (public endpoint)
  *     tags: [Payment Links]
- *     parameters:
- *       - in: path
- *         name: linkId
- *         required: true
- *         schema:
- *           type: string
- *         description: Payment link ID
  *     responses:
  *       200:
  *         description: Payment link retrieved successfully
@@ -524,7 +364,22 @@ router.get('/stats', auth, getPaymentLinkStats);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/public/:linkId', getPaymentLinkByLinkId);
+router.get('/public/:linkId', publicLinkLimiter, validate(validation.getPaymentLinkByLinkId), getPaymentLinkByLinkId);
+
+/**
+ * @swagger
+ * /api/payment-links/trash:
+ *   get:
+ *     summary: List deleted payment links
+ *     description: Only payment links created by the current user are listed.
+ *     tags: [Payment Links]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deleted payment links retrieved successfully
+ */
+router.get('/trash', auth, requirePermission('paymentLinks:read'), validate(validation.getDeletedPaymentLinks), getDeletedPaymentLinks);
 
 /**
  * @swagger
@@ -534,13 +389,6 @@ router.get('/public/:linkId', getPaymentLinkByLinkId);
  *     tags: [Payment Links]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Payment link ID
  *     responses:
  *       200:
  *         description: Payment link retrieved successfully
@@ -576,7 +424,7 @@ router.get('/public/:linkId', getPaymentLinkByLinkId);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/:id', auth, getPaymentLinkById);
+router.get('/:id', auth, requirePermission('paymentLinks:read'), validate(validation.getPaymentLinkById), getPaymentLinkById);
 
 /**
  * @swagger
@@ -586,41 +434,6 @@ router.get('/:id', auth, getPaymentLinkById);
  *     tags: [Payment Links]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Payment link ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             properties:
- *               title:
- *                 type: string
- *               amount:
- *                 type: number
- *               currency:
- *                 type: string
- *               customerName:
- *                 type: string
- *               customerEmail:
- *                 type: string
- *               description:
- *                 type: string
- *               expiryDate:
- *                 type: string
- *                 format: date-time
- *               allowPartialPayment:
- *                 type: boolean
- *               sendEmailNotification:
- *                 type: boolean
- *               sendSmsNotification:
- *                 type: boolean
  *     responses:
  *       200:
  *         description: Payment link updated successfully
@@ -662,7 +475,7 @@ router.get('/:id', auth, getPaymentLinkById);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.put('/:id', auth, updatePaymentLink);
+router.put('/:id', auth, requirePermission('paymentLinks:write'), validate(validation.updatePaymentLink), updatePaymentLink);
 
 /**
  * @swagger
@@ -672,13 +485,6 @@ router.put('/:id', auth, updatePaymentLink);
  *     tags: [Payment Links]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Payment link ID
  *     responses:
  *       200:
  *         description: Payment link deleted successfully
@@ -718,7 +524,39 @@ router.put('/:id', auth, updatePaymentLink);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete('/:id', auth, deletePaymentLink);
+router.delete('/:id', auth, requirePermission('paymentLinks:delete'), validate(validation.deletePaymentLink), deletePaymentLink);
+
+/**
+ * @swagger
+ * /api/payment-links/{id}/restore:
+ *   patch:
+ *     summary: Restore a deleted payment link
+ *     tags: [Payment Links]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Payment link restored successfully
+ *       404:
+ *         description: Payment link not found in trash
+ */
+router.patch('/:id/restore', auth, requirePermission('paymentLinks:write'), validate(validation.restorePaymentLink), restorePaymentLink);
+
+/**
+ * @swagger
+ * /api/payment-links/{id}/permanent:
+ *   delete:
+ *     summary: Permanently delete a payment link from the trash
+ *     tags: [Payment Links]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Payment link permanently deleted successfully
+ *       404:
+ *         description: Payment link not found in trash
+ */
+router.delete('/:id/permanent', auth, requirePermission('paymentLinks:delete'), validate(validation.permanentDeletePaymentLink), permanentDeletePaymentLink);
 
 /**
  * @swagger
@@ -728,13 +566,6 @@ router.delete('/:id', auth, deletePaymentLink);
  *     tags: [Payment Links]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Payment link ID
  *     responses:
  *       200:
  *         description: Payment link cancelled successfully
@@ -776,7 +607,7 @@ router.delete('/:id', auth, deletePaymentLink);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.patch('/:id/cancel', auth, cancelPaymentLink);
+router.patch('/:id/cancel', auth, requirePermission('paymentLinks:write'), validate(validation.cancelPaymentLink), cancelPaymentLink);
 
 /**
  * @swagger
@@ -786,13 +617,6 @@ router.patch('/:id/cancel', auth, cancelPaymentLink);
  *     tags: [Payment Links]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Payment link ID
  *     responses:
  *       200:
  *         description: Payment link activated successfully
@@ -834,7 +658,7 @@ router.patch('/:id/cancel', auth, cancelPaymentLink);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.patch('/:id/activate', auth, activatePaymentLink);
+router.patch('/:id/activate', auth, requirePermission('paymentLinks:write'), validate(validation.activatePaymentLink), activatePaymentLink);
 
 /**
  * @swagger
@@ -844,51 +668,6 @@ router.patch('/:id/activate', auth, activatePaymentLink);
  *     tags: [Payment Links]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Payment link ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - amount
- *               - transactionId
- *               - paymentMethod
- *             properties:
- *               amount:
- *                 type: number
- *                 minimum: 0.01
- *                 description: Payment amount
- *                 example: 500
- *               transactionId:
- *                 type: string
- *                 description: Transaction ID from payment gateway
- *                 example: "TXN_123456789"
- *               paymentMethod:
- *                 type: string
- *                 enum: [Card, UPI, Net Banking, Wallet]
- *                 description: Payment method used
- *                 example: "UPI"
- *               gatewayPaymentId:
- *                 type: string
- *                 description: Payment ID from gateway
- *                 example: "pay_123456789"
- *               gatewayOrderId:
- *                 type: string
- *                 description: Order ID from gateway
- *                 example: "order_123456789"
- *               transactionFee:
- *                 type: number
- *                 minimum: 0
- *                 description: Transaction fee charged
- *                 example: 10.50
  *     responses:
  *       200:
  *         description: Payment recorded successfully
@@ -924,6 +703,6 @@ router.patch('/:id/activate', auth, activatePaymentLink);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/:id/payment', auth, recordPayment);
+router.post('/:id/payment', auth, requirePermission('paymentLinks:write'), validate(validation.recordPayment), idempotency, recordPayment);
 
 module.exports = router;
@@ -0,0 +1,60 @@
+const PaymentLink = require('./paymentlink.model');
+
+const PURPOSES = ['Invoice', 'Advance for order', 'Balance for order', 'Home delivery order'];
+
+// Links are sent to seeded customers; their status follows from the payments
+// recorded and the expiry date (see the pre-save hook of the model)
+const seedPaymentLinks = async ({ random, count, refs, owner }) => {
+    const links = [];
+
+    for (let index = 0; index < count(10); index++) {
+        const customer = random.pick(refs.customers);
+        const amount = random.int(5, 500) * 100;
+        const createdAt = random.daysFromNow(-60, 0);
+        const payment = random.weighted({ unpaid: 5, partial: 2, paid: 3 });
+
+        const paymentHistory = [];
+        if (payment !== 'unpaid') {
+            const paid = payment === 'paid' ? amount : Math.round(amount * random.float(0.2, 0.8) / 100) * 100;
+            paymentHistory.push({
+                amount: paid,
+                paymentDate: new Date(Math.min(createdAt.getTime() + random.int(1, 72) * 60 * 60 * 1000, random.now.getTime())),
+                transactionId: `pay_${random.digits(14)}`,
+                paymentMethod: random.pick(['Card', 'UPI', 'Net Banking', 'Wallet']),
+                status: 'Success'
+            });
+        }
+
+        // Some unpaid links have already expired
+        const expiryDate = random.daysFromNow(-10, 30);
+
+        const link = new PaymentLink({
+            paymentLinkId: `PL_DEMO_${String(index + 1).padStart(5, '0')}`,
+            title: `${random.pick(PURPOSES)} #${random.int(1000, 9999)}`,
+            amount,
+            currency: 'INR',
+            customerName: customer.fullName,
+            customerEmail: customer.email,
+            description: `Payment requested from ${customer.fullName}`,
+            expiryDate,
+            allowPartialPayment: payment === 'partial' || random.bool(0.3),
+            status: payment === 'unpaid' && random.bool(0.1) ? 'Cancelled' : 'Active',
+            paidAmount: paymentHistory.reduce((sum, entry) => sum + entry.amount, 0),
+            paymentHistory,
+            clickCount: random.int(0, 20),
+            createdBy: owner._id
+        });
+
+        // The model only accepts expiry dates from today on, which is right for
+        // new links but not for demo links that have run out
+        links.push(await link.save({ validateBeforeSave: expiryDate >= random.now }));
+    }
+
+    return links;
+};
+
+module.exports = {
+    name: 'paymentLinks',
+    Model: PaymentLink,
+    seed: seedPaymentLinks
+};
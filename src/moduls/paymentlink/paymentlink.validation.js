@@ -0,0 +1,138 @@
+const { idParams, paginationQuery, sortQuery, listQuery, dateTime } = require('../../middleware/validate.middleware');
+const PaymentLink = require('./paymentlink.model');
+
+const CURRENCIES = ['INR', 'USD', 'EUR', 'GBP'];
+const STATUSES = ['Active', 'Expired', 'Paid', 'Cancelled', 'Partially Paid'];
+const PAYMENT_STATUSES = ['Pending', 'Completed', 'Failed', 'Partially Paid', 'Refunded'];
+
+const paymentLinkParams = idParams({ id: 'Payment link ID' });
+
+const paymentLinkFields = {
+    title: { type: 'string', minLength: 3, maxLength: 200, description: 'Payment link title', example: 'Invoice Payment - #INV001' },
+    amount: { type: 'number', minimum: 0.01, description: 'Payment amount', example: 1500 },
+    currency: { type: 'string', enum: CURRENCIES, description: 'Currency code. Defaults to INR' },
+    customerName: { type: 'string', maxLength: 100, description: 'Customer name', example: 'John Doe' },
+    customerEmail: { type: 'string', format: 'email', description: 'Customer email address', example: 'john.doe@example.com' },
+    description: { type: 'string', maxLength: 1000, description: 'Payment description', example: 'Payment for services rendered' },
+    expiryDate: { ...dateTime, nullable: true, description: 'Payment link expiry date' },
+    allowPartialPayment: { type: 'boolean', description: 'Allow partial payments. Defaults to false' },
+    sendEmailNotification: { type: 'boolean', description: 'Send email notification to customer. Defaults to true' },
+    sendSmsNotification: { type: 'boolean', description: 'Send SMS notification to customer. Defaults to true' }
+};
+
+const paymentLinkFilters = {
+    ...paginationQuery(10),
+    status: { type: 'string', enum: STATUSES, description: 'Filter by payment link status' },
+    paymentStatus: { type: 'string', enum: PAYMENT_STATUSES, description: 'Filter by payment status' }
+};
+
+const createPaymentLink = {
+    body: {
+        type: 'object',
+        required: ['title', 'amount', 'customerEmail'],
+        properties: {
+            ...paymentLinkFields,
+            paymentGateway: {
+                type: 'string',
+                enum: ['Razorpay', 'Stripe', 'PayPal', 'Paytm'],
+                description: 'Payment gateway. Defaults to Razorpay'
+            },
+            metadata: { type: 'object', description: 'Free-form data stored with the link' }
+        }
+    }
+};
+
+const getAllPaymentLinks = {
+    query: {
+        type: 'object',
+        properties: {
+            ...paymentLinkFilters,
+            search: { type: 'string', description: 'Search in title, customer name, email, or payment link ID' },
+            ...sortQuery(PaymentLink.sortFields),
+            currency: { type: 'string', enum: CURRENCIES, description: 'Filter by currency' },
+            startDate: { ...dateTime, description: 'Filter links created from this date' },
+            endDate: { ...dateTime, description: 'Filter links created until this date' },
+            ...listQuery
+        }
+    }
+};
+
+const searchPaymentLinks = {
+    query: {
+        type: 'object',
+        properties: {
+            search: { type: 'string', description: 'Search term' },
+            ...paymentLinkFilters,
+            ...sortQuery(PaymentLink.sortFields)
+        }
+    }
+};
+
+const getPaymentLinkByLinkId = {
+    params: {
+        type: 'object',
+        required: ['linkId'],
+        properties: {
+            linkId: { type: 'string', minLength: 1, description: 'Payment link ID' }
+        }
+    }
+};
+
+const getPaymentLinkById = { params: paymentLinkParams };
+
+const updatePaymentLink = {
+    params: paymentLinkParams,
+    body: {
+        type: 'object',
+        properties: paymentLinkFields
+    }
+};
+
+const deletePaymentLink = { params: paymentLinkParams };
+
+const getDeletedPaymentLinks = {
+    query: {
+        type: 'object',
+        properties: paginationQuery(10)
+    }
+};
+
+const restorePaymentLink = { params: paymentLinkParams };
+
+const permanentDeletePaymentLink = { params: paymentLinkParams };
+
+const cancelPaymentLink = { params: paymentLinkParams };
+
+const activatePaymentLink = { params: paymentLinkParams };
+
+const recordPayment = {
+    params: paymentLinkParams,
+    body: {
+        type: 'object',
+        required: ['amount', 'transactionId', 'paymentMethod'],
+        properties: {
+            amount: { type: 'number', minimum: 0.01, description: 'Payment amount', example: 1500 },
+            transactionId: { type: 'string', minLength: 1, description: 'Transaction ID', example: 'TXN123456789' },
+            paymentMethod: { type: 'string', enum: ['Card', 'UPI', 'Net Banking', 'Wallet'], description: 'Payment method' },
+            gatewayPaymentId: { type: 'string', description: 'Gateway payment ID' },
+            gatewayOrderId: { type: 'string', description: 'Gateway order ID' },
+            transactionFee: { type: 'number', minimum: 0, default: 0, description: 'Transaction fee' }
+        }
+    }
+};
+
+module.exports = {
+    createPaymentLink,
+    getAllPaymentLinks,
+    searchPaymentLinks,
+    getPaymentLinkByLinkId,
+    getPaymentLinkById,
+    updatePaymentLink,
+    deletePaymentLink,
+    getDeletedPaymentLinks,
+    restorePaymentLink,
+    permanentDeletePaymentLink,
+    cancelPaymentLink,
+    activatePaymentLink,
+    recordPayment
+};
@@ -1,370 +1,318 @@
 const Category = require('./category.model');
 const path = require('path');
 const fs = require('fs');
-
-// Response helper function
-const sendResponse = (res, statusCode, success, message, data = null) => {
-    return res.status(statusCode).json({
-        success,
-        message,
-        data
-    });
-};
+const asyncHandler = require('../../utils/asyncHandler');
+const { sendSuccessResponse } = require('../../utils/response');
+const { BadRequestError, NotFoundError, ConflictError } = require('../../utils/errors');
+const { isCursorPagination, paginateWithCursor } = require('../../utils/pagination');
+const { setETag, checkIfMatch } = require('../../utils/concurrency');
 
 // Create new category
-const createCategory = async (req, res) => {
-    try {
-        const { name, description, parentCategory, status, sortOrder } = req.body;
-
-        // Validate required fields
-        if (!name) {
-            return sendResponse(res, 400, false, 'Category name is required');
-        }
-
-        // Check if category with same name already exists
-        const existingCategory = await Category.findOne({ 
-            name: name.trim(),
-            isDeleted: false 
-        });
-        
-        if (existingCategory) {
-            return sendResponse(res, 409, false, 'Category with this name already exists');
-        }
+const createCategory = asyncHandler(async (req, res) => {
+    const { name, description, parentCategory, status, sortOrder } = req.body;
 
-        // Validate parent category if provided
-        if (parentCategory) {
-            const parent = await Category.findById(parentCategory);
-            if (!parent || parent.isDeleted) {
-                return sendResponse(res, 404, false, 'Parent category not found');
-            }
-        }
+    // Check if category with same name already exists
+    const existingCategory = await Category.findOne({ name: name.trim() });
+    
+    if (existingCategory) {
+        throw new ConflictError('Category with this name already exists');
+    }
 
-        // Create category object
-        const categoryData = {
-            name: name.trim(),
-            description: description?.trim(),
-            parentCategory: parentCategory || null,
-            status: status || 'Active',
-            sortOrder: sortOrder || 0
-        };
-
-        // Handle image upload if present
-        if (req.file) {
-            categoryData.image = req.file.path;
+    // Validate parent category if provided
+    if (parentCategory) {
+        const parent = await Category.findById(parentCategory);
+        if (!parent) {
+            throw new NotFoundError('Parent category not found');
         }
+    }
 
-        const category = new Category(categoryData);
-        await category.save();
+    // Create category object
+    const categoryData = {
+        name: name.trim(),
+        description: description?.trim(),
+        parentCategory: parentCategory || null,
+        status: status || 'Active',
+        sortOrder: sortOrder || 0
+    };
+
+    // Handle image upload if present
+    if (req.file) {
+        categoryData.image = req.file.path;
+    }
 
-        // Populate parent category for response
-        await category.populate('parentCategory', 'name slug');
+    const category = new Category(categoryData);
+    await category.save();
 
-        return sendResponse(res, 201, true, 'Category created successfully', category);
+    // Populate parent category for response
+    await category.populate('parentCategory', 'name slug');
 
-    } catch (error) {
-        console.error('Create category error:', error);
-        
-        // Handle validation errors
-        if (error.name === 'ValidationError') {
-            const errors = Object.values(error.errors).map(err => err.message);
-            return sendResponse(res, 400, false, errors.join(', '));
-        }
+    return sendSuccessResponse(res, 201, 'Category created successfully', category);
+});
 
-        // Handle duplicate key error
-        if (error.code === 11000) {
-            return sendResponse(res, 409, false, 'Category name or slug already exists');
-        }
+// Get all categories with filtering and pagination
+const getCategories = asyncHandler(async (req, res) => {
+    const {
+        page = 1,
+        limit = 10,
+        status,
+        parentCategory,
+        search,
+        sortBy = 'createdAt',
+        sortOrder = 'desc',
+        after,
+        before
+    } = req.query;
+
+    // Build filter object
+    const filter = {};
+
+    if (status) {
+        filter.status = status;
+    }
 
-        return sendResponse(res, 500, false, 'Internal server error');
+    if (parentCategory) {
+        filter.parentCategory = parentCategory === 'null' ? null : parentCategory;
     }
-};
 
-// Get all categories with filtering and pagination
-const getCategories = async (req, res) => {
-    try {
-        const {
-            page = 1,
-            limit = 10,
-            status,
-            parentCategory,
-            search,
-            sortBy = 'createdAt',
-            sortOrder = 'desc'
-        } = req.query;
-
-        // Build filter object
-        const filter = { isDeleted: false };
-
-        if (status) {
-            filter.status = status;
-        }
+    if (search) {
+        filter.$or = [
+            { name: { $regex: search, $options: 'i' } },
+            { description: { $regex: search, $options: 'i' } }
+        ];
+    }
 
-        if (parentCategory) {
-            filter.parentCategory = parentCategory === 'null' ? null : parentCategory;
-        }
+    // Generic filter, sort and fields parameters
+    const listQuery = Category.parseListQuery(req.query);
+    if (listQuery.conditions.length > 0) filter.$and = listQuery.conditions;
 
-        if (search) {
-            filter.$or = [
-                { name: { $regex: search, $options: 'i' } },
-                { description: { $regex: search, $options: 'i' } }
-            ];
-        }
+    // Calculate pagination
+    const pageNum = parseInt(page);
+    const limitNum = parseInt(limit);
+    const skip = (pageNum - 1) * limitNum;
 
-        // Calculate pagination
-        const pageNum = parseInt(page);
-        const limitNum = parseInt(limit);
-        const skip = (pageNum - 1) * limitNum;
-
-        // Build sort object
-        const sort = {};
-        sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-        // Get categories with pagination
-        const categories = await Category.find(filter)
-            .populate('parentCategory', 'name slug')
-            .sort(sort)
-            .skip(skip)
-            .limit(limitNum);
-
-        // Get total count
-        const total = await Category.countDocuments(filter);
-
-        // Calculate pagination info
-        const totalPages = Math.ceil(total / limitNum);
-        const hasNextPage = pageNum < totalPages;
-        const hasPrevPage = pageNum > 1;
-
-        return sendResponse(res, 200, true, 'Categories retrieved successfully', {
-            categories,
-            pagination: {
-                current: pageNum,
-                total: totalPages,
-                hasNext: hasNextPage,
-                hasPrev: hasPrevPage,
-                totalItems: total
-            }
-        });
+    // Build sort object
+    const sort = listQuery.sort || { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
 
-    } catch (error) {
-        console.error('Get categories error:', error);
-        return sendResponse(res, 500, false, 'Internal server error');
+    if (isCursorPagination(req.query)) {
+        const { items: categories, pagination } = await paginateWithCursor(
+            Category.find(filter).select(listQuery.select).populate('parentCategory', 'name slug'),
+            { sort, limit: limitNum, after, before }
+        );
+        return sendSuccessResponse(res, 200, 'Categories retrieved successfully', { categories, pagination });
     }
-};
+
+    // Get categories with pagination
+    const categories = await Category.find(filter)
+        .select(listQuery.select)
+        .populate('parentCategory', 'name slug')
+        .sort(sort)
+        .skip(skip)
+        .limit(limitNum);
+
+    // Get total count
+    const total = await Category.countDocuments(filter);
+
+    // Calculate pagination info
+    const totalPages = Math.ceil(total / limitNum);
+    const hasNextPage = pageNum < totalPages;
+    const hasPrevPage = pageNum > 1;
+
+    return sendSuccessResponse(res, 200, 'Categories retrieved successfully', {
+        categories,
+        pagination: {
+            current: pageNum,
+            total: totalPages,
+            hasNext: hasNextPage,
+            hasPrev: hasPrevPage,
+            totalItems: total
+        }
+    });
+});
 
 // Get category by ID
-const getCategoryById = async (req, res) => {
-    try {
-        const { id } = req.params;
+const getCategoryById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-        const category = await Category.findOne({ 
-            _id: id, 
-            isDeleted: false 
-        }).populate('parentCategory', 'name slug');
+    const category = await Category.findById(id).populate('parentCategory', 'name slug');
 
-        if (!category) {
-            return sendResponse(res, 404, false, 'Category not found');
-        }
+    if (!category) {
+        throw new NotFoundError('Category not found');
+    }
 
-        // Get children categories
-        const children = await category.getChildren();
+    // Get children categories
+    const children = await category.getChildren();
 
-        return sendResponse(res, 200, true, 'Category retrieved successfully', {
-            ...category.toObject(),
-            children
-        });
+    setETag(res, category);
+    return sendSuccessResponse(res, 200, 'Category retrieved successfully', {
+        ...category.toObject(),
+        children
+    });
+});
 
-    } catch (error) {
-        console.error('Get category by ID error:', error);
-        
-        if (error.name === 'CastError') {
-            return sendResponse(res, 400, false, 'Invalid category ID');
-        }
+// Update category
+const updateCategory = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { name, description, parentCategory, status, sortOrder } = req.body;
+
+    const category = await Category.findById(id);
 
-        return sendResponse(res, 500, false, 'Internal server error');
+    if (!category) {
+        throw new NotFoundError('Category not found');
     }
-};
 
-// Update category
-const updateCategory = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { name, description, parentCategory, status, sortOrder } = req.body;
-
-        const category = await Category.findOne({ 
-            _id: id, 
-            isDeleted: false 
-        });
+    checkIfMatch(req, category);
 
-        if (!category) {
-            return sendResponse(res, 404, false, 'Category not found');
+    // Check if name is being changed and if it already exists
+    if (name && name.trim() !== category.name) {
+        const existingCategory = await Category.findOne({ 
+            name: name.trim(),
+            _id: { $ne: id }
+        });
+        
+        if (existingCategory) {
+            throw new ConflictError('Category with this name already exists');
         }
+    }
 
-        // Check if name is being changed and if it already exists
-        if (name && name.trim() !== category.name) {
-            const existingCategory = await Category.findOne({ 
-                name: name.trim(),
-                _id: { $ne: id },
-                isDeleted: false 
-            });
-            
-            if (existingCategory) {
-                return sendResponse(res, 409, false, 'Category with this name already exists');
-            }
+    // Validate parent category if provided
+    if (parentCategory && parentCategory !== category.parentCategory?.toString()) {
+        // Prevent setting self as parent
+        if (parentCategory === id) {
+            throw new BadRequestError('Category cannot be its own parent');
         }
 
-        // Validate parent category if provided
-        if (parentCategory && parentCategory !== category.parentCategory?.toString()) {
-            // Prevent setting self as parent
-            if (parentCategory === id) {
-                return sendResponse(res, 400, false, 'Category cannot be its own parent');
-            }
-
-            // Prevent circular reference
-            const wouldCreateCircle = await checkCircularReference(id, parentCategory);
-            if (wouldCreateCircle) {
-                return sendResponse(res, 400, false, 'This would create a circular reference');
-            }
-
-            const parent = await Category.findById(parentCategory);
-            if (!parent || parent.isDeleted) {
-                return sendResponse(res, 404, false, 'Parent category not found');
-            }
+        // Prevent circular reference
+        const wouldCreateCircle = await checkCircularReference(id, parentCategory);
+        if (wouldCreateCircle) {
+            throw new BadRequestError('This would create a circular reference');
         }
 
-        // Update fields
-        if (name) category.name = name.trim();
-        if (description !== undefined) category.description = description?.trim();
-        if (parentCategory !== undefined) {
-            category.parentCategory = parentCategory || null;
+        const parent = await Category.findById(parentCategory);
+        if (!parent) {
+            throw new NotFoundError('Parent category not found');
         }
-        if (status) category.status = status;
-        if (sortOrder !== undefined) category.sortOrder = sortOrder;
-
-        // Handle image upload if present
-        if (req.file) {
-            // Delete old image if exists
-            if (category.image && fs.existsSync(category.image)) {
-                fs.unlinkSync(category.image);
-            }
-            category.image = req.file.path;
+    }
+
+    // Update fields
+    if (name) category.name = name.trim();
+    if (description !== undefined) category.description = description?.trim();
+    if (parentCategory !== undefined) {
+        category.parentCategory = parentCategory || null;
+    }
+    if (status) category.status = status;
+    if (sortOrder !== undefined) category.sortOrder = sortOrder;
+
+    // Handle image upload if present
+    if (req.file) {
+        // Delete old image if exists
+        if (category.image && fs.existsSync(category.image)) {
+            fs.unlinkSync(category.image);
         }
+        category.image = req.file.path;
+    }
 
-        await category.save();
-        await category.populate('parentCategory', 'name slug');
+    await category.save();
+    await category.populate('parentCategory', 'name slug');
 
-        return sendResponse(res, 200, true, 'Category updated successfully', category);
+    setETag(res, category);
+    return sendSuccessResponse(res, 200, 'Category updated successfully', category);
+});
 
-    } catch (error) {
-        console.error('Update category error:', error);
-        
-        if (error.name === 'ValidationError') {
-            const errors = Object.values(error.errors).map(err => err.message);
-            return sendResponse(res, 400, false, errors.join(', '));
-        }
+// Delete category (moves it to the trash)
+const deleteCategory = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-        if (error.name === 'CastError') {
-            return sendResponse(res, 400, false, 'Invalid category ID');
-        }
+    const category = await Category.findById(id);
 
-        return sendResponse(res, 500, false, 'Internal server error');
+    if (!category) {
+        throw new NotFoundError('Category not found');
     }
-};
 
-// Delete category (soft delete)
-const deleteCategory = async (req, res) => {
-    try {
-        const { id } = req.params;
+    checkIfMatch(req, category);
 
-        const category = await Category.findOne({ 
-            _id: id, 
-            isDeleted: false 
-        });
+    // Check if category has children
+    const children = await category.getChildren();
+    if (children.length > 0) {
+        throw new BadRequestError('Cannot delete category that has sub-categories. Delete or move sub-categories first.');
+    }
 
-        if (!category) {
-            return sendResponse(res, 404, false, 'Category not found');
-        }
+    await category.softDelete(req.user.id);
 
-        // Check if category has children
-        const children = await category.getChildren();
-        if (children.length > 0) {
-            return sendResponse(res, 400, false, 'Cannot delete category that has sub-categories. Delete or move sub-categories first.');
-        }
+    return sendSuccessResponse(res, 200, 'Category deleted successfully');
+});
 
-        // Soft delete
-        category.isDeleted = true;
-        await category.save();
+// Get categories in the trash, most recently deleted first
+const getDeletedCategories = asyncHandler(async (req, res) => {
+    const { items: categories, pagination } = await Category.findInTrash(req.query);
+    return sendSuccessResponse(res, 200, 'Deleted categories retrieved successfully', { categories, pagination });
+});
 
-        return sendResponse(res, 200, true, 'Category deleted successfully');
+// Restore a category from the trash
+const restoreCategory = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-    } catch (error) {
-        console.error('Delete category error:', error);
-        
-        if (error.name === 'CastError') {
-            return sendResponse(res, 400, false, 'Invalid category ID');
-        }
+    const category = await Category.findById(id).onlyDeleted();
+    if (!category) {
+        throw new NotFoundError('Category not found in trash');
+    }
+
+    checkIfMatch(req, category);
 
-        return sendResponse(res, 500, false, 'Internal server error');
+    // A sub-category cannot come back under a parent that is still in the trash
+    if (category.parentCategory && !await Category.exists({ _id: category.parentCategory })) {
+        throw new ConflictError('Restore the parent category first');
     }
-};
 
-// Get category tree
-const getCategoryTree = async (req, res) => {
-    try {
-        const tree = await Category.buildNestedTree();
-        return sendResponse(res, 200, true, 'Category tree retrieved successfully', tree);
-
-    } catch (error) {
-        console.error('Get category tree error:', error);
-        return sendResponse(res, 500, false, 'Internal server error');
+    await category.restore();
+    await category.populate('parentCategory', 'name slug');
+
+    setETag(res, category);
+    return sendSuccessResponse(res, 200, 'Category restored successfully', category);
+});
+
+// Permanently delete a category from the trash
+const permanentDeleteCategory = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const category = await Category.findById(id).onlyDeleted();
+    if (!category) {
+        throw new NotFoundError('Category not found in trash');
     }
-};
 
-// Get parent categories (for dropdown)
-const getParentCategories = async (req, res) => {
-    try {
-        const categories = await Category.find({ 
-            isDeleted: false,
-            status: 'Active'
-        })
-        .select('name slug level')
-        .sort({ level: 1, name: 1 });
-
-        return sendResponse(res, 200, true, 'Parent categories retrieved successfully', categories);
-
-    } catch (error) {
-        console.error('Get parent categories error:', error);
-        return sendResponse(res, 500, false, 'Internal server error');
+    checkIfMatch(req, category);
+    if (!await category.purge()) {
+        throw new NotFoundError('Category not found in trash');
     }
-};
 
-// Bulk update category status
-const bulkUpdateStatus = async (req, res) => {
-    try {
-        const { categoryIds, status } = req.body;
+    return sendSuccessResponse(res, 200, 'Category permanently deleted successfully');
+});
 
-        if (!categoryIds || !Array.isArray(categoryIds) || categoryIds.length === 0) {
-            return sendResponse(res, 400, false, 'Category IDs are required');
-        }
+// Get category tree
+const getCategoryTree = asyncHandler(async (req, res) => {
+    const tree = await Category.buildNestedTree();
+    return sendSuccessResponse(res, 200, 'Category tree retrieved successfully', tree);
+});
 
-        if (!['Active', 'Inactive'].includes(status)) {
-            return sendResponse(res, 400, false, 'Invalid status');
-        }
+// Get parent categories (for dropdown)
+const getParentCategories = asyncHandler(async (req, res) => {
+    const categories = await Category.find({ status: 'Active' })
+    .select('name slug level')
+    .sort({ level: 1, name: 1 });
 
-        const result = await Category.updateMany(
-            { 
-                _id: { $in: categoryIds },
-                isDeleted: false 
-            },
-            { status }
-        );
+    return sendSuccessResponse(res, 200, 'Parent categories retrieved successfully', categories);
+});
 
-        return sendResponse(res, 200, true, `${result.modifiedCount} categories updated successfully`);
+// Bulk update category status
+const bulkUpdateStatus = asyncHandler(async (req, res) => {
+    const { categoryIds, status } = req.body;
 
-    } catch (error) {
-        console.error('Bulk update status error:', error);
-        return sendResponse(res, 500, false, 'Internal server error');
-    }
-};
+    const result = await Category.updateMany(
+        { _id: { $in: categoryIds } },
+        { status }
+    );
+
+    return sendSuccessResponse(res, 200, `${result.modifiedCount} categories updated successfully`);
+});
 
 // Helper function to check circular reference
 const checkCircularReference = async (categoryId, parentId) => {
@@ -387,6 +335,9 @@ module.exports = {
     getCategoryById,
     updateCategory,
     deleteCategory,
+    getDeletedCategories,
+    restoreCategory,
+    permanentDeleteCategory,
     getCategoryTree,
     getParentCategories,
     bulkUpdateStatus
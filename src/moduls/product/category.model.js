@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../audit/audit.plugin');
+const listQueryPlugin = require('../../utils/listQuery');
+const softDeletePlugin = require('../../utils/softDelete');
+const { concurrencyPlugin } = require('../../utils/concurrency');
 
 const categorySchema = new mongoose.Schema({
     name: {
@@ -48,10 +52,6 @@ const categorySchema = new mongoose.Schema({
     productCount: {
         type: Number,
         default: 0
-    },
-    isDeleted: {
-        type: Boolean,
-        default: false
     }
 }, {
     timestamps: true
@@ -87,25 +87,18 @@ categorySchema.pre('save', async function(next) {
 
 // Instance method to get children categories
 categorySchema.methods.getChildren = function() {
-    return this.constructor.find({ 
-        parentCategory: this._id,
-        isDeleted: false 
-    });
+    return this.constructor.find({ parentCategory: this._id });
 };
 
 // Instance method to get all descendants
 categorySchema.methods.getAllDescendants = function() {
     const pathRegex = new RegExp(`(^|,)${this._id}(,|$)`);
-    return this.constructor.find({ 
-        path: pathRegex,
-        isDeleted: false 
-    });
+    return this.constructor.find({ path: pathRegex });
 };
 
 // Static method to get category tree
 categorySchema.statics.getCategoryTree = function() {
     return this.aggregate([
-        { $match: { isDeleted: false } },
         { $sort: { level: 1, sortOrder: 1, name: 1 } },
         {
             $lookup: {
@@ -125,10 +118,7 @@ categorySchema.statics.getCategoryTree = function() {
 
 // Static method to build nested tree structure
 categorySchema.statics.buildNestedTree = async function(parentId = null) {
-    const categories = await this.find({ 
-        parentCategory: parentId,
-        isDeleted: false 
-    }).sort({ sortOrder: 1, name: 1 });
+    const categories = await this.find({ parentCategory: parentId }).sort({ sortOrder: 1, name: 1 });
 
     const tree = [];
     for (let category of categories) {
@@ -143,6 +133,25 @@ categorySchema.statics.buildNestedTree = async function(parentId = null) {
 categorySchema.index({ parentCategory: 1, status: 1 });
 categorySchema.index({ name: 'text', description: 'text' });
 
+// Deleted records go to the trash (see utils/softDelete)
+categorySchema.plugin(softDeletePlugin);
+
+// Record changes in the audit log
+categorySchema.plugin(auditPlugin);
+
+// Version every change for ETags and If-Match (see utils/concurrency)
+categorySchema.plugin(concurrencyPlugin);
+
+// Fields clients can filter, sort and select on in list endpoints (see utils/listQuery)
+categorySchema.plugin(listQueryPlugin, {
+    filter: ['name', 'slug', 'parentCategory', 'status'],
+    sort: ['name', 'sortOrder', 'level', 'productCount', 'createdAt', 'updatedAt'],
+    select: [
+        'name', 'slug', 'description', 'parentCategory', 'image', 'status', 'level', 'path',
+        'sortOrder', 'productCount', 'createdAt', 'updatedAt'
+    ]
+});
+
 const Category = mongoose.model('Category', categorySchema);
 
 module.exports = Category;
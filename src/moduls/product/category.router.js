@@ -10,12 +10,21 @@ const {
     getCategoryById,
     updateCategory,
     deleteCategory,
+    getDeletedCategories,
+    restoreCategory,
+    permanentDeleteCategory,
     getCategoryTree,
     getParentCategories,
     bulkUpdateStatus
 } = require('./category.controller');
 
 const authMiddleware = require('../../middleware/auth.middleware');
+const requirePermission = require('../../middleware/permission.middleware');
+const validate = require('../../middleware/validate.middleware');
+const idempotency = require('../../middleware/idempotency.middleware');
+const { keepRequestContext } = require('../../middleware/requestContext.middleware');
+const { BadRequestError } = require('../../utils/errors');
+const validation = require('./category.validation');
 
 // Configure multer for file upload
 const storage = multer.diskStorage({
@@ -36,7 +45,7 @@ const fileFilter = (req, file, cb) => {
     if (file.mimetype.startsWith('image/')) {
         cb(null, true);
     } else {
-        cb(new Error('Only image files are allowed!'), false);
+        cb(new BadRequestError('Only image files are allowed'), false);
     }
 };
 
@@ -102,73 +111,6 @@ const upload = multer({
  *         updatedAt:
  *           type: string
  *           format: date-time
- *     CreateCategoryRequest:
- *       type: object
- *       required:
- *         - name
- *       properties:
- *         name:
- *           type: string
- *           description: Category name
- *           example: "Electronics"
- *         description:
- *           type: string
- *           description: Category description
- *           example: "Electronic items and gadgets"
- *         parentCategory:
- *           type: string
- *           description: Parent category ID (optional)
- *           example: "60d5ecb54b2f3a1a2c8e4b7a"
- *         status:
- *           type: string
- *           enum: [Active, Inactive]
- *           description: Category status
- *           example: "Active"
- *         sortOrder:
- *           type: number
- *           description: Display sort order
- *           example: 1
- *     UpdateCategoryRequest:
- *       type: object
- *       properties:
- *         name:
- *           type: string
- *           description: Category name
- *           example: "Electronics Updated"
- *         description:
- *           type: string
- *           description: Category description
- *           example: "Updated electronic items and gadgets"
- *         parentCategory:
- *           type: string
- *           description: Parent category ID
- *           example: "60d5ecb54b2f3a1a2c8e4b7a"
- *         status:
- *           type: string
- *           enum: [Active, Inactive]
- *           description: Category status
- *           example: "Active"
- *         sortOrder:
- *           type: number
- *           description: Display sort order
- *           example: 2
- *     BulkUpdateRequest:
- *       type: object
- *       required:
- *         - categoryIds
- *         - status
- *       properties:
- *         categoryIds:
- *           type: array
- *           items:
- *             type: string
- *           description: Array of category IDs
- *           example: ["60d5ecb54b2f3a1a2c8e4b7a", "60d5ecb54b2f3a1a2c8e4b7b"]
- *         status:
- *           type: string
- *           enum: [Active, Inactive]
- *           description: New status for categories
- *           example: "Active"
  */
 
 /**
@@ -179,31 +121,6 @@ const upload = multer({
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *                 description: Category name
- *               description:
- *                 type: string
- *                 description: Category description
- *               parentCategory:
- *                 type: string
- *                 description: Parent category ID
- *               status:
- *                 type: string
- *                 enum: [Active, Inactive]
- *               sortOrder:
- *                 type: number
- *               image:
- *                 type: string
- *                 format: binary
- *                 description: Category image file
  *     responses:
  *       201:
  *         description: Category created successfully
@@ -223,7 +140,7 @@ const upload = multer({
  *       500:
  *         description: Internal server error
  */
-router.post('/', authMiddleware, upload.single('image'), createCategory);
+router.post('/', authMiddleware, requirePermission('categories:write'), keepRequestContext(upload.single('image')), validate(validation.createCategory), idempotency, createCategory);
 
 /**
  * @swagger
@@ -233,48 +150,6 @@ router.post('/', authMiddleware, upload.single('image'), createCategory);
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *         description: Page number
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 10
- *         description: Number of items per page
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [Active, Inactive]
- *         description: Filter by status
- *       - in: query
- *         name: parentCategory
- *         schema:
- *           type: string
- *         description: Filter by parent category ID (use 'null' for root categories)
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Search in name and description
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *           default: createdAt
- *         description: Sort by field
- *       - in: query
- *         name: sortOrder
- *         schema:
- *           type: string
- *           enum: [asc, desc]
- *           default: desc
- *         description: Sort order
  *     responses:
  *       200:
  *         description: Categories retrieved successfully
@@ -308,7 +183,7 @@ router.post('/', authMiddleware, upload.single('image'), createCategory);
  *       500:
  *         description: Internal server error
  */
-router.get('/', authMiddleware, getCategories);
+router.get('/', authMiddleware, requirePermission('categories:read'), validate(validation.getCategories), getCategories);
 
 /**
  * @swagger
@@ -342,7 +217,7 @@ router.get('/', authMiddleware, getCategories);
  *       500:
  *         description: Internal server error
  */
-router.get('/tree', authMiddleware, getCategoryTree);
+router.get('/tree', authMiddleware, requirePermission('categories:read'), getCategoryTree);
 
 /**
  * @swagger
@@ -378,7 +253,7 @@ router.get('/tree', authMiddleware, getCategoryTree);
  *       500:
  *         description: Internal server error
  */
-router.get('/parents', authMiddleware, getParentCategories);
+router.get('/parents', authMiddleware, requirePermission('categories:read'), getParentCategories);
 
 /**
  * @swagger
@@ -388,12 +263,6 @@ router.get('/parents', authMiddleware, getParentCategories);
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             $ref: '#/components/schemas/BulkUpdateRequest'
  *     responses:
  *       200:
  *         description: Categories updated successfully
@@ -406,7 +275,21 @@ router.get('/parents', authMiddleware, getParentCategories);
  *       500:
  *         description: Internal server error
  */
-router.patch('/bulk-update', authMiddleware, bulkUpdateStatus);
+router.patch('/bulk-update', authMiddleware, requirePermission('categories:write'), validate(validation.bulkUpdateStatus), bulkUpdateStatus);
+
+/**
+ * @swagger
+ * /api/categories/trash:
+ *   get:
+ *     summary: List deleted categories
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deleted categories retrieved successfully
+ */
+router.get('/trash', authMiddleware, requirePermission('categories:read'), validate(validation.getDeletedCategories), getDeletedCategories);
 
 /**
  * @swagger
@@ -416,16 +299,12 @@ router.patch('/bulk-update', authMiddleware, bulkUpdateStatus);
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Category ID
  *     responses:
  *       200:
  *         description: Category retrieved successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -449,7 +328,7 @@ router.patch('/bulk-update', authMiddleware, bulkUpdateStatus);
  *       500:
  *         description: Internal server error
  */
-router.get('/:id', authMiddleware, getCategoryById);
+router.get('/:id', authMiddleware, requirePermission('categories:read'), validate(validation.getCategoryById), getCategoryById);
 
 /**
  * @swagger
@@ -460,37 +339,7 @@ router.get('/:id', authMiddleware, getCategoryById);
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Category ID
- *     requestBody:
- *       required: true
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *                 description: Category name
- *               description:
- *                 type: string
- *                 description: Category description
- *               parentCategory:
- *                 type: string
- *                 description: Parent category ID
- *               status:
- *                 type: string
- *                 enum: [Active, Inactive]
- *               sortOrder:
- *                 type: number
- *               image:
- *                 type: string
- *                 format: binary
- *                 description: Category image file
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Category updated successfully
@@ -509,26 +358,23 @@ router.get('/:id', authMiddleware, getCategoryById);
  *         description: Category not found
  *       409:
  *         description: Category name already exists
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  */
-router.put('/:id', authMiddleware, upload.single('image'), updateCategory);
+router.put('/:id', authMiddleware, requirePermission('categories:write'), keepRequestContext(upload.single('image')), validate(validation.updateCategory), updateCategory);
 
 /**
  * @swagger
  * /api/categories/{id}:
  *   delete:
- *     summary: Delete category (soft delete)
+ *     summary: Delete category (moves it to the trash)
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Category ID
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Category deleted successfully
@@ -540,9 +386,56 @@ router.put('/:id', authMiddleware, upload.single('image'), updateCategory);
  *         description: Invalid category ID or category has sub-categories
  *       404:
  *         description: Category not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  */
-router.delete('/:id', authMiddleware, deleteCategory);
+router.delete('/:id', authMiddleware, requirePermission('categories:delete'), validate(validation.deleteCategory), deleteCategory);
+
+/**
+ * @swagger
+ * /api/categories/{id}/restore:
+ *   patch:
+ *     summary: Restore a deleted category
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Category restored successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *       404:
+ *         description: Category not found in trash
+ *       409:
+ *         description: Parent category is still in the trash
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.patch('/:id/restore', authMiddleware, requirePermission('categories:write'), validate(validation.restoreCategory), restoreCategory);
+
+/**
+ * @swagger
+ * /api/categories/{id}/permanent:
+ *   delete:
+ *     summary: Permanently delete a category from the trash
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Category permanently deleted successfully
+ *       404:
+ *         description: Category not found in trash
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.delete('/:id/permanent', authMiddleware, requirePermission('categories:delete'), validate(validation.permanentDeleteCategory), permanentDeleteCategory);
 
 module.exports = router;
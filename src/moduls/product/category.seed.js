@@ -0,0 +1,72 @@
+const Category = require('./category.model');
+
+// Top-level categories with their sub-categories. Products are seeded into the
+// sub-categories, see product.seed.js.
+const TREE = [
+    {
+        name: 'Electronics',
+        description: 'Electronic items and gadgets',
+        children: [
+            { name: 'Smartphones', description: 'Mobile phones and accessories' },
+            { name: 'Laptops', description: 'Portable computers and accessories' },
+            { name: 'Audio', description: 'Headphones, earbuds and speakers' }
+        ]
+    },
+    {
+        name: 'Clothing',
+        description: 'Fashion and apparel',
+        children: [
+            { name: 'Men\'s Clothing', description: 'Fashion for men' },
+            { name: 'Women\'s Clothing', description: 'Fashion for women' }
+        ]
+    },
+    {
+        name: 'Home & Garden',
+        description: 'Home improvement and garden supplies',
+        children: [
+            { name: 'Kitchen', description: 'Cookware and kitchen appliances' },
+            { name: 'Furniture', description: 'Furniture for home and office' }
+        ]
+    },
+    {
+        name: 'Sports & Outdoors',
+        description: 'Sports equipment and outdoor gear',
+        children: [
+            { name: 'Fitness', description: 'Gym and home workout equipment' }
+        ]
+    },
+    {
+        name: 'Books',
+        description: 'Books and educational materials',
+        children: [
+            { name: 'Fiction', description: 'Novels and short stories' }
+        ]
+    }
+];
+
+// Saved one at a time, so that the save hooks set each slug, level and path
+const seedCategories = async () => {
+    const categories = [];
+
+    for (const [index, { children, ...top }] of TREE.entries()) {
+        const parent = await Category.create({ ...top, status: 'Active', sortOrder: index + 1 });
+        categories.push(parent);
+
+        for (const [childIndex, child] of children.entries()) {
+            categories.push(await Category.create({
+                ...child,
+                parentCategory: parent._id,
+                status: 'Active',
+                sortOrder: childIndex + 1
+            }));
+        }
+    }
+
+    return categories;
+};
+
+module.exports = {
+    name: 'categories',
+    Model: Category,
+    seed: seedCategories
+};
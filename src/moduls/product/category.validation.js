@@ -0,0 +1,100 @@
+const { objectId, idParams, paginationQuery, sortQuery, listQuery } = require('../../middleware/validate.middleware');
+const Category = require('./category.model');
+
+const CATEGORY_STATUSES = ['Active', 'Inactive'];
+
+const categoryParams = idParams({ id: 'Category ID' });
+
+// Categories are sent as multipart forms. An empty parentCategory moves the category to the root.
+const categoryFields = {
+    name: { type: 'string', minLength: 1, maxLength: 100, description: 'Category name' },
+    description: { type: 'string', maxLength: 500, description: 'Category description' },
+    parentCategory: {
+        type: 'string',
+        nullable: true,
+        pattern: '^([0-9a-fA-F]{24})?$',
+        description: 'Parent category ID. Empty for a root category'
+    },
+    status: { type: 'string', enum: CATEGORY_STATUSES },
+    sortOrder: { type: 'integer', description: 'Position among sibling categories' },
+    image: { type: 'string', format: 'binary', description: 'Category image file' }
+};
+
+const createCategory = {
+    contentType: 'multipart/form-data',
+    body: {
+        type: 'object',
+        required: ['name'],
+        properties: categoryFields
+    }
+};
+
+const getCategories = {
+    query: {
+        type: 'object',
+        properties: {
+            ...paginationQuery(10),
+            status: { type: 'string', enum: CATEGORY_STATUSES, description: 'Filter by status' },
+            parentCategory: {
+                type: 'string',
+                pattern: '^([0-9a-fA-F]{24}|null)$',
+                description: "Filter by parent category ID (use 'null' for root categories)"
+            },
+            search: { type: 'string', description: 'Search in name and description' },
+            ...sortQuery(Category.sortFields),
+            ...listQuery
+        }
+    }
+};
+
+const bulkUpdateStatus = {
+    body: {
+        type: 'object',
+        required: ['categoryIds', 'status'],
+        properties: {
+            categoryIds: {
+                type: 'array',
+                minItems: 1,
+                items: objectId,
+                description: 'Array of category IDs'
+            },
+            status: { type: 'string', enum: CATEGORY_STATUSES, description: 'New status for categories' }
+        }
+    }
+};
+
+const getCategoryById = { params: categoryParams };
+
+const updateCategory = {
+    contentType: 'multipart/form-data',
+    params: categoryParams,
+    body: {
+        type: 'object',
+        properties: categoryFields
+    }
+};
+
+const deleteCategory = { params: categoryParams };
+
+const getDeletedCategories = {
+    query: {
+        type: 'object',
+        properties: paginationQuery(10)
+    }
+};
+
+const restoreCategory = { params: categoryParams };
+
+const permanentDeleteCategory = { params: categoryParams };
+
+module.exports = {
+    createCategory,
+    getCategories,
+    bulkUpdateStatus,
+    getCategoryById,
+    updateCategory,
+    deleteCategory,
+    getDeletedCategories,
+    restoreCategory,
+    permanentDeleteCategory
+};
@@ -2,695 +2,672 @@ const Product = require('./product.model');
 const mongoose = require('mongoose');
 const path = require('path');
 const fs = require('fs');
+const webhooks = require('../../services/webhooks');
+const asyncHandler = require('../../utils/asyncHandler');
+const { sendSuccessResponse } = require('../../utils/response');
+const { BadRequestError, NotFoundError, ConflictError, PreconditionFailedError } = require('../../utils/errors');
+const { isCursorPagination, paginateWithCursor } = require('../../utils/pagination');
+const { setETag, checkIfMatch } = require('../../utils/concurrency');
 
-// Helper function for error responses
-const sendErrorResponse = (res, statusCode, message, details = null) => {
-    const response = {
-        success: false,
-        message
-    };
-    
-    if (details) {
-        response.details = details;
+// Create a new product
+const createProduct = asyncHandler(async (req, res) => {
+    const {
+        productName,
+        sku,
+        category,
+        price,
+        salePrice,
+        quantity,
+        description,
+        weight,
+        status,
+        tags,
+        inStock,
+        brand,
+        dimensions,
+        lowStockThreshold,
+        isFeatured,
+        metaTitle,
+        metaDescription
+    } = req.body;
+
+    // Check if product with same SKU already exists
+    const existingProduct = await Product.findOne({ sku: sku.toUpperCase() });
+    if (existingProduct) {
+        throw new ConflictError('Product with this SKU already exists');
     }
-    
-    return res.status(statusCode).json(response);
-};
 
-// Helper function for success responses
-const sendSuccessResponse = (res, statusCode, message, data = null) => {
-    const response = {
-        success: true,
-        message
-    };
-    
-    if (data !== null) {
-        response.data = data;
+    // Process uploaded images
+    let productImages = [];
+    if (req.files && req.files.length > 0) {
+        productImages = req.files.map((file, index) => ({
+            url: `/uploads/products/${file.filename}`,
+            altText: `${productName} - Image ${index + 1}`,
+            isPrimary: index === 0 // First image is primary
+        }));
     }
-    
-    return res.status(statusCode).json(response);
-};
 
-// Create a new product
-const createProduct = async (req, res) => {
-    try {
-        const {
-            productName,
-            sku,
-            category,
-            price,
-            salePrice,
-            quantity,
-            description,
-            weight,
-            status,
-            tags,
-            inStock,
-            brand,
-            dimensions,
-            lowStockThreshold,
-            isFeatured,
-            metaTitle,
-            metaDescription
-        } = req.body;
-
-        // Check if product with same SKU already exists
-        const existingProduct = await Product.findOne({ sku: sku.toUpperCase() });
-        if (existingProduct) {
-            return sendErrorResponse(res, 409, 'Product with this SKU already exists');
-        }
-
-        // Process uploaded images
-        let productImages = [];
-        if (req.files && req.files.length > 0) {
-            productImages = req.files.map((file, index) => ({
-                url: `/uploads/products/${file.filename}`,
-                altText: `${productName} - Image ${index + 1}`,
-                isPrimary: index === 0 // First image is primary
-            }));
-        }
-
-        // Parse tags if it's a string
-        let parsedTags = [];
-        if (tags) {
-            if (typeof tags === 'string') {
-                parsedTags = tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
-            } else if (Array.isArray(tags)) {
-                parsedTags = tags;
-            }
+    // Parse tags if it's a string
+    let parsedTags = [];
+    if (tags) {
+        if (typeof tags === 'string') {
+            parsedTags = tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+        } else if (Array.isArray(tags)) {
+            parsedTags = tags;
         }
+    }
 
-        // Parse dimensions if provided
-        let parsedDimensions = {};
-        if (dimensions) {
-            if (typeof dimensions === 'string') {
-                try {
-                    parsedDimensions = JSON.parse(dimensions);
-                } catch (error) {
-                    parsedDimensions = {};
-                }
-            } else {
-                parsedDimensions = dimensions;
+    // Parse dimensions if provided
+    let parsedDimensions = {};
+    if (dimensions) {
+        if (typeof dimensions === 'string') {
+            try {
+                parsedDimensions = JSON.parse(dimensions);
+            } catch (error) {
+                parsedDimensions = {};
             }
+        } else {
+            parsedDimensions = dimensions;
         }
+    }
 
-        // Create new product
-        const product = new Product({
-            productName,
-            sku: sku.toUpperCase(),
-            category,
-            price: parseFloat(price),
-            salePrice: salePrice ? parseFloat(salePrice) : undefined,
-            quantity: parseInt(quantity) || 0,
-            description,
-            productImages,
-            weight: weight ? parseFloat(weight) : undefined,
-            status: status || 'Active',
-            tags: parsedTags,
-            inStock: inStock !== undefined ? inStock : true,
-            brand,
-            dimensions: parsedDimensions,
-            lowStockThreshold: lowStockThreshold ? parseInt(lowStockThreshold) : 10,
-            isFeatured: isFeatured || false,
-            metaTitle,
-            metaDescription
-        });
+    // Create new product
+    const product = new Product({
+        productName,
+        sku: sku.toUpperCase(),
+        category,
+        price,
+        salePrice,
+        quantity,
+        description,
+        productImages,
+        weight,
+        status: status || 'Active',
+        tags: parsedTags,
+        inStock: inStock !== undefined ? inStock : true,
+        brand,
+        dimensions: parsedDimensions,
+        lowStockThreshold: lowStockThreshold ?? 10,
+        isFeatured: isFeatured || false,
+        metaTitle,
+        metaDescription
+    });
+
+    const savedProduct = await product.save();
+    await savedProduct.populate('category', 'name slug');
+    
+    return sendSuccessResponse(res, 201, 'Product created successfully', savedProduct);
+});
 
-        const savedProduct = await product.save();
-        await savedProduct.populate('category', 'name slug');
-        
-        return sendSuccessResponse(res, 201, 'Product created successfully', savedProduct);
-    } catch (error) {
-        console.error('Create product error:', error);
-        
-        // Clean up uploaded files if product creation fails
-        if (req.files && req.files.length > 0) {
-            req.files.forEach(file => {
-                const filePath = path.join(__dirname, '../../../uploads/products', file.filename);
-                if (fs.existsSync(filePath)) {
-                    fs.unlinkSync(filePath);
-                }
-            });
-        }
-        
-        if (error.name === 'ValidationError') {
-            const errors = Object.values(error.errors).map(err => err.message);
-            return sendErrorResponse(res, 400, 'Validation failed', errors);
-        }
-        
-        if (error.code === 11000) {
-            const field = Object.keys(error.keyValue)[0];
-            return sendErrorResponse(res, 409, `${field} already exists`);
-        }
-        
-        return sendErrorResponse(res, 500, 'Internal server error');
+// Get all products with pagination and filters
+const getAllProducts = asyncHandler(async (req, res) => {
+    // Query is validated and coerced by the route schema
+    const {
+        page: pageNum,
+        limit: limitNum,
+        search,
+        sortBy,
+        sortOrder,
+        category,
+        status,
+        inStock,
+        priceMin,
+        priceMax,
+        isFeatured,
+        tags,
+        after,
+        before
+    } = req.query;
+
+    const skip = (pageNum - 1) * limitNum;
+
+    // Build query object
+    const query = {};
+    
+    if (search) {
+        query.$or = [
+            { productName: { $regex: search, $options: 'i' } },
+            { description: { $regex: search, $options: 'i' } },
+            { sku: { $regex: search, $options: 'i' } },
+            { tags: { $in: [new RegExp(search, 'i')] } }
+        ];
+    }
+    
+    if (category) query.category = category;
+    if (status) query.status = status;
+    if (inStock !== undefined) query.inStock = inStock;
+    if (isFeatured !== undefined) query.isFeatured = isFeatured;
+    if (tags) query.tags = { $in: tags.split(',').map(tag => tag.trim()) };
+    
+    // Price range filter
+    if (priceMin !== undefined || priceMax !== undefined) {
+        const priceFilter = {};
+        if (priceMin !== undefined) priceFilter.$gte = priceMin;
+        if (priceMax !== undefined) priceFilter.$lte = priceMax;
+        query.price = priceFilter;
     }
-};
 
-// Get all products with pagination and filters
-const getAllProducts = async (req, res) => {
-    try {
-        const {
-            page = 1,
-            limit = 10,
-            search = '',
-            sortBy = 'createdAt',
-            sortOrder = 'desc',
-            category = '',
-            status = '',
-            inStock = '',
-            priceMin = '',
-            priceMax = '',
-            isFeatured = '',
-            tags = ''
-        } = req.query;
-
-        const pageNum = parseInt(page);
-        const limitNum = parseInt(limit);
-        const skip = (pageNum - 1) * limitNum;
-
-        // Build query object
-        const query = {};
-        
-        if (search) {
-            query.$or = [
-                { productName: { $regex: search, $options: 'i' } },
-                { description: { $regex: search, $options: 'i' } },
-                { sku: { $regex: search, $options: 'i' } },
-                { tags: { $in: [new RegExp(search, 'i')] } }
-            ];
-        }
-        
-        if (category) query.category = category;
-        if (status) query.status = status;
-        if (inStock !== '') query.inStock = inStock === 'true';
-        if (isFeatured !== '') query.isFeatured = isFeatured === 'true';
-        if (tags) query.tags = { $in: tags.split(',').map(tag => tag.trim()) };
-        
-        // Price range filter
-        if (priceMin || priceMax) {
-            const priceFilter = {};
-            if (priceMin) priceFilter.$gte = parseFloat(priceMin);
-            if (priceMax) priceFilter.$lte = parseFloat(priceMax);
-            query.price = priceFilter;
-        }
+    // Generic filter, sort and fields parameters
+    const listQuery = Product.parseListQuery(req.query);
+    if (listQuery.conditions.length > 0) query.$and = listQuery.conditions;
 
-        // Build sort object
-        const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
-
-        // Get products with pagination
-        const products = await Product.find(query)
-            .populate('category', 'name slug')
-            .sort(sort)
-            .skip(skip)
-            .limit(limitNum)
-            .lean();
-
-        // Get total count for pagination
-        const totalProducts = await Product.countDocuments(query);
-        const totalPages = Math.ceil(totalProducts / limitNum);
-
-        const response = {
-            products,
-            pagination: {
-                currentPage: pageNum,
-                totalPages,
-                totalProducts,
-                hasNextPage: pageNum < totalPages,
-                hasPrevPage: pageNum > 1,
-                limit: limitNum
-            }
-        };
+    // Build sort object
+    const sort = listQuery.sort || { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
 
-        return sendSuccessResponse(res, 200, 'Products retrieved successfully', response);
-    } catch (error) {
-        console.error('Get all products error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    if (isCursorPagination(req.query)) {
+        const { items: products, pagination } = await paginateWithCursor(
+            Product.find(query).select(listQuery.select).populate('category', 'name slug').lean(),
+            { sort, limit: limitNum, after, before }
+        );
+        return sendSuccessResponse(res, 200, 'Products retrieved successfully', { products, pagination });
     }
-};
 
-// Get product by ID
-const getProductById = async (req, res) => {
-    try {
-        const { id } = req.params;
+    // Get products with pagination
+    const products = await Product.find(query)
+        .select(listQuery.select)
+        .populate('category', 'name slug')
+        .sort(sort)
+        .skip(skip)
+        .limit(limitNum)
+        .lean();
+
+    // Get total count for pagination
+    const totalProducts = await Product.countDocuments(query);
+    const totalPages = Math.ceil(totalProducts / limitNum);
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid product ID');
+    const response = {
+        products,
+        pagination: {
+            currentPage: pageNum,
+            totalPages,
+            totalProducts,
+            hasNextPage: pageNum < totalPages,
+            hasPrevPage: pageNum > 1,
+            limit: limitNum
         }
+    };
 
-        const product = await Product.findById(id).populate('category', 'name slug description');
+    return sendSuccessResponse(res, 200, 'Products retrieved successfully', response);
+});
 
-        if (!product) {
-            return sendErrorResponse(res, 404, 'Product not found');
-        }
+// Get product by ID
+const getProductById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid product ID');
+    }
 
-        // Increment view count
-        await product.incrementViewCount();
+    const product = await Product.findById(id).populate('category', 'name slug description');
 
-        return sendSuccessResponse(res, 200, 'Product retrieved successfully', product);
-    } catch (error) {
-        console.error('Get product by ID error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    if (!product) {
+        throw new NotFoundError('Product not found');
     }
-};
 
-// Get product by SKU
-const getProductBySku = async (req, res) => {
-    try {
-        const { sku } = req.params;
+    // Increment view count
+    await product.incrementViewCount();
 
-        const product = await Product.findOne({ sku: sku.toUpperCase() })
-            .populate('category', 'name slug description');
+    setETag(res, product);
+    return sendSuccessResponse(res, 200, 'Product retrieved successfully', product);
+});
 
-        if (!product) {
-            return sendErrorResponse(res, 404, 'Product not found');
-        }
+// Get product by SKU
+const getProductBySku = asyncHandler(async (req, res) => {
+    const { sku } = req.params;
+
+    const product = await Product.findOne({ sku: sku.toUpperCase() })
+        .populate('category', 'name slug description');
 
-        return sendSuccessResponse(res, 200, 'Product retrieved successfully', product);
-    } catch (error) {
-        console.error('Get product by SKU error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    if (!product) {
+        throw new NotFoundError('Product not found');
     }
-};
+
+    setETag(res, product);
+    return sendSuccessResponse(res, 200, 'Product retrieved successfully', product);
+});
 
 // Update product
-const updateProduct = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const updateData = req.body;
+const updateProduct = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const updateData = req.body;
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid product ID');
-        }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid product ID');
+    }
 
-        // Check if product exists
-        const existingProduct = await Product.findById(id);
-        if (!existingProduct) {
-            return sendErrorResponse(res, 404, 'Product not found');
-        }
+    // Check if product exists
+    const existingProduct = await Product.findById(id);
+    if (!existingProduct) {
+        throw new NotFoundError('Product not found');
+    }
 
-        // Check for duplicate SKU (exclude current product)
-        if (updateData.sku) {
-            const duplicateProduct = await Product.findOne({
-                sku: updateData.sku.toUpperCase(),
-                _id: { $ne: id }
-            });
-            if (duplicateProduct) {
-                return sendErrorResponse(res, 409, 'Another product already exists with this SKU');
-            }
-            updateData.sku = updateData.sku.toUpperCase();
-        }
+    const version = checkIfMatch(req, existingProduct);
 
-        // Process new uploaded images
-        if (req.files && req.files.length > 0) {
-            const newImages = req.files.map((file, index) => ({
-                url: `/uploads/products/${file.filename}`,
-                altText: `${updateData.productName || existingProduct.productName} - Image ${index + 1}`,
-                isPrimary: index === 0 && (!existingProduct.productImages || existingProduct.productImages.length === 0)
-            }));
-            
-            // Merge with existing images
-            updateData.productImages = [...(existingProduct.productImages || []), ...newImages];
+    // Check for duplicate SKU (exclude current product)
+    if (updateData.sku) {
+        const duplicateProduct = await Product.findOne({
+            sku: updateData.sku.toUpperCase(),
+            _id: { $ne: id }
+        });
+        if (duplicateProduct) {
+            throw new ConflictError('Another product already exists with this SKU');
         }
+        updateData.sku = updateData.sku.toUpperCase();
+    }
+
+    // Process new uploaded images
+    if (req.files && req.files.length > 0) {
+        const newImages = req.files.map((file, index) => ({
+            url: `/uploads/products/${file.filename}`,
+            altText: `${updateData.productName || existingProduct.productName} - Image ${index + 1}`,
+            isPrimary: index === 0 && (!existingProduct.productImages || existingProduct.productImages.length === 0)
+        }));
+        
+        // Merge with existing images
+        updateData.productImages = [...(existingProduct.productImages || []), ...newImages];
+    }
+
+    // Parse tags if it's a string
+    if (updateData.tags && typeof updateData.tags === 'string') {
+        updateData.tags = updateData.tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+    }
 
-        // Parse tags if it's a string
-        if (updateData.tags && typeof updateData.tags === 'string') {
-            updateData.tags = updateData.tags.split(',').map(tag => tag.trim()).filter(tag => tag.length > 0);
+    // Parse dimensions if provided as string
+    if (updateData.dimensions && typeof updateData.dimensions === 'string') {
+        try {
+            updateData.dimensions = JSON.parse(updateData.dimensions);
+        } catch (error) {
+            delete updateData.dimensions;
         }
+    }
 
-        // Parse dimensions if provided as string
-        if (updateData.dimensions && typeof updateData.dimensions === 'string') {
-            try {
-                updateData.dimensions = JSON.parse(updateData.dimensions);
-            } catch (error) {
-                delete updateData.dimensions;
-            }
+    // Update product
+    const updatedProduct = await Product.findOneAndUpdate(
+        { _id: id, ...version },
+        { $set: updateData },
+        { 
+            new: true, 
+            runValidators: true 
         }
+    ).populate('category', 'name slug');
 
-        // Update product
-        const updatedProduct = await Product.findByIdAndUpdate(
-            id,
-            { $set: updateData },
-            { 
-                new: true, 
-                runValidators: true 
-            }
-        ).populate('category', 'name slug');
+    if (!updatedProduct) {
+        throw new PreconditionFailedError();
+    }
 
-        return sendSuccessResponse(res, 200, 'Product updated successfully', updatedProduct);
-    } catch (error) {
-        console.error('Update product error:', error);
-        
-        // Clean up uploaded files if update fails
-        if (req.files && req.files.length > 0) {
-            req.files.forEach(file => {
-                const filePath = path.join(__dirname, '../../../uploads/products', file.filename);
-                if (fs.existsSync(filePath)) {
-                    fs.unlinkSync(filePath);
-                }
-            });
-        }
-        
-        if (error.name === 'ValidationError') {
-            const errors = Object.values(error.errors).map(err => err.message);
-            return sendErrorResponse(res, 400, 'Validation failed', errors);
-        }
-        
-        return sendErrorResponse(res, 500, 'Internal server error');
+    setETag(res, updatedProduct);
+    return sendSuccessResponse(res, 200, 'Product updated successfully', updatedProduct);
+});
+
+// Delete product (moves it to the trash; its images are kept until it is purged)
+const deleteProduct = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid product ID');
     }
-};
 
-// Delete product
-const deleteProduct = async (req, res) => {
-    try {
-        const { id } = req.params;
+    const product = await Product.findById(id);
+    if (!product) {
+        throw new NotFoundError('Product not found');
+    }
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid product ID');
-        }
+    checkIfMatch(req, product);
+    await product.softDelete(req.user.id);
 
-        const product = await Product.findById(id);
-        if (!product) {
-            return sendErrorResponse(res, 404, 'Product not found');
-        }
+    return sendSuccessResponse(res, 200, 'Product deleted successfully');
+});
 
-        // Delete associated images
-        if (product.productImages && product.productImages.length > 0) {
-            product.productImages.forEach(image => {
-                const imagePath = path.join(__dirname, '../../../', image.url);
-                if (fs.existsSync(imagePath)) {
-                    fs.unlinkSync(imagePath);
-                }
-            });
-        }
+// Get products in the trash, most recently deleted first
+const getDeletedProducts = asyncHandler(async (req, res) => {
+    const { items: products, pagination } = await Product.findInTrash(req.query);
+    return sendSuccessResponse(res, 200, 'Deleted products retrieved successfully', { products, pagination });
+});
 
-        await Product.findByIdAndDelete(id);
+// Restore a product from the trash
+const restoreProduct = asyncHandler(async (req, res) => {
+    const { id } = req.params;
 
-        return sendSuccessResponse(res, 200, 'Product deleted successfully');
-    } catch (error) {
-        console.error('Delete product error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid product ID');
+    }
+
+    const product = await Product.findById(id).onlyDeleted();
+    if (!product) {
+        throw new NotFoundError('Product not found in trash');
+    }
+
+    checkIfMatch(req, product);
+    await product.restore();
+    await product.populate('category', 'name slug');
+
+    setETag(res, product);
+    return sendSuccessResponse(res, 200, 'Product restored successfully', product);
+});
+
+// Permanently delete a product from the trash, together with its images
+const permanentDeleteProduct = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid product ID');
+    }
+
+    const product = await Product.findById(id).onlyDeleted();
+    if (!product) {
+        throw new NotFoundError('Product not found in trash');
     }
-};
+
+    checkIfMatch(req, product);
+    if (!await product.purge()) {
+        throw new NotFoundError('Product not found in trash');
+    }
+
+    return sendSuccessResponse(res, 200, 'Product permanently deleted successfully');
+});
 
 // Update product status
-const updateProductStatus = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { status } = req.body;
+const updateProductStatus = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { status } = req.body;
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid product ID');
-        }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid product ID');
+    }
 
-        if (!['Active', 'Inactive', 'Draft', 'Discontinued'].includes(status)) {
-            return sendErrorResponse(res, 400, 'Invalid status value');
-        }
+    if (!['Active', 'Inactive', 'Draft', 'Discontinued'].includes(status)) {
+        throw new BadRequestError('Invalid status value');
+    }
 
-        const product = await Product.findByIdAndUpdate(
-            id,
-            { $set: { status } },
-            { new: true }
-        ).populate('category', 'name slug');
+    const existingProduct = await Product.findById(id);
+    if (!existingProduct) {
+        throw new NotFoundError('Product not found');
+    }
 
-        if (!product) {
-            return sendErrorResponse(res, 404, 'Product not found');
-        }
+    const product = await Product.findOneAndUpdate(
+        { _id: id, ...checkIfMatch(req, existingProduct) },
+        { $set: { status } },
+        { new: true }
+    ).populate('category', 'name slug');
 
-        return sendSuccessResponse(res, 200, 'Product status updated successfully', product);
-    } catch (error) {
-        console.error('Update product status error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    if (!product) {
+        throw new PreconditionFailedError();
     }
-};
+
+    setETag(res, product);
+    return sendSuccessResponse(res, 200, 'Product status updated successfully', product);
+});
 
 // Update product stock
-const updateProductStock = async (req, res) => {
-    try {
-        const { id } = req.params;
-        const { quantity, operation = 'set' } = req.body;
+const updateProductStock = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { quantity, operation = 'set' } = req.body;
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid product ID');
-        }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid product ID');
+    }
 
-        const product = await Product.findById(id);
-        if (!product) {
-            return sendErrorResponse(res, 404, 'Product not found');
-        }
+    const product = await Product.findById(id);
+    if (!product) {
+        throw new NotFoundError('Product not found');
+    }
 
-        const updatedProduct = await product.updateStock(parseInt(quantity), operation);
-        await updatedProduct.populate('category', 'name slug');
+    checkIfMatch(req, product);
 
-        return sendSuccessResponse(res, 200, 'Product stock updated successfully', updatedProduct);
-    } catch (error) {
-        console.error('Update product stock error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    const previousQuantity = product.quantity;
+    const updatedProduct = await product.updateStock(parseInt(quantity), operation);
+    await updatedProduct.populate('category', 'name slug');
+
+    if (updatedProduct.quantity !== previousQuantity) {
+        await webhooks.publish('product.stockChanged', {
+            product: updatedProduct,
+            previousQuantity,
+            quantity: updatedProduct.quantity,
+            operation
+        });
     }
-};
+
+    setETag(res, updatedProduct);
+    return sendSuccessResponse(res, 200, 'Product stock updated successfully', updatedProduct);
+});
 
 // Search products with advanced filters
-const searchProducts = async (req, res) => {
-    try {
-        const {
-            q = '',
-            page = 1,
-            limit = 10,
-            sortBy = 'createdAt',
-            sortOrder = 'desc',
-            category = null,
-            status = null,
-            inStock = null,
-            priceMin = null,
-            priceMax = null,
-            isFeatured = null,
-            tags = null
-        } = req.query;
-
-        const options = {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            sortBy,
-            sortOrder,
-            category,
-            status,
-            inStock: inStock !== null ? inStock === 'true' : null,
-            priceMin: priceMin ? parseFloat(priceMin) : null,
-            priceMax: priceMax ? parseFloat(priceMax) : null,
-            isFeatured: isFeatured !== null ? isFeatured === 'true' : null,
-            tags
-        };
-
-        const products = await Product.searchProducts(q, options);
-
-        // Get total count for pagination
-        const totalQuery = {};
-        if (q) {
-            totalQuery.$or = [
-                { productName: { $regex: q, $options: 'i' } },
-                { description: { $regex: q, $options: 'i' } },
-                { sku: { $regex: q, $options: 'i' } },
-                { tags: { $in: [new RegExp(q, 'i')] } }
-            ];
-        }
-        if (category) totalQuery.category = category;
-        if (status) totalQuery.status = status;
-        if (inStock !== null) totalQuery.inStock = inStock === 'true';
-        if (isFeatured !== null) totalQuery.isFeatured = isFeatured === 'true';
-        if (tags) totalQuery.tags = { $in: tags.split(',').map(tag => tag.trim()) };
-        if (priceMin || priceMax) {
-            const priceFilter = {};
-            if (priceMin) priceFilter.$gte = parseFloat(priceMin);
-            if (priceMax) priceFilter.$lte = parseFloat(priceMax);
-            totalQuery.price = priceFilter;
-        }
+const searchProducts = asyncHandler(async (req, res) => {
+    const {
+        q = '',
+        page = 1,
+        limit = 10,
+        sortBy = 'createdAt',
+        sortOrder = 'desc',
+        category = null,
+        status = null,
+        inStock = null,
+        priceMin = null,
+        priceMax = null,
+        isFeatured = null,
+        tags = null,
+        pagination = null,
+        after = null,
+        before = null
+    } = req.query;
+
+    const options = {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        sortBy,
+        sortOrder,
+        category,
+        status,
+        inStock,
+        priceMin,
+        priceMax,
+        isFeatured,
+        tags,
+        pagination,
+        after,
+        before
+    };
 
-        const totalProducts = await Product.countDocuments(totalQuery);
-        const totalPages = Math.ceil(totalProducts / options.limit);
-
-        const response = {
-            products,
-            pagination: {
-                currentPage: options.page,
-                totalPages,
-                totalProducts,
-                hasNextPage: options.page < totalPages,
-                hasPrevPage: options.page > 1,
-                limit: options.limit
-            },
-            filters: {
-                searchTerm: q,
-                category,
-                status,
-                inStock,
-                priceMin,
-                priceMax,
-                isFeatured,
-                tags
-            }
-        };
+    const filters = {
+        searchTerm: q,
+        category,
+        status,
+        inStock,
+        priceMin,
+        priceMax,
+        isFeatured,
+        tags
+    };
+
+    if (isCursorPagination(options)) {
+        const result = await Product.searchProducts(q, options);
+        return sendSuccessResponse(res, 200, 'Search completed successfully', {
+            products: result.items,
+            pagination: result.pagination,
+            filters
+        });
+    }
 
-        return sendSuccessResponse(res, 200, 'Search completed successfully', response);
-    } catch (error) {
-        console.error('Search products error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    const products = await Product.searchProducts(q, options);
+
+    // Get total count for pagination
+    const totalQuery = {};
+    if (q) {
+        totalQuery.$or = [
+            { productName: { $regex: q, $options: 'i' } },
+            { description: { $regex: q, $options: 'i' } },
+            { sku: { $regex: q, $options: 'i' } },
+            { tags: { $in: [new RegExp(q, 'i')] } }
+        ];
     }
-};
+    if (category) totalQuery.category = category;
+    if (status) totalQuery.status = status;
+    if (inStock !== null) totalQuery.inStock = inStock;
+    if (isFeatured !== null) totalQuery.isFeatured = isFeatured;
+    if (tags) totalQuery.tags = { $in: tags.split(',').map(tag => tag.trim()) };
+    if (priceMin !== null || priceMax !== null) {
+        const priceFilter = {};
+        if (priceMin !== null) priceFilter.$gte = priceMin;
+        if (priceMax !== null) priceFilter.$lte = priceMax;
+        totalQuery.price = priceFilter;
+    }
+
+    const totalProducts = await Product.countDocuments(totalQuery);
+    const totalPages = Math.ceil(totalProducts / options.limit);
+
+    const response = {
+        products,
+        pagination: {
+            currentPage: options.page,
+            totalPages,
+            totalProducts,
+            hasNextPage: options.page < totalPages,
+            hasPrevPage: options.page > 1,
+            limit: options.limit
+        },
+        filters
+    };
+
+    return sendSuccessResponse(res, 200, 'Search completed successfully', response);
+});
 
 // Get featured products
-const getFeaturedProducts = async (req, res) => {
-    try {
-        const { limit = 10 } = req.query;
-
-        const products = await Product.find({ 
-            isFeatured: true, 
-            status: 'Active',
-            inStock: true 
-        })
-        .populate('category', 'name slug')
-        .sort({ createdAt: -1 })
-        .limit(parseInt(limit));
+const getFeaturedProducts = asyncHandler(async (req, res) => {
+    const { limit = 10 } = req.query;
 
-        return sendSuccessResponse(res, 200, 'Featured products retrieved successfully', products);
-    } catch (error) {
-        console.error('Get featured products error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
-    }
-};
+    const products = await Product.find({ 
+        isFeatured: true, 
+        status: 'Active',
+        inStock: true 
+    })
+    .populate('category', 'name slug')
+    .sort({ createdAt: -1 })
+    .limit(parseInt(limit));
+
+    return sendSuccessResponse(res, 200, 'Featured products retrieved successfully', products);
+});
 
 // Get low stock products
-const getLowStockProducts = async (req, res) => {
-    try {
-        const products = await Product.getLowStockProducts();
-        return sendSuccessResponse(res, 200, 'Low stock products retrieved successfully', products);
-    } catch (error) {
-        console.error('Get low stock products error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
-    }
-};
+const getLowStockProducts = asyncHandler(async (req, res) => {
+    const products = await Product.getLowStockProducts();
+    return sendSuccessResponse(res, 200, 'Low stock products retrieved successfully', products);
+});
 
 // Get product statistics
-const getProductStats = async (req, res) => {
-    try {
-        const totalProducts = await Product.countDocuments();
-        const activeProducts = await Product.countDocuments({ status: 'Active' });
-        const inactiveProducts = await Product.countDocuments({ status: 'Inactive' });
-        const outOfStockProducts = await Product.countDocuments({ inStock: false });
-        const lowStockProducts = await Product.countDocuments({ isLowStock: true });
-        const featuredProducts = await Product.countDocuments({ isFeatured: true });
-
-        // Category-wise distribution
-        const categoryStats = await Product.aggregate([
-            {
-                $lookup: {
-                    from: 'categories',
-                    localField: 'category',
-                    foreignField: '_id',
-                    as: 'categoryInfo'
-                }
-            },
-            {
-                $unwind: '$categoryInfo'
-            },
-            {
-                $group: {
-                    _id: '$categoryInfo.name',
-                    count: { $sum: 1 }
-                }
-            },
-            { $sort: { count: -1 } },
-            { $limit: 10 }
-        ]);
-
-        // Status distribution
-        const statusStats = await Product.aggregate([
-            {
-                $group: {
-                    _id: '$status',
-                    count: { $sum: 1 }
-                }
+const getProductStats = asyncHandler(async (req, res) => {
+    const totalProducts = await Product.countDocuments();
+    const activeProducts = await Product.countDocuments({ status: 'Active' });
+    const inactiveProducts = await Product.countDocuments({ status: 'Inactive' });
+    const outOfStockProducts = await Product.countDocuments({ inStock: false });
+    const lowStockProducts = await Product.countDocuments({ isLowStock: true });
+    const featuredProducts = await Product.countDocuments({ isFeatured: true });
+
+    // Category-wise distribution
+    const categoryStats = await Product.aggregate([
+        {
+            $lookup: {
+                from: 'categories',
+                localField: 'category',
+                foreignField: '_id',
+                as: 'categoryInfo'
             }
-        ]);
-
-        // Price range distribution
-        const priceStats = await Product.aggregate([
-            {
-                $group: {
-                    _id: null,
-                    avgPrice: { $avg: '$price' },
-                    minPrice: { $min: '$price' },
-                    maxPrice: { $max: '$price' },
-                    totalValue: { $sum: { $multiply: ['$price', '$quantity'] } }
-                }
+        },
+        {
+            $unwind: '$categoryInfo'
+        },
+        {
+            $group: {
+                _id: '$categoryInfo.name',
+                count: { $sum: 1 }
             }
-        ]);
-
-        const stats = {
-            total: totalProducts,
-            active: activeProducts,
-            inactive: inactiveProducts,
-            outOfStock: outOfStockProducts,
-            lowStock: lowStockProducts,
-            featured: featuredProducts,
-            categoryDistribution: categoryStats,
-            statusDistribution: statusStats,
-            priceStatistics: priceStats[0] || {
-                avgPrice: 0,
-                minPrice: 0,
-                maxPrice: 0,
-                totalValue: 0
+        },
+        { $sort: { count: -1 } },
+        { $limit: 10 }
+    ]);
+
+    // Status distribution
+    const statusStats = await Product.aggregate([
+        {
+            $group: {
+                _id: '$status',
+                count: { $sum: 1 }
             }
-        };
+        }
+    ]);
+
+    // Price range distribution
+    const priceStats = await Product.aggregate([
+        {
+            $group: {
+                _id: null,
+                avgPrice: { $avg: '$price' },
+                minPrice: { $min: '$price' },
+                maxPrice: { $max: '$price' },
+                totalValue: { $sum: { $multiply: ['$price', '$quantity'] } }
+            }
+        }
+    ]);
+
+    const stats = {
+        total: totalProducts,
+        active: activeProducts,
+        inactive: inactiveProducts,
+        outOfStock: outOfStockProducts,
+        lowStock: lowStockProducts,
+        featured: featuredProducts,
+        categoryDistribution: categoryStats,
+        statusDistribution: statusStats,
+        priceStatistics: priceStats[0] || {
+            avgPrice: 0,
+            minPrice: 0,
+            maxPrice: 0,
+            totalValue: 0
+        }
+    };
 
-        return sendSuccessResponse(res, 200, 'Product statistics retrieved successfully', stats);
-    } catch (error) {
-        console.error('Get product stats error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
-    }
-};
+    return sendSuccessResponse(res, 200, 'Product statistics retrieved successfully', stats);
+});
 
 // Remove product image
-const removeProductImage = async (req, res) => {
-    try {
-        const { id, imageIndex } = req.params;
+const removeProductImage = asyncHandler(async (req, res) => {
+    const { id, imageIndex } = req.params;
 
-        if (!mongoose.Types.ObjectId.isValid(id)) {
-            return sendErrorResponse(res, 400, 'Invalid product ID');
-        }
-
-        const product = await Product.findById(id);
-        if (!product) {
-            return sendErrorResponse(res, 404, 'Product not found');
-        }
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid product ID');
+    }
 
-        const index = parseInt(imageIndex);
-        if (index < 0 || index >= product.productImages.length) {
-            return sendErrorResponse(res, 400, 'Invalid image index');
-        }
+    const product = await Product.findById(id);
+    if (!product) {
+        throw new NotFoundError('Product not found');
+    }
 
-        // Delete the image file
-        const imageToRemove = product.productImages[index];
-        const imagePath = path.join(__dirname, '../../../', imageToRemove.url);
-        if (fs.existsSync(imagePath)) {
-            fs.unlinkSync(imagePath);
-        }
+    checkIfMatch(req, product);
 
-        // Remove image from array
-        product.productImages.splice(index, 1);
+    const index = parseInt(imageIndex);
+    if (index < 0 || index >= product.productImages.length) {
+        throw new BadRequestError('Invalid image index');
+    }
 
-        // If removed image was primary and there are other images, make first one primary
-        if (imageToRemove.isPrimary && product.productImages.length > 0) {
-            product.productImages[0].isPrimary = true;
-        }
+    // Delete the image file
+    const imageToRemove = product.productImages[index];
+    const imagePath = path.join(__dirname, '../../../', imageToRemove.url);
+    if (fs.existsSync(imagePath)) {
+        fs.unlinkSync(imagePath);
+    }
 
-        await product.save();
+    // Remove image from array
+    product.productImages.splice(index, 1);
 
-        return sendSuccessResponse(res, 200, 'Product image removed successfully', product);
-    } catch (error) {
-        console.error('Remove product image error:', error);
-        return sendErrorResponse(res, 500, 'Internal server error');
+    // If removed image was primary and there are other images, make first one primary
+    if (imageToRemove.isPrimary && product.productImages.length > 0) {
+        product.productImages[0].isPrimary = true;
     }
-};
+
+    await product.save();
+
+    setETag(res, product);
+    return sendSuccessResponse(res, 200, 'Product image removed successfully', product);
+});
 
 module.exports = {
     createProduct,
@@ -699,6 +676,9 @@ module.exports = {
     getProductBySku,
     updateProduct,
     deleteProduct,
+    getDeletedProducts,
+    restoreProduct,
+    permanentDeleteProduct,
     updateProductStatus,
     updateProductStock,
     searchProducts,
@@ -0,0 +1,61 @@
+const Product = require('./product.model');
+const Category = require('./category.model');
+const validation = require('./product.validation');
+
+// Products can be imported from CSV or XLSX (see services/imports). Images are
+// not part of the file; they are uploaded per product afterwards.
+
+// The category column takes a category name, slug or ID. Lookups are cached for
+// the rest of the import.
+const resolveCategory = async (data, cache) => {
+    const value = data.category;
+    if (value === undefined) return [];
+
+    if (!cache.has(value)) {
+        const category = /^[0-9a-fA-F]{24}$/.test(value)
+            ? await Category.findById(value).select('_id').lean()
+            : await Category.findOne({ $or: [{ name: value }, { slug: value.toLowerCase() }] })
+                .collation({ locale: 'en', strength: 2 })
+                .select('_id')
+                .lean();
+        cache.set(value, category ? category._id.toString() : null);
+    }
+
+    const id = cache.get(value);
+    if (!id) {
+        return [{ field: 'category', message: `has no category named ${value}` }];
+    }
+    data.category = id;
+    return [];
+};
+
+module.exports = {
+    name: 'products',
+    label: 'product',
+    Model: Product,
+    key: 'sku',
+    schemas: {
+        create: validation.createProduct.body,
+        update: validation.updateProduct.body
+    },
+    columns: [
+        'sku', 'productName', 'category', 'price', 'salePrice', 'quantity', 'description', 'brand',
+        'status', 'tags', 'weight', 'dimensions.length', 'dimensions.width', 'dimensions.height',
+        'dimensions.unit', 'lowStockThreshold', 'isFeatured', 'metaTitle', 'metaDescription'
+    ],
+    aliases: {
+        name: 'productName',
+        product: 'productName',
+        stock: 'quantity',
+        qty: 'quantity'
+    },
+
+    // Same as the create endpoint: SKUs are upper case and tags a comma-separated list
+    normalize: (data) => ({
+        ...data,
+        ...(data.sku !== undefined && { sku: data.sku.toUpperCase() }),
+        ...(data.tags !== undefined && { tags: data.tags.split(',').map(tag => tag.trim()).filter(Boolean) })
+    }),
+
+    resolve: (data, cache) => resolveCategory(data, cache)
+};
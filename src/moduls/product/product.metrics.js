@@ -0,0 +1,15 @@
+const Product = require('./product.model');
+
+// Business gauges of the product module, see src/metrics
+module.exports = [
+    {
+        name: 'retail_products_low_stock',
+        help: 'Active products at or below their low stock threshold',
+        collect: () => Product.countDocuments({ isLowStock: true, status: 'Active' })
+    },
+    {
+        name: 'retail_products_out_of_stock',
+        help: 'Active products with no stock left',
+        collect: () => Product.countDocuments({ inStock: false, status: 'Active' })
+    }
+];
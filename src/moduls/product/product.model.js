@@ -1,4 +1,11 @@
+const fs = require('fs');
+const path = require('path');
 const mongoose = require('mongoose');
+const auditPlugin = require('../audit/audit.plugin');
+const listQueryPlugin = require('../../utils/listQuery');
+const softDeletePlugin = require('../../utils/softDelete');
+const { concurrencyPlugin } = require('../../utils/concurrency');
+const { isCursorPagination, paginateWithCursor } = require('../../utils/pagination');
 
 const productSchema = new mongoose.Schema({
     productName: {
@@ -149,8 +156,7 @@ const productSchema = new mongoose.Schema({
         maxlength: [160, 'Meta description cannot exceed 160 characters']
     }
 }, {
-    timestamps: true,
-    versionKey: false
+    timestamps: true
 });
 
 // Indexes for better performance
@@ -226,7 +232,8 @@ productSchema.pre('save', function(next) {
     next();
 });
 
-// Static method to search products
+// Static method to search products. Resolves to { items, pagination } instead of
+// a plain list when the options ask for cursor pagination.
 productSchema.statics.searchProducts = function(searchTerm, options = {}) {
     const {
         page = 1,
@@ -239,7 +246,9 @@ productSchema.statics.searchProducts = function(searchTerm, options = {}) {
         priceMin = null,
         priceMax = null,
         isFeatured = null,
-        tags = null
+        tags = null,
+        after = null,
+        before = null
     } = options;
 
     const query = {};
@@ -282,6 +291,10 @@ productSchema.statics.searchProducts = function(searchTerm, options = {}) {
     const skip = (page - 1) * limit;
     const sort = { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
 
+    if (isCursorPagination(options)) {
+        return paginateWithCursor(this.find(query).populate('category', 'name slug').lean(), { sort, limit, after, before });
+    }
+
     return this.find(query)
         .populate('category', 'name slug')
         .sort(sort)
@@ -331,6 +344,33 @@ productSchema.methods.toJSON = function() {
     return product;
 };
 
+// Remove the uploaded images of a product that is gone for good
+const removeImageFiles = async (product) => {
+    for (const image of product.productImages || []) {
+        await fs.promises.rm(path.join(__dirname, '../../../', image.url), { force: true });
+    }
+};
+
+// Deleted products go to the trash; their images stay on disk until the product is purged
+productSchema.plugin(softDeletePlugin, { onPurge: removeImageFiles });
+
+// Record changes in the audit log; view counts are not edits
+productSchema.plugin(auditPlugin, { exclude: ['viewCount'] });
+
+// Version every change for ETags and If-Match; view counts are not edits
+productSchema.plugin(concurrencyPlugin, { exclude: ['viewCount'] });
+
+// Fields clients can filter, sort and select on in list endpoints (see utils/listQuery)
+productSchema.plugin(listQueryPlugin, {
+    filter: ['sku', 'slug', 'category', 'status', 'inStock', 'price', 'isFeatured', 'createdAt'],
+    sort: ['productName', 'price', 'quantity', 'createdAt', 'updatedAt'],
+    select: [
+        'productName', 'sku', 'category', 'price', 'salePrice', 'quantity', 'description',
+        'productImages', 'weight', 'status', 'tags', 'inStock', 'slug', 'brand', 'dimensions',
+        'ratings', 'isLowStock', 'isFeatured', 'createdAt', 'updatedAt'
+    ]
+});
+
 const Product = mongoose.model('Product', productSchema);
 
 module.exports = Product;
@@ -10,6 +10,9 @@ const {
     getProductBySku,
     updateProduct,
     deleteProduct,
+    getDeletedProducts,
+    restoreProduct,
+    permanentDeleteProduct,
     updateProductStatus,
     updateProductStock,
     searchProducts,
@@ -19,6 +22,12 @@ const {
     removeProductImage
 } = require('./product.controller');
 const auth = require('../../middleware/auth.middleware');
+const requirePermission = require('../../middleware/permission.middleware');
+const validate = require('../../middleware/validate.middleware');
+const idempotency = require('../../middleware/idempotency.middleware');
+const { keepRequestContext } = require('../../middleware/requestContext.middleware');
+const { BadRequestError } = require('../../utils/errors');
+const validation = require('./product.validation');
 
 // Ensure uploads directory exists
 const uploadsDir = path.join(__dirname, '../../../uploads/products');
@@ -42,7 +51,7 @@ const fileFilter = (req, file, cb) => {
     if (file.mimetype.startsWith('image/')) {
         cb(null, true);
     } else {
-        cb(new Error('Only image files are allowed!'), false);
+        cb(new BadRequestError('Only image files are allowed'), false);
     }
 };
 
@@ -226,94 +235,6 @@ const upload = multer({
  *           description: Last update timestamp
  *           example: "2024-01-15T10:30:00.000Z"
  *     
- *     ProductCreateRequest:
- *       type: object
- *       required:
- *         - productName
- *         - sku
- *         - category
- *         - price
- *         - quantity
- *       properties:
- *         productName:
- *           type: string
- *           minLength: 2
- *           maxLength: 200
- *           description: Product name
- *           example: "iPhone 14 Pro Max"
- *         sku:
- *           type: string
- *           description: Stock Keeping Unit (SKU)
- *           example: "IPH-14-PM-256-BLK"
- *         category:
- *           type: string
- *           description: Category ID
- *           example: "60f7b3b3b3b3b3b3b3b3b3b3"
- *         price:
- *           type: number
- *           minimum: 0
- *           description: Regular price
- *           example: 129999.99
- *         salePrice:
- *           type: number
- *           minimum: 0
- *           description: Sale price (optional)
- *           example: 119999.99
- *         quantity:
- *           type: number
- *           minimum: 0
- *           description: Stock quantity
- *           example: 50
- *         description:
- *           type: string
- *           maxLength: 2000
- *           description: Product description
- *           example: "Latest iPhone with Pro camera system and A16 Bionic chip"
- *         weight:
- *           type: number
- *           minimum: 0
- *           description: Product weight in kg
- *           example: 0.240
- *         status:
- *           type: string
- *           enum: [Active, Inactive, Draft, Discontinued]
- *           description: Product status
- *           example: "Active"
- *         tags:
- *           type: string
- *           description: Comma-separated tags
- *           example: "smartphone,apple,premium"
- *         inStock:
- *           type: boolean
- *           description: Stock availability
- *           example: true
- *         brand:
- *           type: string
- *           description: Product brand
- *           example: "Apple"
- *         dimensions:
- *           type: string
- *           description: JSON string of dimensions object
- *           example: '{"length":16.07,"width":7.85,"height":0.78,"unit":"cm"}'
- *         lowStockThreshold:
- *           type: number
- *           description: Threshold for low stock warning
- *           example: 10
- *         isFeatured:
- *           type: boolean
- *           description: Whether product is featured
- *           example: true
- *         metaTitle:
- *           type: string
- *           maxLength: 60
- *           description: SEO meta title
- *           example: "iPhone 14 Pro Max - Buy Online"
- *         metaDescription:
- *           type: string
- *           maxLength: 160
- *           description: SEO meta description
- *           example: "Get the latest iPhone 14 Pro Max with advanced camera and A16 chip."
- * 
  *     ProductStats:
  *       type: object
  *       properties:
@@ -395,77 +316,6 @@ const upload = multer({
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             required:
- *               - productName
- *               - sku
- *               - category
- *               - price
- *               - quantity
- *             properties:
- *               productName:
- *                 type: string
- *                 description: Product name
- *               sku:
- *                 type: string
- *                 description: Stock Keeping Unit
- *               category:
- *                 type: string
- *                 description: Category ID
- *               price:
- *                 type: number
- *                 description: Regular price
- *               salePrice:
- *                 type: number
- *                 description: Sale price (optional)
- *               quantity:
- *                 type: number
- *                 description: Stock quantity
- *               description:
- *                 type: string
- *                 description: Product description
- *               weight:
- *                 type: number
- *                 description: Product weight in kg
- *               status:
- *                 type: string
- *                 enum: [Active, Inactive, Draft, Discontinued]
- *                 description: Product status
- *               tags:
- *                 type: string
- *                 description: Comma-separated tags
- *               inStock:
- *                 type: boolean
- *                 description: Stock availability
- *               productImages:
- *                 type: array
- *                 items:
- *                   type: string
- *                   format: binary
- *                 description: Product images (max 10 files, 5MB each)
- *               brand:
- *                 type: string
- *                 description: Product brand
- *               dimensions:
- *                 type: string
- *                 description: JSON string of dimensions
- *               lowStockThreshold:
- *                 type: number
- *                 description: Low stock threshold
- *               isFeatured:
- *                 type: boolean
- *                 description: Featured product flag
- *               metaTitle:
- *                 type: string
- *                 description: SEO meta title
- *               metaDescription:
- *                 type: string
- *                 description: SEO meta description
  *     responses:
  *       201:
  *         description: Product created successfully
@@ -501,7 +351,7 @@ const upload = multer({
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/', auth, upload.array('productImages', 10), createProduct);
+router.post('/', auth, requirePermission('products:write'), keepRequestContext(upload.array('productImages', 10)), validate(validation.createProduct), idempotency, createProduct);
 
 /**
  * @swagger
@@ -511,77 +361,6 @@ router.post('/', auth, upload.array('productImages', 10), createProduct);
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number for pagination
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *           default: 10
- *         description: Number of products per page
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Search term for name, description, SKU, or tags
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *           enum: [productName, price, quantity, createdAt, updatedAt]
- *           default: createdAt
- *         description: Field to sort by
- *       - in: query
- *         name: sortOrder
- *         schema:
- *           type: string
- *           enum: [asc, desc]
- *           default: desc
- *         description: Sort order
- *       - in: query
- *         name: category
- *         schema:
- *           type: string
- *         description: Filter by category ID
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [Active, Inactive, Draft, Discontinued]
- *         description: Filter by status
- *       - in: query
- *         name: inStock
- *         schema:
- *           type: boolean
- *         description: Filter by stock availability
- *       - in: query
- *         name: priceMin
- *         schema:
- *           type: number
- *         description: Minimum price filter
- *       - in: query
- *         name: priceMax
- *         schema:
- *           type: number
- *         description: Maximum price filter
- *       - in: query
- *         name: isFeatured
- *         schema:
- *           type: boolean
- *         description: Filter by featured status
- *       - in: query
- *         name: tags
- *         schema:
- *           type: string
- *         description: Filter by tags (comma-separated)
  *     responses:
  *       200:
  *         description: Products retrieved successfully
@@ -631,7 +410,7 @@ router.post('/', auth, upload.array('productImages', 10), createProduct);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/', auth, getAllProducts);
+router.get('/', auth, requirePermission('products:read'), validate(validation.getAllProducts), getAllProducts);
 
 /**
  * @swagger
@@ -641,77 +420,6 @@ router.get('/', auth, getAllProducts);
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: q
- *         schema:
- *           type: string
- *         description: Search query for name, description, SKU, or tags
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           minimum: 1
- *           default: 1
- *         description: Page number for pagination
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 100
- *           default: 10
- *         description: Number of products per page
- *       - in: query
- *         name: sortBy
- *         schema:
- *           type: string
- *           enum: [productName, price, quantity, createdAt, updatedAt]
- *           default: createdAt
- *         description: Field to sort by
- *       - in: query
- *         name: sortOrder
- *         schema:
- *           type: string
- *           enum: [asc, desc]
- *           default: desc
- *         description: Sort order
- *       - in: query
- *         name: category
- *         schema:
- *           type: string
- *         description: Filter by category ID
- *       - in: query
- *         name: status
- *         schema:
- *           type: string
- *           enum: [Active, Inactive, Draft, Discontinued]
- *         description: Filter by status
- *       - in: query
- *         name: inStock
- *         schema:
- *           type: boolean
- *         description: Filter by stock availability
- *       - in: query
- *         name: priceMin
- *         schema:
- *           type: number
- *         description: Minimum price filter
- *       - in: query
- *         name: priceMax
- *         schema:
- *           type: number
- *         description: Maximum price filter
- *       - in: query
- *         name: isFeatured
- *         schema:
- *           type: boolean
- *         description: Filter by featured status
- *       - in: query
- *         name: tags
- *         schema:
- *           type: string
- *         description: Filter by tags (comma-separated)
  *     responses:
  *       200:
  *         description: Search completed successfully
@@ -788,7 +496,7 @@ router.get('/', auth, getAllProducts);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/search', auth, searchProducts);
+router.get('/search', auth, requirePermission('products:read'), validate(validation.searchProducts), searchProducts);
 
 /**
  * @swagger
@@ -798,15 +506,6 @@ router.get('/search', auth, searchProducts);
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           minimum: 1
- *           maximum: 50
- *           default: 10
- *         description: Number of featured products to retrieve
  *     responses:
  *       200:
  *         description: Featured products retrieved successfully
@@ -832,7 +531,7 @@ router.get('/search', auth, searchProducts);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/featured', auth, getFeaturedProducts);
+router.get('/featured', auth, requirePermission('products:read'), validate(validation.getFeaturedProducts), getFeaturedProducts);
 
 /**
  * @swagger
@@ -867,7 +566,7 @@ router.get('/featured', auth, getFeaturedProducts);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/low-stock', auth, getLowStockProducts);
+router.get('/low-stock', auth, requirePermission('products:read'), getLowStockProducts);
 
 /**
  * @swagger
@@ -900,7 +599,7 @@ router.get('/low-stock', auth, getLowStockProducts);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/stats', auth, getProductStats);
+router.get('/stats', auth, requirePermission('products:read'), getProductStats);
 
 /**
  * @swagger
@@ -910,13 +609,6 @@ router.get('/stats', auth, getProductStats);
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: sku
- *         required: true
- *         schema:
- *           type: string
- *         description: Product SKU
  *     responses:
  *       200:
  *         description: Product retrieved successfully
@@ -946,7 +638,21 @@ router.get('/stats', auth, getProductStats);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/sku/:sku', auth, getProductBySku);
+router.get('/sku/:sku', auth, requirePermission('products:read'), validate(validation.getProductBySku), getProductBySku);
+
+/**
+ * @swagger
+ * /api/products/trash:
+ *   get:
+ *     summary: List deleted products
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deleted products retrieved successfully
+ */
+router.get('/trash', auth, requirePermission('products:read'), validate(validation.getDeletedProducts), getDeletedProducts);
 
 /**
  * @swagger
@@ -956,16 +662,12 @@ router.get('/sku/:sku', auth, getProductBySku);
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Product ID
  *     responses:
  *       200:
  *         description: Product retrieved successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -998,7 +700,7 @@ router.get('/sku/:sku', auth, getProductBySku);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/:id', auth, getProductById);
+router.get('/:id', auth, requirePermission('products:read'), validate(validation.getProductById), getProductById);
 
 /**
  * @swagger
@@ -1009,77 +711,7 @@ router.get('/:id', auth, getProductById);
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Product ID
- *     requestBody:
- *       required: true
- *       content:
- *         multipart/form-data:
- *           schema:
- *             type: object
- *             properties:
- *               productName:
- *                 type: string
- *                 description: Product name
- *               sku:
- *                 type: string
- *                 description: Stock Keeping Unit
- *               category:
- *                 type: string
- *                 description: Category ID
- *               price:
- *                 type: number
- *                 description: Regular price
- *               salePrice:
- *                 type: number
- *                 description: Sale price (optional)
- *               quantity:
- *                 type: number
- *                 description: Stock quantity
- *               description:
- *                 type: string
- *                 description: Product description
- *               weight:
- *                 type: number
- *                 description: Product weight in kg
- *               status:
- *                 type: string
- *                 enum: [Active, Inactive, Draft, Discontinued]
- *                 description: Product status
- *               tags:
- *                 type: string
- *                 description: Comma-separated tags
- *               inStock:
- *                 type: boolean
- *                 description: Stock availability
- *               productImages:
- *                 type: array
- *                 items:
- *                   type: string
- *                   format: binary
- *                 description: Additional product images
- *               brand:
- *                 type: string
- *                 description: Product brand
- *               dimensions:
- *                 type: string
- *                 description: JSON string of dimensions
- *               lowStockThreshold:
- *                 type: number
- *                 description: Low stock threshold
- *               isFeatured:
- *                 type: boolean
- *                 description: Featured product flag
- *               metaTitle:
- *                 type: string
- *                 description: SEO meta title
- *               metaDescription:
- *                 type: string
- *                 description: SEO meta description
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Product updated successfully
@@ -1114,6 +746,8 @@ router.get('/:id', auth, getProductById);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  *         content:
@@ -1121,23 +755,18 @@ router.get('/:id', auth, getProductById);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.put('/:id', auth, upload.array('productImages', 10), updateProduct);
+router.put('/:id', auth, requirePermission('products:write'), keepRequestContext(upload.array('productImages', 10)), validate(validation.updateProduct), updateProduct);
 
 /**
  * @swagger
  * /api/products/{id}:
  *   delete:
- *     summary: Delete product permanently
+ *     summary: Delete product (moves it to the trash)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Product ID
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Product deleted successfully
@@ -1164,6 +793,8 @@ router.put('/:id', auth, upload.array('productImages', 10), updateProduct);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  *         content:
@@ -1171,7 +802,51 @@ router.put('/:id', auth, upload.array('productImages', 10), updateProduct);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete('/:id', auth, deleteProduct);
+router.delete('/:id', auth, requirePermission('products:delete'), validate(validation.deleteProduct), deleteProduct);
+
+/**
+ * @swagger
+ * /api/products/{id}/restore:
+ *   patch:
+ *     summary: Restore a deleted product
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Product restored successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *       404:
+ *         description: Product not found in trash
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.patch('/:id/restore', auth, requirePermission('products:write'), validate(validation.restoreProduct), restoreProduct);
+
+/**
+ * @swagger
+ * /api/products/{id}/permanent:
+ *   delete:
+ *     summary: Permanently delete a product from the trash
+ *     description: Also removes the product's images from disk.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Product permanently deleted successfully
+ *       404:
+ *         description: Product not found in trash
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.delete('/:id/permanent', auth, requirePermission('products:delete'), validate(validation.permanentDeleteProduct), permanentDeleteProduct);
 
 /**
  * @swagger
@@ -1182,26 +857,7 @@ router.delete('/:id', auth, deleteProduct);
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Product ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - status
- *             properties:
- *               status:
- *                 type: string
- *                 enum: [Active, Inactive, Draft, Discontinued]
- *                 description: New product status
- *                 example: "Inactive"
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Product status updated successfully
@@ -1230,6 +886,8 @@ router.delete('/:id', auth, deleteProduct);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  *         content:
@@ -1237,7 +895,7 @@ router.delete('/:id', auth, deleteProduct);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.patch('/:id/status', auth, updateProductStatus);
+router.patch('/:id/status', auth, requirePermission('products:write'), validate(validation.updateProductStatus), updateProductStatus);
 
 /**
  * @swagger
@@ -1248,32 +906,7 @@ router.patch('/:id/status', auth, updateProductStatus);
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Product ID
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - quantity
- *             properties:
- *               quantity:
- *                 type: number
- *                 minimum: 0
- *                 description: Quantity value
- *                 example: 50
- *               operation:
- *                 type: string
- *                 enum: [set, add, subtract]
- *                 default: set
- *                 description: Stock operation type
- *                 example: "add"
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Product stock updated successfully
@@ -1302,6 +935,8 @@ router.patch('/:id/status', auth, updateProductStatus);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  *         content:
@@ -1309,7 +944,7 @@ router.patch('/:id/status', auth, updateProductStatus);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.patch('/:id/stock', auth, updateProductStock);
+router.patch('/:id/stock', auth, requirePermission('products:write'), validate(validation.updateProductStock), idempotency, updateProductStock);
 
 /**
  * @swagger
@@ -1320,19 +955,7 @@ router.patch('/:id/stock', auth, updateProductStock);
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *         description: Product ID
- *       - in: path
- *         name: imageIndex
- *         required: true
- *         schema:
- *           type: integer
- *           minimum: 0
- *         description: Image index to remove
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Product image removed successfully
@@ -1361,6 +984,8 @@ router.patch('/:id/stock', auth, updateProductStock);
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  *       500:
  *         description: Internal server error
  *         content:
@@ -1368,6 +993,6 @@ router.patch('/:id/stock', auth, updateProductStock);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.delete('/:id/images/:imageIndex', auth, removeProductImage);
+router.delete('/:id/images/:imageIndex', auth, requirePermission('products:delete'), validate(validation.removeProductImage), removeProductImage);
 
 module.exports = router;
@@ -0,0 +1,117 @@
+const fs = require('fs');
+const path = require('path');
+const Product = require('./product.model');
+const Category = require('./category.model');
+
+const UPLOAD_DIR = path.join(__dirname, '../../../uploads/products');
+
+// What is sold in each seeded sub-category (see category.seed.js), with a price range in INR
+const CATALOG = {
+    'Smartphones': { prefix: 'PHN', brands: ['Samsung', 'OnePlus', 'Xiaomi', 'Realme'], items: ['5G Smartphone', 'Smartphone Pro', 'Lite Smartphone'], price: [8999, 69999] },
+    'Laptops': { prefix: 'LAP', brands: ['Dell', 'HP', 'Lenovo', 'Asus'], items: ['Ultrabook 14"', 'Gaming Laptop 15"', 'Business Laptop'], price: [34999, 149999] },
+    'Audio': { prefix: 'AUD', brands: ['boAt', 'JBL', 'Sony', 'Noise'], items: ['Wireless Earbuds', 'Over-Ear Headphones', 'Bluetooth Speaker'], price: [999, 24999] },
+    'Men\'s Clothing': { prefix: 'MEN', brands: ['Peter England', 'Allen Solly', 'Levi\'s'], items: ['Cotton Shirt', 'Slim Fit Jeans', 'Polo T-Shirt'], price: [599, 3999] },
+    'Women\'s Clothing': { prefix: 'WMN', brands: ['Biba', 'W', 'Fabindia'], items: ['Cotton Kurta', 'Printed Dress', 'Silk Saree'], price: [799, 7999] },
+    'Kitchen': { prefix: 'KIT', brands: ['Prestige', 'Pigeon', 'Bajaj'], items: ['Pressure Cooker 5L', 'Non-Stick Tawa', 'Mixer Grinder'], price: [499, 6999] },
+    'Furniture': { prefix: 'FRN', brands: ['Nilkamal', 'Godrej Interio'], items: ['Study Table', 'Office Chair', 'Bookshelf'], price: [1999, 24999] },
+    'Fitness': { prefix: 'FIT', brands: ['Decathlon', 'Cosco', 'Boldfit'], items: ['Yoga Mat', 'Dumbbell Set 10kg', 'Skipping Rope'], price: [299, 4999] },
+    'Fiction': { prefix: 'BOK', brands: ['Penguin', 'HarperCollins', 'Rupa'], items: ['Paperback Novel', 'Short Story Collection', 'Hardcover Classic'], price: [199, 999] }
+};
+
+const COLORS = ['#2563eb', '#16a34a', '#dc2626', '#9333ea', '#ea580c', '#0891b2', '#4b5563'];
+
+const escapeXml = (text) => text.replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// A placeholder picture with the product name, saved where uploaded images go
+const writeImage = (fileName, label, color) => {
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="600" height="600" viewBox="0 0 600 600">
+<rect width="600" height="600" fill="${color}"/>
+<text x="300" y="300" font-family="sans-serif" font-size="32" fill="#ffffff" text-anchor="middle">${escapeXml(label)}</text>
+</svg>
+`;
+    fs.writeFileSync(path.join(UPLOAD_DIR, fileName), svg);
+    return `/uploads/products/${fileName}`;
+};
+
+// A few products are out of stock or running low, so stock alerts have something to show
+const quantity = (random) => {
+    const stock = random.weighted({ out: 1, low: 2, normal: 7 });
+    if (stock === 'out') return 0;
+    return stock === 'low' ? random.int(1, 10) : random.int(11, 250);
+};
+
+const seedProducts = async ({ random, count, refs }) => {
+    const subCategories = refs.categories.filter(category => CATALOG[category.name]);
+    fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+    const products = [];
+    for (let index = 0; index < count(20); index++) {
+        const category = subCategories[index % subCategories.length];
+        const { prefix, brands, items, price: [minPrice, maxPrice] } = CATALOG[category.name];
+
+        const brand = random.pick(brands);
+        const productName = `${brand} ${random.pick(items)}`;
+        const sku = `${prefix}-${String(index + 1).padStart(4, '0')}`;
+        const price = Math.round(random.float(minPrice, maxPrice) / 10) * 10 - 1;
+        const color = random.pick(COLORS);
+
+        const productImages = [{
+            url: writeImage(`seed-${sku.toLowerCase()}.svg`, productName, color),
+            altText: productName,
+            isPrimary: true
+        }];
+        if (random.bool(0.4)) {
+            productImages.push({
+                url: writeImage(`seed-${sku.toLowerCase()}-2.svg`, `${productName} (back)`, random.pick(COLORS)),
+                altText: `${productName}, back view`,
+                isPrimary: false
+            });
+        }
+
+        products.push(await Product.create({
+            productName,
+            sku,
+            category: category._id,
+            price,
+            ...(random.bool(0.3) && { salePrice: Math.round(price * random.float(0.7, 0.95)) }),
+            quantity: quantity(random),
+            description: `${productName} from ${brand}.`,
+            productImages,
+            weight: random.float(0.1, 15, 1),
+            status: random.weighted({ Active: 17, Inactive: 1, Draft: 1, Discontinued: 1 }),
+            tags: [category.name.toLowerCase(), brand.toLowerCase()],
+            brand,
+            ratings: { average: random.float(3, 5, 1), count: random.int(0, 500) },
+            salesCount: random.int(0, 1000),
+            isFeatured: random.bool(0.15)
+        }));
+    }
+
+    // Nothing else keeps productCount up to date, so set it for the seeded categories
+    for (const category of refs.categories) {
+        await Category.updateOne(
+            { _id: category._id },
+            { $set: { productCount: products.filter(product => product.category.equals(category._id)).length } }
+        );
+    }
+
+    return products;
+};
+
+// Remove the image files along with the products, trashed ones included
+const resetProducts = async () => {
+    const products = await Product.find().withDeleted().select('productImages').lean();
+    for (const product of products) {
+        for (const image of product.productImages || []) {
+            await fs.promises.rm(path.join(__dirname, '../../../', image.url), { force: true });
+        }
+    }
+    await Product.collection.deleteMany({});
+};
+
+module.exports = {
+    name: 'products',
+    Model: Product,
+    seed: seedProducts,
+    reset: resetProducts
+};
@@ -0,0 +1,188 @@
+const { objectId, idParams, paginationQuery, sortQuery, listQuery } = require('../../middleware/validate.middleware');
+const Product = require('./product.model');
+
+const PRODUCT_STATUSES = ['Active', 'Inactive', 'Draft', 'Discontinued'];
+
+const productParams = idParams({ id: 'Product ID' });
+
+// Products are sent as multipart forms, so nested values may arrive as strings
+const productFields = {
+    productName: { type: 'string', minLength: 2, maxLength: 200, description: 'Product name' },
+    sku: { type: 'string', minLength: 1, description: 'Stock Keeping Unit' },
+    category: { ...objectId, description: 'Category ID' },
+    price: { type: 'number', minimum: 0, description: 'Regular price' },
+    salePrice: { type: 'number', nullable: true, minimum: 0, description: 'Sale price (optional)' },
+    quantity: { type: 'integer', minimum: 0, description: 'Stock quantity' },
+    description: { type: 'string', maxLength: 2000, description: 'Product description' },
+    weight: { type: 'number', nullable: true, minimum: 0, description: 'Product weight in kg' },
+    status: { type: 'string', enum: PRODUCT_STATUSES, description: 'Product status' },
+    tags: {
+        anyOf: [
+            { type: 'array', items: { type: 'string' } },
+            { type: 'string' }
+        ],
+        description: 'Tags, as an array or a comma-separated string'
+    },
+    inStock: { type: 'boolean', description: 'Stock availability' },
+    productImages: {
+        type: 'array',
+        items: { type: 'string', format: 'binary' },
+        description: 'Product images (max 10 files, 5MB each)'
+    },
+    brand: { type: 'string', maxLength: 100, description: 'Product brand' },
+    dimensions: {
+        anyOf: [
+            {
+                type: 'object',
+                properties: {
+                    length: { type: 'number', minimum: 0 },
+                    width: { type: 'number', minimum: 0 },
+                    height: { type: 'number', minimum: 0 },
+                    unit: { type: 'string', enum: ['cm', 'inch', 'mm'] }
+                }
+            },
+            { type: 'string' }
+        ],
+        description: 'Dimensions, as an object or a JSON string'
+    },
+    lowStockThreshold: { type: 'integer', nullable: true, minimum: 0, description: 'Low stock threshold' },
+    isFeatured: { type: 'boolean', description: 'Featured product flag' },
+    metaTitle: { type: 'string', maxLength: 60, description: 'SEO meta title' },
+    metaDescription: { type: 'string', maxLength: 160, description: 'SEO meta description' }
+};
+
+const productFilters = {
+    ...paginationQuery(10),
+    ...sortQuery(Product.sortFields),
+    category: { ...objectId, description: 'Filter by category ID' },
+    status: { type: 'string', enum: PRODUCT_STATUSES, description: 'Filter by status' },
+    inStock: { type: 'boolean', description: 'Filter by stock availability' },
+    priceMin: { type: 'number', minimum: 0, description: 'Minimum price filter' },
+    priceMax: { type: 'number', minimum: 0, description: 'Maximum price filter' },
+    isFeatured: { type: 'boolean', description: 'Filter by featured status' },
+    tags: { type: 'string', description: 'Filter by tags (comma-separated)' }
+};
+
+const createProduct = {
+    contentType: 'multipart/form-data',
+    body: {
+        type: 'object',
+        required: ['productName', 'sku', 'category', 'price', 'quantity'],
+        properties: productFields
+    }
+};
+
+const getAllProducts = {
+    query: {
+        type: 'object',
+        properties: {
+            search: { type: 'string', description: 'Search term for name, description, SKU, or tags' },
+            ...productFilters,
+            ...listQuery
+        }
+    }
+};
+
+const searchProducts = {
+    query: {
+        type: 'object',
+        properties: {
+            q: { type: 'string', description: 'Search query for name, description, SKU, or tags' },
+            ...productFilters
+        }
+    }
+};
+
+const getFeaturedProducts = {
+    query: {
+        type: 'object',
+        properties: {
+            limit: { type: 'integer', minimum: 1, maximum: 50, default: 10, description: 'Number of featured products to retrieve' }
+        }
+    }
+};
+
+const getProductBySku = {
+    params: {
+        type: 'object',
+        required: ['sku'],
+        properties: {
+            sku: { type: 'string', description: 'Product SKU' }
+        }
+    }
+};
+
+const getProductById = { params: productParams };
+
+const updateProduct = {
+    contentType: 'multipart/form-data',
+    params: productParams,
+    body: {
+        type: 'object',
+        properties: productFields
+    }
+};
+
+const deleteProduct = { params: productParams };
+
+const getDeletedProducts = {
+    query: {
+        type: 'object',
+        properties: paginationQuery(10)
+    }
+};
+
+const restoreProduct = { params: productParams };
+
+const permanentDeleteProduct = { params: productParams };
+
+const updateProductStatus = {
+    params: productParams,
+    body: {
+        type: 'object',
+        required: ['status'],
+        properties: {
+            status: { type: 'string', enum: PRODUCT_STATUSES, description: 'New product status' }
+        }
+    }
+};
+
+const updateProductStock = {
+    params: productParams,
+    body: {
+        type: 'object',
+        required: ['quantity'],
+        properties: {
+            quantity: { type: 'integer', minimum: 0, description: 'Quantity value' },
+            operation: { type: 'string', enum: ['set', 'add', 'subtract'], default: 'set', description: 'Stock operation type' }
+        }
+    }
+};
+
+const removeProductImage = {
+    params: {
+        type: 'object',
+        required: ['id', 'imageIndex'],
+        properties: {
+            id: { ...objectId, description: 'Product ID' },
+            imageIndex: { type: 'integer', minimum: 0, description: 'Image index to remove' }
+        }
+    }
+};
+
+module.exports = {
+    createProduct,
+    getAllProducts,
+    searchProducts,
+    getFeaturedProducts,
+    getProductBySku,
+    getProductById,
+    updateProduct,
+    deleteProduct,
+    getDeletedProducts,
+    restoreProduct,
+    permanentDeleteProduct,
+    updateProductStatus,
+    updateProductStock,
+    removeProductImage
+};
@@ -0,0 +1,129 @@
+// Catalogue of every permission the API checks, grouped by module.
+// A permission is written as "<module>:<action>", e.g. "products:write".
+// Roles may also hold "<module>:*" for every action of a module, or "*" for everything.
+
+const PERMISSIONS = {
+    products: ['read', 'write', 'delete'],
+    categories: ['read', 'write', 'delete'],
+    customers: ['read', 'write', 'delete'],
+    employees: ['read', 'write', 'delete'],
+    locations: ['read', 'write', 'delete'],
+    notifications: ['read', 'write', 'delete'],
+    paymentLinks: ['read', 'write', 'delete'],
+    suppliers: ['read', 'write', 'delete'],
+    purchaseOrders: ['read', 'write', 'delete'],
+    roles: ['read', 'write', 'delete'],
+    users: ['read', 'write', 'delete'],
+    apiKeys: ['read', 'write', 'delete', 'manage'],
+    auditLogs: ['read'],
+    webhooks: ['read', 'write', 'delete'],
+    jobs: ['read', 'write'],
+    metrics: ['read']
+};
+
+const ALL_PERMISSIONS = Object.entries(PERMISSIONS).flatMap(
+    ([module, actions]) => actions.map(action => `${module}:${action}`)
+);
+
+// Built-in roles created on startup. They can be edited but not deleted.
+const DEFAULT_ROLES = [
+    {
+        name: 'admin',
+        displayName: 'Administrator',
+        description: 'Full access to every module',
+        permissions: ['*'],
+        requireTwoFactor: true
+    },
+    {
+        name: 'store_manager',
+        displayName: 'Store Manager',
+        description: 'Runs day-to-day store operations',
+        permissions: [
+            'products:*',
+            'categories:*',
+            'customers:*',
+            'locations:read',
+            'locations:write',
+            'notifications:*',
+            'paymentLinks:*',
+            'suppliers:read',
+            'purchaseOrders:read',
+            'employees:read'
+        ]
+    },
+    {
+        name: 'cashier',
+        displayName: 'Cashier',
+        description: 'Serves customers at the counter',
+        permissions: [
+            'products:read',
+            'categories:read',
+            'customers:read',
+            'customers:write',
+            'paymentLinks:read',
+            'paymentLinks:write',
+            'locations:read',
+            'notifications:read'
+        ]
+    },
+    {
+        name: 'purchaser',
+        displayName: 'Purchaser',
+        description: 'Manages suppliers and purchase orders',
+        permissions: [
+            'products:read',
+            'categories:read',
+            'suppliers:*',
+            'purchaseOrders:*',
+            'locations:read',
+            'notifications:read'
+        ]
+    },
+    {
+        name: 'hr',
+        displayName: 'HR',
+        description: 'Manages employee records',
+        permissions: [
+            'employees:*',
+            'locations:read',
+            'notifications:read'
+        ]
+    },
+    {
+        name: 'user',
+        displayName: 'User',
+        description: 'Read-only access to the catalogue and store data',
+        permissions: [
+            'products:read',
+            'categories:read',
+            'customers:read',
+            'locations:read',
+            'suppliers:read',
+            'notifications:read'
+        ]
+    }
+];
+
+// Check that a permission string names a known module and action
+const isValidPermission = (permission) => {
+    if (permission === '*' || ALL_PERMISSIONS.includes(permission)) {
+        return true;
+    }
+
+    const [module, action] = permission.split(':');
+    return action === '*' && Object.prototype.hasOwnProperty.call(PERMISSIONS, module);
+};
+
+// Check whether a list of granted permissions covers the required one
+const hasPermission = (granted = [], required) => {
+    const [module] = required.split(':');
+    return granted.includes('*') || granted.includes(required) || granted.includes(`${module}:*`);
+};
+
+module.exports = {
+    PERMISSIONS,
+    ALL_PERMISSIONS,
+    DEFAULT_ROLES,
+    isValidPermission,
+    hasPermission
+};
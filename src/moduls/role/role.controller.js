@@ -0,0 +1,144 @@
+const Role = require('./role.model');
+const User = require('../auth/auth.model');
+const Session = require('../auth/session.model');
+const mongoose = require('mongoose');
+const { PERMISSIONS } = require('./permissions');
+const asyncHandler = require('../../utils/asyncHandler');
+const { sendSuccessResponse } = require('../../utils/response');
+const { BadRequestError, NotFoundError, ConflictError } = require('../../utils/errors');
+
+// Get all roles with the number of users assigned to each
+const getAllRoles = asyncHandler(async (req, res) => {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 }).lean();
+
+    const userCounts = await User.aggregate([
+        { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const countByRole = Object.fromEntries(userCounts.map(item => [item._id, item.count]));
+
+    const response = roles.map(role => ({
+        ...role,
+        userCount: countByRole[role.name] || 0
+    }));
+
+    return sendSuccessResponse(res, 200, 'Roles retrieved successfully', response);
+});
+
+// Get the catalogue of assignable permissions
+const getPermissionCatalogue = asyncHandler(async (req, res) => {
+    return sendSuccessResponse(res, 200, 'Permissions retrieved successfully', PERMISSIONS);
+});
+
+// Get role by ID
+const getRoleById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid role ID');
+    }
+
+    const role = await Role.findById(id);
+    if (!role) {
+        throw new NotFoundError('Role not found');
+    }
+
+    return sendSuccessResponse(res, 200, 'Role retrieved successfully', role);
+});
+
+// Create a new role
+const createRole = asyncHandler(async (req, res) => {
+    const { name, displayName, description, permissions, requireTwoFactor } = req.body;
+
+    const existingRole = await Role.findOne({ name: name.trim().toLowerCase() });
+    if (existingRole) {
+        throw new ConflictError('Role with this name already exists');
+    }
+
+    const role = new Role({
+        name,
+        displayName,
+        description,
+        permissions: permissions || [],
+        requireTwoFactor: !!requireTwoFactor
+    });
+
+    const savedRole = await role.save();
+
+    return sendSuccessResponse(res, 201, 'Role created successfully', savedRole);
+});
+
+// Update role display name, description, permissions or two-factor requirement
+const updateRole = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { displayName, description, permissions, requireTwoFactor } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid role ID');
+    }
+
+    const role = await Role.findById(id);
+    if (!role) {
+        throw new NotFoundError('Role not found');
+    }
+
+    // The admin role must always keep full access, otherwise nobody could fix the roles again
+    if (role.name === 'admin' && permissions !== undefined) {
+        throw new ConflictError('Permissions of the admin role cannot be changed');
+    }
+
+    if (displayName !== undefined) role.displayName = displayName;
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = permissions;
+    if (requireTwoFactor !== undefined) role.requireTwoFactor = !!requireTwoFactor;
+
+    const startsRequiringTwoFactor = role.isModified('requireTwoFactor') && role.requireTwoFactor;
+
+    const updatedRole = await role.save();
+
+    // Users of the role who have not enrolled must log in again and enroll
+    if (startsRequiringTwoFactor) {
+        const unenrolledUsers = await User.find({ role: role.name, twoFactorEnabled: false }).distinct('_id');
+        await Session.updateMany(
+            { user: { $in: unenrolledUsers }, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: 'two_factor_required' } }
+        );
+    }
+
+    return sendSuccessResponse(res, 200, 'Role updated successfully', updatedRole);
+});
+
+// Delete role
+const deleteRole = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid role ID');
+    }
+
+    const role = await Role.findById(id);
+    if (!role) {
+        throw new NotFoundError('Role not found');
+    }
+
+    if (role.isSystem) {
+        throw new ConflictError('Built-in roles cannot be deleted');
+    }
+
+    const assignedUsers = await User.countDocuments({ role: role.name });
+    if (assignedUsers > 0) {
+        throw new ConflictError(`Role is assigned to ${assignedUsers} user(s). Reassign them before deleting`);
+    }
+
+    await role.deleteOne();
+
+    return sendSuccessResponse(res, 200, 'Role deleted successfully');
+});
+
+module.exports = {
+    getAllRoles,
+    getPermissionCatalogue,
+    getRoleById,
+    createRole,
+    updateRole,
+    deleteRole
+};
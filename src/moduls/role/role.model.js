@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { DEFAULT_ROLES, isValidPermission } = require('./permissions');
+const auditPlugin = require('../audit/audit.plugin');
+
+// Permissions are looked up on every protected request, so keep them in memory
+// for a short while. Changes made through this process clear the cache at once.
+const PERMISSION_CACHE_TTL_MS = 60 * 1000;
+const permissionCache = new Map();
+
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Role name is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z][a-z0-9_]{1,49}$/, 'Role name must be 2-50 characters of lowercase letters, numbers and underscores'],
+        immutable: true
+    },
+    displayName: {
+        type: String,
+        required: [true, 'Display name is required'],
+        trim: true,
+        maxlength: [100, 'Display name cannot exceed 100 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    permissions: {
+        type: [String],
+        default: [],
+        validate: {
+            validator: function(permissions) {
+                return permissions.every(isValidPermission);
+            },
+            message: props => `Unknown permission in ${JSON.stringify(props.value)}`
+        }
+    },
+    requireTwoFactor: {
+        type: Boolean,
+        default: false
+    },
+    isSystem: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+// Any change to a role invalidates the cached permissions
+const clearPermissionCache = () => permissionCache.clear();
+roleSchema.post('save', clearPermissionCache);
+roleSchema.post('findOneAndUpdate', clearPermissionCache);
+roleSchema.post('findOneAndDelete', clearPermissionCache);
+roleSchema.post('deleteOne', { document: true, query: false }, clearPermissionCache);
+
+// Static method to get the permissions granted by a role name
+roleSchema.statics.getPermissions = async function(name) {
+    const cached = permissionCache.get(name);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.permissions;
+    }
+
+    const role = await this.findOne({ name }).select('permissions').lean();
+    const permissions = role ? role.permissions : [];
+
+    permissionCache.set(name, {
+        permissions,
+        expiresAt: Date.now() + PERMISSION_CACHE_TTL_MS
+    });
+
+    return permissions;
+};
+
+// Static method to check whether users of a role must use two-factor authentication
+roleSchema.statics.requiresTwoFactor = async function(name) {
+    return !!(await this.exists({ name, requireTwoFactor: true }));
+};
+
+// Static method to create the built-in roles that do not exist yet
+roleSchema.statics.seedDefaultRoles = async function() {
+    for (const role of DEFAULT_ROLES) {
+        await this.updateOne(
+            { name: role.name },
+            { $setOnInsert: { ...role, isSystem: true } },
+            { upsert: true }
+        );
+    }
+    clearPermissionCache();
+};
+
+// Record changes in the audit log
+roleSchema.plugin(auditPlugin);
+
+const Role = mongoose.model('Role', roleSchema);
+
+module.exports = Role;
@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getAllRoles,
+    getPermissionCatalogue,
+    getRoleById,
+    createRole,
+    updateRole,
+    deleteRole
+} = require('./role.controller');
+const auth = require('../../middleware/auth.middleware');
+const requirePermission = require('../../middleware/permission.middleware');
+const validate = require('../../middleware/validate.middleware');
+const validation = require('./role.validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Roles
+ *   description: Role and permission management endpoints
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Role:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *         name:
+ *           type: string
+ *           description: Unique role key stored on users. Cannot be changed after creation
+ *           example: "store_manager"
+ *         displayName:
+ *           type: string
+ *           example: "Store Manager"
+ *         description:
+ *           type: string
+ *           example: "Runs day-to-day store operations"
+ *         permissions:
+ *           type: array
+ *           description: Permissions in "module:action" form. "module:*" grants every action of a module and "*" grants everything
+ *           items:
+ *             type: string
+ *           example: ["products:*", "customers:read"]
+ *         requireTwoFactor:
+ *           type: boolean
+ *           description: Users with this role must use two-factor authentication to log in
+ *           example: false
+ *         isSystem:
+ *           type: boolean
+ *           description: Built-in roles cannot be deleted
+ *           example: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/roles:
+ *   get:
+ *     summary: Get all roles
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Roles retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         allOf:
+ *                           - $ref: '#/components/schemas/Role'
+ *                           - type: object
+ *                             properties:
+ *                               userCount:
+ *                                 type: number
+ *                                 example: 4
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ */
+router.get('/', auth, requirePermission('roles:read'), getAllRoles);
+
+/**
+ * @swagger
+ * /api/roles/permissions:
+ *   get:
+ *     summary: Get the catalogue of assignable permissions grouped by module
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               message: "Permissions retrieved successfully"
+ *               data:
+ *                 products: ["read", "write", "delete"]
+ *                 employees: ["read", "write", "delete"]
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ */
+router.get('/permissions', auth, requirePermission('roles:read'), getPermissionCatalogue);
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   get:
+ *     summary: Get role by ID
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Role retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Role'
+ *       400:
+ *         description: Invalid role ID
+ *       404:
+ *         description: Role not found
+ */
+router.get('/:id', auth, requirePermission('roles:read'), validate(validation.getRoleById), getRoleById);
+
+/**
+ * @swagger
+ * /api/roles:
+ *   post:
+ *     summary: Create a new role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Role created successfully
+ *       400:
+ *         description: Validation failed or unknown permission
+ *       409:
+ *         description: Role with this name already exists
+ */
+router.post('/', auth, requirePermission('roles:write'), validate(validation.createRole), createRole);
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   put:
+ *     summary: Update a role's display name, description, permissions or two-factor requirement
+ *     description: Turning on requireTwoFactor signs out users of the role who have not enrolled yet
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Role updated successfully
+ *       400:
+ *         description: Validation failed or unknown permission
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: Permissions of the admin role cannot be changed
+ */
+router.put('/:id', auth, requirePermission('roles:write'), validate(validation.updateRole), updateRole);
+
+/**
+ * @swagger
+ * /api/roles/{id}:
+ *   delete:
+ *     summary: Delete a custom role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Role deleted successfully
+ *       404:
+ *         description: Role not found
+ *       409:
+ *         description: Role is built-in or still assigned to users
+ */
+router.delete('/:id', auth, requirePermission('roles:delete'), validate(validation.deleteRole), deleteRole);
+
+module.exports = router;
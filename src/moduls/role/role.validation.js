@@ -0,0 +1,51 @@
+const { idParams } = require('../../middleware/validate.middleware');
+
+const roleParams = idParams({ id: 'Role ID' });
+
+const roleFields = {
+    displayName: { type: 'string', minLength: 1, maxLength: 100, example: 'Inventory Clerk' },
+    description: { type: 'string', maxLength: 500, example: 'Keeps stock levels up to date' },
+    permissions: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Permissions in "module:action" form. "module:*" grants every action of a module and "*" grants everything',
+        example: ['products:read', 'products:write']
+    },
+    requireTwoFactor: { type: 'boolean', description: 'Users with this role must use two-factor authentication to log in' }
+};
+
+const getRoleById = { params: roleParams };
+
+const createRole = {
+    body: {
+        type: 'object',
+        required: ['name', 'displayName'],
+        properties: {
+            name: {
+                type: 'string',
+                minLength: 2,
+                maxLength: 50,
+                description: 'Unique role key: lowercase letters, numbers and underscores. Cannot be changed later',
+                example: 'inventory_clerk'
+            },
+            ...roleFields
+        }
+    }
+};
+
+const updateRole = {
+    params: roleParams,
+    body: {
+        type: 'object',
+        properties: roleFields
+    }
+};
+
+const deleteRole = { params: roleParams };
+
+module.exports = {
+    getRoleById,
+    createRole,
+    updateRole,
+    deleteRole
+};
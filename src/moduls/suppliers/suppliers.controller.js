@@ -1,136 +1,184 @@
 const Supplier = require('./suppliers.model');
 const mongoose = require('mongoose');
+const asyncHandler = require('../../utils/asyncHandler');
+const { BadRequestError, NotFoundError, PreconditionFailedError } = require('../../utils/errors');
+const { isCursorPagination, paginateWithCursor } = require('../../utils/pagination');
+const { setETag, checkIfMatch } = require('../../utils/concurrency');
 
 // Create supplier
-const createSupplier = async (req, res) => {
-  try {
-    const supplier = new Supplier(req.body);
-    await supplier.save();
-    res.status(201).json({ success: true, message: 'Supplier created', data: supplier });
-  } catch (err) {
-    res.status(400).json({ success: false, message: err.message });
-  }
-};
+const createSupplier = asyncHandler(async (req, res) => {
+  const supplier = new Supplier(req.body);
+  await supplier.save();
+  res.status(201).json({ success: true, message: 'Supplier created', data: supplier });
+});
 
 // Get all suppliers (with search, filter, pagination)
-const getSuppliers = async (req, res) => {
-  try {
-    const {
-      page = 1,
-      limit = 20,
-      search,
-      category,
-      state,
-      isActive
-    } = req.query;
-    const query = {};
-    if (search) {
-      query.$or = [
-        { supplierName: { $regex: search, $options: 'i' } },
-        { contactPerson: { $regex: search, $options: 'i' } },
-        { email: { $regex: search, $options: 'i' } },
-        { phone: { $regex: search, $options: 'i' } },
-        { city: { $regex: search, $options: 'i' } },
-        { state: { $regex: search, $options: 'i' } },
-        { gstNumber: { $regex: search, $options: 'i' } },
-        { panNumber: { $regex: search, $options: 'i' } }
-      ];
-    }
-    if (category) query.category = category;
-    if (state) query.state = state;
-    if (isActive !== undefined) query.isActive = isActive === 'true';
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const suppliers = await Supplier.find(query)
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
-    const total = await Supplier.countDocuments(query);
-    res.status(200).json({
-      success: true,
-      data: suppliers,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(total / parseInt(limit)),
-        totalItems: total,
-        itemsPerPage: parseInt(limit),
-        hasNextPage: skip + parseInt(limit) < total,
-        hasPreviousPage: parseInt(page) > 1
-      }
+const getSuppliers = asyncHandler(async (req, res) => {
+  const {
+    page,
+    limit,
+    search,
+    category,
+    state,
+    isActive,
+    after,
+    before
+  } = req.query;
+  const query = {};
+  if (search) {
+    query.$or = [
+      { supplierName: { $regex: search, $options: 'i' } },
+      { contactPerson: { $regex: search, $options: 'i' } },
+      { email: { $regex: search, $options: 'i' } },
+      { phone: { $regex: search, $options: 'i' } },
+      { city: { $regex: search, $options: 'i' } },
+      { state: { $regex: search, $options: 'i' } },
+      { gstNumber: { $regex: search, $options: 'i' } },
+      { panNumber: { $regex: search, $options: 'i' } }
+    ];
+  }
+  if (category) query.category = category;
+  if (state) query.state = state;
+  if (isActive !== undefined) query.isActive = isActive;
+  const listQuery = Supplier.parseListQuery(req.query);
+  if (listQuery.conditions.length > 0) query.$and = listQuery.conditions;
+  const sort = listQuery.sort || { createdAt: -1 };
+  if (isCursorPagination(req.query)) {
+    const { items, pagination } = await paginateWithCursor(Supplier.find(query).select(listQuery.select), {
+      sort,
+      limit,
+      after,
+      before
     });
-  } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+    return res.status(200).json({ success: true, data: items, pagination });
   }
-};
+  const skip = (page - 1) * limit;
+  const suppliers = await Supplier.find(query)
+    .select(listQuery.select)
+    .sort(sort)
+    .skip(skip)
+    .limit(limit);
+  const total = await Supplier.countDocuments(query);
+  res.status(200).json({
+    success: true,
+    data: suppliers,
+    pagination: {
+      currentPage: page,
+      totalPages: Math.ceil(total / limit),
+      totalItems: total,
+      itemsPerPage: limit,
+      hasNextPage: skip + limit < total,
+      hasPreviousPage: page > 1
+    }
+  });
+});
 
 // Get supplier by ID
-const getSupplierById = async (req, res) => {
-  try {
-    const { id } = req.params;
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ success: false, message: 'Invalid supplier ID' });
-    }
-    const supplier = await Supplier.findById(id);
-    if (!supplier) {
-      return res.status(404).json({ success: false, message: 'Supplier not found' });
-    }
-    res.status(200).json({ success: true, data: supplier });
-  } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+const getSupplierById = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new BadRequestError('Invalid supplier ID');
   }
-};
+  const supplier = await Supplier.findById(id);
+  if (!supplier) {
+    throw new NotFoundError('Supplier not found');
+  }
+  setETag(res, supplier);
+  res.status(200).json({ success: true, data: supplier });
+});
 
 // Update supplier
-const updateSupplier = async (req, res) => {
-  try {
-    const { id } = req.params;
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ success: false, message: 'Invalid supplier ID' });
-    }
-    const supplier = await Supplier.findByIdAndUpdate(id, req.body, { new: true, runValidators: true });
-    if (!supplier) {
-      return res.status(404).json({ success: false, message: 'Supplier not found' });
-    }
-    res.status(200).json({ success: true, message: 'Supplier updated', data: supplier });
-  } catch (err) {
-    res.status(400).json({ success: false, message: err.message });
+const updateSupplier = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new BadRequestError('Invalid supplier ID');
   }
-};
+  const existing = await Supplier.findById(id);
+  if (!existing) {
+    throw new NotFoundError('Supplier not found');
+  }
+  const supplier = await Supplier.findOneAndUpdate(
+    { _id: id, ...checkIfMatch(req, existing) },
+    req.body,
+    { new: true, runValidators: true }
+  );
+  if (!supplier) {
+    throw new PreconditionFailedError();
+  }
+  setETag(res, supplier);
+  res.status(200).json({ success: true, message: 'Supplier updated', data: supplier });
+});
 
-// Delete supplier
-const deleteSupplier = async (req, res) => {
-  try {
-    const { id } = req.params;
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ success: false, message: 'Invalid supplier ID' });
-    }
-    const supplier = await Supplier.findByIdAndDelete(id);
-    if (!supplier) {
-      return res.status(404).json({ success: false, message: 'Supplier not found' });
-    }
-    res.status(200).json({ success: true, message: 'Supplier deleted', data: supplier });
-  } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+// Delete supplier (moves it to the trash)
+const deleteSupplier = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new BadRequestError('Invalid supplier ID');
   }
-};
+  const supplier = await Supplier.findById(id);
+  if (!supplier) {
+    throw new NotFoundError('Supplier not found');
+  }
+  checkIfMatch(req, supplier);
+  await supplier.softDelete(req.user.id);
+  res.status(200).json({ success: true, message: 'Supplier deleted', data: supplier });
+});
+
+// Get suppliers in the trash, most recently deleted first
+const getDeletedSuppliers = asyncHandler(async (req, res) => {
+  const { items, pagination } = await Supplier.findInTrash(req.query);
+  res.status(200).json({ success: true, data: items, pagination });
+});
+
+// Restore supplier from the trash
+const restoreSupplier = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new BadRequestError('Invalid supplier ID');
+  }
+  const supplier = await Supplier.findById(id).onlyDeleted();
+  if (!supplier) {
+    throw new NotFoundError('Supplier not found in trash');
+  }
+  checkIfMatch(req, supplier);
+  await supplier.restore();
+  setETag(res, supplier);
+  res.status(200).json({ success: true, message: 'Supplier restored', data: supplier });
+});
+
+// Permanently delete supplier from the trash
+const permanentDeleteSupplier = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new BadRequestError('Invalid supplier ID');
+  }
+  const supplier = await Supplier.findById(id).onlyDeleted();
+  if (!supplier) {
+    throw new NotFoundError('Supplier not found in trash');
+  }
+  checkIfMatch(req, supplier);
+  if (!await supplier.purge()) {
+    throw new NotFoundError('Supplier not found in trash');
+  }
+  res.status(200).json({ success: true, message: 'Supplier permanently deleted' });
+});
 
 // Toggle supplier active status
-const toggleSupplierStatus = async (req, res) => {
-  try {
-    const { id } = req.params;
-    if (!mongoose.Types.ObjectId.isValid(id)) {
-      return res.status(400).json({ success: false, message: 'Invalid supplier ID' });
-    }
-    const supplier = await Supplier.findById(id);
-    if (!supplier) {
-      return res.status(404).json({ success: false, message: 'Supplier not found' });
-    }
-    supplier.isActive = !supplier.isActive;
-    await supplier.save();
-    res.status(200).json({ success: true, message: `Supplier status updated to ${supplier.isActive ? 'active' : 'inactive'}`, data: supplier });
-  } catch (err) {
-    res.status(500).json({ success: false, message: err.message });
+const toggleSupplierStatus = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new BadRequestError('Invalid supplier ID');
   }
-};
+  const supplier = await Supplier.findById(id);
+  if (!supplier) {
+    throw new NotFoundError('Supplier not found');
+  }
+  checkIfMatch(req, supplier);
+  supplier.isActive = !supplier.isActive;
+  await supplier.save();
+  setETag(res, supplier);
+  res.status(200).json({ success: true, message: `Supplier status updated to ${supplier.isActive ? 'active' : 'inactive'}`, data: supplier });
+});
 
 module.exports = {
   createSupplier,
@@ -138,5 +186,8 @@ module.exports = {
   getSupplierById,
   updateSupplier,
   deleteSupplier,
+  getDeletedSuppliers,
+  restoreSupplier,
+  permanentDeleteSupplier,
   toggleSupplierStatus
 };
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('../audit/audit.plugin');
+const listQueryPlugin = require('../../utils/listQuery');
+const softDeletePlugin = require('../../utils/softDelete');
+const { concurrencyPlugin } = require('../../utils/concurrency');
 
 const supplierSchema = new mongoose.Schema({
   supplierName: {
@@ -90,6 +94,29 @@ const supplierSchema = new mongoose.Schema({
 supplierSchema.index({ supplierName: 1 });
 supplierSchema.index({ email: 1 });
 supplierSchema.index({ phone: 1 });
+supplierSchema.index({ category: 1 });
+supplierSchema.index({ state: 1 });
+supplierSchema.index({ isActive: 1 });
+
+// Deleted records go to the trash (see utils/softDelete)
+supplierSchema.plugin(softDeletePlugin);
+
+// Record changes in the audit log
+supplierSchema.plugin(auditPlugin);
+
+// Version every change for ETags and If-Match (see utils/concurrency)
+supplierSchema.plugin(concurrencyPlugin);
+
+// Fields clients can filter, sort and select on in list endpoints (see utils/listQuery)
+supplierSchema.plugin(listQueryPlugin, {
+  filter: ['supplierName', 'email', 'phone', 'category', 'state', 'isActive'],
+  sort: ['supplierName', 'city', 'state', 'createdAt', 'updatedAt'],
+  select: [
+    'supplierName', 'contactPerson', 'email', 'phone', 'address', 'city', 'state', 'pincode',
+    'gstNumber', 'panNumber', 'category', 'paymentTerms', 'website', 'notes', 'isActive',
+    'createdAt', 'updatedAt'
+  ]
+});
 
 const Supplier = mongoose.model('Supplier', supplierSchema);
 
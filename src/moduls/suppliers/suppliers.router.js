@@ -1,12 +1,19 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../../middleware/auth.middleware');
+const requirePermission = require('../../middleware/permission.middleware');
+const validate = require('../../middleware/validate.middleware');
+const idempotency = require('../../middleware/idempotency.middleware');
+const validation = require('./suppliers.validation');
 const {
   createSupplier,
   getSuppliers,
   getSupplierById,
   updateSupplier,
   deleteSupplier,
+  getDeletedSuppliers,
+  restoreSupplier,
+  permanentDeleteSupplier,
   toggleSupplierStatus
 } = require('./suppliers.controller');
 
@@ -25,67 +32,13 @@ const {
  *     tags: [Suppliers]
  *     security:
  *       - BearerAuth: []
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
- *             required:
- *               - supplierName
- *               - contactPerson
- *               - email
- *               - phone
- *             properties:
- *               supplierName:
- *                 type: string
- *                 example: "ABC Traders"
- *               contactPerson:
- *                 type: string
- *                 example: "John Doe"
- *               email:
- *                 type: string
- *                 example: "abc@traders.com"
- *               phone:
- *                 type: string
- *                 example: "+919876543210"
- *               address:
- *                 type: string
- *                 example: "123, Main Street, Mumbai"
- *               city:
- *                 type: string
- *                 example: "Mumbai"
- *               state:
- *                 type: string
- *                 example: "Maharashtra"
- *               pincode:
- *                 type: string
- *                 example: "400001"
- *               gstNumber:
- *                 type: string
- *                 example: "27AAEPM1234C1Z5"
- *               panNumber:
- *                 type: string
- *                 example: "AAEPM1234C"
- *               category:
- *                 type: string
- *                 example: "Electronics"
- *               paymentTerms:
- *                 type: string
- *                 example: "30 Days"
- *               website:
- *                 type: string
- *                 example: "https://example.com"
- *               notes:
- *                 type: string
- *                 example: "Preferred supplier for electronics."
  *     responses:
  *       201:
  *         description: Supplier created
  *       400:
  *         description: Validation error
  */
-router.post('/', authMiddleware, createSupplier);
+router.post('/', authMiddleware, requirePermission('suppliers:write'), validate(validation.createSupplier), idempotency, createSupplier);
 
 /**
  * @swagger
@@ -95,39 +48,25 @@ router.post('/', authMiddleware, createSupplier);
  *     tags: [Suppliers]
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: query
- *         name: page
- *         schema:
- *           type: integer
- *           default: 1
- *       - in: query
- *         name: limit
- *         schema:
- *           type: integer
- *           default: 20
- *       - in: query
- *         name: search
- *         schema:
- *           type: string
- *         description: Search by name, contact, email, phone, city, state, GST, PAN
- *       - in: query
- *         name: category
- *         schema:
- *           type: string
- *       - in: query
- *         name: state
- *         schema:
- *           type: string
- *       - in: query
- *         name: isActive
- *         schema:
- *           type: boolean
  *     responses:
  *       200:
  *         description: List of suppliers
  */
-router.get('/', authMiddleware, getSuppliers);
+router.get('/', authMiddleware, requirePermission('suppliers:read'), validate(validation.getSuppliers), getSuppliers);
+
+/**
+ * @swagger
+ * /api/suppliers/trash:
+ *   get:
+ *     summary: List deleted suppliers
+ *     tags: [Suppliers]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Deleted suppliers retrieved successfully
+ */
+router.get('/trash', authMiddleware, requirePermission('suppliers:read'), validate(validation.getDeletedSuppliers), getDeletedSuppliers);
 
 /**
  * @swagger
@@ -137,19 +76,16 @@ router.get('/', authMiddleware, getSuppliers);
  *     tags: [Suppliers]
  *     security:
  *       - BearerAuth: []
- *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
  *     responses:
  *       200:
  *         description: Supplier found
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *       404:
  *         description: Supplier not found
  */
-router.get('/:id', authMiddleware, getSupplierById);
+router.get('/:id', authMiddleware, requirePermission('suppliers:read'), validate(validation.getSupplierById), getSupplierById);
 
 /**
  * @swagger
@@ -160,24 +96,16 @@ router.get('/:id', authMiddleware, getSupplierById);
  *     security:
  *       - BearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
- *     requestBody:
- *       required: true
- *       content:
- *         application/json:
- *           schema:
- *             type: object
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Supplier updated
  *       404:
  *         description: Supplier not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  */
-router.put('/:id', authMiddleware, updateSupplier);
+router.put('/:id', authMiddleware, requirePermission('suppliers:write'), validate(validation.updateSupplier), updateSupplier);
 
 /**
  * @swagger
@@ -188,18 +116,59 @@ router.put('/:id', authMiddleware, updateSupplier);
  *     security:
  *       - BearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Supplier deleted
  *       404:
  *         description: Supplier not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.delete('/:id', authMiddleware, requirePermission('suppliers:delete'), validate(validation.deleteSupplier), deleteSupplier);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/restore:
+ *   patch:
+ *     summary: Restore a deleted supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Supplier restored successfully
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *       404:
+ *         description: Supplier not found in trash
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ */
+router.patch('/:id/restore', authMiddleware, requirePermission('suppliers:write'), validate(validation.restoreSupplier), restoreSupplier);
+
+/**
+ * @swagger
+ * /api/suppliers/{id}/permanent:
+ *   delete:
+ *     summary: Permanently delete a supplier from the trash
+ *     tags: [Suppliers]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *     responses:
+ *       200:
+ *         description: Supplier permanently deleted successfully
+ *       404:
+ *         description: Supplier not found in trash
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  */
-router.delete('/:id', authMiddleware, deleteSupplier);
+router.delete('/:id/permanent', authMiddleware, requirePermission('suppliers:delete'), validate(validation.permanentDeleteSupplier), permanentDeleteSupplier);
 
 /**
  * @swagger
@@ -210,17 +179,15 @@ router.delete('/:id', authMiddleware, deleteSupplier);
  *     security:
  *       - BearerAuth: []
  *     parameters:
- *       - in: path
- *         name: id
- *         required: true
- *         schema:
- *           type: string
+ *       - $ref: '#/components/parameters/IfMatch'
  *     responses:
  *       200:
  *         description: Supplier status updated
  *       404:
  *         description: Supplier not found
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
  */
-router.patch('/:id/toggle-status', authMiddleware, toggleSupplierStatus);
+router.patch('/:id/toggle-status', authMiddleware, requirePermission('suppliers:write'), validate(validation.toggleSupplierStatus), toggleSupplierStatus);
 
 module.exports = router;
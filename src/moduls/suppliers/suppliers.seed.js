@@ -0,0 +1,52 @@
+const Supplier = require('./suppliers.model');
+const { person, place } = require('../../seed/people');
+
+const SUFFIXES = ['Traders', 'Distributors', 'Wholesale', 'Enterprises', 'Imports', 'Agencies'];
+const PAYMENT_TERMS = ['15 Days', '30 Days', '45 Days', 'Advance'];
+const PAN_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+// PAN format: five letters, four digits, one letter
+const panNumber = (random) => {
+  const letters = (length) => Array.from({ length }, () => random.pick(PAN_LETTERS)).join('');
+  return `${letters(5)}${random.digits(4)}${letters(1)}`;
+};
+
+// Suppliers cover the top-level categories, so purchase orders can be matched to them
+const seedSuppliers = async ({ random, count, refs }) => {
+  const categories = refs.categories.filter(category => !category.parentCategory);
+  const suppliers = [];
+
+  for (let index = 0; index < count(6); index++) {
+    const contact = person(random, index, 'example.com');
+    const address = place(random);
+    const supplierName = `${contact.fullName.split(' ')[1]} ${random.pick(SUFFIXES)}`;
+    const domain = `${supplierName.toLowerCase().replace(/[^a-z]+/g, '')}${index + 1}.example.com`;
+    const pan = panNumber(random);
+
+    suppliers.push(await Supplier.create({
+      supplierName,
+      contactPerson: contact.fullName,
+      email: `sales@${domain}`,
+      phone: contact.mobileNumber,
+      address: address.street,
+      city: address.city,
+      state: address.state,
+      pincode: address.pincode,
+      // GSTIN: state code, PAN, entity number, Z and a check character
+      gstNumber: `${random.int(10, 37)}${pan}${random.int(1, 9)}Z${random.int(0, 9)}`,
+      panNumber: pan,
+      category: categories[index % categories.length].name,
+      paymentTerms: random.pick(PAYMENT_TERMS),
+      website: `https://www.${domain}`,
+      isActive: random.bool(0.9)
+    }));
+  }
+
+  return suppliers;
+};
+
+module.exports = {
+  name: 'suppliers',
+  Model: Supplier,
+  seed: seedSuppliers
+};
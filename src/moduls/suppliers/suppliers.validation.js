@@ -0,0 +1,80 @@
+const { idParams, paginationQuery, listQuery } = require('../../middleware/validate.middleware');
+
+const supplierParams = idParams({ id: 'Supplier ID' });
+
+const supplierFields = {
+  supplierName: { type: 'string', minLength: 2, maxLength: 100, example: 'ABC Traders' },
+  contactPerson: { type: 'string', minLength: 2, maxLength: 100, example: 'John Doe' },
+  email: { type: 'string', format: 'email', example: 'abc@traders.com' },
+  phone: { type: 'string', pattern: '^\\+?\\d{10,15}$', example: '+919876543210' },
+  address: { type: 'string', maxLength: 300, example: '123, Main Street, Mumbai' },
+  city: { type: 'string', maxLength: 50, example: 'Mumbai' },
+  state: { type: 'string', maxLength: 50, example: 'Maharashtra' },
+  pincode: { type: 'string', pattern: '^\\d{5,8}$', example: '400001' },
+  gstNumber: { type: 'string', maxLength: 20, example: '27AAEPM1234C1Z5' },
+  panNumber: { type: 'string', maxLength: 20, example: 'AAEPM1234C' },
+  category: { type: 'string', maxLength: 50, example: 'Electronics' },
+  paymentTerms: { type: 'string', maxLength: 30, description: 'Defaults to 30 Days', example: '30 Days' },
+  website: { type: 'string', example: 'https://example.com' },
+  notes: { type: 'string', maxLength: 500, example: 'Preferred supplier for electronics.' },
+  isActive: { type: 'boolean' }
+};
+
+const createSupplier = {
+  body: {
+    type: 'object',
+    required: ['supplierName', 'contactPerson', 'email', 'phone'],
+    properties: supplierFields
+  }
+};
+
+const getSuppliers = {
+  query: {
+    type: 'object',
+    properties: {
+      ...paginationQuery(20),
+      search: { type: 'string', description: 'Search by name, contact, email, phone, city, state, GST, PAN' },
+      category: { type: 'string', description: 'Filter by category' },
+      state: { type: 'string', description: 'Filter by state' },
+      isActive: { type: 'boolean', description: 'Filter by active status' },
+      ...listQuery
+    }
+  }
+};
+
+const getSupplierById = { params: supplierParams };
+
+const updateSupplier = {
+  params: supplierParams,
+  body: {
+    type: 'object',
+    properties: supplierFields
+  }
+};
+
+const deleteSupplier = { params: supplierParams };
+
+const getDeletedSuppliers = {
+  query: {
+    type: 'object',
+    properties: paginationQuery(20)
+  }
+};
+
+const restoreSupplier = { params: supplierParams };
+
+const permanentDeleteSupplier = { params: supplierParams };
+
+const toggleSupplierStatus = { params: supplierParams };
+
+module.exports = {
+  createSupplier,
+  getSuppliers,
+  getSupplierById,
+  updateSupplier,
+  deleteSupplier,
+  getDeletedSuppliers,
+  restoreSupplier,
+  permanentDeleteSupplier,
+  toggleSupplierStatus
+};
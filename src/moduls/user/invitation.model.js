@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const auditPlugin = require('../audit/audit.plugin');
+const config = require('../../config/env');
+
+const INVITATION_EXPIRES_DAYS = config.auth.invitationExpiresDays;
+
+// Invitation tokens are only ever stored as SHA-256 hashes
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const invitationSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        lowercase: true,
+        trim: true,
+        match: [
+            /^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/,
+            'Please enter a valid email'
+        ]
+    },
+    role: {
+        type: String,
+        required: [true, 'Role is required'],
+        trim: true,
+        lowercase: true,
+        validate: {
+            validator: async function(value) {
+                return !!(await mongoose.model('Role').exists({ name: value }));
+            },
+            message: props => `Role '${props.value}' does not exist`
+        }
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    acceptedAt: {
+        type: Date,
+        default: null
+    },
+    acceptedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+// Indexes for better performance
+invitationSchema.index({ email: 1, acceptedAt: 1, revokedAt: 1 });
+invitationSchema.index({ expiresAt: 1 });
+
+// Virtual for invitation status
+invitationSchema.virtual('status').get(function() {
+    if (this.acceptedAt) return 'Accepted';
+    if (this.revokedAt) return 'Revoked';
+    if (this.expiresAt < new Date()) return 'Expired';
+    return 'Pending';
+});
+
+invitationSchema.set('toJSON', { virtuals: true });
+invitationSchema.set('toObject', { virtuals: true });
+
+// Static method to issue an invitation. The plain token is only returned here.
+invitationSchema.statics.issue = async function({ email, role, invitedBy, expiresInDays }) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const days = parseInt(expiresInDays) || INVITATION_EXPIRES_DAYS;
+
+    const invitation = await this.create({
+        email,
+        role,
+        invitedBy,
+        tokenHash: hashToken(token),
+        expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+    });
+
+    return { invitation, token };
+};
+
+// Static method to claim a pending invitation so that it cannot be used twice
+invitationSchema.statics.claim = function(token) {
+    return this.findOneAndUpdate(
+        {
+            tokenHash: hashToken(token),
+            acceptedAt: null,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        },
+        { $set: { acceptedAt: new Date() } },
+        { new: true }
+    );
+};
+
+// Record changes in the audit log
+invitationSchema.plugin(auditPlugin, { exclude: ['tokenHash'] });
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+module.exports = Invitation;
@@ -0,0 +1,473 @@
+const User = require('../auth/auth.model');
+const Session = require('../auth/session.model');
+const SecurityEvent = require('../auth/securityEvent.model');
+const LoginAttempt = require('../auth/loginAttempt.model');
+const Role = require('../role/role.model');
+const Invitation = require('./invitation.model');
+const ApiKey = require('../apikey/apikey.model');
+const mongoose = require('mongoose');
+const asyncHandler = require('../../utils/asyncHandler');
+const { sendSuccessResponse } = require('../../utils/response');
+const { BadRequestError, NotFoundError, ConflictError } = require('../../utils/errors');
+const { isCursorPagination, paginateWithCursor } = require('../../utils/pagination');
+const { escapeRegex } = require('../../utils/listQuery');
+const config = require('../../config/env');
+
+// Refuse changes that would leave the system without an active administrator
+const isLastActiveAdmin = async (user) => {
+    if (user.role !== 'admin' || !user.isActive) {
+        return false;
+    }
+    const activeAdmins = await User.countDocuments({ role: 'admin', isActive: true });
+    return activeAdmins <= 1;
+};
+
+// Load the target user of a lifecycle action, rejecting actions on oneself
+const findManagedUser = async (req) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid user ID');
+    }
+
+    if (id === req.user.id.toString()) {
+        throw new ConflictError('You cannot perform this action on your own account');
+    }
+
+    const user = await User.findById(id);
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    return user;
+};
+
+// Get all users with pagination and filters
+const getAllUsers = asyncHandler(async (req, res) => {
+    // Query is validated and coerced by the route schema
+    const {
+        page: pageNum,
+        limit: limitNum,
+        search = '',
+        role = '',
+        isActive,
+        sortBy,
+        sortOrder,
+        after,
+        before
+    } = req.query;
+
+    const skip = (pageNum - 1) * limitNum;
+
+    // Build query object
+    const query = {};
+
+    if (search) {
+        // Searched for as typed, not as a pattern
+        const pattern = escapeRegex(search);
+        query.$or = [
+            { name: { $regex: pattern, $options: 'i' } },
+            { email: { $regex: pattern, $options: 'i' } }
+        ];
+    }
+
+    if (role) query.role = role;
+    if (isActive !== undefined) query.isActive = isActive;
+
+    // Generic filter, sort and fields parameters
+    const listQuery = User.parseListQuery(req.query);
+    if (listQuery.conditions.length > 0) query.$and = listQuery.conditions;
+
+    // Build sort object
+    const sort = listQuery.sort || { [sortBy]: sortOrder === 'desc' ? -1 : 1 };
+
+    if (isCursorPagination(req.query)) {
+        const { items: users, pagination } = await paginateWithCursor(
+            User.find(query).select(listQuery.select || '-password').lean(),
+            { sort, limit: limitNum, after, before }
+        );
+        return sendSuccessResponse(res, 200, 'Users retrieved successfully', { users, pagination });
+    }
+
+    const users = await User.find(query)
+        .select(listQuery.select || '-password')
+        .sort(sort)
+        .skip(skip)
+        .limit(limitNum)
+        .lean();
+
+    const totalUsers = await User.countDocuments(query);
+    const totalPages = Math.ceil(totalUsers / limitNum);
+
+    const response = {
+        users,
+        pagination: {
+            currentPage: pageNum,
+            totalPages,
+            totalUsers,
+            hasNextPage: pageNum < totalPages,
+            hasPrevPage: pageNum > 1,
+            limit: limitNum
+        }
+    };
+
+    return sendSuccessResponse(res, 200, 'Users retrieved successfully', response);
+});
+
+// Get user by ID
+const getUserById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid user ID');
+    }
+
+    const user = await User.findById(id).select('-password');
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    return sendSuccessResponse(res, 200, 'User retrieved successfully', user);
+});
+
+// Get the login history of a user for security investigations
+const getUserLoginHistory = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const {
+        page: pageNum,
+        limit: limitNum,
+        success,
+        ipAddress = '',
+        startDate = '',
+        endDate = '',
+        after,
+        before
+    } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid user ID');
+    }
+
+    const user = await User.findById(id).select('email');
+    if (!user) {
+        throw new NotFoundError('User not found');
+    }
+
+    const skip = (pageNum - 1) * limitNum;
+
+    // Attempts with an unknown email are stored without a user, so match on the email too
+    const query = { $or: [{ user: user._id }, { email: user.email }] };
+
+    if (success !== undefined) query.success = success;
+    if (ipAddress) query.ipAddress = ipAddress;
+
+    if (startDate || endDate) {
+        query.createdAt = {};
+        if (startDate) query.createdAt.$gte = new Date(startDate);
+        if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const activeSessions = await Session.findActiveForUser(user._id)
+        .select('userAgent ipAddress createdAt lastUsedAt expiresAt')
+        .lean();
+
+    if (isCursorPagination(req.query)) {
+        const { items: attempts, pagination } = await paginateWithCursor(
+            LoginAttempt.find(query).lean(),
+            { sort: { createdAt: -1 }, limit: limitNum, after, before }
+        );
+        return sendSuccessResponse(res, 200, 'Login history retrieved successfully', { attempts, activeSessions, pagination });
+    }
+
+    const attempts = await LoginAttempt.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean();
+
+    const totalAttempts = await LoginAttempt.countDocuments(query);
+    const totalPages = Math.ceil(totalAttempts / limitNum);
+
+    return sendSuccessResponse(res, 200, 'Login history retrieved successfully', {
+        attempts,
+        activeSessions,
+        pagination: {
+            currentPage: pageNum,
+            totalPages,
+            totalAttempts,
+            hasNextPage: pageNum < totalPages,
+            hasPrevPage: pageNum > 1,
+            limit: limitNum
+        }
+    });
+});
+
+// Change the role assigned to a user
+const updateUserRole = asyncHandler(async (req, res) => {
+    const { role } = req.body;
+
+    const user = await findManagedUser(req);
+
+    const roleName = role.trim().toLowerCase();
+
+    const roleExists = await Role.exists({ name: roleName });
+    if (!roleExists) {
+        throw new BadRequestError(`Role '${role}' does not exist`);
+    }
+
+    if (roleName !== 'admin' && await isLastActiveAdmin(user)) {
+        throw new ConflictError('Cannot change the role of the last active administrator');
+    }
+
+    user.role = roleName;
+    await user.save();
+
+    // A role that requires 2FA takes effect at once for users who have not enrolled
+    if (!user.twoFactorEnabled && await Role.requiresTwoFactor(roleName)) {
+        await Session.revokeAllForUser(user._id, 'two_factor_required');
+    }
+
+    return sendSuccessResponse(res, 200, 'User role updated successfully', user);
+});
+
+// Deactivate user and sign them out everywhere
+const deactivateUser = asyncHandler(async (req, res) => {
+    const user = await findManagedUser(req);
+
+    if (await isLastActiveAdmin(user)) {
+        throw new ConflictError('Cannot deactivate the last active administrator');
+    }
+
+    user.isActive = false;
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'account_deactivated');
+
+    return sendSuccessResponse(res, 200, 'User deactivated successfully', user);
+});
+
+// Reactivate user
+const activateUser = asyncHandler(async (req, res) => {
+    const user = await findManagedUser(req);
+
+    user.isActive = true;
+    await user.save();
+
+    return sendSuccessResponse(res, 200, 'User activated successfully', user);
+});
+
+// Unlock an account locked after too many failed logins
+const unlockUser = asyncHandler(async (req, res) => {
+    const user = await findManagedUser(req);
+
+    if (!user.isLocked && !user.failedLoginAttempts) {
+        throw new ConflictError('User account is not locked');
+    }
+
+    user.resetLoginAttempts();
+    await user.save();
+
+    await SecurityEvent.record('account_unlocked', {
+        user: user._id,
+        actor: req.user.id,
+        reason: 'admin_unlock',
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+    });
+
+    return sendSuccessResponse(res, 200, 'User unlocked successfully', user);
+});
+
+// Turn off two-factor authentication for a user who lost their device and recovery codes
+const resetUserTwoFactor = asyncHandler(async (req, res) => {
+    const user = await findManagedUser(req);
+
+    if (!user.twoFactorEnabled) {
+        throw new ConflictError('Two-factor authentication is not enabled for this user');
+    }
+
+    user.clearTwoFactor();
+    await user.save();
+    await Session.revokeAllForUser(user._id, 'two_factor_reset');
+
+    await SecurityEvent.record('two_factor_reset', {
+        user: user._id,
+        actor: req.user.id,
+        reason: 'admin_reset',
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+    });
+
+    return sendSuccessResponse(res, 200, 'Two-factor authentication reset successfully', user);
+});
+
+// Get lockout, unlock and two-factor events for security review
+const getSecurityEvents = asyncHandler(async (req, res) => {
+    const {
+        page: pageNum,
+        limit: limitNum,
+        user = '',
+        type = '',
+        ipAddress = '',
+        startDate = '',
+        endDate = '',
+        after,
+        before
+    } = req.query;
+
+    const skip = (pageNum - 1) * limitNum;
+
+    // Build query object
+    const query = {};
+
+    if (user) query.user = user;
+    if (type) query.type = type;
+    if (ipAddress) query.ipAddress = ipAddress;
+
+    if (startDate || endDate) {
+        query.createdAt = {};
+        if (startDate) query.createdAt.$gte = new Date(startDate);
+        if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    if (isCursorPagination(req.query)) {
+        const { items: events, pagination } = await paginateWithCursor(
+            SecurityEvent.find(query)
+                .populate('user', 'name email')
+                .populate('actor', 'name email')
+                .lean(),
+            { sort: { createdAt: -1 }, limit: limitNum, after, before }
+        );
+        return sendSuccessResponse(res, 200, 'Security events retrieved successfully', { events, pagination });
+    }
+
+    const events = await SecurityEvent.find(query)
+        .populate('user', 'name email')
+        .populate('actor', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limitNum)
+        .lean();
+
+    const totalEvents = await SecurityEvent.countDocuments(query);
+    const totalPages = Math.ceil(totalEvents / limitNum);
+
+    return sendSuccessResponse(res, 200, 'Security events retrieved successfully', {
+        events,
+        pagination: {
+            currentPage: pageNum,
+            totalPages,
+            totalEvents,
+            hasNextPage: pageNum < totalPages,
+            hasPrevPage: pageNum > 1,
+            limit: limitNum
+        }
+    });
+});
+
+// Permanently delete user
+const deleteUser = asyncHandler(async (req, res) => {
+    const user = await findManagedUser(req);
+
+    if (await isLastActiveAdmin(user)) {
+        throw new ConflictError('Cannot delete the last active administrator');
+    }
+
+    await Session.deleteMany({ user: user._id });
+    await ApiKey.updateMany({ owner: user._id, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    await User.findByIdAndDelete(user._id);
+
+    return sendSuccessResponse(res, 200, 'User deleted successfully');
+});
+
+// Issue a single-use invitation that fixes the email and role of the new account
+const createInvitation = asyncHandler(async (req, res) => {
+    const { email, role = 'user', expiresInDays } = req.body;
+
+    const normalizedEmail = email.trim().toLowerCase();
+
+    const existingUser = await User.findOne({ email: normalizedEmail });
+    if (existingUser) {
+        throw new ConflictError('User with this email already exists');
+    }
+
+    // Only one pending invitation per email
+    await Invitation.updateMany(
+        { email: normalizedEmail, acceptedAt: null, revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+
+    const { invitation, token } = await Invitation.issue({
+        email: normalizedEmail,
+        role,
+        invitedBy: req.user.id,
+        expiresInDays
+    });
+
+    const frontendUrl = config.frontendUrl;
+
+    return sendSuccessResponse(res, 201, 'Invitation created successfully', {
+        invitation,
+        inviteToken: token,
+        inviteUrl: `${frontendUrl}/register?inviteToken=${token}`
+    });
+});
+
+// Get invitations, pending ones by default
+const getInvitations = asyncHandler(async (req, res) => {
+    const { status } = req.query;
+    const now = new Date();
+
+    const queryByStatus = {
+        Pending: { acceptedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+        Accepted: { acceptedAt: { $ne: null } },
+        Revoked: { acceptedAt: null, revokedAt: { $ne: null } },
+        Expired: { acceptedAt: null, revokedAt: null, expiresAt: { $lte: now } },
+        All: {}
+    };
+
+    const query = queryByStatus[status];
+
+    const invitations = await Invitation.find(query)
+        .populate('invitedBy', 'name email')
+        .populate('acceptedBy', 'name email')
+        .sort({ createdAt: -1 });
+
+    return sendSuccessResponse(res, 200, 'Invitations retrieved successfully', invitations);
+});
+
+// Revoke a pending invitation
+const revokeInvitation = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid invitation ID');
+    }
+
+    const invitation = await Invitation.findOneAndUpdate(
+        { _id: id, acceptedAt: null, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+    );
+
+    if (!invitation) {
+        throw new NotFoundError('Pending invitation not found');
+    }
+
+    return sendSuccessResponse(res, 200, 'Invitation revoked successfully', invitation);
+});
+
+module.exports = {
+    getAllUsers,
+    getUserById,
+    getUserLoginHistory,
+    updateUserRole,
+    deactivateUser,
+    activateUser,
+    unlockUser,
+    resetUserTwoFactor,
+    deleteUser,
+    getSecurityEvents,
+    createInvitation,
+    getInvitations,
+    revokeInvitation
+};
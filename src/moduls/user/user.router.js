@@ -0,0 +1,391 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getAllUsers,
+    getUserById,
+    getUserLoginHistory,
+    updateUserRole,
+    deactivateUser,
+    activateUser,
+    unlockUser,
+    resetUserTwoFactor,
+    deleteUser,
+    getSecurityEvents,
+    createInvitation,
+    getInvitations,
+    revokeInvitation
+} = require('./user.controller');
+const auth = require('../../middleware/auth.middleware');
+const requirePermission = require('../../middleware/permission.middleware');
+const validate = require('../../middleware/validate.middleware');
+const validation = require('./user.validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Users
+ *   description: User account management and invitation endpoints
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invitation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *         email:
+ *           type: string
+ *           format: email
+ *           example: "cashier@hotspot.com"
+ *         role:
+ *           type: string
+ *           example: "cashier"
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         invitedBy:
+ *           type: string
+ *           description: User who issued the invitation
+ *         acceptedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         acceptedBy:
+ *           type: string
+ *           nullable: true
+ *         revokedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [Pending, Accepted, Revoked, Expired]
+ *           example: "Pending"
+ *
+ *     SecurityEvent:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [account_locked, account_unlocked, ip_blocked, two_factor_enabled, two_factor_disabled, two_factor_reset]
+ *         user:
+ *           type: object
+ *           description: Affected user (not set for ip_blocked)
+ *         actor:
+ *           type: object
+ *           description: Administrator who unlocked the account, if any
+ *         reason:
+ *           type: string
+ *           example: "too_many_failed_attempts"
+ *         ipAddress:
+ *           type: string
+ *         userAgent:
+ *           type: string
+ *         lockedUntil:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: Get all users with pagination and filters
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing permission
+ */
+router.get('/', auth, requirePermission('users:read'), validate(validation.getAllUsers), getAllUsers);
+
+/**
+ * @swagger
+ * /api/users/invitations:
+ *   get:
+ *     summary: Get invitations
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invitations retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/Invitation'
+ */
+router.get('/invitations', auth, requirePermission('users:read'), validate(validation.getInvitations), getInvitations);
+
+/**
+ * @swagger
+ * /api/users/security-events:
+ *   get:
+ *     summary: Get account lockout, unlock and two-factor events
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Security events retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         events:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/SecurityEvent'
+ *                         pagination:
+ *                           type: object
+ */
+router.get('/security-events', auth, requirePermission('users:read'), validate(validation.getSecurityEvents), getSecurityEvents);
+
+/**
+ * @swagger
+ * /api/users/invitations:
+ *   post:
+ *     summary: Invite a new user
+ *     description: |
+ *       Issues a single-use, expiring invitation. The email and role of the new account are
+ *       fixed by the invitation. Any earlier pending invitation for the same email is revoked.
+ *       The invitation token is only returned in this response.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Invitation created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         invitation:
+ *                           $ref: '#/components/schemas/Invitation'
+ *                         inviteToken:
+ *                           type: string
+ *                         inviteUrl:
+ *                           type: string
+ *                           example: "http://localhost:3000/register?inviteToken=..."
+ *       400:
+ *         description: Validation failed or unknown role
+ *       409:
+ *         description: User with this email already exists
+ */
+router.post('/invitations', auth, requirePermission('users:write'), validate(validation.createInvitation), createInvitation);
+
+/**
+ * @swagger
+ * /api/users/invitations/{id}:
+ *   delete:
+ *     summary: Revoke a pending invitation
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Invitation revoked successfully
+ *       404:
+ *         description: Pending invitation not found
+ */
+router.delete('/invitations/:id', auth, requirePermission('users:write'), validate(validation.revokeInvitation), revokeInvitation);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   get:
+ *     summary: Get user by ID
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id', auth, requirePermission('users:read'), validate(validation.getUserById), getUserById);
+
+/**
+ * @swagger
+ * /api/users/{id}/login-history:
+ *   get:
+ *     summary: Get a user's login history and active sessions
+ *     description: Every login attempt for the account, including failures with the user's email, newest first
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Login history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/SuccessResponse'
+ *                 - type: object
+ *                   properties:
+ *                     data:
+ *                       type: object
+ *                       properties:
+ *                         attempts:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/LoginAttempt'
+ *                         activeSessions:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                         pagination:
+ *                           type: object
+ *       404:
+ *         description: User not found
+ */
+router.get('/:id/login-history', auth, requirePermission('users:read'), validate(validation.getUserLoginHistory), getUserLoginHistory);
+
+/**
+ * @swagger
+ * /api/users/{id}/role:
+ *   patch:
+ *     summary: Change a user's role
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User role updated successfully
+ *       400:
+ *         description: Role does not exist
+ *       409:
+ *         description: Own account or last active administrator
+ */
+router.patch('/:id/role', auth, requirePermission('users:write'), validate(validation.updateUserRole), updateUserRole);
+
+/**
+ * @swagger
+ * /api/users/{id}/deactivate:
+ *   patch:
+ *     summary: Deactivate a user and revoke all their sessions
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User deactivated successfully
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Own account or last active administrator
+ */
+router.patch('/:id/deactivate', auth, requirePermission('users:write'), validate(validation.deactivateUser), deactivateUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/activate:
+ *   patch:
+ *     summary: Reactivate a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User activated successfully
+ *       404:
+ *         description: User not found
+ */
+router.patch('/:id/activate', auth, requirePermission('users:write'), validate(validation.activateUser), activateUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   patch:
+ *     summary: Unlock an account locked after too many failed logins
+ *     description: Clears the lockout and the failed login counter before the lock expires on its own
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User unlocked successfully
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Own account or account is not locked
+ */
+router.patch('/:id/unlock', auth, requirePermission('users:write'), validate(validation.unlockUser), unlockUser);
+
+/**
+ * @swagger
+ * /api/users/{id}/two-factor/reset:
+ *   patch:
+ *     summary: Turn off two-factor authentication for a user
+ *     description: For users who lost their authenticator and recovery codes. Revokes all their sessions; if their role requires 2FA they enroll again at next login.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset successfully
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Own account or two-factor authentication not enabled
+ */
+router.patch('/:id/two-factor/reset', auth, requirePermission('users:write'), validate(validation.resetUserTwoFactor), resetUserTwoFactor);
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   delete:
+ *     summary: Permanently delete a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: User deleted successfully
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: Own account or last active administrator
+ */
+router.delete('/:id', auth, requirePermission('users:delete'), validate(validation.deleteUser), deleteUser);
+
+module.exports = router;
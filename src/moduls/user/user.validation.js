@@ -0,0 +1,130 @@
+const { objectId, idParams, paginationQuery, sortQuery, listQuery, dateTime } = require('../../middleware/validate.middleware');
+const User = require('../auth/auth.model');
+
+const SECURITY_EVENT_TYPES = [
+    'account_locked',
+    'account_unlocked',
+    'ip_blocked',
+    'two_factor_enabled',
+    'two_factor_disabled',
+    'two_factor_reset'
+];
+
+const userParams = idParams({ id: 'User ID' });
+
+const dateRange = {
+    startDate: { ...dateTime, description: 'Only entries from this date' },
+    endDate: { ...dateTime, description: 'Only entries until this date' }
+};
+
+const getAllUsers = {
+    query: {
+        type: 'object',
+        properties: {
+            ...paginationQuery(10),
+            search: { type: 'string', description: 'Search by name or email' },
+            role: { type: 'string', description: 'Filter by role name' },
+            isActive: { type: 'boolean', description: 'Filter by active status' },
+            ...sortQuery(User.sortFields),
+            ...listQuery
+        }
+    }
+};
+
+const getInvitations = {
+    query: {
+        type: 'object',
+        properties: {
+            status: {
+                type: 'string',
+                enum: ['Pending', 'Accepted', 'Revoked', 'Expired', 'All'],
+                default: 'Pending',
+                description: 'Filter by invitation status'
+            }
+        }
+    }
+};
+
+const getSecurityEvents = {
+    query: {
+        type: 'object',
+        properties: {
+            ...paginationQuery(20),
+            user: { ...objectId, description: 'Filter by user ID' },
+            type: { type: 'string', enum: SECURITY_EVENT_TYPES, description: 'Filter by event type' },
+            ipAddress: { type: 'string', description: 'Filter by IP address' },
+            ...dateRange
+        }
+    }
+};
+
+const createInvitation = {
+    body: {
+        type: 'object',
+        required: ['email'],
+        properties: {
+            email: { type: 'string', format: 'email', example: 'cashier@hotspot.com' },
+            role: { type: 'string', minLength: 1, description: 'Name of an existing role. Defaults to user', example: 'cashier' },
+            expiresInDays: {
+                type: 'integer',
+                minimum: 1,
+                description: 'Defaults to INVITATION_EXPIRES_DAYS (7)',
+                example: 3
+            }
+        }
+    }
+};
+
+const revokeInvitation = { params: idParams({ id: 'Invitation ID' }) };
+
+const getUserById = { params: userParams };
+
+const getUserLoginHistory = {
+    params: userParams,
+    query: {
+        type: 'object',
+        properties: {
+            ...paginationQuery(20),
+            success: { type: 'boolean', description: 'Only successful or only failed attempts' },
+            ipAddress: { type: 'string', description: 'Filter by IP address' },
+            ...dateRange
+        }
+    }
+};
+
+const updateUserRole = {
+    params: userParams,
+    body: {
+        type: 'object',
+        required: ['role'],
+        properties: {
+            role: { type: 'string', minLength: 1, description: 'Name of an existing role', example: 'store_manager' }
+        }
+    }
+};
+
+const deactivateUser = { params: userParams };
+
+const activateUser = { params: userParams };
+
+const unlockUser = { params: userParams };
+
+const resetUserTwoFactor = { params: userParams };
+
+const deleteUser = { params: userParams };
+
+module.exports = {
+    getAllUsers,
+    getInvitations,
+    getSecurityEvents,
+    createInvitation,
+    revokeInvitation,
+    getUserById,
+    getUserLoginHistory,
+    updateUserRole,
+    deactivateUser,
+    activateUser,
+    unlockUser,
+    resetUserTwoFactor,
+    deleteUser
+};
@@ -0,0 +1,347 @@
+const Webhook = require('./webhook.model');
+const WebhookDelivery = require('./webhookDelivery.model');
+const { WEBHOOK_EVENTS } = require('./webhook.events');
+const webhooks = require('../../services/webhooks');
+const mongoose = require('mongoose');
+const asyncHandler = require('../../utils/asyncHandler');
+const { sendSuccessResponse } = require('../../utils/response');
+const { BadRequestError, NotFoundError, ConflictError } = require('../../utils/errors');
+const { isCursorPagination, paginateWithCursor } = require('../../utils/pagination');
+const { escapeRegex } = require('../../utils/listQuery');
+
+// Get all webhooks with pagination and filters
+const getAllWebhooks = asyncHandler(async (req, res) => {
+    const {
+        page: pageNum,
+        limit: limitNum,
+        search = '',
+        event = '',
+        isActive,
+        after,
+        before
+    } = req.query;
+
+    const skip = (pageNum - 1) * limitNum;
+
+    // Build query object
+    const query = {};
+
+    if (search) {
+        const pattern = escapeRegex(search);
+        query.$or = [
+            { name: { $regex: pattern, $options: 'i' } },
+            { url: { $regex: pattern, $options: 'i' } }
+        ];
+    }
+
+    if (event) query.events = { $in: [event, '*'] };
+    if (isActive !== undefined) query.isActive = isActive;
+
+    // Generic filter, sort and fields parameters
+    const listQuery = Webhook.parseListQuery(req.query);
+    if (listQuery.conditions.length > 0) query.$and = listQuery.conditions;
+
+    const sort = listQuery.sort || { createdAt: -1 };
+
+    if (isCursorPagination(req.query)) {
+        const { items: webhookList, pagination } = await paginateWithCursor(
+            Webhook.find(query)
+                .select(listQuery.select)
+                .populate('createdBy', 'name email'),
+            { sort, limit: limitNum, after, before }
+        );
+        return sendSuccessResponse(res, 200, 'Webhooks retrieved successfully', { webhooks: webhookList, pagination });
+    }
+
+    const webhookList = await Webhook.find(query)
+        .select(listQuery.select)
+        .populate('createdBy', 'name email')
+        .sort(sort)
+        .skip(skip)
+        .limit(limitNum);
+
+    const totalWebhooks = await Webhook.countDocuments(query);
+    const totalPages = Math.ceil(totalWebhooks / limitNum);
+
+    const response = {
+        webhooks: webhookList,
+        pagination: {
+            currentPage: pageNum,
+            totalPages,
+            totalWebhooks,
+            hasNextPage: pageNum < totalPages,
+            hasPrevPage: pageNum > 1,
+            limit: limitNum
+        }
+    };
+
+    return sendSuccessResponse(res, 200, 'Webhooks retrieved successfully', response);
+});
+
+// List the events webhooks can subscribe to
+const getWebhookEvents = asyncHandler(async (req, res) => {
+    const events = Object.entries(WEBHOOK_EVENTS).map(([name, description]) => ({ name, description }));
+
+    return sendSuccessResponse(res, 200, 'Webhook events retrieved successfully', events);
+});
+
+// Get webhook by ID
+const getWebhookById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid webhook ID');
+    }
+
+    const webhook = await Webhook.findById(id)
+        .populate('createdBy', 'name email')
+        .populate('updatedBy', 'name email');
+
+    if (!webhook) {
+        throw new NotFoundError('Webhook not found');
+    }
+
+    return sendSuccessResponse(res, 200, 'Webhook retrieved successfully', webhook);
+});
+
+// Create a webhook. The signing secret is only returned in this response.
+const createWebhook = asyncHandler(async (req, res) => {
+    const { name, url, description, events, isActive } = req.body;
+
+    const { webhook, secret } = await Webhook.register({
+        name,
+        url,
+        description,
+        events,
+        isActive,
+        createdBy: req.user.id
+    });
+
+    return sendSuccessResponse(res, 201, 'Webhook created successfully. Store the secret now, it cannot be shown again', {
+        webhook,
+        secret
+    });
+});
+
+// Update a webhook
+const updateWebhook = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid webhook ID');
+    }
+
+    const webhook = await Webhook.findById(id);
+    if (!webhook) {
+        throw new NotFoundError('Webhook not found');
+    }
+
+    for (const field of ['name', 'url', 'description', 'events', 'isActive']) {
+        if (req.body[field] !== undefined) {
+            webhook[field] = req.body[field];
+        }
+    }
+    webhook.updatedBy = req.user.id;
+
+    await webhook.save();
+
+    return sendSuccessResponse(res, 200, 'Webhook updated successfully', webhook);
+});
+
+// Replace the signing secret of a webhook
+const rotateWebhookSecret = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid webhook ID');
+    }
+
+    const webhook = await Webhook.findById(id);
+    if (!webhook) {
+        throw new NotFoundError('Webhook not found');
+    }
+
+    const secret = await webhook.rotateSecret();
+
+    return sendSuccessResponse(res, 200, 'Webhook secret rotated successfully. Deliveries are now signed with the new secret', {
+        webhook,
+        secret
+    });
+});
+
+// Delete a webhook together with its delivery log
+const deleteWebhook = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid webhook ID');
+    }
+
+    const webhook = await Webhook.findByIdAndDelete(id);
+    if (!webhook) {
+        throw new NotFoundError('Webhook not found');
+    }
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    return sendSuccessResponse(res, 200, 'Webhook deleted successfully', webhook);
+});
+
+// Shared by the delivery log and the dead-letter list
+const listDeliveries = async (req, res, status, message) => {
+    const {
+        page: pageNum,
+        limit: limitNum,
+        webhook = '',
+        event = '',
+        startDate = '',
+        endDate = '',
+        after,
+        before
+    } = req.query;
+
+    const skip = (pageNum - 1) * limitNum;
+
+    // Build query object
+    const query = {};
+
+    if (webhook) query.webhook = webhook;
+    if (event) query.event = event;
+    if (status) query.status = status;
+
+    if (startDate || endDate) {
+        query.createdAt = {};
+        if (startDate) query.createdAt.$gte = new Date(startDate);
+        if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    // Generic filter, sort and fields parameters
+    const listQuery = WebhookDelivery.parseListQuery(req.query);
+    if (listQuery.conditions.length > 0) query.$and = listQuery.conditions;
+
+    const sort = listQuery.sort || { createdAt: -1 };
+
+    // Payloads and attempt logs can be large, they are left to the detail endpoint unless asked for
+    const select = listQuery.select || '-payload -attemptLog';
+
+    if (isCursorPagination(req.query)) {
+        const { items: deliveries, pagination } = await paginateWithCursor(
+            WebhookDelivery.find(query)
+                .select(select)
+                .populate('webhook', 'name url'),
+            { sort, limit: limitNum, after, before }
+        );
+        return sendSuccessResponse(res, 200, message, { deliveries, pagination });
+    }
+
+    const deliveries = await WebhookDelivery.find(query)
+        .select(select)
+        .populate('webhook', 'name url')
+        .sort(sort)
+        .skip(skip)
+        .limit(limitNum);
+
+    const totalDeliveries = await WebhookDelivery.countDocuments(query);
+    const totalPages = Math.ceil(totalDeliveries / limitNum);
+
+    const response = {
+        deliveries,
+        pagination: {
+            currentPage: pageNum,
+            totalPages,
+            totalDeliveries,
+            hasNextPage: pageNum < totalPages,
+            hasPrevPage: pageNum > 1,
+            limit: limitNum
+        }
+    };
+
+    return sendSuccessResponse(res, 200, message, response);
+};
+
+// Get the delivery log
+const getDeliveries = asyncHandler(async (req, res) => {
+    return listDeliveries(req, res, req.query.status, 'Webhook deliveries retrieved successfully');
+});
+
+// Get the dead-letter list: deliveries that ran out of attempts
+const getDeadLetters = asyncHandler(async (req, res) => {
+    return listDeliveries(req, res, 'Dead', 'Dead-letter deliveries retrieved successfully');
+});
+
+// Get a delivery with its payload and attempt log
+const getDeliveryById = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid delivery ID');
+    }
+
+    const delivery = await WebhookDelivery.findById(id)
+        .populate('webhook', 'name url events isActive')
+        .populate('redeliveredBy', 'name email');
+
+    if (!delivery) {
+        throw new NotFoundError('Webhook delivery not found');
+    }
+
+    return sendSuccessResponse(res, 200, 'Webhook delivery retrieved successfully', delivery);
+});
+
+// Send a delivery again with the same payload and event ID, with a fresh set of attempts
+const redeliver = asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+        throw new BadRequestError('Invalid delivery ID');
+    }
+
+    const delivery = await WebhookDelivery.findById(id);
+    if (!delivery) {
+        throw new NotFoundError('Webhook delivery not found');
+    }
+
+    const webhook = await Webhook.findById(delivery.webhook);
+    if (!webhook || !webhook.isActive) {
+        throw new ConflictError('Cannot redeliver to a disabled webhook');
+    }
+
+    // Only one queued run per delivery; the status check makes concurrent requests safe
+    const queued = await WebhookDelivery.findOneAndUpdate(
+        { _id: delivery._id, status: { $ne: 'Pending' } },
+        {
+            $set: {
+                status: 'Pending',
+                attempts: 0,
+                nextAttemptAt: new Date(),
+                lockedUntil: null,
+                deadAt: null,
+                redeliveredAt: new Date(),
+                redeliveredBy: req.user.id
+            }
+        },
+        { new: true }
+    );
+
+    if (!queued) {
+        throw new ConflictError('Delivery is already queued');
+    }
+
+    webhooks.processDueDeliveries();
+
+    return sendSuccessResponse(res, 202, 'Webhook delivery queued for redelivery', queued);
+});
+
+module.exports = {
+    getAllWebhooks,
+    getWebhookEvents,
+    getWebhookById,
+    createWebhook,
+    updateWebhook,
+    rotateWebhookSecret,
+    deleteWebhook,
+    getDeliveries,
+    getDeadLetters,
+    getDeliveryById,
+    redeliver
+};
@@ -0,0 +1,19 @@
+// Catalogue of events a webhook can subscribe to, named "<entity>.<change>".
+// A webhook lists the events it wants, or "*" for every event.
+
+const WEBHOOK_EVENTS = {
+    'purchaseOrder.statusChanged': 'A purchase order moved to another status',
+    'paymentLink.paymentRecorded': 'A payment was recorded against a payment link',
+    'product.stockChanged': 'The stock quantity of a product was updated',
+    'customer.created': 'A new customer was created'
+};
+
+const EVENT_NAMES = Object.keys(WEBHOOK_EVENTS);
+
+const isValidEvent = (event) => event === '*' || EVENT_NAMES.includes(event);
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    EVENT_NAMES,
+    isValidEvent
+};
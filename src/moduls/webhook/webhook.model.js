@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { isValidEvent } = require('./webhook.events');
+const auditPlugin = require('../audit/audit.plugin');
+const listQueryPlugin = require('../../utils/listQuery');
+const { checkDestination } = require('../../services/webhooks/destination');
+
+const SECRET_PREFIX = 'whsec_';
+
+// The secret signs every delivery, so unlike API keys it has to be stored as is
+const generateSecret = () => `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+const webhookSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Webhook name is required'],
+        trim: true,
+        maxlength: [100, 'Webhook name cannot exceed 100 characters']
+    },
+    url: {
+        type: String,
+        required: [true, 'Webhook URL is required'],
+        trim: true,
+        match: [/^https?:\/\/\S+$/i, 'Webhook URL must be an http or https URL'],
+        validate: {
+            // Rejects local and private addresses; checked again before each delivery
+            validator: async function(url) {
+                if (!this.isNew && !this.isModified('url')) return true;
+
+                let reason;
+                try {
+                    reason = await checkDestination(url);
+                } catch (error) {
+                    throw new Error(`Webhook URL host could not be resolved (${error.code || error.message})`);
+                }
+                if (reason) throw new Error(reason);
+                return true;
+            }
+        }
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+    events: {
+        type: [String],
+        validate: [
+            {
+                validator: events => events.length > 0,
+                message: 'At least one event is required'
+            },
+            {
+                validator: events => events.every(isValidEvent),
+                message: props => `Invalid event in ${JSON.stringify(props.value)}`
+            }
+        ]
+    },
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    secretRotatedAt: {
+        type: Date,
+        default: null
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+// Indexes for better performance
+webhookSchema.index({ isActive: 1, events: 1 });
+
+// Static method to create a webhook with a new signing secret. The secret is returned
+// here and by rotateSecret, and is otherwise never selected.
+webhookSchema.statics.register = async function(fields) {
+    const secret = generateSecret();
+    const webhook = await this.create({ ...fields, secret });
+
+    return { webhook, secret };
+};
+
+// Static method to find the active webhooks subscribed to an event
+webhookSchema.statics.findSubscribers = function(event) {
+    return this.find({ isActive: true, events: { $in: [event, '*'] } });
+};
+
+// Replace the signing secret. Deliveries sent from now on are signed with the new one.
+webhookSchema.methods.rotateSecret = async function() {
+    const secret = generateSecret();
+
+    this.secret = secret;
+    this.secretRotatedAt = new Date();
+    await this.save();
+
+    return secret;
+};
+
+// Record changes in the audit log
+webhookSchema.plugin(auditPlugin, { exclude: ['secret'] });
+
+// Fields clients can filter, sort and select on in list endpoints (see utils/listQuery)
+webhookSchema.plugin(listQueryPlugin, {
+    filter: ['isActive', 'events', 'createdAt'],
+    sort: ['name', 'createdAt', 'updatedAt'],
+    select: [
+        'name', 'url', 'description', 'events', 'isActive', 'secretRotatedAt',
+        'createdBy', 'updatedBy', 'createdAt', 'updatedAt'
+    ]
+});
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
@@ -0,0 +1,333 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getAllWebhooks,
+    getWebhookEvents,
+    getWebhookById,
+    createWebhook,
+    updateWebhook,
+    rotateWebhookSecret,
+    deleteWebhook,
+    getDeliveries,
+    getDeadLetters,
+    getDeliveryById,
+    redeliver
+} = require('./webhook.controller');
+const auth = require('../../middleware/auth.middleware');
+const requirePermission = require('../../middleware/permission.middleware');
+const validate = require('../../middleware/validate.middleware');
+const validation = require('./webhook.validation');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: Outbound webhooks that notify the ERP, the storefront and other systems of changes
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Webhook:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           example: "60f7b3b3b3b3b3b3b3b3b3b3"
+ *         name:
+ *           type: string
+ *           example: "ERP purchase order sync"
+ *         url:
+ *           type: string
+ *           description: Must resolve to a public address; localhost, private and link-local addresses are rejected
+ *           example: "https://erp.example.com/hooks/hotspot"
+ *         description:
+ *           type: string
+ *         events:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["purchaseOrder.statusChanged", "paymentLink.paymentRecorded"]
+ *         isActive:
+ *           type: boolean
+ *           example: true
+ *         secretRotatedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *
+ *     WebhookSecretResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         message:
+ *           type: string
+ *         data:
+ *           type: object
+ *           properties:
+ *             webhook:
+ *               $ref: '#/components/schemas/Webhook'
+ *             secret:
+ *               type: string
+ *               description: Key for verifying X-Webhook-Signature. Shown only once
+ *               example: "whsec_Jx9..."
+ *
+ *     WebhookDelivery:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: Also sent as X-Webhook-Id
+ *         webhook:
+ *           type: object
+ *         event:
+ *           type: string
+ *           example: "purchaseOrder.statusChanged"
+ *         eventId:
+ *           type: string
+ *           description: Same for every delivery of the event, including redeliveries
+ *         payload:
+ *           type: object
+ *           description: The JSON body that is sent, { id, event, createdAt, data }
+ *         status:
+ *           type: string
+ *           enum: [Pending, Delivered, Dead]
+ *         attempts:
+ *           type: integer
+ *         nextAttemptAt:
+ *           type: string
+ *           format: date-time
+ *         lastStatusCode:
+ *           type: integer
+ *           nullable: true
+ *         lastError:
+ *           type: string
+ *           nullable: true
+ *         deliveredAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         deadAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         attemptLog:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               attempt:
+ *                 type: integer
+ *               attemptedAt:
+ *                 type: string
+ *                 format: date-time
+ *               statusCode:
+ *                 type: integer
+ *               durationMs:
+ *                 type: integer
+ *               error:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: Get all webhooks
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhooks retrieved successfully
+ */
+router.get('/', auth, requirePermission('webhooks:read'), validate(validation.getAllWebhooks), getAllWebhooks);
+
+/**
+ * @swagger
+ * /api/webhooks/events:
+ *   get:
+ *     summary: Get the events webhooks can subscribe to
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhook events retrieved successfully
+ */
+router.get('/events', auth, requirePermission('webhooks:read'), getWebhookEvents);
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries:
+ *   get:
+ *     summary: Get the delivery log
+ *     description: Payloads and attempt logs are left out unless requested with fields=
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhook deliveries retrieved successfully
+ */
+router.get('/deliveries', auth, requirePermission('webhooks:read'), validate(validation.getDeliveries), getDeliveries);
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/dead-letters:
+ *   get:
+ *     summary: Get the dead-letter list
+ *     description: Deliveries that ran out of attempts or whose webhook was disabled. They are not retried until redelivered.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Dead-letter deliveries retrieved successfully
+ */
+router.get('/deliveries/dead-letters', auth, requirePermission('webhooks:read'), validate(validation.getDeadLetters), getDeadLetters);
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/{id}:
+ *   get:
+ *     summary: Get a delivery with its payload and attempt log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhook delivery retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Webhook delivery not found
+ */
+router.get('/deliveries/:id', auth, requirePermission('webhooks:read'), validate(validation.getDeliveryById), getDeliveryById);
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/{id}/redeliver:
+ *   post:
+ *     summary: Redeliver a delivery
+ *     description: |
+ *       Queues a delivered or dead delivery again with the same payload and event ID and a
+ *       fresh set of retries. The attempt log is kept.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Webhook delivery queued for redelivery
+ *       404:
+ *         description: Webhook delivery not found
+ *       409:
+ *         description: Delivery is already queued or the webhook is disabled
+ */
+router.post('/deliveries/:id/redeliver', auth, requirePermission('webhooks:write'), validate(validation.redeliver), redeliver);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get webhook by ID
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhook retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Webhook'
+ *       404:
+ *         description: Webhook not found
+ */
+router.get('/:id', auth, requirePermission('webhooks:read'), validate(validation.getWebhookById), getWebhookById);
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Create a webhook
+ *     description: |
+ *       The signing secret is returned once. Every delivery is a POST with an
+ *       X-Webhook-Signature header of sha256=<hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<raw body>">.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Webhook created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookSecretResponse'
+ *       422:
+ *         description: Validation failed
+ */
+router.post('/', auth, requirePermission('webhooks:write'), validate(validation.createWebhook), createWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   put:
+ *     summary: Update a webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhook updated successfully
+ *       404:
+ *         description: Webhook not found
+ */
+router.put('/:id', auth, requirePermission('webhooks:write'), validate(validation.updateWebhook), updateWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}/rotate-secret:
+ *   post:
+ *     summary: Rotate the signing secret of a webhook
+ *     description: Deliveries sent from now on, including retries, are signed with the new secret.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhook secret rotated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookSecretResponse'
+ *       404:
+ *         description: Webhook not found
+ */
+router.post('/:id/rotate-secret', auth, requirePermission('webhooks:write'), validate(validation.rotateWebhookSecret), rotateWebhookSecret);
+
+/**
+ * @swagger
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook and its delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Webhook deleted successfully
+ *       404:
+ *         description: Webhook not found
+ */
+router.delete('/:id', auth, requirePermission('webhooks:delete'), validate(validation.deleteWebhook), deleteWebhook);
+
+module.exports = router;
@@ -0,0 +1,104 @@
+const { objectId, idParams, paginationQuery, listQuery, dateTime } = require('../../middleware/validate.middleware');
+const { EVENT_NAMES } = require('./webhook.events');
+
+const webhookParams = idParams({ id: 'Webhook ID' });
+const deliveryParams = idParams({ id: 'Delivery ID' });
+
+const webhookFields = {
+    name: { type: 'string', minLength: 1, maxLength: 100, example: 'ERP purchase order sync' },
+    url: {
+        type: 'string',
+        format: 'uri',
+        pattern: '^https?://',
+        description: 'Endpoint that receives the signed POST requests',
+        example: 'https://erp.example.com/hooks/hotspot'
+    },
+    description: { type: 'string', maxLength: 500 },
+    events: {
+        type: 'array',
+        minItems: 1,
+        uniqueItems: true,
+        items: { type: 'string', enum: [...EVENT_NAMES, '*'] },
+        description: 'Events to receive, or "*" for every event',
+        example: ['purchaseOrder.statusChanged', 'paymentLink.paymentRecorded']
+    },
+    isActive: { type: 'boolean', description: 'Disabled webhooks receive nothing; their due deliveries go to the dead-letter list' }
+};
+
+const getAllWebhooks = {
+    query: {
+        type: 'object',
+        properties: {
+            ...paginationQuery(10),
+            search: { type: 'string', description: 'Search by name or URL' },
+            event: { type: 'string', enum: EVENT_NAMES, description: 'Only webhooks that receive this event' },
+            isActive: { type: 'boolean', description: 'Filter by active state' },
+            ...listQuery
+        }
+    }
+};
+
+const getWebhookById = { params: webhookParams };
+
+const createWebhook = {
+    body: {
+        type: 'object',
+        required: ['name', 'url', 'events'],
+        properties: webhookFields
+    }
+};
+
+const updateWebhook = {
+    params: webhookParams,
+    body: {
+        type: 'object',
+        properties: webhookFields
+    }
+};
+
+const rotateWebhookSecret = { params: webhookParams };
+
+const deleteWebhook = { params: webhookParams };
+
+const deliveryFilters = {
+    ...paginationQuery(20),
+    webhook: { ...objectId, description: 'Filter by webhook ID' },
+    event: { type: 'string', enum: EVENT_NAMES, description: 'Filter by event' },
+    startDate: { ...dateTime, description: 'Deliveries created on or after this time' },
+    endDate: { ...dateTime, description: 'Deliveries created on or before this time' },
+    ...listQuery
+};
+
+const getDeliveries = {
+    query: {
+        type: 'object',
+        properties: {
+            ...deliveryFilters,
+            status: { type: 'string', enum: ['Pending', 'Delivered', 'Dead'], description: 'Filter by delivery status' }
+        }
+    }
+};
+
+const getDeadLetters = {
+    query: {
+        type: 'object',
+        properties: deliveryFilters
+    }
+};
+
+const getDeliveryById = { params: deliveryParams };
+
+const redeliver = { params: deliveryParams };
+
+module.exports = {
+    getAllWebhooks,
+    getWebhookById,
+    createWebhook,
+    updateWebhook,
+    rotateWebhookSecret,
+    deleteWebhook,
+    getDeliveries,
+    getDeadLetters,
+    getDeliveryById,
+    redeliver
+};
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+const listQueryPlugin = require('../../utils/listQuery');
+
+// One delivery of one event to one webhook. A delivery stays Pending while it is
+// being retried, becomes Delivered on a 2xx answer and Dead once it runs out of
+// attempts. Dead deliveries form the dead-letter list and can be redelivered.
+const webhookDeliverySchema = new mongoose.Schema({
+    webhook: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Webhook',
+        required: [true, 'Webhook is required']
+    },
+    event: {
+        type: String,
+        required: [true, 'Event is required']
+    },
+    // Shared by every delivery of the same event, so receivers can drop duplicates
+    eventId: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: {
+            values: ['Pending', 'Delivered', 'Dead'],
+            message: 'Status must be Pending, Delivered or Dead'
+        },
+        default: 'Pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    // Set while a worker is sending the delivery, so no other worker picks it up
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    lastAttemptAt: {
+        type: Date,
+        default: null
+    },
+    lastStatusCode: {
+        type: Number,
+        default: null
+    },
+    lastError: {
+        type: String,
+        default: null
+    },
+    deliveredAt: {
+        type: Date,
+        default: null
+    },
+    deadAt: {
+        type: Date,
+        default: null
+    },
+    redeliveredAt: {
+        type: Date,
+        default: null
+    },
+    redeliveredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    attemptLog: [{
+        _id: false,
+        attempt: Number,
+        attemptedAt: Date,
+        statusCode: Number,
+        durationMs: Number,
+        error: String
+    }]
+}, {
+    timestamps: true,
+    versionKey: false
+});
+
+// Indexes for better performance
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ eventId: 1 });
+webhookDeliverySchema.index({ event: 1, createdAt: -1 });
+
+// Static method to lock the next due delivery for sending. Resolves to null when
+// nothing is due. A lock that is still held after lockMs is considered abandoned,
+// e.g. because the server stopped mid-delivery.
+webhookDeliverySchema.statics.claimNext = function(lockMs) {
+    const now = new Date();
+
+    return this.findOneAndUpdate(
+        {
+            status: 'Pending',
+            nextAttemptAt: { $lte: now },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+        },
+        { $set: { lockedUntil: new Date(now.getTime() + lockMs) } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    );
+};
+
+// Fields clients can filter, sort and select on in list endpoints (see utils/listQuery)
+webhookDeliverySchema.plugin(listQueryPlugin, {
+    filter: ['webhook', 'event', 'eventId', 'status', 'createdAt'],
+    sort: ['createdAt', 'nextAttemptAt', 'lastAttemptAt', 'attempts'],
+    select: [
+        'webhook', 'event', 'eventId', 'payload', 'status', 'attempts', 'nextAttemptAt', 'lastAttemptAt',
+        'lastStatusCode', 'lastError', 'deliveredAt', 'deadAt', 'redeliveredAt', 'redeliveredBy',
+        'attemptLog', 'createdAt', 'updatedAt'
+    ]
+});
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
@@ -13,6 +13,14 @@ const locationRoutes = require('../moduls/location/location.router');
 const notificationRoutes = require('../moduls/notification/notification.router');
 const supplierRoutes = require('../moduls/suppliers/suppliers.router');
 const purchaseOrderRoutes = require('../moduls/order/purchaseorder.router');
+const roleRoutes = require('../moduls/role/role.router');
+const userRoutes = require('../moduls/user/user.router');
+const apiKeyRoutes = require('../moduls/apikey/apikey.router');
+const auditLogRoutes = require('../moduls/audit/auditlog.router');
+const webhookRoutes = require('../moduls/webhook/webhook.router');
+const jobRoutes = require('../moduls/job/job.router');
+const importRoutes = require('../moduls/import/import.router');
+const healthRoutes = require('../moduls/health/health.router');
 
 /**
  * @swagger
@@ -33,39 +41,14 @@ router.use('/locations', locationRoutes);
 router.use('/notifications', notificationRoutes);
 router.use('/suppliers', supplierRoutes);
 router.use('/purchase-orders', purchaseOrderRoutes);
-
-/**
- * @swagger
- * /api/health:
- *   get:
- *     summary: Health check endpoint
- *     tags: [System]
- *     responses:
- *       200:
- *         description: API is running
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
- *                 message:
- *                   type: string
- *                   example: "API is running"
- *                 timestamp:
- *                   type: string
- *                   format: date-time
- *                   example: "2024-01-01T00:00:00.000Z"
- */
-router.get('/health', (req, res) => {
-    res.status(200).json({
-        success: true,
-        message: 'API is running',
-        timestamp: new Date().toISOString()
-    });
-});
+router.use('/roles', roleRoutes);
+router.use('/users', userRoutes);
+router.use('/api-keys', apiKeyRoutes);
+router.use('/audit-logs', auditLogRoutes);
+router.use('/webhooks', webhookRoutes);
+router.use('/jobs', jobRoutes);
+router.use('/imports', importRoutes);
+router.use('/health', healthRoutes);
 
 /**
  * @swagger
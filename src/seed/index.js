@@ -0,0 +1,120 @@
+/**
+ * Demo data for local development and QA
+ *
+ * Each module that has demo data provides a <module>.seed.js next to its model:
+ *
+ *   module.exports = {
+ *       name: 'products',
+ *       Model: Product,
+ *       seed: async ({ random, count, refs, owner }) => [...documents],
+ *       reset: async () => { ... }   // optional, defaults to emptying the collection
+ *   };
+ *
+ * `random` is a seeded generator (see random.js), so the same seed gives the
+ * same data. `count(n)` scales a base number of records by the volume.
+ * `refs` holds what the seeders before it created, by name, so records point at
+ * each other: orders at real suppliers and products, payment links at real
+ * customers. `owner` is the admin user recorded as creator where a model needs one.
+ */
+
+const User = require('../moduls/auth/auth.model');
+const config = require('../config/env');
+const { createRandom } = require('./random');
+
+// In dependency order: a seeder may only use the refs of those before it
+const SEEDERS = [
+    require('../moduls/product/category.seed'),
+    require('../moduls/product/product.seed'),
+    require('../moduls/suppliers/suppliers.seed'),
+    require('../moduls/order/purchaseorder.seed'),
+    require('../moduls/custommer/custommer.seed'),
+    require('../moduls/employee/employee.seed'),
+    require('../moduls/location/location.seed'),
+    require('../moduls/paymentlink/paymentlink.seed'),
+    require('../moduls/notification/notification.seed')
+];
+
+// How many times the base number of records each seeder creates
+const VOLUMES = {
+    small: 1,
+    medium: 5,
+    large: 25
+};
+
+const DEFAULT_SEED = 'hotspot';
+
+// The admin the demo data is created by: the one given, else the first admin
+const findOwner = async (email) => {
+    const owner = email
+        ? await User.findOne({ email: email.toLowerCase() })
+        : await User.findOne({ role: 'admin', isActive: true }).sort({ createdAt: 1 });
+
+    if (!owner) {
+        throw new Error(email
+            ? `No user with email ${email}`
+            : 'No active admin to own the demo data, create one with npm run create-admin');
+    }
+    return owner;
+};
+
+// Names of the seeded collections that already hold documents, trashed ones included
+const findNonEmpty = async () => {
+    const counts = await Promise.all(SEEDERS.map(({ Model }) => Model.collection.countDocuments()));
+    return SEEDERS.filter((seeder, index) => counts[index] > 0).map(({ name }) => name);
+};
+
+// Empty every seeded collection, dependants first
+const reset = async () => {
+    for (const { Model, reset: resetSeeder } of [...SEEDERS].reverse()) {
+        if (resetSeeder) {
+            await resetSeeder();
+        } else {
+            await Model.collection.deleteMany({});
+        }
+    }
+};
+
+/**
+ * Fill the database with demo data. Refuses to run in production, and on a
+ * database that already has data unless `reset` is set, in which case the
+ * seeded collections are emptied first. Users and roles are left alone.
+ * Resolves to the number of records created per seeder.
+ */
+const seed = async ({ seed: seedValue = DEFAULT_SEED, volume = 'small', reset: shouldReset = false, owner: ownerEmail } = {}) => {
+    if (config.isProduction) {
+        throw new Error('Demo data cannot be seeded in production');
+    }
+    if (!VOLUMES[volume]) {
+        throw new Error(`Volume must be one of ${Object.keys(VOLUMES).join(', ')}`);
+    }
+
+    const owner = await findOwner(ownerEmail);
+
+    if (shouldReset) {
+        await reset();
+    } else {
+        const nonEmpty = await findNonEmpty();
+        if (nonEmpty.length > 0) {
+            throw new Error(`${nonEmpty.join(', ')} already have data, run with --reset to replace it`);
+        }
+    }
+
+    const random = createRandom(seedValue);
+    const count = (base) => base * VOLUMES[volume];
+    const refs = {};
+    const created = {};
+
+    for (const seeder of SEEDERS) {
+        refs[seeder.name] = await seeder.seed({ random, count, refs, owner });
+        created[seeder.name] = refs[seeder.name].length;
+    }
+
+    return created;
+};
+
+module.exports = {
+    VOLUMES,
+    DEFAULT_SEED,
+    seed,
+    reset
+};
@@ -0,0 +1,54 @@
+// Names and places shared by the seeders of customers, employees, suppliers and
+// locations. Indian cities, since the models validate 6 digit pincodes.
+
+const FIRST_NAMES = {
+    Male: ['Aarav', 'Vihaan', 'Arjun', 'Rohan', 'Kabir', 'Ishaan', 'Aditya', 'Rahul', 'Karan', 'Siddharth', 'Nikhil', 'Manish'],
+    Female: ['Ananya', 'Diya', 'Priya', 'Meera', 'Kavya', 'Isha', 'Neha', 'Pooja', 'Riya', 'Sneha', 'Aditi', 'Tanvi'],
+    Other: ['Arya', 'Kiran', 'Jaya', 'Noor']
+};
+
+const LAST_NAMES = ['Sharma', 'Verma', 'Patel', 'Iyer', 'Reddy', 'Nair', 'Gupta', 'Mehta', 'Joshi', 'Kapoor', 'Rao', 'Singh', 'Das', 'Kulkarni', 'Chopra', 'Bose'];
+
+// City, state, first digits of its pincodes and the city centre
+const CITIES = [
+    { city: 'Mumbai', state: 'Maharashtra', pincode: '400', latitude: 19.076, longitude: 72.8777 },
+    { city: 'Pune', state: 'Maharashtra', pincode: '411', latitude: 18.5204, longitude: 73.8567 },
+    { city: 'Delhi', state: 'Delhi', pincode: '110', latitude: 28.6139, longitude: 77.209 },
+    { city: 'Bangalore', state: 'Karnataka', pincode: '560', latitude: 12.9716, longitude: 77.5946 },
+    { city: 'Hyderabad', state: 'Telangana', pincode: '500', latitude: 17.385, longitude: 78.4867 },
+    { city: 'Chennai', state: 'Tamil Nadu', pincode: '600', latitude: 13.0827, longitude: 80.2707 },
+    { city: 'Kolkata', state: 'West Bengal', pincode: '700', latitude: 22.5726, longitude: 88.3639 },
+    { city: 'Ahmedabad', state: 'Gujarat', pincode: '380', latitude: 23.0225, longitude: 72.5714 },
+    { city: 'Jaipur', state: 'Rajasthan', pincode: '302', latitude: 26.9124, longitude: 75.7873 }
+];
+
+const STREETS = ['MG Road', 'Station Road', 'Park Street', 'Linking Road', 'Brigade Road', 'Anna Salai', 'Church Street', 'Residency Road', 'Nehru Nagar', 'Gandhi Marg'];
+
+// A person with a unique email: `index` keeps emails apart when names repeat
+const person = (random, index, domain) => {
+    const gender = random.weighted({ Male: 48, Female: 48, Other: 4 });
+    const firstName = random.pick(FIRST_NAMES[gender]);
+    const lastName = random.pick(LAST_NAMES);
+
+    return {
+        gender,
+        fullName: `${firstName} ${lastName}`,
+        email: `${firstName}.${lastName}.${index + 1}@${domain}`.toLowerCase(),
+        // Indian mobile numbers start with 6 to 9
+        mobileNumber: `+91${random.int(6, 9)}${random.digits(9)}`
+    };
+};
+
+const place = (random) => {
+    const city = random.pick(CITIES);
+    return {
+        street: `${random.int(1, 250)}, ${random.pick(STREETS)}`,
+        city: city.city,
+        state: city.state,
+        pincode: `${city.pincode}${random.digits(3)}`,
+        latitude: city.latitude,
+        longitude: city.longitude
+    };
+};
+
+module.exports = { CITIES, person, place };
@@ -0,0 +1,67 @@
+/**
+ * Seeded random numbers for demo data. The same seed always produces the same
+ * sequence, so `npm run seed -- --seed 42` gives every environment the same
+ * records (apart from dates, which are relative to when the seed runs).
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Turn any seed, number or text, into a 32 bit integer
+const hashSeed = (seed) => {
+    let hash = 2166136261;
+    for (const char of String(seed)) {
+        hash = Math.imul(hash ^ char.charCodeAt(0), 16777619);
+    }
+    return hash >>> 0;
+};
+
+// mulberry32, small and good enough for fixtures
+const createGenerator = (seed) => {
+    let state = hashSeed(seed);
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const createRandom = (seed, now = new Date()) => {
+    const next = createGenerator(seed);
+
+    const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+    const float = (min, max, decimals = 2) => Number((min + next() * (max - min)).toFixed(decimals));
+    const bool = (probability = 0.5) => next() < probability;
+    const pick = (items) => items[Math.floor(next() * items.length)];
+
+    // Pick by weight, e.g. weighted({ Active: 8, Inactive: 2 })
+    const weighted = (weights) => {
+        const entries = Object.entries(weights);
+        let roll = next() * entries.reduce((sum, [, weight]) => sum + weight, 0);
+        for (const [value, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) return value;
+        }
+        return entries[entries.length - 1][0];
+    };
+
+    // `count` different items, in random order
+    const sample = (items, count) => {
+        const copy = [...items];
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(next() * (i + 1));
+            [copy[i], copy[j]] = [copy[j], copy[i]];
+        }
+        return copy.slice(0, Math.min(count, copy.length));
+    };
+
+    const digits = (length) => Array.from({ length }, () => int(0, 9)).join('');
+
+    // A date between `fromDays` and `toDays` days from now; negative is the past
+    const daysFromNow = (fromDays, toDays) => new Date(now.getTime() + float(fromDays, toDays, 4) * DAY_MS);
+
+    return { next, int, float, bool, pick, weighted, sample, digits, daysFromNow, now };
+};
+
+module.exports = { createRandom };
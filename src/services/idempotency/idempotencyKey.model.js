@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// One Idempotency-Key of one caller, with the response of the first request made
+// with it. MongoDB removes keys once they expire.
+const idempotencyKeySchema = new mongoose.Schema({
+    // "<user:id | apiKey:id>:<key>", so callers cannot see each other's responses
+    _id: {
+        type: String
+    },
+    // Hash of the method, URL and body of the first request
+    fingerprint: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['Processing', 'Completed'],
+        default: 'Processing'
+    },
+    // While Processing, retries are turned away until this time. After it the first
+    // request is assumed to have died and a retry takes over.
+    lockedUntil: {
+        type: Date,
+        required: true
+    },
+    statusCode: {
+        type: Number
+    },
+    body: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    completedAt: {
+        type: Date
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true,
+    versionKey: false,
+    minimize: false
+});
+
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
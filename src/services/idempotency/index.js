@@ -0,0 +1,78 @@
+/**
+ * Idempotency key store
+ *
+ * Remembers the response of the first request made with an Idempotency-Key so
+ * that retries of it can be answered without running the request again. Keys
+ * are kept for IDEMPOTENCY_KEY_TTL_HOURS (default 24) in MongoDB, so a retry is
+ * recognised by every server instance.
+ */
+
+const IdempotencyKey = require('./idempotencyKey.model');
+const config = require('../../config/env');
+
+const TTL_HOURS = config.idempotency.keyTtlHours;
+
+// How long a first request may take before a retry is allowed to take over
+const LOCK_MS = 2 * 60 * 1000;
+
+/**
+ * Reserve a key for a request. Resolves to one of:
+ *   { state: 'new' }              - first use, run the request and complete() or release() the key
+ *   { state: 'replay', record }   - already answered, send record.statusCode and record.body
+ *   { state: 'in_progress' }      - the first request is still running
+ *   { state: 'mismatch' }         - the key was used for a different request
+ */
+const begin = async (id, fingerprint, retry = true) => {
+    const now = new Date();
+
+    try {
+        await IdempotencyKey.create({
+            _id: id,
+            fingerprint,
+            lockedUntil: new Date(now.getTime() + LOCK_MS),
+            expiresAt: new Date(now.getTime() + TTL_HOURS * 60 * 60 * 1000)
+        });
+        return { state: 'new' };
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+    }
+
+    const record = await IdempotencyKey.findById(id).lean();
+
+    // Expired but not yet removed by MongoDB, or removed just now: start over once
+    if (!record || record.expiresAt <= now) {
+        if (!retry) return { state: 'in_progress' };
+        if (record) await IdempotencyKey.deleteOne({ _id: id, expiresAt: record.expiresAt });
+        return begin(id, fingerprint, false);
+    }
+
+    if (record.fingerprint !== fingerprint) {
+        return { state: 'mismatch' };
+    }
+
+    if (record.status === 'Completed') {
+        return { state: 'replay', record };
+    }
+
+    const takenOver = await IdempotencyKey.findOneAndUpdate(
+        { _id: id, status: 'Processing', lockedUntil: { $lte: now } },
+        { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } }
+    );
+
+    return takenOver ? { state: 'new' } : { state: 'in_progress' };
+};
+
+// Store the response of a request that reserved the key with begin()
+const complete = (id, { statusCode, body }) => IdempotencyKey.updateOne(
+    { _id: id, status: 'Processing' },
+    { $set: { status: 'Completed', statusCode, body, completedAt: new Date() } }
+);
+
+// Give up a reserved key without a stored response, so the request can be retried
+const release = (id) => IdempotencyKey.deleteOne({ _id: id, status: 'Processing' });
+
+module.exports = {
+    begin,
+    complete,
+    release
+};
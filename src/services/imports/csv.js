@@ -0,0 +1,99 @@
+/**
+ * CSV reading and writing for imports.
+ *
+ * Files are read as UTF-8. Fields may be quoted, with "" for a quote inside a
+ * quoted field, and quoted fields may span lines. The delimiter is whichever
+ * of comma, semicolon or tab the header line uses most, since spreadsheet
+ * programs in many locales save CSV with semicolons.
+ */
+
+const DELIMITERS = [',', ';', '\t'];
+
+// Count delimiters in the first line, outside quotes
+const detectDelimiter = (text) => {
+    const counts = new Map(DELIMITERS.map(delimiter => [delimiter, 0]));
+    let quoted = false;
+
+    for (const char of text) {
+        if (char === '"') quoted = !quoted;
+        else if (!quoted && (char === '\n' || char === '\r')) break;
+        else if (!quoted && counts.has(char)) counts.set(char, counts.get(char) + 1);
+    }
+
+    return [...counts.entries()].reduce((best, entry) => (entry[1] > best[1] ? entry : best))[0];
+};
+
+// Every record as an array of fields. Blank lines are kept as empty records, so
+// records are numbered the way a spreadsheet numbers its rows.
+const parseCsv = (input) => {
+    const text = input.replace(/^\uFEFF/, '');
+    const delimiter = detectDelimiter(text);
+
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    const endField = () => {
+        record.push(field);
+        field = '';
+    };
+    const endRecord = () => {
+        endField();
+        records.push(record.length === 1 && record[0] === '' ? [] : record);
+        record = [];
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            endField();
+        } else if (char === '\r' || char === '\n') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            endRecord();
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error('The file ends inside a quoted field');
+    }
+    if (field !== '' || record.length > 0) {
+        endRecord();
+    }
+
+    return records;
+};
+
+// Spreadsheet programs run cells starting with = + - or @ as formulas. Numbers
+// such as -5 or a phone number like +91 98765 43210 are left alone.
+const isFormula = (text) => /^[=@\t\r]/.test(text) || (/^[+-]/.test(text) && !/^[+-][\d\s().-]*$/.test(text));
+
+const formatField = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (isFormula(text)) {
+        text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV line, with its line break
+const toCsvLine = (fields) => `${fields.map(formatField).join(',')}\r\n`;
+
+module.exports = {
+    parseCsv,
+    toCsvLine
+};
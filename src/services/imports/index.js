@@ -0,0 +1,520 @@
+/**
+ * Bulk import of products, customers and employees from CSV or XLSX files
+ *
+ * Each module that can be imported describes itself in a <module>.import.js:
+ *
+ *   module.exports = {
+ *       name: 'customers',                 // also the permission module, customers:write
+ *       label: 'customer',
+ *       Model: Customer,
+ *       key: 'email',                      // natural key, used to find records to update
+ *       unique: ['mobileNumber'],          // other fields no two records may share
+ *       schemas: { create, update },       // body schemas of the create and update endpoints
+ *       columns: ['email', 'fullName', 'address.city'],
+ *       aliases: { phone: 'mobileNumber' },
+ *       normalize: (data) => data,         // optional, e.g. lower case emails
+ *       resolve: async (data, cache) => [],  // optional, e.g. look up references
+ *       afterCreate: async (record) => {}  // optional, e.g. publish a webhook event
+ *   };
+ *
+ * Columns are matched to fields by header, ignoring case, spaces and
+ * punctuation, so "Full Name", "full_name" and "fullName" all map to fullName.
+ * A mapping sent with the upload overrides this per header. Empty cells are
+ * left out, so updating a record never clears a field.
+ *
+ * Every row goes through the checks of the create endpoint, or of the update
+ * endpoint when it updates a record, and then through the model validation. A
+ * row that fails is reported with its problems and the other rows go ahead.
+ *
+ * Files of up to IMPORT_SYNC_MAX_ROWS rows are imported while the upload waits.
+ * Larger ones are stored and imported by the process-imports job in batches;
+ * rows are marked as they go, so an import that is interrupted resumes where it
+ * stopped.
+ */
+
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const Import = require('../../moduls/import/import.model');
+const ImportRow = require('../../moduls/import/importRow.model');
+const { validateData } = require('../../middleware/validate.middleware');
+const { BadRequestError } = require('../../utils/errors');
+const { isShuttingDown } = require('../shutdown');
+const { parseCsv, toCsvLine } = require('./csv');
+const { parseXlsx } = require('./xlsx');
+const logger = require('../logger');
+const config = require('../../config/env');
+
+const IMPORTERS = Object.fromEntries([
+    require('../../moduls/product/product.import'),
+    require('../../moduls/custommer/custommer.import'),
+    require('../../moduls/employee/employee.import')
+].map(importer => [importer.name, importer]));
+
+const ENTITIES = Object.keys(IMPORTERS);
+const FORMATS = ['csv', 'xlsx'];
+
+const BATCH_SIZE = 50;
+const INSERT_BATCH_SIZE = 1000;
+const LOCK_MS = 2 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+// Identifies this process in import locks
+const instanceId = `${os.hostname()}:${process.pid}`;
+
+const getImporter = (entity) => IMPORTERS[entity] || null;
+
+const simplify = (text) => String(text).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const formatOf = (fileName) => {
+    const format = path.extname(fileName || '').slice(1).toLowerCase();
+    return FORMATS.includes(format) ? format : null;
+};
+
+// Find the field for each header. Headers that match nothing are ignored.
+const mapColumns = (importer, headers, mapping = {}) => {
+    const fieldsByName = new Map(importer.columns.map(field => [simplify(field), field]));
+    Object.entries(importer.aliases || {}).forEach(([alias, field]) => fieldsByName.set(simplify(alias), field));
+
+    const columns = [];
+    const ignoredColumns = [];
+    const problems = [];
+
+    Object.keys(mapping)
+        .filter(header => !headers.includes(header))
+        .forEach(header => problems.push({ field: header, message: 'is mapped but not in the file' }));
+
+    headers.forEach((header, index) => {
+        if (header === '') return;
+
+        const field = Object.prototype.hasOwnProperty.call(mapping, header)
+            ? mapping[header]
+            : fieldsByName.get(simplify(header));
+        if (!field) {
+            ignoredColumns.push(header);
+            return;
+        }
+
+        const taken = columns.find(column => column.field === field);
+        if (!importer.columns.includes(field)) {
+            problems.push({ field: header, message: `is mapped to ${field}, which cannot be imported` });
+        } else if (taken) {
+            problems.push({ field: header, message: `maps to ${field}, like ${taken.header}` });
+        } else {
+            columns.push({ index, header, field });
+        }
+    });
+
+    if (!columns.some(column => column.field === importer.key)) {
+        problems.push({ field: importer.key, message: 'needs a column, it identifies each record' });
+    }
+
+    if (problems.length > 0) {
+        throw new BadRequestError('The columns of the file cannot be imported', { errors: problems });
+    }
+    return { columns, ignoredColumns };
+};
+
+// Schema of a field such as address.city
+const fieldSchema = (schema, field) => field.split('.').reduce(
+    (current, part) => (current && current.properties ? current.properties[part] : null),
+    schema
+);
+
+// Spreadsheets write booleans in many ways; anything else is left for validation to reject
+const parseValue = (importer, field, value) => {
+    const schema = fieldSchema(importer.schemas.create, field);
+    if (schema && schema.type === 'boolean') {
+        if (TRUE_VALUES.includes(value.toLowerCase())) return true;
+        if (FALSE_VALUES.includes(value.toLowerCase())) return false;
+    }
+    return value;
+};
+
+// The record data of one row, with nested fields for dotted columns
+const toData = (importer, columns, values) => {
+    const data = {};
+
+    for (const { index, field } of columns) {
+        const value = String(values[index] ?? '').trim();
+        if (value === '') continue;
+
+        const parts = field.split('.');
+        const parent = parts.slice(0, -1).reduce((target, part) => {
+            target[part] = target[part] || {};
+            return target[part];
+        }, data);
+        parent[parts[parts.length - 1]] = parseValue(importer, field, value);
+    }
+
+    return importer.normalize ? importer.normalize(data) : data;
+};
+
+// Dotted paths of the leaves of an object, e.g. [['address.city', 'Pune']]
+const flattenPaths = (data, prefix = '') => Object.entries(data).flatMap(([key, value]) => (
+    value && typeof value === 'object' && !Array.isArray(value)
+        ? flattenPaths(value, `${prefix}${key}.`)
+        : [[`${prefix}${key}`, value]]
+));
+
+const readRows = (format, buffer) => {
+    try {
+        return format === 'csv'
+            ? parseCsv(buffer.toString('utf8'))
+            : parseXlsx(buffer, { maxRows: config.imports.maxRows + 1 });
+    } catch (error) {
+        throw new BadRequestError(`The file could not be read: ${error.message}`);
+    }
+};
+
+/**
+ * Read an uploaded file and store it as an import. Rows that repeat the key
+ * or another unique value of an earlier row fail straight away. Files of up to
+ * IMPORT_SYNC_MAX_ROWS rows are imported before this resolves; larger ones are
+ * left Pending for the process-imports job. Resolves to the import.
+ */
+const createImport = async ({ entity, file, dryRun = false, upsert = false, mapping, userId }) => {
+    const importer = getImporter(entity);
+    const format = formatOf(file.originalname);
+    if (!format) {
+        throw new BadRequestError('Only .csv and .xlsx files can be imported');
+    }
+
+    const [headerRow = [], ...records] = readRows(format, file.buffer);
+    const headers = headerRow.map(header => String(header).trim());
+    if (!headers.some(Boolean)) {
+        throw new BadRequestError('The first row of the file must name the columns');
+    }
+    const { columns, ignoredColumns } = mapColumns(importer, headers, mapping);
+
+    // Row numbers as in the file, the header being row 1
+    const rows = records
+        .map((values, index) => ({ row: index + 2, values: values.map(value => String(value)) }))
+        .filter(({ values }) => values.some(value => value.trim() !== ''));
+
+    if (rows.length === 0) {
+        throw new BadRequestError('The file has no rows to import');
+    }
+    if (rows.length > config.imports.maxRows) {
+        throw new BadRequestError(`The file has ${rows.length} rows, at most ${config.imports.maxRows} can be imported at once`);
+    }
+
+    const now = new Date();
+    const expiresAt = new Date(now.getTime() + config.imports.retentionDays * DAY_MS);
+    const sync = rows.length <= config.imports.syncMaxRows;
+    const headerOf = (field) => (columns.find(column => column.field === field) || {}).header;
+
+    // Rows repeating a value an earlier row has, by "field:value"
+    const firstRows = new Map();
+    let duplicates = 0;
+
+    const importDoc = new Import({
+        entity,
+        fileName: file.originalname,
+        format,
+        dryRun,
+        upsert,
+        headers,
+        columns: columns.map(({ header, field }) => ({ header, field })),
+        ignoredColumns,
+        totalRows: rows.length,
+        createdBy: userId,
+        expiresAt,
+        // Imported right here, so the job must not pick it up meanwhile
+        ...(sync && { status: 'Processing', lockedBy: instanceId, lockedUntil: new Date(now.getTime() + LOCK_MS) })
+    });
+
+    const rowDocs = rows.map(({ row, values }) => {
+        const data = toData(importer, columns, values);
+        const problems = [];
+
+        for (const field of [importer.key, ...(importer.unique || [])]) {
+            if (data[field] === undefined) continue;
+
+            const value = `${field}:${data[field]}`;
+            if (firstRows.has(value)) {
+                problems.push({ field, column: headerOf(field), message: `is the same as in row ${firstRows.get(value)}` });
+            } else {
+                firstRows.set(value, row);
+            }
+        }
+        if (problems.length > 0) duplicates++;
+
+        return {
+            import: importDoc._id,
+            row,
+            values,
+            data,
+            status: problems.length > 0 ? 'Failed' : 'Pending',
+            problems,
+            expiresAt
+        };
+    });
+
+    importDoc.processedRows = duplicates;
+    importDoc.counts.failed = duplicates;
+    await importDoc.save();
+
+    try {
+        for (let i = 0; i < rowDocs.length; i += INSERT_BATCH_SIZE) {
+            await ImportRow.insertMany(rowDocs.slice(i, i + INSERT_BATCH_SIZE), { lean: true });
+        }
+    } catch (error) {
+        await ImportRow.deleteMany({ import: importDoc._id });
+        await Import.deleteOne({ _id: importDoc._id });
+        throw error;
+    }
+
+    logger.info('Import created', { import: importDoc._id, entity, rows: rows.length, dryRun, upsert, sync });
+
+    if (sync) {
+        await runImport(importDoc);
+        return Import.findById(importDoc._id);
+    }
+    return importDoc;
+};
+
+// Import one row. Resolves to the row's new status, its problems and the record.
+const importRow = async (importer, importDoc, row, cache) => {
+    const { Model, key, label } = importer;
+    const data = structuredClone(row.data);
+
+    const headerOf = (field) => {
+        const column = importDoc.columns.find(item => item.field === field || field.startsWith(`${item.field}.`));
+        return column ? column.header : null;
+    };
+    const fail = (problems) => ({
+        status: 'Failed',
+        problems: problems.map(problem => ({ ...problem, column: headerOf(problem.field) }))
+    });
+
+    if (data[key] === undefined) {
+        return fail([{ field: key, message: 'is required' }]);
+    }
+
+    // Trashed records still hold their key, see utils/softDelete
+    const existing = await Model.findOne({ [key]: data[key] }).setOptions({ withDeleted: true });
+    if (existing && existing.deletedAt) {
+        return fail([{ field: key, message: `belongs to a ${label} in the trash, restore or delete it there first` }]);
+    }
+    if (existing && !importDoc.upsert) {
+        return fail([{ field: key, message: 'already exists' }]);
+    }
+
+    // References such as a category name are turned into IDs before validation
+    const problems = importer.resolve ? await importer.resolve(data, cache) : [];
+    if (problems.length > 0) {
+        return fail(problems);
+    }
+
+    const schemaProblems = validateData(existing ? importer.schemas.update : importer.schemas.create, data);
+    if (schemaProblems.length > 0) {
+        return fail(schemaProblems);
+    }
+
+    for (const field of importer.unique || []) {
+        if (data[field] === undefined) continue;
+
+        const taken = await Model.exists({ [field]: data[field], ...(existing && { _id: { $ne: existing._id } }) })
+            .setOptions({ withDeleted: true });
+        if (taken) {
+            problems.push({ field, message: `already belongs to another ${label}` });
+        }
+    }
+    if (problems.length > 0) {
+        return fail(problems);
+    }
+
+    let record = existing;
+    if (record) {
+        flattenPaths(data).forEach(([field, value]) => record.set(field, value));
+    } else {
+        record = new Model(data);
+    }
+
+    try {
+        await record.validate();
+    } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        return fail(Object.values(error.errors).map(({ path: field, message }) => ({ field, message })));
+    }
+
+    const status = !existing ? 'Created' : record.isModified() ? 'Updated' : 'Unchanged';
+    if (importDoc.dryRun || status === 'Unchanged') {
+        return { status, problems: [], record: existing ? existing._id : null };
+    }
+
+    try {
+        await record.save();
+    } catch (error) {
+        // Another request took the value since it was checked
+        if (error.code !== 11000) throw error;
+        const field = Object.keys(error.keyValue || error.keyPattern || {})[0] || key;
+        return fail([{ field, message: 'already exists' }]);
+    }
+
+    if (status === 'Created' && importer.afterCreate) {
+        await importer.afterCreate(record);
+    }
+    return { status, problems: [], record: record._id };
+};
+
+// Exact counts from the rows, in case an interrupted batch was counted twice
+const recount = async (importId) => {
+    const groups = await ImportRow.aggregate([
+        { $match: { import: importId } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const byStatus = Object.fromEntries(groups.map(group => [group._id, group.count]));
+
+    return {
+        processedRows: groups.filter(group => group._id !== 'Pending').reduce((sum, group) => sum + group.count, 0),
+        'counts.created': byStatus.Created || 0,
+        'counts.updated': byStatus.Updated || 0,
+        'counts.unchanged': byStatus.Unchanged || 0,
+        'counts.failed': byStatus.Failed || 0
+    };
+};
+
+/**
+ * Import the pending rows of an import this instance holds the lock of, in
+ * batches. Stops early, keeping the import Processing for the next run, once
+ * `deadline` has passed, the server is shutting down or the lock was lost.
+ * Resolves to true when the import finished.
+ */
+const runImport = async (importDoc, { deadline = null } = {}) => {
+    const importer = getImporter(importDoc.entity);
+    const cache = new Map();
+    const unlock = { lockedUntil: null, lockedBy: null };
+
+    try {
+        if (!importDoc.startedAt) {
+            await Import.updateOne({ _id: importDoc._id }, { $set: { startedAt: new Date() } });
+        }
+
+        for (;;) {
+            if ((deadline && Date.now() > deadline) || isShuttingDown()) {
+                await Import.updateOne({ _id: importDoc._id, lockedBy: instanceId }, { $set: unlock });
+                return false;
+            }
+
+            const rows = await ImportRow.find({ import: importDoc._id, status: 'Pending' })
+                .sort({ row: 1 })
+                .limit(BATCH_SIZE)
+                .lean();
+            if (rows.length === 0) break;
+
+            const counts = { created: 0, updated: 0, unchanged: 0, failed: 0 };
+            for (const row of rows) {
+                let outcome;
+                try {
+                    outcome = await importRow(importer, importDoc, row, cache);
+                } catch (error) {
+                    logger.error('Import row failed', { import: importDoc._id, row: row.row, error });
+                    outcome = { status: 'Failed', problems: [{ field: null, column: null, message: `could not be imported: ${error.message}` }] };
+                }
+
+                await ImportRow.updateOne(
+                    { _id: row._id },
+                    { $set: { status: outcome.status, problems: outcome.problems, record: outcome.record || null } }
+                );
+                counts[outcome.status.toLowerCase()]++;
+            }
+
+            const progress = await Import.updateOne(
+                { _id: importDoc._id, lockedBy: instanceId },
+                {
+                    $inc: {
+                        processedRows: rows.length,
+                        'counts.created': counts.created,
+                        'counts.updated': counts.updated,
+                        'counts.unchanged': counts.unchanged,
+                        'counts.failed': counts.failed
+                    },
+                    $set: { lockedUntil: new Date(Date.now() + LOCK_MS) }
+                }
+            );
+            if (progress.matchedCount === 0) {
+                logger.warn('Import lock lost, leaving the rest to the instance holding it', { import: importDoc._id });
+                return false;
+            }
+        }
+
+        await Import.updateOne(
+            { _id: importDoc._id },
+            { $set: { ...(await recount(importDoc._id)), status: 'Completed', finishedAt: new Date(), ...unlock } }
+        );
+        logger.info('Import completed', { import: importDoc._id, entity: importDoc.entity, dryRun: importDoc.dryRun });
+        return true;
+    } catch (error) {
+        logger.error('Import failed', { import: importDoc._id, error });
+        await Import.updateOne(
+            { _id: importDoc._id },
+            { $set: { status: 'Failed', error: error.message, finishedAt: new Date(), ...unlock } }
+        );
+        return true;
+    }
+};
+
+// Work on queued imports, oldest first, for up to budgetMs. Used by the
+// process-imports job; what is left over is picked up by its next run.
+const processPendingImports = async ({ budgetMs = 60 * 1000 } = {}) => {
+    const deadline = Date.now() + budgetMs;
+    const finished = [];
+
+    while (Date.now() < deadline && !isShuttingDown()) {
+        const importDoc = await Import.claimNext(LOCK_MS, instanceId);
+        if (!importDoc) break;
+
+        if (await runImport(importDoc, { deadline })) {
+            finished.push(importDoc._id.toString());
+        }
+    }
+
+    return { finished: finished.length };
+};
+
+const formatProblems = (problems) => problems
+    .map(({ field, column, message }) => [column || field, message].filter(Boolean).join(' '))
+    .join('; ');
+
+/**
+ * Write the results of an import as CSV: the columns of the uploaded file,
+ * followed by the row number, what happened to the row, its problems and the
+ * ID of the record. With failedOnly, the file holds only the rows that failed,
+ * ready to be fixed and uploaded again.
+ */
+const writeResults = async (importDoc, stream, { failedOnly = false } = {}) => {
+    const query = { import: importDoc._id, ...(failedOnly && { status: 'Failed' }) };
+
+    // A client that goes away stops the download
+    const closed = once(stream, 'close').catch(() => {});
+
+    stream.write(toCsvLine([...importDoc.headers, 'Import Row', 'Import Result', 'Import Problems', 'Record ID']));
+
+    for await (const row of ImportRow.find(query).sort({ row: 1 }).lean().cursor()) {
+        const values = importDoc.headers.map((header, index) => row.values[index] ?? '');
+        const line = toCsvLine([...values, row.row, row.status, formatProblems(row.problems), row.record || '']);
+        if (!stream.write(line)) {
+            await Promise.race([once(stream, 'drain'), closed]);
+        }
+        if (stream.destroyed) return;
+    }
+
+    stream.end();
+};
+
+// A CSV with just the header row, listing every column a module can import
+const getTemplate = (entity) => toCsvLine(getImporter(entity).columns);
+
+module.exports = {
+    ENTITIES,
+    getImporter,
+    createImport,
+    processPendingImports,
+    writeResults,
+    getTemplate
+};
@@ -0,0 +1,254 @@
+/**
+ * Reads the first worksheet of an .xlsx file into rows of text.
+ *
+ * An .xlsx file is a zip archive of XML parts. Only what an import needs is
+ * read: cell values, shared strings, and the number formats that mark a
+ * number as a date. Formulas come back as the value Excel last calculated.
+ * Dates become YYYY-MM-DD, or YYYY-MM-DDTHH:mm:ss when they have a time.
+ * Old .xls files, encrypted workbooks and zip64 archives are not supported,
+ * nor workbooks that unpack to much more than their file size, see readZip.
+ */
+
+const zlib = require('zlib');
+
+// Parts are inflated and searched in memory, so a workbook may inflate to at most
+// INFLATE_RATIO times its size, between MIN_ and MAX_INFLATED_BYTES in total.
+// Spreadsheet XML compresses well, but rarely beyond 20 to 1.
+const INFLATE_RATIO = 25;
+const MIN_INFLATED_BYTES = 5 * 1024 * 1024;
+const MAX_INFLATED_BYTES = 64 * 1024 * 1024;
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+// Built-in number formats that show dates or times
+const DATE_FORMAT_IDS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58]);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Every file in the archive by name, read on demand within one budget of inflated bytes
+const readZip = (buffer) => {
+    const searchFrom = Math.max(0, buffer.length - 0xFFFF - 22);
+    let eocd = -1;
+    for (let i = buffer.length - 22; i >= searchFrom; i--) {
+        if (buffer.readUInt32LE(i) === EOCD_SIGNATURE) {
+            eocd = i;
+            break;
+        }
+    }
+    if (eocd === -1) {
+        throw new Error('The file is not a valid .xlsx workbook');
+    }
+
+    const entryCount = buffer.readUInt16LE(eocd + 10);
+    let offset = buffer.readUInt32LE(eocd + 16);
+    if (entryCount === 0xFFFF || offset === 0xFFFFFFFF) {
+        throw new Error('Workbooks saved as zip64 are not supported');
+    }
+
+    let budget = Math.min(MAX_INFLATED_BYTES, Math.max(MIN_INFLATED_BYTES, buffer.length * INFLATE_RATIO));
+    const tooLarge = () => new Error('The workbook holds too much data to import, split it into smaller files');
+
+    const entries = new Map();
+    for (let i = 0; i < entryCount; i++) {
+        if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+            throw new Error('The file is not a valid .xlsx workbook');
+        }
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        entries.set(buffer.toString('utf8', offset + 46, offset + 46 + nameLength), {
+            flags: buffer.readUInt16LE(offset + 8),
+            method: buffer.readUInt16LE(offset + 10),
+            compressedSize: buffer.readUInt32LE(offset + 20),
+            size: buffer.readUInt32LE(offset + 24),
+            localOffset: buffer.readUInt32LE(offset + 42)
+        });
+        offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+    }
+
+    const read = (name) => {
+        const entry = entries.get(name);
+        if (!entry) return null;
+
+        if (entry.flags & 0x1) {
+            throw new Error('Encrypted workbooks are not supported');
+        }
+        // The declared size may be wrong, so inflating is capped as well
+        if (entry.size > budget) {
+            throw tooLarge();
+        }
+        if (buffer.readUInt32LE(entry.localOffset) !== LOCAL_SIGNATURE) {
+            throw new Error('The file is not a valid .xlsx workbook');
+        }
+
+        const start = entry.localOffset + 30 + buffer.readUInt16LE(entry.localOffset + 26) + buffer.readUInt16LE(entry.localOffset + 28);
+        const data = buffer.subarray(start, start + entry.compressedSize);
+
+        let content;
+        if (entry.method === 0) {
+            content = data;
+        } else if (entry.method === 8) {
+            try {
+                content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(budget, 1) });
+            } catch (error) {
+                if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+                throw error;
+            }
+        } else {
+            throw new Error('The workbook uses an unsupported compression method');
+        }
+
+        if (content.length > budget) {
+            throw tooLarge();
+        }
+        budget -= content.length;
+        return content.toString('utf8');
+    };
+
+    return { read };
+};
+
+const decodeXml = (text) => text.replace(/&(#x[0-9a-fA-F]+|#\d+|lt|gt|amp|quot|apos);/g, (match, entity) => {
+    switch (entity) {
+        case 'lt': return '<';
+        case 'gt': return '>';
+        case 'amp': return '&';
+        case 'quot': return '"';
+        case 'apos': return '\'';
+        default:
+            return String.fromCodePoint(entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10));
+    }
+});
+
+const attribute = (attributes, name) => {
+    const match = new RegExp(`(?:^|\\s)${name}="([^"]*)"`).exec(attributes);
+    return match ? decodeXml(match[1]) : null;
+};
+
+// The text of <t> elements, leaving out phonetic guides (<rPh>) used for East Asian text
+const readText = (xml) => {
+    const withoutPhonetics = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '');
+    let text = '';
+    for (const [, content] of withoutPhonetics.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) {
+        text += decodeXml(content);
+    }
+    return text;
+};
+
+const readSharedStrings = (xml) => (xml
+    ? [...xml.matchAll(/<si>([\s\S]*?)<\/si>|<si\/>/g)].map(([, content]) => (content ? readText(content) : ''))
+    : []);
+
+// For each cell style, whether it shows a date
+const readDateStyles = (xml) => {
+    if (!xml) return [];
+
+    const customDateFormats = new Set();
+    for (const [, attributes] of xml.matchAll(/<numFmt\s([^>]*?)\/?>/g)) {
+        // Literal text and [colour] or [h] sections say nothing about the value
+        const code = (attribute(attributes, 'formatCode') || '').replace(/"[^"]*"|\[[^\]]*\]|\\./g, '');
+        if (/[dmyhs]/i.test(code)) {
+            customDateFormats.add(Number(attribute(attributes, 'numFmtId')));
+        }
+    }
+
+    const cellXfs = /<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/.exec(xml);
+    if (!cellXfs) return [];
+
+    return [...cellXfs[1].matchAll(/<xf\s([^>]*?)\/?>/g)].map(([, attributes]) => {
+        const formatId = Number(attribute(attributes, 'numFmtId') || 0);
+        return DATE_FORMAT_IDS.has(formatId) || customDateFormats.has(formatId);
+    });
+};
+
+// Path of the first worksheet, from the workbook and its relationships
+const findFirstSheet = (zip) => {
+    const workbook = zip.read('xl/workbook.xml');
+    const relationships = zip.read('xl/_rels/workbook.xml.rels');
+    if (!workbook || !relationships) {
+        throw new Error('The file is not a valid .xlsx workbook');
+    }
+
+    const sheet = /<sheet\s([^>]*?)\/?>/.exec(workbook);
+    if (!sheet) {
+        throw new Error('The workbook has no worksheets');
+    }
+    const id = attribute(sheet[1], 'r:id');
+
+    for (const [, attributes] of relationships.matchAll(/<Relationship\s([^>]*?)\/?>/g)) {
+        if (attribute(attributes, 'Id') === id) {
+            const target = attribute(attributes, 'Target');
+            return {
+                path: target.startsWith('/') ? target.slice(1) : `xl/${target}`,
+                date1904: /<workbookPr\b[^>]*\bdate1904="(1|true)"/.test(workbook)
+            };
+        }
+    }
+    throw new Error('The file is not a valid .xlsx workbook');
+};
+
+const columnIndex = (reference) => {
+    const letters = /^[A-Z]+/.exec(reference)[0];
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+const formatDate = (serial, date1904) => {
+    const epoch = date1904 ? Date.UTC(1904, 0, 1) : Date.UTC(1899, 11, 30);
+    const iso = new Date(epoch + Math.round(serial * DAY_MS / 1000) * 1000).toISOString();
+    return Number.isInteger(serial) ? iso.slice(0, 10) : iso.slice(0, 19);
+};
+
+// Rows of the first worksheet as arrays of text. Rows without values come back
+// empty, so row numbers match the ones shown in Excel. Throws once a row with
+// values lies past maxRows.
+const parseXlsx = (buffer, { maxRows = Infinity } = {}) => {
+    const zip = readZip(buffer);
+    const { path, date1904 } = findFirstSheet(zip);
+
+    const sheet = zip.read(path);
+    if (!sheet) {
+        throw new Error('The file is not a valid .xlsx workbook');
+    }
+    const sharedStrings = readSharedStrings(zip.read('xl/sharedStrings.xml'));
+    const dateStyles = readDateStyles(zip.read('xl/styles.xml'));
+
+    const rows = [];
+    for (const [, rowAttributes, rowXml] of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const rowNumber = Number(attribute(rowAttributes, 'r')) || rows.length + 1;
+        const cells = [];
+
+        for (const [, cellAttributes, cellXml = ''] of (rowXml || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const reference = attribute(cellAttributes, 'r');
+            const index = reference ? columnIndex(reference) : cells.length;
+            const type = attribute(cellAttributes, 't');
+            const valueMatch = /<v>([\s\S]*?)<\/v>/.exec(cellXml);
+            const value = valueMatch ? decodeXml(valueMatch[1]) : '';
+
+            let text;
+            if (type === 's') text = sharedStrings[Number(value)] ?? '';
+            else if (type === 'inlineStr') text = readText(cellXml);
+            else if (type === 'b') text = value === '1' ? 'true' : 'false';
+            else if (!type || type === 'n') {
+                text = value !== '' && dateStyles[Number(attribute(cellAttributes, 's') || 0)]
+                    ? formatDate(Number(value), date1904)
+                    : value;
+            } else text = value;
+
+            while (cells.length < index) cells.push('');
+            cells[index] = text;
+        }
+
+        // Formatting alone also writes rows, which must not count towards the limit
+        if (cells.every(cell => cell === '')) continue;
+        if (rowNumber > maxRows) {
+            throw new Error(`The worksheet has more than ${maxRows} rows`);
+        }
+
+        while (rows.length < rowNumber - 1) rows.push([]);
+        rows[rowNumber - 1] = cells;
+    }
+
+    return rows;
+};
+
+module.exports = { parseXlsx };
@@ -0,0 +1,279 @@
+/**
+ * Background job runner
+ *
+ * Jobs are defined in code with defineJob() and run every intervalSeconds:
+ *
+ *   defineJob({
+ *       name: 'expire-payment-links',
+ *       description: 'Mark active payment links past their expiry date as Expired',
+ *       intervalSeconds: 300,
+ *       handler: async () => ({ expired: 3 })  // the result is kept in the job history
+ *   });
+ *
+ * Schedules, locks and history live in MongoDB (the Job model), so each run is
+ * done by exactly one server instance and jobs survive restarts. A failed run is
+ * retried after retryDelaySeconds, doubling each time, until maxAttempts attempts
+ * have failed; the job then waits for its next regular run. Runs are claimed every
+ * JOB_POLL_INTERVAL_MS (default 5000). Set JOBS_ENABLED=false to keep an instance
+ * from running jobs, e.g. one that should only serve requests.
+ */
+
+const os = require('os');
+const Job = require('../../moduls/job/job.model');
+const logger = require('../logger');
+const config = require('../../config/env');
+
+const POLL_INTERVAL_MS = config.jobs.pollIntervalMs;
+const MAX_RUN_HISTORY = 20;
+
+const DEFAULTS = {
+    maxAttempts: 3,
+    retryDelaySeconds: 30,
+    timeoutSeconds: 5 * 60
+};
+
+// Identifies this process in locks and run history
+const instanceId = `${os.hostname()}:${process.pid}`;
+
+const definitions = new Map();
+
+// Register a job. Names are stable identifiers, the run state is stored under them.
+const defineJob = (definition) => {
+    const { name, handler, intervalSeconds } = definition;
+
+    if (!name || typeof handler !== 'function' || !(intervalSeconds > 0)) {
+        throw new Error('A job needs a name, a handler and a positive intervalSeconds');
+    }
+    if (definitions.has(name)) {
+        throw new Error(`Job '${name}' is already defined`);
+    }
+
+    definitions.set(name, { ...DEFAULTS, ...definition });
+};
+
+const getDefinition = (name) => definitions.get(name) || null;
+
+const getDefinitions = () => [...definitions.values()];
+
+// Create the run state of jobs that have never run. Existing state is left alone,
+// so pausing and schedules survive restarts.
+const syncJobs = async () => {
+    for (const definition of definitions.values()) {
+        try {
+            await Job.updateOne(
+                { _id: definition.name },
+                { $setOnInsert: { nextRunAt: new Date() } },
+                { upsert: true }
+            );
+        } catch (error) {
+            // Another instance created it at the same time
+            if (error.code !== 11000) throw error;
+        }
+    }
+};
+
+// Lock a job that is due, or was triggered by hand, for this instance
+const claim = (definition) => {
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+        {
+            _id: definition.name,
+            $and: [
+                { $or: [{ paused: false, nextRunAt: { $lte: now } }, { runRequestedAt: { $ne: null } }] },
+                { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] }
+            ]
+        },
+        {
+            $set: {
+                lockedUntil: new Date(now.getTime() + definition.timeoutSeconds * 1000),
+                lockedBy: instanceId
+            }
+        },
+        { new: true }
+    );
+};
+
+// Run a claimed job, record the outcome and schedule the next run
+const run = async (definition, job) => {
+    const startedAt = new Date();
+    const attempt = job.attempts + 1;
+    const trigger = job.runRequestedAt ? 'manual' : 'schedule';
+
+    let status = 'Succeeded';
+    let result = null;
+    let errorMessage = null;
+
+    try {
+        result = (await definition.handler()) ?? null;
+    } catch (error) {
+        status = 'Failed';
+        errorMessage = error.message;
+        logger.error('Job failed', { job: definition.name, attempt, error });
+    }
+
+    const finishedAt = new Date();
+    const retry = status === 'Failed' && attempt < definition.maxAttempts;
+    const delaySeconds = retry
+        ? definition.retryDelaySeconds * 2 ** (attempt - 1)
+        : definition.intervalSeconds;
+
+    // Clear the request this run answered, but not one made while it ran, which
+    // gets a run of its own. Done while the lock is held, so no instance can claim
+    // the answered request again.
+    if (job.runRequestedAt) {
+        await Job.updateOne(
+            { _id: definition.name, lockedBy: instanceId, runRequestedAt: job.runRequestedAt },
+            { $set: { runRequestedAt: null, runRequestedBy: null } }
+        );
+    }
+
+    await Job.updateOne(
+        { _id: definition.name, lockedBy: instanceId },
+        {
+            $set: {
+                lockedUntil: null,
+                lockedBy: null,
+                attempts: retry ? attempt : 0,
+                nextRunAt: new Date(finishedAt.getTime() + delaySeconds * 1000),
+                lastRunAt: startedAt,
+                lastFinishedAt: finishedAt,
+                lastStatus: status,
+                lastError: errorMessage,
+                lastResult: result
+            },
+            $inc: {
+                runCount: 1,
+                failureCount: status === 'Failed' ? 1 : 0
+            },
+            $push: {
+                runs: {
+                    $each: [{
+                        startedAt,
+                        finishedAt,
+                        durationMs: finishedAt - startedAt,
+                        status,
+                        trigger,
+                        attempt,
+                        instance: instanceId,
+                        error: errorMessage,
+                        result
+                    }],
+                    $slice: -MAX_RUN_HISTORY
+                }
+            }
+        }
+    );
+
+    logger.info('Job finished', {
+        job: definition.name,
+        status,
+        trigger,
+        attempt,
+        durationMs: finishedAt - startedAt,
+        result
+    });
+};
+
+let timer = null;
+let polling = null;
+
+// Heartbeat of the runner on this instance, for the readiness check
+let startedAt = null;
+let lastPollAt = null;
+let activeRun = null;
+
+let stopping = false;
+
+const pollOnce = async () => {
+    try {
+        for (const definition of definitions.values()) {
+            if (stopping) break;
+
+            const job = await claim(definition);
+            if (job) {
+                activeRun = { job: definition.name, startedAt: new Date(), timeoutSeconds: definition.timeoutSeconds };
+                await run(definition, job);
+            }
+        }
+        lastPollAt = new Date();
+    } catch (error) {
+        logger.error('Job runner failed', { error });
+    } finally {
+        polling = null;
+        activeRun = null;
+    }
+};
+
+// Run every job that is due. Jobs run one after another, each only on the instance
+// that claimed it. Calls made during a poll wait for that poll instead of starting another.
+const poll = () => {
+    if (!polling) {
+        polling = pollOnce();
+    }
+    return polling;
+};
+
+const start = async () => {
+    await syncJobs();
+
+    if (!config.jobs.enabled) {
+        logger.info('Job runner disabled on this instance');
+        return;
+    }
+
+    if (timer) return;
+    stopping = false;
+    timer = setInterval(poll, POLL_INTERVAL_MS);
+    timer.unref();
+    startedAt = new Date();
+
+    logger.info('Job runner started', { instance: instanceId, jobs: [...definitions.keys()] });
+};
+
+// Stop claiming runs. Resolves once the job running on this instance, if any, has
+// finished; jobs that are due later in the same poll are left for the next poll
+// of any instance.
+const stop = async () => {
+    clearInterval(timer);
+    timer = null;
+    startedAt = null;
+    stopping = true;
+
+    await polling;
+};
+
+/**
+ * State of the runner on this instance. The runner is healthy when it finished a
+ * poll within the last three poll intervals, or is busy with a job that has not
+ * run past its timeout yet.
+ */
+const getStatus = () => {
+    const enabled = config.jobs.enabled;
+    const running = timer !== null;
+    const now = Date.now();
+
+    const lastBeat = lastPollAt || startedAt;
+    const pollOverdue = !lastBeat || now - lastBeat.getTime() > 3 * POLL_INTERVAL_MS;
+    const runOverdue = !activeRun || now - activeRun.startedAt.getTime() > activeRun.timeoutSeconds * 1000;
+
+    return {
+        enabled,
+        running,
+        healthy: !enabled || (running && !(pollOverdue && runOverdue)),
+        pollIntervalMs: POLL_INTERVAL_MS,
+        startedAt,
+        lastPollAt,
+        activeRun
+    };
+};
+
+module.exports = {
+    defineJob,
+    getDefinition,
+    getDefinitions,
+    start,
+    stop,
+    poll,
+    getStatus
+};
@@ -0,0 +1,99 @@
+/**
+ * Structured logger
+ *
+ * Writes one JSON object per line to stdout. Lines written while a request is
+ * handled carry its requestId, userId, method and route automatically.
+ *
+ * The minimum level is set with LOG_LEVEL (error, warn, info, debug). It
+ * defaults to debug in development, info in production and warn in test.
+ * Values of sensitive fields such as passwords, tokens and salary are
+ * replaced with [REDACTED] before anything is written.
+ */
+
+const { getRequestContext } = require('../middleware/requestContext.middleware');
+const config = require('../config/env');
+
+const LEVELS = {
+    error: 50,
+    warn: 40,
+    info: 30,
+    debug: 20
+};
+
+const DEFAULT_LEVELS = {
+    production: 'info',
+    test: 'warn',
+    development: 'debug'
+};
+
+// Matched against field names at any depth, e.g. password, newPassword, refreshToken, x-api-key
+const SENSITIVE_FIELD = /pass(word)?$|token|secret|salary|authorization|cookie|api-?key$|recoverycode/i;
+
+const MAX_DEPTH = 8;
+
+const getLevel = () => config.logLevel || DEFAULT_LEVELS[config.env];
+
+const serializeError = (error) => ({
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack
+});
+
+// Copy a value for logging, redacting sensitive fields and cutting cycles
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+    if (value instanceof Error) return serializeError(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (Buffer.isBuffer(value)) return '[binary]';
+
+    // Dates, ObjectIds and Mongoose documents know how to serialize themselves
+    if (typeof value.toJSON === 'function') {
+        return redact(value.toJSON(), depth, seen);
+    }
+
+    if (seen.has(value)) return '[circular]';
+    if (depth >= MAX_DEPTH) return '[truncated]';
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1, seen));
+    }
+
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        SENSITIVE_FIELD.test(key) && item !== undefined && item !== null ? '[REDACTED]' : redact(item, depth + 1, seen)
+    ]));
+};
+
+// Request fields included in every line logged for a request
+const getRequestFields = (req) => ({
+    requestId: req.id,
+    userId: req.user ? String(req.user.id) : undefined,
+    method: req.method,
+    route: req.routePath || (req.route ? req.baseUrl + req.route.path : req.originalUrl.split('?')[0])
+});
+
+const write = (level, message, fields = {}) => {
+    if (LEVELS[level] < LEVELS[getLevel()]) return;
+
+    const context = getRequestContext();
+
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        message,
+        ...(context && getRequestFields(context.req)),
+        ...redact(fields)
+    };
+
+    process.stdout.write(`${JSON.stringify(entry)}\n`);
+};
+
+module.exports = {
+    error: (message, fields) => write('error', message, fields),
+    warn: (message, fields) => write('warn', message, fields),
+    info: (message, fields) => write('info', message, fields),
+    debug: (message, fields) => write('debug', message, fields),
+    getRequestFields,
+    redact
+};
@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+
+// Development transport: prints every message to the console and, when an
+// output directory is configured, also writes it to a JSON file there.
+const createConsoleTransport = ({ outputDir } = {}) => {
+    if (outputDir && !fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+
+    return {
+        name: 'console',
+
+        async send(message) {
+            console.log('\n📧 Outgoing email');
+            console.log(`   From:    ${message.from}`);
+            console.log(`   To:      ${message.to}`);
+            console.log(`   Subject: ${message.subject}`);
+            console.log(`\n${message.text}\n`);
+
+            if (outputDir) {
+                const fileName = `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`;
+                await fs.promises.writeFile(
+                    path.join(outputDir, fileName),
+                    JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+                );
+            }
+
+            return { accepted: [message.to] };
+        }
+    };
+};
+
+module.exports = createConsoleTransport;
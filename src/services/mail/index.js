@@ -0,0 +1,58 @@
+/**
+ * Mail service
+ *
+ * A transport is any object with an async `send({ from, to, subject, text, html })`
+ * method. The transport is chosen with MAIL_TRANSPORT:
+ *   - console (default): prints messages, and writes them to MAIL_OUTPUT_DIR if set
+ *   - smtp: delivers through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+ */
+
+const createConsoleTransport = require('./console.transport');
+const createSmtpTransport = require('./smtp.transport');
+const config = require('../../config/env');
+
+const transportFactories = {
+    console: () => createConsoleTransport({
+        outputDir: config.mail.outputDir
+    }),
+    smtp: () => createSmtpTransport(config.mail.smtp)
+};
+
+let transport = null;
+
+// Get the configured transport, creating it on first use
+const getTransport = () => {
+    if (!transport) {
+        const name = config.mail.transport;
+        const factory = transportFactories[name];
+
+        if (!factory) {
+            throw new Error(`Unknown mail transport '${name}'`);
+        }
+
+        transport = factory();
+    }
+    return transport;
+};
+
+// Replace the transport, e.g. with a custom implementation
+const setTransport = (customTransport) => {
+    transport = customTransport;
+};
+
+// Send an email through the configured transport
+const sendMail = ({ to, subject, text, html }) => {
+    return getTransport().send({
+        from: config.mail.from,
+        to,
+        subject,
+        text,
+        html
+    });
+};
+
+module.exports = {
+    sendMail,
+    getTransport,
+    setTransport
+};
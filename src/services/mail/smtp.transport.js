@@ -0,0 +1,26 @@
+const nodemailer = require('nodemailer');
+
+// SMTP transport backed by nodemailer
+const createSmtpTransport = ({ host, port, secure, user, pass }) => {
+    if (!host) {
+        throw new Error('SMTP_HOST is required when MAIL_TRANSPORT is smtp');
+    }
+
+    const transporter = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        auth: user ? { user, pass } : undefined
+    });
+
+    return {
+        name: 'smtp',
+
+        async send(message) {
+            const info = await transporter.sendMail(message);
+            return { accepted: info.accepted, messageId: info.messageId };
+        }
+    };
+};
+
+module.exports = createSmtpTransport;
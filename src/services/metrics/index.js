@@ -0,0 +1,262 @@
+/**
+ * Prometheus metrics
+ *
+ * Metrics are created once at load time and updated as things happen:
+ *
+ *   const requests = metrics.counter({ name: 'http_requests_total', help: '...', labelNames: ['route'] });
+ *   requests.inc({ route: '/api/products' });
+ *
+ * Gauges whose value lives elsewhere, such as a count in the database, are
+ * defined with defineGauge() and a collect function that runs on every scrape:
+ *
+ *   defineGauge({
+ *       name: 'retail_products_low_stock',
+ *       help: 'Products at or below their low stock threshold',
+ *       collect: () => Product.countDocuments({ isLowStock: true })  // or [{ labels, value }]
+ *   });
+ *
+ * render() returns everything in the Prometheus text format, see GET /metrics.
+ */
+
+const logger = require('../logger');
+
+// A collect function that takes longer is left out of the scrape, so a slow or
+// unreachable database cannot make the whole scrape time out
+const COLLECT_TIMEOUT_MS = 5 * 1000;
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const metrics = new Map();
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+const formatLabels = (labels) => {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+const formatValue = (value) => {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+};
+
+// Series are kept per combination of label values, in the order of labelNames
+const seriesKey = (labelNames, labels = {}) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+
+const pickLabels = (labelNames, labels = {}) => Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+
+const register = (metric) => {
+    if (!/^[a-zA-Z_:][a-zA-Z0-9_:]*$/.test(metric.name)) {
+        throw new Error(`Invalid metric name '${metric.name}'`);
+    }
+    if (metrics.has(metric.name)) {
+        throw new Error(`Metric '${metric.name}' is already defined`);
+    }
+    metrics.set(metric.name, metric);
+    return metric;
+};
+
+const header = ({ name, help, type }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+
+// A value that only goes up, e.g. requests served
+const counter = ({ name, help, labelNames = [] }) => {
+    const series = new Map();
+
+    return register({
+        name,
+        help,
+        type: 'counter',
+        inc(labels, amount = 1) {
+            const key = seriesKey(labelNames, labels);
+            const current = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+            current.value += amount;
+            series.set(key, current);
+        },
+        samples: () => [...series.values()].map(({ labels, value }) => ({ name, labels, value }))
+    });
+};
+
+// A value that goes up and down, e.g. connections in use
+const gauge = ({ name, help, labelNames = [] }) => {
+    const series = new Map();
+
+    const change = (labels, amount) => {
+        const key = seriesKey(labelNames, labels);
+        const current = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+        current.value += amount;
+        series.set(key, current);
+    };
+
+    return register({
+        name,
+        help,
+        type: 'gauge',
+        set(labels, value) {
+            series.set(seriesKey(labelNames, labels), { labels: pickLabels(labelNames, labels), value });
+        },
+        inc: (labels, amount = 1) => change(labels, amount),
+        dec: (labels, amount = 1) => change(labels, -amount),
+        samples: () => [...series.values()].map(({ labels, value }) => ({ name, labels, value }))
+    });
+};
+
+// Observations counted in buckets, e.g. request latency in seconds
+const histogram = ({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) => {
+    const bounds = [...buckets].sort((a, b) => a - b);
+    const series = new Map();
+
+    return register({
+        name,
+        help,
+        type: 'histogram',
+        observe(labels, value) {
+            const key = seriesKey(labelNames, labels);
+            let current = series.get(key);
+            if (!current) {
+                current = { labels: pickLabels(labelNames, labels), counts: bounds.map(() => 0), sum: 0, count: 0 };
+                series.set(key, current);
+            }
+
+            bounds.forEach((bound, index) => {
+                if (value <= bound) current.counts[index] += 1;
+            });
+            current.sum += value;
+            current.count += 1;
+        },
+        samples: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...bounds.map((bound, index) => ({ name: `${name}_bucket`, labels: { ...labels, le: formatValue(bound) }, value: counts[index] })),
+            { name: `${name}_bucket`, labels: { ...labels, le: '+Inf' }, value: count },
+            { name: `${name}_sum`, labels, value: sum },
+            { name: `${name}_count`, labels, value: count }
+        ])
+    });
+};
+
+const withTimeout = (promise, ms) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out after ${ms} ms`)), ms);
+    Promise.resolve(promise).then(
+        value => { clearTimeout(timer); resolve(value); },
+        error => { clearTimeout(timer); reject(error); }
+    );
+});
+
+// A gauge read from somewhere else on every scrape
+const defineGauge = ({ name, help, collect }) => {
+    if (typeof collect !== 'function') {
+        throw new Error(`Gauge '${name}' needs a collect function`);
+    }
+
+    return register({
+        name,
+        help,
+        type: 'gauge',
+        async samples() {
+            const result = await withTimeout(collect(), COLLECT_TIMEOUT_MS);
+            const values = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+            return values.map(({ labels = {}, value }) => ({ name, labels, value: Number(value) }));
+        }
+    });
+};
+
+// Everything in the Prometheus text exposition format
+const render = async () => {
+    const all = [...metrics.values()];
+
+    const samples = await Promise.all(all.map(async (metric) => {
+        try {
+            return await metric.samples();
+        } catch (error) {
+            logger.warn('Failed to collect metric', { metric: metric.name, error });
+            return null;
+        }
+    }));
+
+    const lines = all.flatMap((metric, index) => (samples[index] === null ? [] : [
+        ...header(metric),
+        ...samples[index].map(({ name, labels, value }) => `${name}${formatLabels(labels)} ${formatValue(value)}`)
+    ]));
+
+    return `${lines.join('\n')}\n`;
+};
+
+// Process metrics, read on every scrape
+defineGauge({
+    name: 'process_resident_memory_bytes',
+    help: 'Resident memory size in bytes',
+    collect: () => process.memoryUsage().rss
+});
+
+defineGauge({
+    name: 'nodejs_heap_used_bytes',
+    help: 'V8 heap in use in bytes',
+    collect: () => process.memoryUsage().heapUsed
+});
+
+defineGauge({
+    name: 'process_uptime_seconds',
+    help: 'Seconds since the process started',
+    collect: () => process.uptime()
+});
+
+// MongoDB connection pool, kept up to date from the driver's pool events
+const poolConnections = gauge({
+    name: 'mongodb_pool_connections',
+    help: 'Open connections in the MongoDB connection pool',
+    labelNames: ['address']
+});
+const poolConnectionsInUse = gauge({
+    name: 'mongodb_pool_connections_in_use',
+    help: 'MongoDB connections checked out by an operation',
+    labelNames: ['address']
+});
+const poolWaitQueue = gauge({
+    name: 'mongodb_pool_wait_queue_size',
+    help: 'Operations waiting for a MongoDB connection',
+    labelNames: ['address']
+});
+const poolCheckoutFailures = counter({
+    name: 'mongodb_pool_checkout_failures_total',
+    help: 'Failed attempts to get a MongoDB connection from the pool',
+    labelNames: ['address', 'reason']
+});
+const poolCleared = counter({
+    name: 'mongodb_pool_cleared_total',
+    help: 'Times the MongoDB connection pool was cleared after an error',
+    labelNames: ['address']
+});
+const poolMaxConnections = gauge({
+    name: 'mongodb_pool_max_connections',
+    help: 'Maximum size of the MongoDB connection pool (per server)'
+});
+
+// Follow the pool of a MongoClient. Call before the client connects, so that no
+// connection is missed.
+const watchConnectionPool = (client) => {
+    const byAddress = ({ address }) => ({ address });
+
+    poolMaxConnections.set({}, client.options.maxPoolSize);
+
+    client.on('connectionCreated', event => poolConnections.inc(byAddress(event)));
+    client.on('connectionClosed', event => poolConnections.dec(byAddress(event)));
+    client.on('connectionCheckOutStarted', event => poolWaitQueue.inc(byAddress(event)));
+    client.on('connectionCheckedOut', event => {
+        poolWaitQueue.dec(byAddress(event));
+        poolConnectionsInUse.inc(byAddress(event));
+    });
+    client.on('connectionCheckOutFailed', event => {
+        poolWaitQueue.dec(byAddress(event));
+        poolCheckoutFailures.inc({ address: event.address, reason: event.reason });
+    });
+    client.on('connectionCheckedIn', event => poolConnectionsInUse.dec(byAddress(event)));
+    client.on('connectionPoolCleared', event => poolCleared.inc(byAddress(event)));
+};
+
+module.exports = {
+    counter,
+    gauge,
+    histogram,
+    defineGauge,
+    render,
+    watchConnectionPool
+};
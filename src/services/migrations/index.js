@@ -0,0 +1,253 @@
+/**
+ * Schema migrations
+ *
+ * Each migration is a file in migrations/ named <timestamp>-<name>.js that
+ * exports an up step and, where the change can be undone, a down step:
+ *
+ *   module.exports = {
+ *       description: 'Make shortUrl unique only where it is set',
+ *       up: async ({ db }) => { ... },
+ *       down: async ({ db }) => { ... }
+ *   };
+ *
+ * Steps get the native MongoDB database as `db`. They should work on
+ * collections directly rather than through the models, which describe the
+ * latest schema and not the one the migration was written against.
+ *
+ * Migrations run in file name order. Applied ones are recorded in the
+ * migrations collection, so each runs once per database. Running them takes a
+ * lock in MongoDB, so two deploys never migrate the same database at once; a
+ * lock left by a process that died expires after LOCK_MS.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Migration = require('./migration.model');
+const MigrationLock = require('./migrationLock.model');
+const logger = require('../logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, '../../../migrations');
+const FILE_PATTERN = /^\d{14}-[a-z0-9-]+\.js$/;
+
+const LOCK_ID = 'migrations';
+const LOCK_MS = 5 * 60 * 1000;
+const LOCK_REFRESH_MS = 60 * 1000;
+
+// Identifies this process in the lock and in the migration records
+const instanceId = `${os.hostname()}:${process.pid}`;
+
+const TEMPLATE = `/**
+ * TITLE
+ */
+
+module.exports = {
+    description: 'DESCRIPTION',
+
+    up: async ({ db }) => {
+    },
+
+    // Remove down if the change cannot be undone
+    down: async ({ db }) => {
+    }
+};
+`;
+
+// Every migration file, in the order they run
+const loadMigrations = () => {
+    if (!fs.existsSync(MIGRATIONS_DIR)) {
+        return [];
+    }
+
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => FILE_PATTERN.test(file))
+        .sort()
+        .map(file => {
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            if (typeof migration.up !== 'function') {
+                throw new Error(`Migration ${file} does not export an up step`);
+            }
+            return { name: path.basename(file, '.js'), ...migration };
+        });
+};
+
+const acquireLock = async () => {
+    const now = new Date();
+
+    try {
+        const lock = await MigrationLock.findOneAndUpdate(
+            { _id: LOCK_ID, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+            { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS), lockedBy: instanceId, lockedAt: now } },
+            { new: true, upsert: true }
+        );
+        return lock !== null;
+    } catch (error) {
+        // The upsert lost against a lock that is held
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+const releaseLock = () => MigrationLock.updateOne(
+    { _id: LOCK_ID, lockedBy: instanceId },
+    { $set: { lockedUntil: null, lockedBy: null, lockedAt: null } }
+);
+
+// Run fn while holding the lock, keeping it alive for as long as fn takes
+const withLock = async (fn) => {
+    if (!(await acquireLock())) {
+        const lock = await MigrationLock.findById(LOCK_ID).lean();
+        throw new Error(lock && lock.lockedBy
+            ? `Migrations are locked by ${lock.lockedBy} until ${lock.lockedUntil.toISOString()}`
+            : 'Migrations are locked by another process');
+    }
+
+    const refresh = setInterval(() => {
+        MigrationLock.updateOne(
+            { _id: LOCK_ID, lockedBy: instanceId },
+            { $set: { lockedUntil: new Date(Date.now() + LOCK_MS) } }
+        ).catch(error => logger.error('Failed to refresh the migration lock', { error }));
+    }, LOCK_REFRESH_MS);
+
+    try {
+        return await fn();
+    } finally {
+        clearInterval(refresh);
+        await releaseLock();
+    }
+};
+
+const context = () => ({ db: mongoose.connection.db });
+
+/**
+ * Every migration with its state: applied, pending, or missing when it was
+ * applied but its file no longer exists. Also returns the lock while it is held.
+ */
+const getStatus = async () => {
+    const [migrations, applied, lock] = await Promise.all([
+        loadMigrations(),
+        Migration.find().sort({ _id: 1 }).lean(),
+        MigrationLock.findOne({ _id: LOCK_ID, lockedUntil: { $gt: new Date() } }).lean()
+    ]);
+    const appliedByName = new Map(applied.map(record => [record._id, record]));
+    const names = new Set(migrations.map(migration => migration.name));
+
+    return {
+        migrations: [
+            ...migrations.map(({ name, description }) => {
+                const record = appliedByName.get(name);
+                return {
+                    name,
+                    description: description || null,
+                    state: record ? 'applied' : 'pending',
+                    appliedAt: record ? record.appliedAt : null
+                };
+            }),
+            ...applied.filter(record => !names.has(record._id)).map(record => ({
+                name: record._id,
+                description: record.description,
+                state: 'missing',
+                appliedAt: record.appliedAt
+            }))
+        ].sort((a, b) => a.name.localeCompare(b.name)),
+        lock: lock ? { lockedBy: lock.lockedBy, lockedAt: lock.lockedAt, lockedUntil: lock.lockedUntil } : null
+    };
+};
+
+/**
+ * Apply pending migrations in order, up to and including `to` when given.
+ * Stops at the first one that fails; the ones before it stay applied.
+ * Resolves to the names of the migrations applied.
+ */
+const up = ({ to } = {}) => withLock(async () => {
+    const migrations = loadMigrations();
+    if (to && !migrations.some(migration => migration.name === to)) {
+        throw new Error(`Migration ${to} does not exist`);
+    }
+
+    const applied = new Set(await Migration.distinct('_id'));
+    const done = [];
+
+    for (const migration of migrations) {
+        if (!applied.has(migration.name)) {
+            const startedAt = Date.now();
+            logger.info('Applying migration', { migration: migration.name });
+
+            await migration.up(context());
+            await Migration.create({
+                _id: migration.name,
+                description: migration.description || null,
+                appliedAt: new Date(),
+                durationMs: Date.now() - startedAt,
+                appliedBy: instanceId
+            });
+
+            logger.info('Migration applied', { migration: migration.name, durationMs: Date.now() - startedAt });
+            done.push(migration.name);
+        }
+
+        if (migration.name === to) break;
+    }
+
+    return done;
+});
+
+/**
+ * Revert the last `steps` applied migrations, newest first. A migration
+ * without a down step cannot be reverted and stops the run before anything
+ * is changed. Resolves to the names of the migrations reverted.
+ */
+const down = ({ steps = 1 } = {}) => withLock(async () => {
+    const migrations = new Map(loadMigrations().map(migration => [migration.name, migration]));
+    const applied = await Migration.find().sort({ _id: -1 }).limit(steps).lean();
+
+    for (const record of applied) {
+        const migration = migrations.get(record._id);
+        if (!migration) {
+            throw new Error(`Migration ${record._id} is applied but its file is missing`);
+        }
+        if (typeof migration.down !== 'function') {
+            throw new Error(`Migration ${record._id} cannot be reverted`);
+        }
+    }
+
+    const done = [];
+    for (const record of applied) {
+        const startedAt = Date.now();
+        logger.info('Reverting migration', { migration: record._id });
+
+        await migrations.get(record._id).down(context());
+        await Migration.deleteOne({ _id: record._id });
+
+        logger.info('Migration reverted', { migration: record._id, durationMs: Date.now() - startedAt });
+        done.push(record._id);
+    }
+
+    return done;
+});
+
+// Write a new, empty migration file and return its path
+const create = (name) => {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    if (!slug) {
+        throw new Error('A migration needs a name');
+    }
+
+    const timestamp = new Date().toISOString().replace(/\D/g, '').slice(0, 14);
+    const file = path.join(MIGRATIONS_DIR, `${timestamp}-${slug}.js`);
+
+    fs.mkdirSync(MIGRATIONS_DIR, { recursive: true });
+    const source = TEMPLATE
+        .replace('TITLE', name)
+        .replace('DESCRIPTION', name.replace(/\\/g, '\\\\').replace(/'/g, "\\'"));
+    fs.writeFileSync(file, source, { flag: 'wx' });
+    return file;
+};
+
+module.exports = {
+    getStatus,
+    up,
+    down,
+    create
+};
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One migration that has been applied to this database, keyed by its file name
+// without the extension. Reverting a migration removes its document.
+const migrationSchema = new mongoose.Schema({
+    _id: {
+        type: String
+    },
+    description: {
+        type: String,
+        default: null
+    },
+    appliedAt: {
+        type: Date,
+        required: true
+    },
+    durationMs: {
+        type: Number,
+        required: true
+    },
+    // host:pid of the process that ran it
+    appliedBy: {
+        type: String,
+        required: true
+    }
+}, {
+    versionKey: false
+});
+
+const Migration = mongoose.model('Migration', migrationSchema);
+
+module.exports = Migration;
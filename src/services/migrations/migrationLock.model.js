@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// The lock that keeps two processes from migrating the same database at once.
+// There is a single document; whoever set lockedBy holds the lock until
+// lockedUntil, which the holder keeps pushing forward while it runs.
+const migrationLockSchema = new mongoose.Schema({
+    _id: {
+        type: String
+    },
+    lockedUntil: {
+        type: Date,
+        default: null
+    },
+    lockedBy: {
+        type: String,
+        default: null
+    },
+    lockedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    versionKey: false
+});
+
+const MigrationLock = mongoose.model('MigrationLock', migrationLockSchema);
+
+module.exports = MigrationLock;
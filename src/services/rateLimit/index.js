@@ -0,0 +1,46 @@
+/**
+ * Rate limit store
+ *
+ * A store is any object with an async `increment(key, windowMs)` method that
+ * counts a request in the current fixed window of the key and resolves to
+ * `{ count, resetAt }`. The store is chosen with RATE_LIMIT_STORE:
+ *   - memory (default): counters are kept per server instance
+ *   - mongo: counters are shared by every instance through MongoDB
+ * Other shared stores, e.g. Redis, can be plugged in with setStore().
+ */
+
+const createMemoryStore = require('./memory.store');
+const createMongoStore = require('./mongo.store');
+const config = require('../../config/env');
+
+const storeFactories = {
+    memory: () => createMemoryStore(),
+    mongo: () => createMongoStore()
+};
+
+let store = null;
+
+// Get the configured store, creating it on first use
+const getStore = () => {
+    if (!store) {
+        const name = config.rateLimit.store;
+        const factory = storeFactories[name];
+
+        if (!factory) {
+            throw new Error(`Unknown rate limit store '${name}'`);
+        }
+
+        store = factory();
+    }
+    return store;
+};
+
+// Replace the store, e.g. with a custom implementation
+const setStore = (customStore) => {
+    store = customStore;
+};
+
+module.exports = {
+    getStore,
+    setStore
+};
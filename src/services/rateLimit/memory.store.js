@@ -0,0 +1,37 @@
+// In-memory store: counters live in this process, so each server instance
+// enforces its own limits. Suitable for a single instance and for development.
+const createMemoryStore = () => {
+    // key -> { windowStart, resetAt, count }
+    const counters = new Map();
+
+    // Drop counters whose window has ended
+    const prune = (now = Date.now()) => {
+        for (const [key, entry] of counters) {
+            if (entry.resetAt <= now) {
+                counters.delete(key);
+            }
+        }
+    };
+
+    setInterval(prune, 60 * 1000).unref();
+
+    return {
+        name: 'memory',
+
+        async increment(key, windowMs) {
+            const now = Date.now();
+            const windowStart = Math.floor(now / windowMs) * windowMs;
+
+            let entry = counters.get(key);
+            if (!entry || entry.windowStart !== windowStart) {
+                entry = { windowStart, resetAt: windowStart + windowMs, count: 0 };
+                counters.set(key, entry);
+            }
+
+            entry.count += 1;
+            return { count: entry.count, resetAt: new Date(entry.resetAt) };
+        }
+    };
+};
+
+module.exports = createMemoryStore;
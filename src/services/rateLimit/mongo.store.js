@@ -0,0 +1,33 @@
+const RateLimitCounter = require('./rateLimitCounter.model');
+
+// Shared store: counters are kept in MongoDB, so every server instance
+// counts against the same limits.
+const createMongoStore = () => {
+    const increment = async (key, windowMs, retry = true) => {
+        const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+        const resetAt = new Date(windowStart + windowMs);
+
+        try {
+            const counter = await RateLimitCounter.findOneAndUpdate(
+                { _id: `${key}:${windowStart}` },
+                { $inc: { count: 1 }, $setOnInsert: { resetAt } },
+                { upsert: true, new: true }
+            ).lean();
+
+            return { count: counter.count, resetAt };
+        } catch (error) {
+            // Two requests inserting the same new counter at once; the loser retries as an update
+            if (error.code === 11000 && retry) {
+                return increment(key, windowMs, false);
+            }
+            throw error;
+        }
+    };
+
+    return {
+        name: 'mongo',
+        increment
+    };
+};
+
+module.exports = createMongoStore;
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// One counter per rate limit key and time window, used by the mongo store.
+// MongoDB removes counters once their window has ended.
+const rateLimitCounterSchema = new mongoose.Schema({
+    _id: {
+        type: String
+    },
+    count: {
+        type: Number,
+        default: 0
+    },
+    resetAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    versionKey: false
+});
+
+rateLimitCounterSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+const RateLimitCounter = mongoose.model('RateLimitCounter', rateLimitCounterSchema);
+
+module.exports = RateLimitCounter;
@@ -0,0 +1,98 @@
+/**
+ * Graceful shutdown
+ *
+ * On SIGTERM or SIGINT the HTTP server stops accepting connections and the
+ * requests in flight are allowed to finish. The steps registered with
+ * onShutdown() then run in order, e.g. stopping the job runner and closing
+ * MongoDB, and the process exits with code 0.
+ *
+ * If all of that takes longer than SHUTDOWN_TIMEOUT_MS, open connections are
+ * cut and the process exits with code 1. A second signal exits right away.
+ */
+
+const logger = require('./logger');
+const config = require('../config/env');
+
+const SIGNALS = ['SIGTERM', 'SIGINT'];
+
+const steps = [];
+let shuttingDown = false;
+
+// Register a step to run after the HTTP server has drained
+const onShutdown = (name, handler) => {
+    steps.push({ name, handler });
+};
+
+const isShuttingDown = () => shuttingDown;
+
+// Stop accepting connections and resolve once every open one has closed. Idle
+// keep-alive connections are closed right away, busy ones after their response.
+const closeServer = (server) => new Promise((resolve) => {
+    if (!server.listening) {
+        return resolve();
+    }
+
+    server.close(() => resolve());
+    server.closeIdleConnections();
+});
+
+const shutdown = async (server, signal) => {
+    shuttingDown = true;
+    logger.info('Shutting down', { signal, timeoutMs: config.shutdownTimeoutMs });
+
+    const timeout = setTimeout(() => {
+        logger.error('Shutdown timed out, closing open connections', { timeoutMs: config.shutdownTimeoutMs });
+        server.closeAllConnections();
+        process.exit(1);
+    }, config.shutdownTimeoutMs);
+    timeout.unref();
+
+    await closeServer(server);
+    logger.info('HTTP server closed');
+
+    let failed = false;
+    for (const { name, handler } of steps) {
+        try {
+            await handler();
+            logger.info('Shutdown step finished', { step: name });
+        } catch (error) {
+            failed = true;
+            logger.error('Shutdown step failed', { step: name, error });
+        }
+    }
+
+    clearTimeout(timeout);
+    logger.info('Shutdown complete');
+    process.exit(failed ? 1 : 0);
+};
+
+// Shut the server down gracefully when the process is asked to stop
+const handleSignals = (server) => {
+    // Keep-alive connections would otherwise stay open after their last response
+    // and hold up the shutdown until the timeout
+    server.on('request', (req, res) => {
+        if (shuttingDown) {
+            res.setHeader('Connection', 'close');
+        }
+        res.on('finish', () => {
+            if (shuttingDown) {
+                setImmediate(() => server.closeIdleConnections());
+            }
+        });
+    });
+
+    SIGNALS.forEach(signal => process.on(signal, () => {
+        if (shuttingDown) {
+            logger.warn('Second signal received, exiting immediately', { signal });
+            process.exit(1);
+        }
+
+        shutdown(server, signal);
+    }));
+};
+
+module.exports = {
+    onShutdown,
+    isShuttingDown,
+    handleSignals
+};
@@ -0,0 +1,99 @@
+/**
+ * Webhook URLs must point at the public internet. Otherwise anyone allowed to
+ * register a webhook could make the server send requests to itself, to other
+ * machines on its network or to a cloud metadata service.
+ *
+ * The host is resolved and every address it resolves to is checked, both when
+ * a webhook is saved and before each delivery, as DNS can change in between.
+ * Deliveries are sent through `dispatcher`, which checks again the address the
+ * connection is actually made to, so a host that answers the check with a public
+ * address and the connection with a private one gets nowhere.
+ */
+
+const dns = require('dns');
+const net = require('net');
+const { Agent } = require('undici');
+
+const blocked = new net.BlockList();
+
+[
+    ['0.0.0.0', 8],         // "this" network
+    ['10.0.0.0', 8],        // private
+    ['100.64.0.0', 10],     // carrier-grade NAT, also some cloud metadata services
+    ['127.0.0.0', 8],       // loopback
+    ['169.254.0.0', 16],    // link-local, including 169.254.169.254
+    ['172.16.0.0', 12],     // private
+    ['192.0.0.0', 24],      // IETF protocol assignments
+    ['192.168.0.0', 16],    // private
+    ['198.18.0.0', 15],     // benchmarking
+    ['224.0.0.0', 4],       // multicast
+    ['240.0.0.0', 4]        // reserved and broadcast
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv4'));
+
+[
+    ['::', 128],            // unspecified
+    ['::1', 128],           // loopback
+    ['64:ff9b::', 96],      // NAT64, reaches IPv4 addresses
+    ['fc00::', 7],          // unique local
+    ['fe80::', 10],         // link-local
+    ['ff00::', 8]           // multicast
+].forEach(([network, prefix]) => blocked.addSubnet(network, prefix, 'ipv6'));
+
+// IPv4 addresses written as IPv6 (::ffff:127.0.0.1) are checked against the IPv4 ranges
+const isBlockedAddress = (address) => blocked.check(address, net.isIP(address) === 4 ? 'ipv4' : 'ipv6');
+
+const blockedReason = (host, address) => (net.isIP(host)
+    ? `Webhook URL must point to a public address, not ${address}`
+    : `Webhook URL must point to a public address, ${host} resolves to ${address}`);
+
+/**
+ * Check where a webhook URL leads. Resolves to null when it may be called, or
+ * to the reason it may not. Rejects when the host cannot be resolved, which
+ * may be temporary.
+ */
+const checkDestination = async (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return 'Webhook URL is not a valid URL';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return 'Webhook URL must be an http or https URL';
+    }
+
+    // IPv6 hosts come in brackets, e.g. http://[::1]/
+    const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+    const addresses = net.isIP(host)
+        ? [host]
+        : (await dns.promises.lookup(host, { all: true, verbatim: true })).map(({ address }) => address);
+
+    const address = addresses.find(isBlockedAddress);
+    return address ? blockedReason(host, address) : null;
+};
+
+/**
+ * dns.lookup for outgoing connections that fails with code EBLOCKEDDESTINATION
+ * when the host resolves to a blocked address. Hosts given as an IP address are
+ * not looked up, checkDestination() covers those.
+ */
+const lookup = (hostname, options, callback) => {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) return callback(error);
+
+        const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+        const blockedAddress = addresses.find(isBlockedAddress);
+        if (blockedAddress) {
+            const blockedError = new Error(blockedReason(hostname, blockedAddress));
+            blockedError.code = 'EBLOCKEDDESTINATION';
+            return callback(blockedError);
+        }
+
+        callback(null, address, family);
+    });
+};
+
+// Connections for webhook deliveries, see lookup()
+const dispatcher = new Agent({ connect: { lookup } });
+
+module.exports = { checkDestination, lookup, dispatcher };
@@ -0,0 +1,248 @@
+/**
+ * Webhook dispatcher
+ *
+ * publish(event, data) queues one delivery per active webhook subscribed to the
+ * event. A background worker sends due deliveries as JSON POST requests:
+ *
+ *   X-Webhook-Id: <delivery id>
+ *   X-Webhook-Event: purchaseOrder.statusChanged
+ *   X-Webhook-Timestamp: <unix seconds>
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the webhook secret>
+ *
+ * A 2xx answer marks the delivery Delivered. Anything else is retried with
+ * exponential backoff, starting at WEBHOOK_RETRY_BASE_SECONDS and doubling up to
+ * WEBHOOK_RETRY_MAX_SECONDS, until WEBHOOK_MAX_ATTEMPTS attempts have been made;
+ * the delivery is then Dead and waits in the dead-letter list for a redelivery.
+ * Deliveries are locked while they are sent, so every server instance can run the worker.
+ */
+
+const crypto = require('crypto');
+const { fetch } = require('undici');
+const Webhook = require('../../moduls/webhook/webhook.model');
+const WebhookDelivery = require('../../moduls/webhook/webhookDelivery.model');
+const { checkDestination, dispatcher } = require('./destination');
+const logger = require('../logger');
+const config = require('../../config/env');
+
+const MAX_ATTEMPTS = config.webhooks.maxAttempts;
+const RETRY_BASE_SECONDS = config.webhooks.retryBaseSeconds;
+const RETRY_MAX_SECONDS = config.webhooks.retryMaxSeconds;
+const TIMEOUT_MS = config.webhooks.timeoutMs;
+const POLL_INTERVAL_MS = config.webhooks.pollIntervalMs;
+const CONCURRENCY = config.webhooks.concurrency;
+
+// A delivery locked for longer than this was abandoned by its worker and is picked up again
+const LOCK_MS = TIMEOUT_MS + 30 * 1000;
+
+const MAX_LOG_ENTRIES = 50;
+
+// Signature of a request body, as sent in X-Webhook-Signature
+const sign = (secret, timestamp, body) =>
+    `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Seconds to wait after the given failed attempt: base, 2 x base, 4 x base, ...
+const retryDelaySeconds = (attempt) => Math.min(RETRY_BASE_SECONDS * 2 ** (attempt - 1), RETRY_MAX_SECONDS);
+
+// POST one delivery. Never throws; network errors and timeouts are reported as failures.
+// Only the status code of the answer is kept: the body could hold whatever the URL
+// returns, and the delivery log is readable through the API.
+const send = async (delivery, webhook) => {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+
+    try {
+        // The host may have moved to a private address since the webhook was saved
+        const blockedReason = await checkDestination(webhook.url);
+        if (blockedReason) {
+            return { ok: false, final: true, statusCode: null, durationMs: Date.now() - startedAt, error: blockedReason };
+        }
+
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'HOTSPOT-RETAIL-Webhooks/1.0',
+                'X-Webhook-Id': delivery._id.toString(),
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': sign(webhook.secret, timestamp, body)
+            },
+            body,
+            // A redirect would resend the signed payload to a URL nobody registered
+            redirect: 'manual',
+            signal: AbortSignal.timeout(TIMEOUT_MS),
+            dispatcher
+        });
+
+        // Discard the body, which also frees the connection
+        await response.body?.cancel().catch(() => {});
+
+        return {
+            ok: response.ok,
+            statusCode: response.status,
+            durationMs: Date.now() - startedAt,
+            error: response.ok ? null : `Receiver answered with status ${response.status}`
+        };
+    } catch (error) {
+        return {
+            ok: false,
+            // Connecting found the host on a blocked address, which retrying will not change
+            final: error.cause?.code === 'EBLOCKEDDESTINATION',
+            statusCode: null,
+            durationMs: Date.now() - startedAt,
+            error: error.name === 'TimeoutError' ? `No answer within ${TIMEOUT_MS} ms` : (error.cause || error).message
+        };
+    }
+};
+
+// Make one attempt at a claimed delivery and record the outcome
+const attemptDelivery = async (delivery) => {
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    const attempt = delivery.attempts + 1;
+    const attemptedAt = new Date();
+
+    let result;
+    if (!webhook || !webhook.isActive) {
+        // Nowhere to send it. It goes straight to the dead-letter list, so it can be
+        // redelivered once the webhook is enabled again.
+        result = { ok: false, final: true, statusCode: null, error: webhook ? 'Webhook is disabled' : 'Webhook no longer exists' };
+    } else {
+        result = await send(delivery, webhook);
+    }
+
+    const update = {
+        $set: {
+            attempts: attempt,
+            lastAttemptAt: attemptedAt,
+            lastStatusCode: result.statusCode,
+            lastError: result.error,
+            lockedUntil: null
+        },
+        $push: {
+            attemptLog: {
+                $each: [{
+                    attempt,
+                    attemptedAt,
+                    statusCode: result.statusCode,
+                    durationMs: result.durationMs,
+                    error: result.error
+                }],
+                $slice: -MAX_LOG_ENTRIES
+            }
+        }
+    };
+
+    const fields = { deliveryId: delivery._id.toString(), webhookId: delivery.webhook.toString(), event: delivery.event, attempt };
+
+    if (result.ok) {
+        update.$set.status = 'Delivered';
+        update.$set.deliveredAt = attemptedAt;
+        logger.debug('Webhook delivered', { ...fields, statusCode: result.statusCode, durationMs: result.durationMs });
+    } else if (result.final || attempt >= MAX_ATTEMPTS) {
+        update.$set.status = 'Dead';
+        update.$set.deadAt = attemptedAt;
+        logger.warn('Webhook delivery moved to the dead-letter list', { ...fields, error: result.error });
+    } else {
+        const delay = retryDelaySeconds(attempt);
+        update.$set.nextAttemptAt = new Date(attemptedAt.getTime() + delay * 1000);
+        logger.info('Webhook delivery failed, will retry', { ...fields, error: result.error, retryInSeconds: delay });
+    }
+
+    await WebhookDelivery.updateOne({ _id: delivery._id }, update);
+};
+
+let running = null;
+let rerun = false;
+let stopping = false;
+
+const sendDueDeliveries = async () => {
+    try {
+        do {
+            rerun = false;
+            await Promise.all(Array.from({ length: CONCURRENCY }, async () => {
+                let delivery;
+                while (!stopping && (delivery = await WebhookDelivery.claimNext(LOCK_MS))) {
+                    await attemptDelivery(delivery);
+                }
+            }));
+        } while (rerun && !stopping);
+    } catch (error) {
+        logger.error('Webhook worker failed', { error });
+    } finally {
+        running = null;
+    }
+};
+
+// Send every delivery that is due, CONCURRENCY at a time. Calls made while a run is
+// in progress make it go round once more instead of starting a second run.
+const processDueDeliveries = () => {
+    if (running) {
+        rerun = true;
+        return running;
+    }
+
+    running = sendDueDeliveries();
+    return running;
+};
+
+/**
+ * Queue an event for every active webhook subscribed to it and start sending
+ * right away. `data` is serialized as JSON into the payload. Never throws: a
+ * failure to queue is logged, so it cannot fail the request that caused the event.
+ */
+const publish = async (event, data) => {
+    try {
+        const webhooks = await Webhook.findSubscribers(event).select('_id');
+        if (webhooks.length === 0) {
+            return;
+        }
+
+        const eventId = crypto.randomUUID();
+        const payload = {
+            id: eventId,
+            event,
+            createdAt: new Date().toISOString(),
+            data: JSON.parse(JSON.stringify(data))
+        };
+
+        await WebhookDelivery.insertMany(webhooks.map(webhook => ({
+            webhook: webhook._id,
+            event,
+            eventId,
+            payload
+        })));
+
+        processDueDeliveries();
+    } catch (error) {
+        logger.error('Failed to queue webhook event', { event, error });
+    }
+};
+
+let timer = null;
+
+// Poll for due deliveries, i.e. retries and anything queued by another instance
+const startWorker = () => {
+    if (timer) return;
+    stopping = false;
+    timer = setInterval(processDueDeliveries, POLL_INTERVAL_MS);
+    timer.unref();
+};
+
+// Stop sending. Resolves once the deliveries being attempted have finished; the
+// rest stay queued for the next instance that polls.
+const stopWorker = async () => {
+    clearInterval(timer);
+    timer = null;
+    stopping = true;
+
+    await running;
+};
+
+module.exports = {
+    publish,
+    processDueDeliveries,
+    startWorker,
+    stopWorker,
+    sign
+};
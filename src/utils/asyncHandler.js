@@ -0,0 +1,7 @@
+// Wrap an async route handler so that a thrown error or rejected promise is passed
+// to the global error handler instead of leaving the request hanging
+const asyncHandler = (handler) => (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+};
+
+module.exports = asyncHandler;
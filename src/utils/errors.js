@@ -0,0 +1,82 @@
+/**
+ * Errors thrown by controllers and middleware. The global error handler turns
+ * them into the standard error response:
+ *
+ *   404 { success: false, code: 'NOT_FOUND', message: 'Product not found', requestId: '...' }
+ *
+ * `code` is stable and meant for clients to branch on, `message` is meant for
+ * people and may change. Field-level problems are listed in `errors`.
+ */
+class AppError extends Error {
+    constructor(message, { status = 500, code = 'INTERNAL_ERROR', errors } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        if (errors) {
+            this.errors = errors;
+        }
+    }
+}
+
+class BadRequestError extends AppError {
+    constructor(message = 'Bad request', options = {}) {
+        super(message, { status: 400, code: 'BAD_REQUEST', ...options });
+    }
+}
+
+class UnauthorizedError extends AppError {
+    constructor(message = 'Authentication required', options = {}) {
+        super(message, { status: 401, code: 'UNAUTHORIZED', ...options });
+    }
+}
+
+class ForbiddenError extends AppError {
+    constructor(message = 'Access denied', options = {}) {
+        super(message, { status: 403, code: 'FORBIDDEN', ...options });
+    }
+}
+
+class NotFoundError extends AppError {
+    constructor(message = 'Resource not found', options = {}) {
+        super(message, { status: 404, code: 'NOT_FOUND', ...options });
+    }
+}
+
+class ConflictError extends AppError {
+    constructor(message = 'Resource already exists', options = {}) {
+        super(message, { status: 409, code: 'CONFLICT', ...options });
+    }
+}
+
+// The document was changed after the client read it (If-Match did not match)
+class PreconditionFailedError extends AppError {
+    constructor(message = 'The resource was changed by another request. Fetch it again and retry', options = {}) {
+        super(message, { status: 412, code: 'PRECONDITION_FAILED', ...options });
+    }
+}
+
+// errors: [{ location: 'body' | 'query' | 'params', field, message }]
+class ValidationError extends AppError {
+    constructor(errors = [], message = 'Validation failed', options = {}) {
+        super(message, { status: 422, code: 'VALIDATION_FAILED', errors, ...options });
+    }
+}
+
+class TooManyRequestsError extends AppError {
+    constructor(message = 'Too many requests. Please try again later', options = {}) {
+        super(message, { status: 429, code: 'RATE_LIMITED', ...options });
+    }
+}
+
+module.exports = {
+    AppError,
+    BadRequestError,
+    UnauthorizedError,
+    ForbiddenError,
+    NotFoundError,
+    ConflictError,
+    PreconditionFailedError,
+    ValidationError,
+    TooManyRequestsError
+};
@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const { ValidationError } = require('./errors');
+
+/**
+ * Schema plugin that gives a model a shared filter, sort and field selection
+ * language for its list endpoint:
+ *
+ *   GET /api/products?filter[price][gte]=10&filter[status][in]=Active,Draft
+ *       &filter[productName][contains]=shirt&sort=-price,productName&fields=productName,price
+ *
+ * Operators are eq, in, gte, lte and contains; a bare value (filter[status]=Active)
+ * means eq. Values are cast to the type of the schema path. Only the fields listed
+ * in the options can be used, so clients cannot query unindexed or sensitive ones:
+ *
+ *   schema.plugin(listQueryPlugin, {
+ *       filter: ['status', 'price'],    // fields that can be filtered on
+ *       sort: ['price', 'createdAt'],   // fields that can be sorted on
+ *       select: ['productName', 'price'] // fields that can be requested with fields=
+ *   });
+ *
+ * The plugin adds Model.parseListQuery(req.query), which returns
+ * { conditions, sort, select } for the controller to apply, and
+ * Model.sortFields, the fields that can be sorted on.
+ */
+
+const OPERATORS = ['eq', 'in', 'gte', 'lte', 'contains'];
+
+// Match a user's text literally in a $regex
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The type of a single value of the path, also for arrays such as tags
+const valueType = (schemaType) => {
+    if (schemaType.instance === 'Array') {
+        const caster = schemaType.caster || schemaType.embeddedSchemaType;
+        return caster ? caster.instance : 'Mixed';
+    }
+    return schemaType.instance;
+};
+
+// Cast a query string value to the path type. Returns [value] or [undefined, message].
+const castValue = (type, value) => {
+    if (typeof value !== 'string') {
+        return [undefined, 'must be a single value'];
+    }
+
+    switch (type) {
+        case 'Number': {
+            const number = Number(value);
+            return value.trim() === '' || Number.isNaN(number) ? [undefined, 'must be a number'] : [number];
+        }
+        case 'Date': {
+            const date = new Date(value);
+            return Number.isNaN(date.getTime()) ? [undefined, 'must be a date'] : [date];
+        }
+        case 'Boolean':
+            if (value === 'true') return [true];
+            if (value === 'false') return [false];
+            return [undefined, 'must be true or false'];
+        case 'ObjectId':
+            return mongoose.Types.ObjectId.isValid(value) ? [new mongoose.Types.ObjectId(value)] : [undefined, 'must be a valid ID'];
+        default:
+            return [value];
+    }
+};
+
+const splitList = (value) => (typeof value === 'string' ? value.split(',') : value)
+    .map(item => (typeof item === 'string' ? item.trim() : item))
+    .filter(item => item !== '');
+
+// { status: 'Active', price: { gte: '10' } } => [{ status: 'Active' }, { price: { $gte: 10 } }]
+const parseFilter = (schema, filter, allowed, errors) => {
+    const conditions = [];
+
+    if (filter === undefined) {
+        return conditions;
+    }
+
+    if (typeof filter !== 'object' || filter === null || Array.isArray(filter)) {
+        errors.push({ location: 'query', field: 'filter', message: 'must be of the form filter[field][operator]=value' });
+        return conditions;
+    }
+
+    for (const [field, expression] of Object.entries(filter)) {
+        const schemaType = schema.path(field);
+        if (!allowed.includes(field) || !schemaType) {
+            errors.push({ location: 'query', field: `filter.${field}`, message: 'cannot be filtered on' });
+            continue;
+        }
+
+        const type = valueType(schemaType);
+
+        // A bare value is eq, a repeated one (filter[status]=A&filter[status]=B) is in
+        const explicit = typeof expression === 'object' && expression !== null && !Array.isArray(expression);
+        let operations;
+        if (explicit) operations = expression;
+        else if (Array.isArray(expression)) operations = { in: expression };
+        else operations = { eq: expression };
+
+        for (const [operator, raw] of Object.entries(operations)) {
+            const path = explicit ? `filter.${field}.${operator}` : `filter.${field}`;
+
+            if (!OPERATORS.includes(operator)) {
+                errors.push({ location: 'query', field: path, message: `is not a supported operator, use one of: ${OPERATORS.join(', ')}` });
+                continue;
+            }
+
+            if (operator === 'contains') {
+                if (type !== 'String') {
+                    errors.push({ location: 'query', field: path, message: 'only works on text fields' });
+                } else if (typeof raw !== 'string') {
+                    errors.push({ location: 'query', field: path, message: 'must be a single value' });
+                } else {
+                    conditions.push({ [field]: { $regex: escapeRegex(raw), $options: 'i' } });
+                }
+                continue;
+            }
+
+            if (operator === 'in') {
+                const values = [];
+                for (const item of Array.isArray(raw) || typeof raw === 'string' ? splitList(raw) : [raw]) {
+                    const [value, message] = castValue(type, item);
+                    if (message) {
+                        errors.push({ location: 'query', field: path, message: `each value ${message}` });
+                        break;
+                    }
+                    values.push(value);
+                }
+                if (values.length > 0) {
+                    conditions.push({ [field]: { $in: values } });
+                }
+                continue;
+            }
+
+            const [value, message] = castValue(type, raw);
+            if (message) {
+                errors.push({ location: 'query', field: path, message });
+                continue;
+            }
+
+            conditions.push({ [field]: operator === 'eq' ? value : { [`$${operator}`]: value } });
+        }
+    }
+
+    return conditions;
+};
+
+// '-price,createdAt' => { price: -1, createdAt: 1 }
+const parseSort = (sort, allowed, errors) => {
+    if (sort === undefined) {
+        return null;
+    }
+
+    if (typeof sort !== 'string') {
+        errors.push({ location: 'query', field: 'sort', message: 'must be a comma separated list of fields' });
+        return null;
+    }
+
+    const result = {};
+    for (const item of splitList(sort)) {
+        const descending = item.startsWith('-');
+        const field = descending ? item.slice(1) : item;
+
+        if (!allowed.includes(field)) {
+            errors.push({ location: 'query', field: 'sort', message: `cannot sort by ${field}` });
+            continue;
+        }
+
+        result[field] = descending ? -1 : 1;
+    }
+
+    return Object.keys(result).length > 0 ? result : null;
+};
+
+// 'productName,price' => { productName: 1, price: 1 }
+const parseSelect = (fields, allowed, errors) => {
+    if (fields === undefined) {
+        return null;
+    }
+
+    if (typeof fields !== 'string') {
+        errors.push({ location: 'query', field: 'fields', message: 'must be a comma separated list of fields' });
+        return null;
+    }
+
+    const result = {};
+    for (const field of splitList(fields)) {
+        if (!allowed.includes(field)) {
+            errors.push({ location: 'query', field: 'fields', message: `${field} cannot be selected` });
+            continue;
+        }
+
+        result[field] = 1;
+    }
+
+    return Object.keys(result).length > 0 ? result : null;
+};
+
+const listQueryPlugin = (schema, options = {}) => {
+    const filterFields = options.filter || [];
+    const sortFields = options.sort || filterFields;
+    const selectFields = options.select || [];
+
+    /**
+     * Parse filter, sort and fields from a request query. conditions is a list of
+     * MongoDB conditions to AND with the endpoint's own filters; sort and select
+     * are null when the client did not ask for them. Unknown fields, operators or
+     * values that do not fit the field type are rejected with a 422.
+     */
+    schema.statics.parseListQuery = function(query = {}) {
+        const errors = [];
+
+        const conditions = parseFilter(schema, query.filter, filterFields, errors);
+        const sort = parseSort(query.sort, sortFields, errors);
+        const select = parseSelect(query.fields, selectFields, errors);
+
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+
+        return { conditions, sort, select };
+    };
+
+    // For the sortBy parameter of list endpoints, see sortQuery in middleware/validate
+    schema.statics.sortFields = sortFields;
+};
+
+module.exports = listQueryPlugin;
+module.exports.escapeRegex = escapeRegex;
@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const { BadRequestError } = require('./errors');
+
+/**
+ * Cursor (keyset) pagination for list endpoints.
+ *
+ * Offset pagination needs a skip over every earlier row and a separate
+ * countDocuments, both of which get slower as a collection grows, and rows shift
+ * between pages when data changes in between. Cursor mode instead continues from
+ * the last row the client saw, keyed on the sort fields plus _id so that ties are
+ * broken consistently:
+ *
+ *   GET /api/products?pagination=cursor&limit=50
+ *   GET /api/products?after=<nextCursor>&limit=50
+ *   GET /api/products?before=<prevCursor>&limit=50
+ *
+ * Cursors are opaque to clients and only valid for the sort they were issued for.
+ */
+
+// Query parameters that switch a list endpoint to cursor mode
+const isCursorPagination = (query = {}) => query.pagination === 'cursor' || Boolean(query.after || query.before);
+
+// Sort spec as [[field, 1 | -1], ...], always ending with _id as the tie breaker
+const normalizeSort = (sort = {}) => {
+    const keys = Object.entries(sort).map(([field, order]) => [
+        field,
+        order === -1 || order === 'desc' || order === 'descending' ? -1 : 1
+    ]);
+
+    if (!keys.some(([field]) => field === '_id')) {
+        keys.push(['_id', keys.length > 0 ? keys[keys.length - 1][1] : 1]);
+    }
+
+    return keys;
+};
+
+const sortSignature = (keys) => keys.map(([field, order]) => `${field}:${order}`).join(',');
+
+// Dates and ObjectIds do not survive JSON, so they are tagged and restored on decode
+const serializeValue = (value) => {
+    if (value instanceof Date) return { $date: value.toISOString() };
+    if (value instanceof mongoose.Types.ObjectId) return { $oid: value.toString() };
+    return value === undefined ? null : value;
+};
+
+const deserializeValue = (value) => {
+    if (value && typeof value === 'object') {
+        if (typeof value.$date === 'string' && !Number.isNaN(Date.parse(value.$date))) {
+            return new Date(value.$date);
+        }
+        if (typeof value.$oid === 'string' && mongoose.Types.ObjectId.isValid(value.$oid)) {
+            return new mongoose.Types.ObjectId(value.$oid);
+        }
+        throw new BadRequestError('Invalid cursor');
+    }
+    return value;
+};
+
+// Read a (possibly nested) sort field from a lean object or a document. Populated
+// references sort by their stored id.
+const getSortValue = (doc, field) => {
+    const value = field.split('.').reduce((current, key) => (current == null ? current : current[key]), doc);
+
+    if (value && typeof value === 'object' && !(value instanceof Date) && value._id !== undefined) {
+        return value._id;
+    }
+
+    return value;
+};
+
+const encodeCursor = (doc, keys) => Buffer.from(JSON.stringify({
+    s: sortSignature(keys),
+    v: keys.map(([field]) => serializeValue(getSortValue(doc, field)))
+})).toString('base64url');
+
+const decodeCursor = (cursor, keys) => {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new BadRequestError('Invalid cursor');
+    }
+
+    if (!payload || !Array.isArray(payload.v) || payload.v.length !== keys.length) {
+        throw new BadRequestError('Invalid cursor');
+    }
+
+    if (payload.s !== sortSignature(keys)) {
+        throw new BadRequestError('Cursor does not match the requested sort order');
+    }
+
+    return payload.v.map(deserializeValue);
+};
+
+// Condition for "field comes after value" when walking in the given direction.
+// MongoDB sorts null and missing values before everything else, and range
+// operators never match them, so they need their own branches.
+const beyond = (field, value, direction) => {
+    if (value === null) {
+        return direction === 1 ? { [field]: { $ne: null } } : null;
+    }
+
+    if (direction === 1) {
+        return { [field]: { $gt: value } };
+    }
+
+    return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Keyset filter: rows that sort after the cursor on (f1, f2, ..., _id)
+const buildCursorFilter = (keys, values) => {
+    const branches = [];
+
+    keys.forEach(([field, direction], index) => {
+        const condition = beyond(field, values[index], direction);
+        if (!condition) return;
+
+        const equalities = keys.slice(0, index).map(([previous], i) => ({ [previous]: values[i] }));
+        branches.push(equalities.length > 0 ? { $and: [...equalities, condition] } : condition);
+    });
+
+    return branches.length > 0 ? { $or: branches } : { _id: null };
+};
+
+/**
+ * Run a find query as one cursor page.
+ *
+ * `query` is a Mongoose query with its filter, projection and populates already
+ * applied but without sort, skip or limit. Returns `{ items, pagination }` where
+ * pagination carries `nextCursor` / `prevCursor` for the neighbouring pages.
+ * No total count is computed, that is the point of cursor mode.
+ */
+const paginateWithCursor = async (query, { sort, limit = 10, after, before } = {}) => {
+    if (after && before) {
+        throw new BadRequestError('Use either after or before, not both');
+    }
+
+    const keys = normalizeSort(sort);
+    const cursor = after || before;
+    const backwards = Boolean(before);
+
+    // Walking backwards flips every sort direction; results are put back in order below
+    const walkKeys = backwards ? keys.map(([field, order]) => [field, -order]) : keys;
+
+    if (cursor) {
+        query.and([buildCursorFilter(walkKeys, decodeCursor(cursor, keys))]);
+    }
+
+    // Cursors are built from the sort fields, so a sparse field selection must include them
+    const projection = query.projection();
+    if (projection && Object.values(projection).some(value => value === 1 || value === true)) {
+        query.select(Object.fromEntries(keys.map(([field]) => [field, 1])));
+    }
+
+    const rows = await query
+        .sort(Object.fromEntries(walkKeys))
+        .limit(limit + 1);
+
+    const hasMore = rows.length > limit;
+    const items = hasMore ? rows.slice(0, limit) : rows;
+    if (backwards) items.reverse();
+
+    const hasNextPage = backwards ? true : hasMore;
+    const hasPrevPage = backwards ? hasMore : Boolean(after);
+
+    return {
+        items,
+        pagination: {
+            mode: 'cursor',
+            limit,
+            hasNextPage,
+            hasPrevPage,
+            nextCursor: hasNextPage && items.length > 0 ? encodeCursor(items[items.length - 1], keys) : null,
+            prevCursor: hasPrevPage && items.length > 0 ? encodeCursor(items[0], keys) : null
+        }
+    };
+};
+
+module.exports = {
+    isCursorPagination,
+    paginateWithCursor
+};
@@ -0,0 +1,20 @@
+// Send the standard success response. Errors are thrown instead (see utils/errors)
+// and answered by the global error handler.
+const sendSuccessResponse = (res, statusCode, message, data = null, meta = null) => {
+    const response = {
+        success: true,
+        message
+    };
+
+    if (data !== null) {
+        response.data = data;
+    }
+
+    if (meta) {
+        response.meta = meta;
+    }
+
+    return res.status(statusCode).json(response);
+};
+
+module.exports = { sendSuccessResponse };
@@ -0,0 +1,145 @@
+const mongoose = require('mongoose');
+const { isCursorPagination, paginateWithCursor } = require('./pagination');
+
+/**
+ * Schema plugin that moves deleted records to a trash instead of removing them:
+ *
+ *   await product.softDelete(req.user.id);   // sets deletedAt and deletedBy
+ *   await product.restore();                 // back out of the trash
+ *   await product.purge();                   // gone for good
+ *
+ * Records in the trash are left out of every find, count, distinct, update,
+ * delete and aggregate on the model, so existing queries need no changes.
+ * A query sees them only when it asks for it:
+ *
+ *   Product.find().withDeleted()              // live and trashed records
+ *   Product.findById(id).onlyDeleted()        // trashed records only
+ *   Product.find({ deletedAt: { $lte: d } })  // any filter on deletedAt
+ *
+ * Aggregates are filtered unless their first $match stage mentions deletedAt.
+ * Populated references to trashed records come back as null.
+ *
+ * Trashed records are purged after TRASH_RETENTION_DAYS by the purge job (see
+ * src/jobs/trash.jobs.js). Pass onPurge to clean up what lives outside the
+ * database, such as uploaded files; it runs after the record is removed:
+ *
+ *   schema.plugin(softDeletePlugin, { onPurge: (doc) => removeImages(doc) });
+ *
+ * Apply it before the audit plugin, so that audited queries see the same
+ * records as the write itself.
+ */
+
+const QUERY_OPERATIONS = [
+    'find', 'findOne', 'countDocuments', 'distinct',
+    'findOneAndUpdate', 'findOneAndReplace', 'findOneAndDelete',
+    'updateOne', 'updateMany', 'replaceOne', 'deleteOne', 'deleteMany'
+];
+
+// Stages that MongoDB only accepts at the start of a pipeline
+const FIRST_STAGES = ['$geoNear', '$search', '$searchMeta', '$vectorSearch'];
+
+const softDeletePlugin = (schema, { onPurge } = {}) => {
+    schema.add({
+        deletedAt: { type: Date, default: null, index: true },
+        deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+    });
+
+    schema.pre(QUERY_OPERATIONS, { query: true, document: false }, function() {
+        if (this.getOptions().withDeleted || 'deletedAt' in this.getFilter()) {
+            return;
+        }
+        this.where({ deletedAt: null });
+    });
+
+    schema.pre('aggregate', function() {
+        const pipeline = this.pipeline();
+        const [first] = pipeline;
+
+        if (first && first.$match && 'deletedAt' in first.$match) {
+            return;
+        }
+
+        const at = first && FIRST_STAGES.some(stage => stage in first) ? 1 : 0;
+        pipeline.splice(at, 0, { $match: { deletedAt: null } });
+    });
+
+    schema.query.withDeleted = function() {
+        return this.setOptions({ withDeleted: true });
+    };
+
+    schema.query.onlyDeleted = function() {
+        return this.where({ deletedAt: { $ne: null } });
+    };
+
+    // Only the trash fields are validated, so records saved under older rules can still be deleted
+    schema.methods.softDelete = function(userId) {
+        this.deletedAt = new Date();
+        this.deletedBy = userId || null;
+        return this.save({ validateModifiedOnly: true });
+    };
+
+    schema.methods.restore = function() {
+        this.deletedAt = null;
+        this.deletedBy = null;
+        return this.save({ validateModifiedOnly: true });
+    };
+
+    // Remove a trashed record for good. Resolves to false when it was restored
+    // or purged in the meantime.
+    schema.methods.purge = async function() {
+        const { deletedCount } = await this.constructor.deleteOne({ _id: this._id, deletedAt: { $ne: null } });
+        if (deletedCount === 0) {
+            return false;
+        }
+
+        if (onPurge) {
+            await onPurge(this);
+        }
+        return true;
+    };
+
+    // Purge up to `limit` records that were trashed before `before`, oldest first
+    schema.statics.purgeDeleted = async function(before, limit = 500) {
+        const docs = await this.find({ deletedAt: { $lte: before } })
+            .sort({ deletedAt: 1 })
+            .limit(limit);
+
+        let purged = 0;
+        for (const doc of docs) {
+            if (await doc.purge()) purged += 1;
+        }
+        return purged;
+    };
+
+    // The trash of a list endpoint: most recently deleted first, in offset or cursor mode
+    schema.statics.findInTrash = async function(query = {}, filter = {}) {
+        const { page = 1, limit = 10, after, before } = query;
+
+        const find = this.find({ ...filter, deletedAt: { $ne: null } }).populate('deletedBy', 'name email');
+        const sort = { deletedAt: -1 };
+
+        if (isCursorPagination(query)) {
+            return paginateWithCursor(find, { sort, limit, after, before });
+        }
+
+        const [items, totalItems] = await Promise.all([
+            find.sort(sort).skip((page - 1) * limit).limit(limit),
+            this.countDocuments({ ...filter, deletedAt: { $ne: null } })
+        ]);
+        const totalPages = Math.ceil(totalItems / limit);
+
+        return {
+            items,
+            pagination: {
+                currentPage: page,
+                totalPages,
+                totalItems,
+                hasNextPage: page < totalPages,
+                hasPrevPage: page > 1,
+                limit
+            }
+        };
+    };
+};
+
+module.exports = softDeletePlugin;
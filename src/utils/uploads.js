@@ -0,0 +1,18 @@
+const fs = require('fs');
+
+// Delete the files multer saved for a request, e.g. when the request failed and
+// the files will never be referenced
+const removeUploadedFiles = (req) => {
+    const files = [];
+    if (req.file) files.push(req.file);
+    if (Array.isArray(req.files)) files.push(...req.files);
+    else if (req.files) Object.values(req.files).forEach(list => files.push(...list));
+
+    for (const file of files) {
+        if (file.path && fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+        }
+    }
+};
+
+module.exports = { removeUploadedFiles };
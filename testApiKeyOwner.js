@@ -0,0 +1,63 @@
+// Checks that API keys cannot be used to gain permissions. A user without
+// apiKeys:manage must not create a key for someone else, e.g. an administrator,
+// or give a key a scope their own role does not have.
+//
+// Run against a running server with an administrator's token and the token of
+// a user whose role has apiKeys:write but not apiKeys:manage or roles:write:
+//
+//   BASE_URL=http://localhost:5000/api ADMIN_TOKEN=<admin token> TOKEN=<user token> node testApiKeyOwner.js
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:5000/api';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN;
+const TOKEN = process.env.TOKEN;
+
+const request = async (token, method, path, body) => {
+    const response = await fetch(`${BASE_URL}${path}`, {
+        method,
+        headers: { 'Authorization': `Bearer ${token}`, 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => null);
+    return { status: response.status, data };
+};
+
+const expectForbidden = async (description, body) => {
+    const { status, data } = await request(TOKEN, 'POST', '/api-keys', body);
+    if (status !== 403) {
+        if (status === 201) {
+            await request(ADMIN_TOKEN, 'DELETE', `/api-keys/${data.data.apiKey._id}`);
+        }
+        throw new Error(`${description} returned ${status}, expected 403: ${JSON.stringify(data)}`);
+    }
+    console.log(`✅ ${description} refused:`, data.message);
+};
+
+async function testApiKeyOwner() {
+    if (!ADMIN_TOKEN || !TOKEN) {
+        console.error('❌ Set ADMIN_TOKEN and TOKEN to access tokens');
+        process.exit(1);
+    }
+
+    try {
+        const admin = await request(ADMIN_TOKEN, 'GET', '/auth/profile');
+        const adminId = admin.data.data.user.id;
+
+        console.log('1️⃣ Creating a key owned by the administrator');
+        await expectForbidden('A key for the administrator', {
+            name: `Owner Check ${Date.now()}`,
+            scopes: ['products:read'],
+            owner: adminId
+        });
+
+        console.log('2️⃣ Creating a key with a scope the user does not have');
+        await expectForbidden('A key with roles:write', {
+            name: `Scope Check ${Date.now()}`,
+            scopes: ['roles:write']
+        });
+    } catch (error) {
+        console.error('❌ Test failed:', error.message);
+        process.exitCode = 1;
+    }
+}
+
+testApiKeyOwner();
@@ -0,0 +1,68 @@
+// Checks that records created through a multipart form are audited with who
+// created them. Multipart bodies are read by multer, which used to lose the
+// request context, leaving audit entries without an actor.
+//
+// Run against a running server with a token that has categories:write,
+// categories:delete and auditLogs:read:
+//
+//   BASE_URL=http://localhost:5000/api TOKEN=<access token> node testAuditActor.js
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:5000/api';
+const TOKEN = process.env.TOKEN;
+
+const request = async (method, path, body) => {
+    const response = await fetch(`${BASE_URL}${path}`, {
+        method,
+        headers: { 'Authorization': `Bearer ${TOKEN}` },
+        body
+    });
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+        throw new Error(`${method} ${path} failed with ${response.status}: ${JSON.stringify(data)}`);
+    }
+    return data;
+};
+
+async function testAuditActor() {
+    if (!TOKEN) {
+        console.error('❌ Set TOKEN to an access token');
+        process.exit(1);
+    }
+
+    let categoryId;
+    try {
+        console.log('1️⃣ Creating a category as multipart form data');
+        const form = new FormData();
+        form.append('name', `Audit Check ${Date.now()}`);
+        form.append('image', new Blob(['not really a picture'], { type: 'image/png' }), 'check.png');
+        const created = await request('POST', '/categories', form);
+        categoryId = created.data._id;
+        console.log('✅ Created category', categoryId);
+
+        console.log('2️⃣ Reading its audit log');
+        const profile = await request('GET', '/auth/profile');
+        const logs = await request('GET', `/audit-logs?entity=Category&entityId=${categoryId}&action=create`);
+        const [entry] = logs.data.auditLogs;
+
+        if (!entry) throw new Error('The category was not audited');
+        const actorId = entry.actor && (entry.actor._id || entry.actor);
+        const userId = profile.data.user.id;
+        if (!actorId || String(actorId) !== String(userId)) {
+            throw new Error(`The audit entry has actor ${JSON.stringify(entry.actor)}, expected ${userId}`);
+        }
+        if (!entry.path || !entry.ipAddress) {
+            throw new Error(`The audit entry has no path or IP address: ${JSON.stringify(entry)}`);
+        }
+        console.log('✅ Audited with actor', actorId, entry.method, entry.path);
+    } catch (error) {
+        console.error('❌ Test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (categoryId) {
+            await request('DELETE', `/categories/${categoryId}`).catch(() => {});
+            await request('DELETE', `/categories/${categoryId}/permanent`).catch(() => {});
+        }
+    }
+}
+
+testAuditActor();
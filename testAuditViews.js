@@ -0,0 +1,78 @@
+// Checks that reading a product is not audited. Every read counts a view,
+// which is saved on the product but is not an edit and must not fill the
+// audit log.
+//
+// Run against a running server with a token that has products:*,
+// categories:* and auditLogs:read:
+//
+//   BASE_URL=http://localhost:5000/api TOKEN=<access token> node testAuditViews.js
+
+const BASE_URL = process.env.BASE_URL || 'http://localhost:5000/api';
+const TOKEN = process.env.TOKEN;
+
+const request = async (method, path, body) => {
+    const response = await fetch(`${BASE_URL}${path}`, {
+        method,
+        headers: { 'Authorization': `Bearer ${TOKEN}`, 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+    });
+    const data = await response.json().catch(() => null);
+    if (!response.ok) {
+        throw new Error(`${method} ${path} failed with ${response.status}: ${JSON.stringify(data)}`);
+    }
+    return data;
+};
+
+async function testAuditViews() {
+    if (!TOKEN) {
+        console.error('❌ Set TOKEN to an access token');
+        process.exit(1);
+    }
+
+    const suffix = Date.now().toString().slice(-8);
+    let categoryId;
+    let productId;
+    try {
+        console.log('1️⃣ Creating a product');
+        const category = await request('POST', '/categories', { name: `Audit Views ${suffix}` });
+        categoryId = category.data._id;
+        const product = await request('POST', '/products', {
+            productName: `Audit Views ${suffix}`,
+            sku: `AUDIT-${suffix}`,
+            category: categoryId,
+            price: 10,
+            quantity: 5
+        });
+        productId = product.data._id;
+        console.log('✅ Created product', productId);
+
+        console.log('2️⃣ Reading it twice');
+        await request('GET', `/products/${productId}`);
+        const read = await request('GET', `/products/${productId}`);
+        if (read.data.viewCount < 2) {
+            throw new Error(`Expected at least 2 views, got ${read.data.viewCount}`);
+        }
+        console.log('✅ Views counted:', read.data.viewCount);
+
+        console.log('3️⃣ Reading its audit log');
+        const logs = await request('GET', `/audit-logs?entity=Product&entityId=${productId}&action=update`);
+        if (logs.data.auditLogs.length > 0) {
+            throw new Error(`Views were audited: ${JSON.stringify(logs.data.auditLogs.map(entry => entry.changes))}`);
+        }
+        console.log('✅ No update entries for the views');
+    } catch (error) {
+        console.error('❌ Test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        if (productId) {
+            await request('DELETE', `/products/${productId}`).catch(() => {});
+            await request('DELETE', `/products/${productId}/permanent`).catch(() => {});
+        }
+        if (categoryId) {
+            await request('DELETE', `/categories/${categoryId}`).catch(() => {});
+            await request('DELETE', `/categories/${categoryId}/permanent`).catch(() => {});
+        }
+    }
+}
+
+testAuditViews();
@@ -0,0 +1,62 @@
+// Checks that webhook deliveries cannot be pointed at the server's own network
+// by DNS rebinding: a host that resolves to a public address when the URL is
+// checked, then to 127.0.0.1 when the delivery connects.
+//
+// Needs no running server or database:
+//
+//   node testWebhookDestination.js
+
+const dns = require('dns');
+const http = require('http');
+const { fetch } = require('undici');
+const { checkDestination, dispatcher } = require('./src/services/webhooks/destination');
+
+const HOST = 'rebind.example';
+
+// First answer public, then loopback, as a rebinding DNS server would
+const realLookup = dns.lookup;
+const realPromisesLookup = dns.promises.lookup;
+dns.promises.lookup = async (hostname, options) => (hostname === HOST
+    ? [{ address: '93.184.215.14', family: 4 }]
+    : realPromisesLookup(hostname, options));
+dns.lookup = (hostname, options, callback) => {
+    if (hostname !== HOST) return realLookup(hostname, options, callback);
+    if (options.all) return callback(null, [{ address: '127.0.0.1', family: 4 }]);
+    callback(null, '127.0.0.1', 4);
+};
+
+async function testWebhookDestination() {
+    let hits = 0;
+    const server = http.createServer((req, res) => {
+        hits += 1;
+        res.end('internal');
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const url = `http://${HOST}:${server.address().port}/`;
+
+    try {
+        console.log('1️⃣ Checking the URL');
+        const reason = await checkDestination(url);
+        if (reason) throw new Error(`The check already refused it: ${reason}`);
+        console.log('✅ The check sees a public address');
+
+        console.log('2️⃣ Delivering to it');
+        const refused = await fetch(url, { method: 'POST', body: '{}', dispatcher }).then(
+            () => null,
+            error => error.cause
+        );
+        if (!refused || refused.code !== 'EBLOCKEDDESTINATION') {
+            throw new Error(`The delivery was not refused: ${refused ? refused.message : 'it connected'}`);
+        }
+        if (hits > 0) throw new Error('The request reached the local server');
+        console.log('✅ Connection refused:', refused.message);
+    } catch (error) {
+        console.error('❌ Test failed:', error.message);
+        process.exitCode = 1;
+    } finally {
+        server.close();
+        await dispatcher.close();
+    }
+}
+
+testWebhookDestination();